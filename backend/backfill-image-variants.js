@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./models/User');
+const Post = require('./models/Post');
+const storage = require('./services/storage');
+const imageVariants = require('./services/imageVariants');
+
+// Makes the resized variants of cover and profile images uploaded before they
+// existed, and strips the metadata from those originals. Images linked from
+// elsewhere are left alone. Only images without variants are processed unless
+// --force is given, so it is safe to run again.
+
+async function backfillImage(url) {
+  const key = storage.keyFromUrl(url);
+  if (!key) {
+    return { skipped: 'not an uploaded image' };
+  }
+
+  const contentType = storage.contentTypeFor(key);
+  if (!imageVariants.isProcessable(contentType)) {
+    return { skipped: `${contentType} images are kept as they are` };
+  }
+
+  const body = await storage.get(key);
+  if (!body) {
+    return { skipped: 'the file is missing from storage' };
+  }
+
+  const cleaned = await imageVariants.stripMetadata(await storage.toBuffer(body));
+  await storage.put(key, cleaned, { contentType });
+  return { cleaned, key };
+}
+
+async function backfill({ force }) {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const counts = { processed: 0, skipped: 0, failed: 0 };
+
+  const sources = [
+    { model: Post, field: 'coverImage', label: post => `Post "${post.title}"` },
+    { model: User, field: 'profileImage', label: user => `User ${user.email}` }
+  ];
+
+  for (const { model, field, label } of sources) {
+    const variantsField = `${field}Variants`;
+    const filter = { [field]: { $nin: ['', null] } };
+    if (!force) {
+      filter[variantsField] = null;
+    }
+
+    for await (const doc of model.find(filter).select(`title email ${field}`).lean()) {
+      try {
+        const result = await backfillImage(doc[field]);
+        if (result.skipped) {
+          counts.skipped++;
+          console.log(`- ${label(doc)}: skipped, ${result.skipped}`);
+          continue;
+        }
+
+        const variants = await imageVariants.createVariants(result.cleaned, result.key, imageVariants.VARIANT_SETS[field]);
+        // Not an edit, so leave updatedAt and the save hooks alone
+        await model.updateOne({ _id: doc._id }, { $set: { [variantsField]: variants } }, { timestamps: false });
+        counts.processed++;
+        console.log(`✅ ${label(doc)}`);
+      } catch (error) {
+        counts.failed++;
+        console.error(`❌ ${label(doc)}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`Made variants for ${counts.processed} images, skipped ${counts.skipped}, ${counts.failed} failed`);
+  await mongoose.disconnect();
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+const args = process.argv.slice(2);
+if (args.some(arg => arg !== '--force')) {
+  console.log('Usage: node backfill-image-variants.js [--force]');
+  console.log('  --force  remake variants for images that already have them');
+  process.exit(1);
+}
+
+backfill({ force: args.includes('--force') })
+  .catch(async (error) => {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
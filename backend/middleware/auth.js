@@ -1,5 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { can } = require('../services/permissions');
+
+// Decode an access token and load its user, provided the session it belongs to is still active
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed carry no sessionId and can no longer be revoked
+  if (!decoded.sessionId || !(await Session.isActive(decoded.sessionId, decoded.userId))) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return { user, sessionId: decoded.sessionId };
+};
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -13,14 +32,14 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const resolved = await resolveAccessToken(token);
 
-    if (!user || !user.isActive) {
+    if (!resolved) {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
 
-    req.user = user;
+    req.user = resolved.user;
+    req.sessionId = resolved.sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -33,29 +52,18 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check if user is admin or super admin
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({ message: 'Authentication required' });
-  }
-
-  if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-
-  next();
-};
-
-// Check if user is super admin
-const requireSuperAdmin = (req, res, next) => {
+// Require a permission from the role/permission matrix. Owner-only grants pass here;
+// routes check them against the loaded resource with can(user, action, resource).
+const requirePermission = (action) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ message: 'Authentication required' });
   }
 
-  if (req.user.role !== 'super_admin') {
-    return res.status(403).json({ 
-      message: 'Super Admin access required',
-      currentRole: req.user.role 
+  if (!can(req.user, action)) {
+    return res.status(403).json({
+      message: 'You do not have permission to perform this action',
+      permission: action,
+      currentRole: req.user.role
     });
   }
 
@@ -71,11 +79,11 @@ const optionalAuth = async (req, res, next) => {
       : null;
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
+      const resolved = await resolveAccessToken(token);
+
+      if (resolved) {
+        req.user = resolved.user;
+        req.sessionId = resolved.sessionId;
       }
     }
     
@@ -86,19 +94,32 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate a short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId }, 
+    { userId, sessionId }, 
     process.env.JWT_SECRET, 
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+// Start a session for a freshly authenticated user and issue its access/refresh token pair
+const createSession = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, {
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || ''
+  });
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken
+  };
+};
+
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireSuperAdmin,
+  requirePermission,
   optionalAuth,
-  generateToken
+  generateToken,
+  createSession
 };
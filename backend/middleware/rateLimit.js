@@ -0,0 +1,12 @@
+const rateLimit = require('express-rate-limit');
+
+// Endpoints that send email get a tighter limit than the global one
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_EMAIL_RATE_LIMIT) || 5,
+  message: { message: 'Too many email requests, please try again later.' }
+});
+
+module.exports = {
+  emailLimiter
+};
@@ -1,37 +1,65 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const os = require('os');
+const storage = require('../services/storage');
+const imageVariants = require('../services/imageVariants');
+const mediaLibrary = require('../services/mediaLibrary');
 
-// Ensure upload directories exist
-const ensureDirectoryExists = (dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+// Where each upload field is kept in storage
+const folderFor = (fieldname) => {
+  if (fieldname === 'coverImage') {
+    return 'posts';
   }
+  if (fieldname === 'profileImage') {
+    return 'profiles';
+  }
+  return 'misc';
 };
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let uploadPath = '';
-    
-    if (file.fieldname === 'coverImage') {
-      uploadPath = path.join(__dirname, '../uploads/posts');
-    } else if (file.fieldname === 'profileImage') {
-      uploadPath = path.join(__dirname, '../uploads/profiles');
-    } else {
-      uploadPath = path.join(__dirname, '../uploads/misc');
-    }
-    
-    ensureDirectoryExists(uploadPath);
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
+// Multer storage engine that hands files to the configured storage driver
+// (services/storage), through services/imageVariants so images lose their metadata
+// and cover and profile images get resized variants. Each file gets `key`,
+// `filename`, `size`, `width`, `height`, the `url` to link to and its `variants`
+// (or null). Files uploaded by signed-in users also go into their media library
+// (services/mediaLibrary) as `media`, and are refused once it is full.
+const storageEngine = {
+  _handleFile(req, file, cb) {
     // Generate unique filename
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const filename = file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname);
-    cb(null, filename);
+    const filename = file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase();
+    const key = `${folderFor(file.fieldname)}/${filename}`;
+    const url = storage.url(key);
+
+    const store = async () => {
+      const media = req.user
+        ? await mediaLibrary.reserve(req.user, { key, url, filename: file.originalname, contentType: file.mimetype })
+        : null;
+
+      let stored = { variants: null };
+      try {
+        stored = await imageVariants.storeImage(key, file.stream, { fieldname: file.fieldname, contentType: file.mimetype });
+        const info = { key, filename, url, ...stored };
+        if (media) {
+          info.media = await mediaLibrary.complete(req.user, media, stored);
+        }
+        return info;
+      } catch (error) {
+        await mediaLibrary.discard({ key, variants: stored.variants });
+        throw error;
+      }
+    };
+
+    store()
+      .then(info => cb(null, info))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    mediaLibrary.discard(file)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
@@ -49,27 +77,94 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+const uploadLimits = {
+  fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+  files: 5 // Maximum 5 files per request
+};
+
 // Configure multer
 const upload = multer({
-  storage: storage,
+  storage: storageEngine,
   fileFilter: fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
-    files: 5 // Maximum 5 files per request
-  }
+  limits: uploadLimits
+});
+
+// Markdown imports are parsed in memory and never written to disk
+const IMPORT_EXTENSIONS = ['.md', '.markdown', '.zip'];
+
+const importLimits = {
+  fileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+  files: 20
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only Markdown (.md, .markdown) and .zip files can be imported'), false);
+    }
+  },
+  limits: importLimits
+});
+
+// Blog exports from other platforms (WordPress WXR or Ghost JSON), also kept in memory
+const MIGRATION_EXTENSIONS = ['.xml', '.json'];
+
+const migrationLimits = {
+  fileSize: parseInt(process.env.MIGRATION_MAX_FILE_SIZE) || 50 * 1024 * 1024, // 50MB default
+  files: 1
+};
+
+const migrationUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (MIGRATION_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only WordPress (.xml) and Ghost (.json) exports can be imported'), false);
+    }
+  },
+  limits: migrationLimits
+});
+
+// Backup archives can be large, so they go to a temporary file instead of memory
+const backupLimits = {
+  fileSize: parseInt(process.env.BACKUP_MAX_FILE_SIZE) || 200 * 1024 * 1024, // 200MB default
+  files: 1
+};
+
+const backupUpload = multer({
+  storage: multer.diskStorage({
+    destination: os.tmpdir(),
+    filename: (req, file, cb) => {
+      cb(null, `thisblog-restore-${Date.now()}-${Math.round(Math.random() * 1E9)}.zip`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Backups are .zip archives'), false);
+    }
+  },
+  limits: backupLimits
 });
 
-// Error handling middleware for multer
-const handleUploadError = (error, req, res, next) => {
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024) * 10) / 10}MB`;
+
+// Error handling middleware for multer, reporting the limits of the upload it follows
+const uploadErrorHandler = (limits) => (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     switch (error.code) {
       case 'LIMIT_FILE_SIZE':
         return res.status(400).json({ 
-          message: 'File too large. Maximum size allowed is 5MB.' 
+          message: `File too large. Maximum size allowed is ${formatMegabytes(limits.fileSize)}.` 
         });
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({ 
-          message: 'Too many files. Maximum 5 files allowed per request.' 
+          message: `Too many files. Maximum ${limits.files} files allowed per request.` 
         });
       case 'LIMIT_UNEXPECTED_FILE':
         return res.status(400).json({ 
@@ -81,21 +176,27 @@ const handleUploadError = (error, req, res, next) => {
         });
     }
   } else if (error) {
-    return res.status(400).json({ 
+    return res.status(error.status || 400).json({ 
       message: error.message 
     });
   }
   next();
 };
 
-// Delete file helper
-const deleteFile = (filePath) => {
+const handleUploadError = uploadErrorHandler(uploadLimits);
+const handleImportUploadError = uploadErrorHandler(importLimits);
+const handleMigrationUploadError = uploadErrorHandler(migrationLimits);
+const handleBackupUploadError = uploadErrorHandler(backupLimits);
+
+// Delete an uploaded file by the URL it was given. Resolves to whether a file
+// was deleted; URLs that are not in storage are left alone.
+const deleteFile = async (fileUrl) => {
   try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return true;
+    const key = storage.keyFromUrl(fileUrl);
+    if (!key) {
+      return false;
     }
-    return false;
+    return await storage.delete(key);
   } catch (error) {
     console.error('Error deleting file:', error);
     return false;
@@ -105,5 +206,11 @@ const deleteFile = (filePath) => {
 module.exports = {
   upload,
   handleUploadError,
+  importUpload,
+  handleImportUploadError,
+  migrationUpload,
+  handleMigrationUploadError,
+  backupUpload,
+  handleBackupUploadError,
   deleteFile
 };
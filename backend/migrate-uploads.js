@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('./models/User');
+const Post = require('./models/Post');
+const storage = require('./services/storage');
+
+// Copies everything in the local uploads directory to the storage configured with
+// STORAGE_DRIVER, skipping files that are already there. When files end up at new
+// URLs (S3_PUBLIC_URL), profile images, cover images and links in post content are
+// updated to match. Safe to run again after a failure.
+
+// A stored file linked with or without this server's origin
+const UPLOAD_URL_PATTERN = /(?:https?:\/\/[^\s/"'()<>]+)?\/uploads\/([^\s"'()<>?#]+)/g;
+
+async function migrateUploads({ dryRun, removeLocal }) {
+  const source = storage.createLocalDriver();
+  const target = storage.createDriver();
+  if (target.name === 'local') {
+    console.log('❌ STORAGE_DRIVER is local, so there is nowhere to move uploads to. Set STORAGE_DRIVER=s3 and the S3_* settings first.');
+    process.exit(1);
+  }
+
+  const moved = new Map();
+  const counts = { copied: 0, existing: 0, failed: 0, removed: 0 };
+
+  for await (const key of source.list()) {
+    try {
+      if (await target.exists(key)) {
+        counts.existing++;
+      } else {
+        if (!dryRun) {
+          await target.put(key, await source.get(key));
+        }
+        counts.copied++;
+      }
+      moved.set(key, target.url(key));
+
+      if (removeLocal && !dryRun) {
+        await source.delete(key);
+        counts.removed++;
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ ${key}: ${error.message}`);
+    }
+  }
+
+  console.log(`${dryRun ? 'Would copy' : 'Copied'} ${counts.copied} files, ${counts.existing} already there, ${counts.failed} failed${removeLocal ? `, ${counts.removed} removed locally` : ''}`);
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+
+  // Without a public URL the files are still served from /uploads, so links stay as they are
+  if (target.url('key') === source.url('key')) {
+    return;
+  }
+
+  const newUrl = (url) => {
+    const key = storage.keyFromUrl(url, source);
+    return key && moved.has(key) && moved.get(key) !== url ? moved.get(key) : url;
+  };
+  const rewrite = (text) => text.replace(UPLOAD_URL_PATTERN, (match, key) => {
+    const url = moved.get(decodeURIComponent(key));
+    return url || match;
+  });
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  let updated = 0;
+
+  for await (const user of User.find({ profileImage: /\/uploads\// }).select('profileImage')) {
+    const profileImage = newUrl(user.profileImage);
+    if (profileImage !== user.profileImage) {
+      updated++;
+      if (!dryRun) {
+        await User.updateOne({ _id: user._id }, { $set: { profileImage } }, { timestamps: false });
+      }
+    }
+  }
+
+  for await (const post of Post.find({ $or: [{ coverImage: /\/uploads\// }, { content: /\/uploads\// }] }).select('coverImage content')) {
+    const coverImage = newUrl(post.coverImage);
+    const content = rewrite(post.content);
+    if (coverImage !== post.coverImage || content !== post.content) {
+      updated++;
+      if (!dryRun) {
+        // Moving files is not an edit, so leave updatedAt and the save hooks alone
+        await Post.updateOne({ _id: post._id }, { $set: { coverImage, content } }, { timestamps: false });
+      }
+    }
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'} links in ${updated} users and posts`);
+  await mongoose.disconnect();
+}
+
+const args = process.argv.slice(2);
+if (args.some(arg => !['--dry-run', '--remove-local'].includes(arg))) {
+  console.log('Usage: node migrate-uploads.js [--dry-run] [--remove-local]');
+  console.log('  --dry-run       report what would be copied and updated without changing anything');
+  console.log('  --remove-local  delete each local file once it is in the new storage');
+  process.exit(1);
+}
+
+migrateUploads({ dryRun: args.includes('--dry-run'), removeLocal: args.includes('--remove-local') })
+  .catch(async (error) => {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
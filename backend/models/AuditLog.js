@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'User', 'Comment', 'Campaign', 'System'],
+    required: true
+  },
+  // Empty for actions on the system as a whole
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType'
+  },
+  // Name of the target when the action happened, so entries still read well once it is deleted
+  targetLabel: {
+    type: String,
+    default: ''
+  },
+  // User whose content was changed, who may read the entries about it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Changed fields only, before and after the action
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Anything else worth keeping about the action, such as how many lines of a post changed
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ owner: 1, createdAt: -1 });
+
+// The log is append-only: entries can be added but never changed or removed
+const APPEND_ONLY_MESSAGE = 'Audit log entries cannot be changed or removed';
+
+auditLogSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY_MESSAGE));
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: true, query: true }, function(next) {
+    next(new Error(APPEND_ONLY_MESSAGE));
+  });
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
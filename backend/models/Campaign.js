@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A newsletter email sent to every active subscriber. Drafts can be edited;
+// once queued, one CampaignDelivery per recipient tracks the sending progress.
+const campaignSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  // Markdown body, rendered to HTML and plain text when sending
+  content: {
+    type: String,
+    required: [true, 'Content is required']
+  },
+  kind: {
+    type: String,
+    enum: ['custom', 'digest'],
+    default: 'custom'
+  },
+  // Posts included in a generated digest
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'preparing', 'queued', 'sending', 'sent', 'cancelled'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hosts captured when the campaign is queued, since sending happens outside a request
+  baseUrl: {
+    type: String,
+    default: ''
+  },
+  siteUrl: {
+    type: String,
+    default: ''
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  queuedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ status: 1, queuedAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+campaignSchema.methods.isEditable = function() {
+  return this.status === 'draft';
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+// Delivery status of one campaign to one subscriber; doubles as the send queue
+const campaignDeliverySchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Failed sends wait until then before they are tried again
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A subscriber gets each campaign at most once
+campaignDeliverySchema.index({ campaign: 1, subscriber: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaign: 1, status: 1 });
+campaignDeliverySchema.index({ status: 1, createdAt: 1 });
+
+// Number of deliveries per status for a campaign, with every status present
+campaignDeliverySchema.statics.countByStatus = async function(campaignId) {
+  const counts = await this.aggregate([
+    { $match: { campaign: new mongoose.Types.ObjectId(String(campaignId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const result = Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]));
+  counts.forEach(({ _id, count }) => {
+    result[_id] = count;
+  });
+  return result;
+};
+
+campaignDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('CampaignDelivery', campaignDeliverySchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Cover images given to posts that had none in one go by the admin bulk fill,
+// kept so the whole batch can be undone. Each entry records the cover set, so
+// posts whose cover was changed again since are left alone on undo.
+const coverFillBatchSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  posts: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media'
+    },
+    coverImage: {
+      type: String,
+      required: true
+    }
+  }],
+  undoneAt: {
+    type: Date,
+    default: null
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+coverFillBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CoverFillBatch', coverFillBatchSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// How many documents of one kind an import created, found already there, or skipped
+const countsSchema = new mongoose.Schema({
+  created: { type: Number, default: 0 },
+  existing: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 }
+}, { _id: false });
+
+// A blog migrated from another platform by services/blogImport. A dry run goes
+// through the whole export and reports what would happen without writing anything.
+const importJobSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['wordpress', 'ghost'],
+    required: true
+  },
+  filename: {
+    type: String,
+    default: ''
+  },
+  // Address of the blog the export came from, which identifies it on later runs
+  siteUrl: {
+    type: String,
+    default: ''
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Where image URLs pointing at the old blog's uploads are rewritten to
+  imageBaseUrl: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Posts gone through so far, out of `total`
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 }
+  },
+  counts: {
+    users: { type: countsSchema, default: () => ({}) },
+    tags: { type: countsSchema, default: () => ({}) },
+    posts: { type: countsSchema, default: () => ({}) },
+    comments: { type: countsSchema, default: () => ({}) }
+  },
+  imagesRewritten: {
+    type: Number,
+    default: 0
+  },
+  // Things that were skipped or changed to fit, e.g. a comment without an email address
+  issues: [{
+    _id: false,
+    item: String,
+    message: String
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Links something in another blog's export to the document it was imported as,
+// so running the same import again skips what is already here
+const importRecordSchema = new mongoose.Schema({
+  // Platform and address of the blog, e.g. "wordpress:https://old.example.com"
+  source: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['post', 'comment'],
+    required: true
+  },
+  // ID of the post or comment in the export
+  externalId: {
+    type: String,
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob'
+  }
+}, {
+  timestamps: true
+});
+
+importRecordSchema.index({ source: 1, kind: 1, externalId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportRecord', importRecordSchema);
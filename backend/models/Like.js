@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One like per user per target
+likeSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+likeSchema.index({ targetType: 1, target: 1 });
+
+// Record a like and bump the target's likeCount only when a new like was created
+likeSchema.statics.addLike = async function(userId, targetType, targetId) {
+  let created = false;
+
+  try {
+    const result = await this.updateOne(
+      { user: userId, targetType, target: targetId },
+      { $setOnInsert: { user: userId, targetType, target: targetId } },
+      { upsert: true }
+    );
+    created = result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent request already inserted the same like
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  if (created) {
+    // Likes are not edits, so they leave updatedAt alone (feeds and sitemaps use it)
+    await mongoose.model(targetType).findByIdAndUpdate(targetId, { $inc: { likeCount: 1 } }, { timestamps: false });
+  }
+
+  return created;
+};
+
+// Remove a like and decrement the target's likeCount only when one existed
+likeSchema.statics.removeLike = async function(userId, targetType, targetId) {
+  const result = await this.deleteOne({ user: userId, targetType, target: targetId });
+  const removed = result.deletedCount > 0;
+
+  if (removed) {
+    await mongoose.model(targetType).findOneAndUpdate(
+      { _id: targetId, likeCount: { $gt: 0 } },
+      { $inc: { likeCount: -1 } },
+      { timestamps: false }
+    );
+  }
+
+  return removed;
+};
+
+// Return the set of target IDs (as strings) the user has liked among the given targets
+likeSchema.statics.findLikedIds = async function(userId, targetType, targetIds) {
+  if (!userId || !targetIds || targetIds.length === 0) {
+    return new Set();
+  }
+
+  const likes = await this.find({
+    user: userId,
+    targetType,
+    target: { $in: targetIds }
+  }).select('target').lean();
+
+  return new Set(likes.map(like => like.target.toString()));
+};
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const USAGE_KINDS = ['post', 'series', 'user'];
+
+// A file in the media library: an image someone uploaded, kept so it can be
+// found and reused later. The file itself lives in storage under `key`.
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // The name the file had on the uploader's computer
+  filename: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  contentType: {
+    type: String,
+    default: ''
+  },
+  // Bytes of the original; counted against the owner's quota
+  size: {
+    type: Number,
+    default: 0
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  altText: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [300, 'Alt text cannot exceed 300 characters']
+  },
+  // Resized copies (see services/imageVariants), or null
+  variants: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Posts, series and users linking to the file (see services/mediaLibrary)
+  usage: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: USAGE_KINDS,
+      required: true
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+mediaSchema.index({ 'usage.kind': 1, 'usage.document': 1 });
+
+mediaSchema.statics.USAGE_KINDS = USAGE_KINDS;
+
+// Bytes of originals the user has stored
+mediaSchema.statics.usedBy = async function(userId) {
+  const [total] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, size: { $sum: '$size' } } }
+  ]);
+  return total ? total.size : 0;
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
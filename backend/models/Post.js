@@ -25,6 +25,12 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Resized copies of an uploaded cover image (see services/imageVariants):
+  // { thumbnail|card|hero|og: { width, height, avif?, webp?, jpeg? } }
+  coverImageVariants: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -36,12 +42,30 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published'],
+    enum: ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published'],
     default: 'draft'
   },
+  // Editorial review: when the post was last submitted, and who last approved it or asked for changes
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
   publishedAt: {
     type: Date
   },
+  publishAt: {
+    type: Date, // when a scheduled post should go live
+    default: null
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -69,6 +93,15 @@ const postSchema = new mongoose.Schema({
   featured: {
     type: Boolean,
     default: false
+  },
+  // "Read next" posts, ranked and cached by services/relatedPosts
+  relatedPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  relatedPostsUpdatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -76,11 +109,30 @@ const postSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 postSchema.index({ status: 1, publishedAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, submittedAt: 1 });
 postSchema.index({ author: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ slug: 1 });
 postSchema.index({ title: 'text', content: 'text', excerpt: 'text' });
 
+// Scheduled posts need a publish date
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Publish date is required for scheduled posts');
+  }
+  next();
+});
+
+// Variants belong to the image they were made from; a cover image set any other
+// way (restored from a revision, imported) has none until the backfill makes them
+postSchema.pre('save', function(next) {
+  if (this.isModified('coverImage') && !this.isModified('coverImageVariants')) {
+    this.coverImageVariants = null;
+  }
+  next();
+});
+
 // Generate slug from title
 postSchema.pre('save', async function(next) {
   if (this.isModified('title')) {
@@ -127,6 +179,11 @@ postSchema.pre('save', async function(next) {
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
   }
+
+  // publishAt only applies while a post is scheduled
+  if (this.status !== 'scheduled') {
+    this.publishAt = null;
+  }
   
   next();
 });
@@ -136,6 +193,29 @@ postSchema.statics.findPublished = function() {
   return this.find({ status: 'published' }).sort({ publishedAt: -1 });
 };
 
+// Static method to find scheduled posts that are due for publishing
+postSchema.statics.findDueScheduled = function(now = new Date()) {
+  return this.find({ status: 'scheduled', publishAt: { $lte: now } }).sort({ publishAt: 1 });
+};
+
+// Whether a post with this status counts towards its tags' postCount
+postSchema.statics.countsTowardTags = function(status) {
+  return status !== 'scheduled';
+};
+
+// Move the post to a new status, keeping the review fields in step
+postSchema.methods.moveTo = function(status, user) {
+  if (status === 'in_review' && this.status !== 'in_review') {
+    this.submittedAt = new Date();
+  }
+  if (status === 'approved' || status === 'changes_requested') {
+    this.reviewedBy = user._id;
+    this.reviewedAt = new Date();
+  }
+  this.status = status;
+  return this;
+};
+
 // Method to increment view count
 postSchema.methods.incrementViewCount = function() {
   this.viewCount += 1;
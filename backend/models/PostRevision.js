@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Fields copied from a post into each revision snapshot
+const SNAPSHOT_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'coverImage',
+  'tags',
+  'status',
+  'seoTitle',
+  'seoDescription',
+  'featured'
+];
+
+// Fields written back to the post when a revision is restored
+const RESTORABLE_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'coverImage',
+  'tags',
+  'seoTitle',
+  'seoDescription'
+];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  coverImage: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  status: {
+    type: String
+  },
+  seoTitle: {
+    type: String
+  },
+  seoDescription: {
+    type: String
+  },
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['update', 'restore'],
+    default: 'update'
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Revisions are numbered per post
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Snapshot the current state of a post as its next revision
+postRevisionSchema.statics.createFromPost = async function(post, userId, options = {}) {
+  const latest = await this.findOne({ post: post._id })
+    .sort({ revision: -1 })
+    .select('revision')
+    .lean();
+
+  const snapshot = {
+    post: post._id,
+    revision: latest ? latest.revision + 1 : 1,
+    editedBy: userId,
+    reason: options.reason || 'update',
+    restoredFrom: options.restoredFrom || null
+  };
+
+  SNAPSHOT_FIELDS.forEach(field => {
+    snapshot[field] = post[field];
+  });
+
+  return this.create(snapshot);
+};
+
+// Copy the restorable fields of this revision onto a post document
+postRevisionSchema.methods.applyTo = function(post) {
+  RESTORABLE_FIELDS.forEach(field => {
+    post[field] = this[field];
+  });
+  return post;
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
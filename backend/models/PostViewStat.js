@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Views of a post in one hour from one referrer. Reports add these buckets up
+// by hour or day instead of reading each post's lifetime viewCount.
+const postViewStatSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Start of the hour (UTC) the views fall in
+  hour: {
+    type: Date,
+    required: true
+  },
+  // Referring site's host name, or 'direct' / 'internal'
+  referrer: {
+    type: String,
+    default: 'direct'
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Visitors seen for the first time that day
+  visitors: {
+    type: Number,
+    default: 0
+  }
+});
+
+postViewStatSchema.index({ post: 1, hour: 1, referrer: 1 }, { unique: true });
+postViewStatSchema.index({ hour: 1 });
+
+module.exports = mongoose.model('PostViewStat', postViewStatSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A visitor's views of a post on one day, used to count each visit once.
+// Visitors are stored as a hash that changes daily, and entries expire after a
+// couple of days, so this is not a lasting record of who read what.
+const postVisitSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  visitor: {
+    type: String,
+    required: true
+  },
+  // UTC day, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  lastViewAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+postVisitSchema.index({ post: 1, visitor: 1, day: 1 }, { unique: true });
+postVisitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PostVisit', postVisitSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A note left on a post during editorial review, either on the post as a whole
+// or inline on one line of its content
+const reviewNoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Note is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  // 1-based line of the content the note is about; null for notes on the whole post
+  line: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Text of that line when the note was left, so the note still makes sense after edits
+  quote: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reviewNoteSchema.index({ post: 1, createdAt: 1 });
+reviewNoteSchema.index({ post: 1, resolved: 1 });
+
+// Mark the note resolved or open again, remembering who resolved it
+reviewNoteSchema.methods.setResolved = function(resolved, user) {
+  this.resolved = resolved;
+  this.resolvedBy = resolved ? user._id : null;
+  this.resolvedAt = resolved ? new Date() : null;
+  return this;
+};
+
+module.exports = mongoose.model('ReviewNote', reviewNoteSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  coverImage: {
+    type: String,
+    default: ''
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Parts in reading order; a post belongs to at most one series
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }]
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ author: 1 });
+seriesSchema.index({ posts: 1 });
+
+// Generate a unique slug from the title
+seriesSchema.pre('save', async function(next) {
+  if (this.isModified('title')) {
+    const baseSlug = this.title
+      .toLowerCase()
+      .replace(/[^a-zA-Z0-9 ]/g, '')
+      .replace(/\s+/g, '-')
+      .trim('-') || 'series';
+
+    let slug = baseSlug;
+    let counter = 0;
+
+    while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+      counter++;
+      slug = `${baseSlug}-${counter}`;
+    }
+    this.slug = slug;
+  }
+  next();
+});
+
+// Move a post into a series, appended as its last part, taking it out of any other
+// series. Pass a falsy seriesId to take the post out of its series altogether.
+seriesSchema.statics.assignPost = async function(postId, seriesId) {
+  await this.updateMany(
+    { posts: postId, _id: { $ne: seriesId || null } },
+    { $pull: { posts: postId } }
+  );
+  if (seriesId) {
+    await this.updateOne({ _id: seriesId }, { $addToSet: { posts: postId } });
+  }
+};
+
+// Take posts out of every series they are in, e.g. when they are deleted
+seriesSchema.statics.removePosts = function(postIds) {
+  return this.updateMany(
+    { posts: { $in: postIds } },
+    { $pull: { posts: { $in: postIds } } }
+  );
+};
+
+// The series a post belongs to, with its position among the series' published
+// parts and links to the parts before and after it; null when it is in none.
+// An unpublished post (e.g. an author's preview) is placed where it will appear.
+seriesSchema.statics.navigationFor = async function(post) {
+  const series = await this.findOne({ posts: post._id })
+    .select('title slug posts')
+    .lean();
+  if (!series) {
+    return null;
+  }
+
+  const Post = mongoose.model('Post');
+  const published = await Post.find({ _id: { $in: series.posts }, status: 'published' })
+    .select('title slug')
+    .lean();
+  const byId = new Map(published.map(part => [part._id.toString(), part]));
+  const currentId = post._id.toString();
+
+  const parts = series.posts
+    .map(id => id.toString())
+    .filter(id => byId.has(id) || id === currentId);
+  const index = parts.indexOf(currentId);
+  const partAt = (i) => (i >= 0 && i < parts.length ? byId.get(parts[i]) : null);
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    total: parts.length,
+    previous: partAt(index - 1),
+    next: partAt(index + 1)
+  };
+};
+
+module.exports = mongoose.model('Series', seriesSchema);
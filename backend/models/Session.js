@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once both present the same token; the slower one is
+// told to retry instead of being treated as a stolen token
+const REUSE_GRACE_MS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_MS) || 10 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// One session per signed-in device. Its refresh token rotates on every use, and all
+// tokens issued for a session form one family that is revoked together.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'deactivated', 'password_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Start a new session and return it with its first refresh token
+sessionSchema.statics.start = async function(userId, { userAgent = '', ip = '' } = {}) {
+  const secret = generateSecret();
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    userAgent: userAgent.slice(0, 500),
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one.
+// Returns { session, refreshToken } on success or { error } with one of:
+//   'invalid' - unknown, expired or revoked session
+//   'stale'   - token was rotated moments ago by a concurrent request; retry with the new one
+//   'reused'  - an already-rotated token was replayed; the whole session has been revoked
+sessionSchema.statics.rotate = async function(refreshToken, { userAgent, ip } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: 'invalid' };
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = generateSecret();
+  const now = new Date();
+
+  const update = {
+    tokenHash: hashToken(secret),
+    previousTokenHash: presentedHash,
+    rotatedAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  };
+  if (userAgent) update.userAgent = userAgent.slice(0, 500);
+  if (ip) update.ip = ip;
+
+  // Conditional update so only one request can rotate a given token
+  const session = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presentedHash, ...activeFilter() },
+    { $set: update },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${secret}` };
+  }
+
+  const existing = await this.findOne({ _id: parsed.sessionId, ...activeFilter() })
+    .select('+previousTokenHash');
+  if (!existing) {
+    return { error: 'invalid' };
+  }
+
+  if (
+    existing.previousTokenHash === presentedHash &&
+    existing.rotatedAt &&
+    now - existing.rotatedAt < REUSE_GRACE_MS
+  ) {
+    return { error: 'stale' };
+  }
+
+  // A token from this family that is no longer current was replayed: assume it leaked
+  await existing.revoke('reuse_detected');
+  return { error: 'reused' };
+};
+
+// Whether a session can still be used by the given user
+sessionSchema.statics.isActive = async function(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+  return !!(await this.exists({ _id: sessionId, user: userId, ...activeFilter() }));
+};
+
+// Active sessions of a user, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, ...activeFilter() }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+sessionSchema.statics.revokeForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  if (this.revokedAt) {
+    return this;
+  }
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.constructor.updateOne(
+    { _id: this._id, revokedAt: null },
+    { $set: { revokedAt: this.revokedAt, revokedReason: reason } }
+  );
+  return this;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
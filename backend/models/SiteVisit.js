@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A visitor's first visit on one day to the whole site (author null) or to one
+// author's posts, so reports can count each visitor once per day however many
+// posts they read. Like PostVisit, visitors are a hash that changes daily and
+// entries expire after a couple of days.
+const siteVisitSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  visitor: {
+    type: String,
+    required: true
+  },
+  // UTC day, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+siteVisitSchema.index({ author: 1, visitor: 1, day: 1 }, { unique: true });
+siteVisitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SiteVisit', siteVisitSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// How long a new subscriber has to confirm before the pending record is purged
+const CONFIRMATION_TTL_MS = (parseInt(process.env.NEWSLETTER_CONFIRM_TTL_HOURS) || 48) * 60 * 60 * 1000;
+
 const subscriberSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -9,15 +12,25 @@ const subscriberSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
   },
+  // Subscribers start as pending and only receive campaigns once they confirm (double opt-in)
   status: {
     type: String,
-    enum: ['active', 'unsubscribed'],
-    default: 'active'
+    enum: ['pending', 'active', 'unsubscribed'],
+    default: 'pending'
   },
   subscribedAt: {
     type: Date,
     default: Date.now
   },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while pending; MongoDB deletes the record once it passes
+  confirmationExpiresAt: {
+    type: Date,
+    default: null
+  },
   unsubscribedAt: {
     type: Date,
     default: null
@@ -25,6 +38,14 @@ const subscriberSchema = new mongoose.Schema({
   source: {
     type: String,
     default: 'homepage' // Track where the subscription came from
+  },
+  // Proof of consent: where and when the subscription was requested and confirmed
+  consent: {
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    requestedAt: { type: Date, default: null },
+    confirmedIp: { type: String, default: '' },
+    confirmedAt: { type: Date, default: null }
   }
 }, {
   timestamps: true
@@ -33,5 +54,37 @@ const subscriberSchema = new mongoose.Schema({
 // Index for efficient email lookups
 subscriberSchema.index({ email: 1 });
 subscriberSchema.index({ status: 1 });
+// Purge unconfirmed subscriptions; confirmed ones have no expiry and are kept
+subscriberSchema.index({ confirmationExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Put the subscriber (back) into the pending state for a new opt-in request
+subscriberSchema.methods.requestConfirmation = function({ ip = '', userAgent = '', source } = {}) {
+  const now = new Date();
+  this.status = 'pending';
+  this.subscribedAt = now;
+  this.confirmedAt = null;
+  this.unsubscribedAt = null;
+  this.confirmationExpiresAt = new Date(now.getTime() + CONFIRMATION_TTL_MS);
+  if (source) {
+    this.source = source;
+  }
+  this.consent = {
+    ip,
+    userAgent: userAgent.slice(0, 500),
+    requestedAt: now,
+    confirmedIp: '',
+    confirmedAt: null
+  };
+  return this;
+};
+
+// Delete pending subscriptions whose confirmation window has passed.
+// The TTL index does this too, but only about once a minute.
+subscriberSchema.statics.purgeExpiredPending = async function(now = new Date()) {
+  const result = await this.deleteMany({ status: 'pending', confirmationExpiresAt: { $lte: now } });
+  return result.deletedCount;
+};
+
+subscriberSchema.statics.CONFIRMATION_TTL_MS = CONFIRMATION_TTL_MS;
 
 module.exports = mongoose.model('Subscriber', subscriberSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../services/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,14 +26,33 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Resized copies of an uploaded profile image (see services/imageVariants)
+  profileImageVariants: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Media library quota in megabytes; null uses MEDIA_QUOTA_MB, 0 is unlimited
+  mediaQuotaMB: {
+    type: Number,
+    default: null,
+    min: [0, 'Media quota cannot be negative']
+  },
   role: {
     type: String,
-    enum: ['member', 'admin', 'super_admin'],
+    enum: ROLES,
     default: 'member'
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL_MS = {
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60) * 60 * 1000,
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 48) * 60 * 60 * 1000
+};
+
+const PURPOSES = Object.keys(TOKEN_TTL_MS);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Single-use tokens sent by email (password reset, email verification).
+// Only a hash of the token is stored, so a leaked database cannot be used to take over accounts.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB purge tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new token for a user, invalidating any earlier unused token with the same purpose.
+// Returns the plain token, which is only ever sent to the user.
+userTokenSchema.statics.issue = async function(userId, purpose) {
+  if (!PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used.
+// The conditional update makes sure a token can only be redeemed once.
+userTokenSchema.statics.consume = function(token, purpose) {
+  if (!token || typeof token !== 'string') {
+    return Promise.resolve(null);
+  }
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
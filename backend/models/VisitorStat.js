@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Distinct visitors to the whole site (author null) or to one author's posts,
+// by the hour they first came that day. Unlike the per-post counts in
+// PostViewStat, a reader of several posts counts once.
+const visitorStatSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Start of the hour (UTC)
+  hour: {
+    type: Date,
+    required: true
+  },
+  visitors: {
+    type: Number,
+    default: 0
+  }
+});
+
+visitorStatSchema.index({ author: 1, hour: 1 }, { unique: true });
+
+module.exports = mongoose.model('VisitorStat', visitorStatSchema);
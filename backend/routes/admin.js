@@ -1,14 +1,30 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
 const Comment = require('../models/Comment');
 const Tag = require('../models/Tag');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const ReviewNote = require('../models/ReviewNote');
+const Series = require('../models/Series');
+const Media = require('../models/Media');
+const CoverFillBatch = require('../models/CoverFillBatch');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES, can, canAny, canManageUser, canAssignRole } = require('../services/permissions');
+const auditLog = require('../services/auditLog');
+const reviewWorkflow = require('../services/reviewWorkflow');
+const viewAnalytics = require('../services/viewAnalytics');
+const sitemapService = require('../services/sitemapService');
+const mediaLibrary = require('../services/mediaLibrary');
+const coverSuggestions = require('../services/coverSuggestions');
+const imageVariants = require('../services/imageVariants');
 
 const router = express.Router();
 
-// Apply authentication to all routes, but not admin requirement (will be added per route)
+// Apply authentication to all routes; permissions are checked per route
 router.use(authenticateToken);
 
 // @route   GET /api/admin/dashboard-metrics
@@ -29,6 +45,14 @@ router.get('/dashboard-metrics', async (req, res) => {
       status: 'draft' 
     });
 
+    // Where the user's posts are in editorial review, and how many posts wait for them to review
+    const inReviewPosts = await Post.countDocuments({ author: userId, status: 'in_review' });
+    const changesRequestedPosts = await Post.countDocuments({ author: userId, status: 'changes_requested' });
+    const approvedPosts = await Post.countDocuments({ author: userId, status: 'approved' });
+    const postsAwaitingReview = can(req.user, 'post:review')
+      ? await Post.countDocuments({ status: 'in_review', author: { $ne: userId } })
+      : 0;
+
     // Get total views and likes for user's posts
     const viewsResult = await Post.aggregate([
       { $match: { author: userId, status: 'published' } },
@@ -79,6 +103,10 @@ router.get('/dashboard-metrics', async (req, res) => {
       totalPosts,
       publishedPosts,
       draftPosts,
+      inReviewPosts,
+      changesRequestedPosts,
+      approvedPosts,
+      postsAwaitingReview,
       totalUsers: 1, // Just the current user
       totalAdmins: req.user.role === 'admin' ? 1 : 0, // Just current user if admin
       totalComments,
@@ -101,8 +129,8 @@ router.get('/dashboard-metrics', async (req, res) => {
 
 // @route   GET /api/admin/system-metrics
 // @desc    Get system-wide metrics for admin control panel
-// @access  Private (Admin only)
-router.get('/system-metrics', requireAdmin, async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/system-metrics', requirePermission('analytics:view'), async (req, res) => {
   try {
     // Get total users by role
     const totalUsers = await User.countDocuments();
@@ -155,13 +183,13 @@ router.get('/system-metrics', requireAdmin, async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users
-// @access  Private (Admin only)
+// @access  Private (user:manage)
 router.get('/users',
-  requireAdmin,
+  requirePermission('user:manage'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('role').optional().isIn(['user', 'admin', 'moderator', 'super_admin', 'all']).withMessage('Invalid role filter')
+    query('role').optional().isIn([...ROLES, 'all']).withMessage('Invalid role filter')
   ],
   async (req, res) => {
     try {
@@ -275,7 +303,7 @@ router.get('/top-posts', async (req, res) => {
       author: userId, 
       status: 'published' 
     })
-      .select('title slug viewCount likeCount commentCount publishedAt coverImage')
+      .select('title slug viewCount likeCount commentCount publishedAt coverImage coverImageVariants')
       .populate('author', 'name')
       .sort({ [sortField]: -1 })
       .limit(limit)
@@ -293,13 +321,13 @@ router.get('/top-posts', async (req, res) => {
 
 // @route   GET /api/admin/recent-comments
 // @desc    Get recent comments for admin dashboard
-// @access  Private (Admin only)
-router.get('/recent-comments', requireAdmin, async (req, res) => {
+// @access  Private (comment:moderate)
+router.get('/recent-comments', requirePermission('comment:moderate'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
 
     const recentComments = await Comment.find({ isApproved: true })
-      .populate('author', 'name profileImage')
+      .populate('author', 'name profileImage profileImageVariants')
       .populate('post', 'title slug')
       .select('content createdAt')
       .sort({ createdAt: -1 })
@@ -317,13 +345,13 @@ router.get('/recent-comments', requireAdmin, async (req, res) => {
 });
 
 // @route   GET /api/admin/posts
-// @desc    Get posts (for admins: all posts, for users: their own posts)
+// @desc    Get posts (all posts for those who may edit any post, otherwise their own)
 // @access  Private (Any authenticated user)
 router.get('/posts',
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('status').optional().isIn(['published', 'draft', 'all']).withMessage('Invalid status filter')
+    query('status').optional().isIn([...reviewWorkflow.STATUSES, 'all']).withMessage('Invalid status filter')
   ],
   async (req, res) => {
     try {
@@ -340,9 +368,9 @@ router.get('/posts',
       const skip = (page - 1) * limit;
       const status = req.query.status || 'all';
 
-      // Build query - only super_admins see all posts, admins and users see only their own
+      // Build query - users who can only edit their own posts only see those
       let query = {};
-      if (req.user.role !== 'super_admin') {
+      if (!canAny(req.user, 'post:update')) {
         query.author = req.user._id;
       }
       if (status !== 'all') {
@@ -350,7 +378,7 @@ router.get('/posts',
       }
 
       const posts = await Post.find(query)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .populate('tags', 'name slug color')
         .sort({ updatedAt: -1 })
         .skip(skip)
@@ -386,7 +414,7 @@ router.get('/posts/:id', async (req, res) => {
     const { id } = req.params;
     
     const post = await Post.findById(id)
-      .populate('author', 'name profileImage email')
+      .populate('author', 'name profileImage profileImageVariants email')
       .populate('tags', 'name slug color')
       .lean();
 
@@ -394,12 +422,13 @@ router.get('/posts/:id', async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Only super_admins can edit any post, admins and users can only edit their own posts
-    if (req.user.role !== 'super_admin' && post.author._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'You can only edit your own posts' });
+    if (!can(req.user, 'post:update', post)) {
+      return res.status(403).json({ message: 'You do not have permission to edit this post' });
     }
 
-    res.json({ post });
+    post.series = await Series.navigationFor(post);
+
+    res.json({ post, nextStatuses: reviewWorkflow.nextStatuses(req.user, post) });
   } catch (error) {
     console.error('Admin get single post error:', error);
     if (error.name === 'CastError') {
@@ -412,11 +441,305 @@ router.get('/posts/:id', async (req, res) => {
   }
 });
 
+// Filling in covers touches anyone's posts with anyone's images
+const canFillCovers = (user) => canAny(user, 'post:update') && canAny(user, 'media:manage');
+
+const WITHOUT_COVER = { coverImage: { $in: ['', null] } };
+
+// @route   GET /api/admin/cover-fill
+// @desc    Preview of the bulk cover fill: posts without a cover image, each with
+//          ranked suggestions from the media library. The first suggestion of each
+//          post is what the fill would use; an image picked for one post ranks
+//          lower for the next, so covers vary.
+// @access  Private (Editor and above)
+router.get('/cover-fill',
+  [
+    query('status').optional().isIn([...reviewWorkflow.STATUSES, 'all']).withMessage('Invalid status filter'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!canFillCovers(req.user)) {
+        return res.status(403).json({ message: 'You do not have permission to fill in cover images' });
+      }
+
+      const limit = parseInt(req.query.limit) || 50;
+      const filter = { ...WITHOUT_COVER };
+      if (req.query.status && req.query.status !== 'all') {
+        filter.status = req.query.status;
+      }
+
+      const [posts, totalPosts, candidates] = await Promise.all([
+        Post.find(filter)
+          .select('title slug status content tags author')
+          .populate('author', 'name')
+          .populate('tags', 'name')
+          .sort({ updatedAt: -1 })
+          .limit(limit)
+          .lean(),
+        Post.countDocuments(filter),
+        coverSuggestions.candidatesFor(req.user)
+      ]);
+
+      const picked = new Map();
+      const preview = posts.map(post => {
+        const suggestions = coverSuggestions.rank(
+          { ...post, tags: post.tags.map(tag => tag.name) },
+          candidates,
+          { limit: 3, extraUses: picked }
+        );
+        if (suggestions.length > 0) {
+          const id = String(suggestions[0].media._id);
+          picked.set(id, (picked.get(id) || 0) + 1);
+        }
+        return {
+          _id: post._id,
+          title: post.title,
+          slug: post.slug,
+          status: post.status,
+          author: post.author,
+          suggestions
+        };
+      });
+
+      res.json({ posts: preview, totalPosts });
+    } catch (error) {
+      console.error('Cover fill preview error:', error);
+      res.status(500).json({
+        message: 'Failed to preview cover images',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/cover-fill
+// @desc    Give posts without a cover the library images chosen for them, as
+//          `assignments: [{ post, media }]`. Posts that got a cover meanwhile are
+//          skipped. The batch can be undone.
+// @access  Private (Editor and above)
+router.post('/cover-fill',
+  [
+    body('assignments').isArray({ min: 1, max: 100 }).withMessage('Choose between 1 and 100 posts'),
+    body('assignments.*.post').isMongoId().withMessage('Invalid post id'),
+    body('assignments.*.media').isMongoId().withMessage('Invalid media id')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!canFillCovers(req.user)) {
+        return res.status(403).json({ message: 'You do not have permission to fill in cover images' });
+      }
+
+      const filled = [];
+      const skipped = [];
+      for (const { post: postId, media: mediaId } of req.body.assignments) {
+        const media = await Media.findById(mediaId);
+        if (!media || !can(req.user, 'media:manage', media)) {
+          skipped.push({ post: postId, message: 'The image is not in the media library' });
+          continue;
+        }
+
+        const variants = await mediaLibrary.ensureVariants(media, imageVariants.VARIANT_SETS.coverImage);
+        // Only posts that still have no cover, so nothing set meanwhile is overwritten
+        const previous = await Post.findOne({ _id: postId, ...WITHOUT_COVER });
+        const post = previous && await Post.findOneAndUpdate(
+          { _id: postId, ...WITHOUT_COVER },
+          { $set: { coverImage: media.url, coverImageVariants: variants } },
+          { new: true }
+        );
+        if (!post) {
+          skipped.push({ post: postId, message: 'The post was not found or already has a cover' });
+          continue;
+        }
+
+        await PostRevision.createFromPost(previous, req.user._id);
+        await mediaLibrary.syncUsage('post', post);
+        await auditLog.recordPostChange(req, {
+          post,
+          action: 'post.cover_fill',
+          before: await auditLog.postState(previous),
+          after: await auditLog.postState(post)
+        });
+        filled.push({ post: post._id, media: media._id, coverImage: media.url });
+      }
+
+      let batch = null;
+      if (filled.length > 0) {
+        batch = await CoverFillBatch.create({ createdBy: req.user._id, posts: filled });
+        sitemapService.invalidate();
+        await auditLog.record(req, {
+          action: 'post.cover_fill',
+          targetType: 'System',
+          targetLabel: 'Cover image fill',
+          details: { batch: batch._id, count: filled.length, skipped: skipped.length }
+        });
+      }
+
+      res.json({
+        message: `Added cover images to ${filled.length} ${filled.length === 1 ? 'post' : 'posts'}`,
+        batch,
+        skipped
+      });
+    } catch (error) {
+      console.error('Cover fill error:', error);
+      res.status(500).json({
+        message: 'Failed to fill in cover images',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/cover-fill/:batchId/undo
+// @desc    Take the covers of a bulk fill off again. Posts whose cover was changed
+//          since keep it.
+// @access  Private (Editor and above)
+router.post('/cover-fill/:batchId/undo', async (req, res) => {
+  try {
+    if (!canFillCovers(req.user)) {
+      return res.status(403).json({ message: 'You do not have permission to fill in cover images' });
+    }
+
+    const batch = mongoose.isValidObjectId(req.params.batchId)
+      ? await CoverFillBatch.findById(req.params.batchId)
+      : null;
+    if (!batch) {
+      return res.status(404).json({ message: 'Cover fill not found' });
+    }
+    if (batch.undoneAt) {
+      return res.status(400).json({ message: 'This cover fill has already been undone' });
+    }
+
+    let restored = 0;
+    for (const entry of batch.posts) {
+      const previous = await Post.findOne({ _id: entry.post, coverImage: entry.coverImage });
+      const post = previous && await Post.findOneAndUpdate(
+        { _id: entry.post, coverImage: entry.coverImage },
+        { $set: { coverImage: '', coverImageVariants: null } },
+        { new: true }
+      );
+      if (post) {
+        await PostRevision.createFromPost(previous, req.user._id);
+        await mediaLibrary.syncUsage('post', post);
+        await auditLog.recordPostChange(req, {
+          post,
+          action: 'post.cover_fill_undo',
+          before: await auditLog.postState(previous),
+          after: await auditLog.postState(post)
+        });
+        restored++;
+      }
+    }
+
+    batch.undoneAt = new Date();
+    batch.undoneBy = req.user._id;
+    await batch.save();
+    sitemapService.invalidate();
+
+    await auditLog.record(req, {
+      action: 'post.cover_fill_undo',
+      targetType: 'System',
+      targetLabel: 'Cover image fill',
+      details: { batch: batch._id, restored, kept: batch.posts.length - restored }
+    });
+
+    res.json({
+      message: `Removed the added cover images from ${restored} ${restored === 1 ? 'post' : 'posts'}`,
+      restored,
+      kept: batch.posts.length - restored
+    });
+  } catch (error) {
+    console.error('Undo cover fill error:', error);
+    res.status(500).json({
+      message: 'Failed to undo the cover fill',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/review-queue
+// @desc    Posts waiting for review, longest waiting first; reviewers do not see their own posts
+// @access  Private (post:review)
+router.get('/review-queue',
+  requirePermission('post:review'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = { status: 'in_review', author: { $ne: req.user._id } };
+
+      const posts = await Post.find(query)
+        .select('-content')
+        .populate('author', 'name profileImage profileImageVariants')
+        .populate('tags', 'name slug color')
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      // Unresolved notes per post, so reviewers can see which posts already have feedback
+      const noteCounts = await ReviewNote.aggregate([
+        { $match: { post: { $in: posts.map(post => post._id) }, resolved: false } },
+        { $group: { _id: '$post', count: { $sum: 1 } } }
+      ]);
+      const openNotes = new Map(noteCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+      const totalPosts = await Post.countDocuments(query);
+      const totalPages = Math.ceil(totalPosts / limit);
+
+      res.json({
+        posts: posts.map(post => ({ ...post, openNotes: openNotes.get(post._id.toString()) || 0 })),
+        totalPosts,
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      });
+    } catch (error) {
+      console.error('Review queue error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch review queue',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // @route   GET /api/admin/comments
 // @desc    Get all comments for admin management
-// @access  Private (Admin only)
+// @access  Private (comment:moderate)
 router.get('/comments',
-  requireAdmin,
+  requirePermission('comment:moderate'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
@@ -444,7 +767,7 @@ router.get('/comments',
       }
 
       const comments = await Comment.find(query)
-        .populate('author', 'name profileImage email')
+        .populate('author', 'name profileImage profileImageVariants email')
         .populate('post', 'title slug')
         .sort({ createdAt: -1 })
         .skip(skip)
@@ -474,11 +797,11 @@ router.get('/comments',
 
 // @route   GET /api/admin/analytics
 // @desc    Get analytics data (posts, views, comments over time)
-// @access  Private (Admin only)
-router.get('/analytics', requireAdmin, async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/analytics', requirePermission('analytics:view'), async (req, res) => {
   try {
     const period = req.query.period || '30'; // days
-    const days = parseInt(period);
+    const days = parseInt(period) || 30;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
@@ -519,17 +842,17 @@ router.get('/analytics', requireAdmin, async (req, res) => {
       { $sort: { '_id': 1 } }
     ]);
 
-    // Views by post (top 10)
-    const topViewedPosts = await Post.find({ status: 'published' })
-      .select('title viewCount')
-      .sort({ viewCount: -1 })
-      .limit(10)
-      .lean();
+    // Views across the site in the period
+    const views = await viewAnalytics.report({ from: startDate });
 
     res.json({
       postsOverTime,
       commentsOverTime,
-      topViewedPosts,
+      viewsOverTime: views.overTime,
+      topViewedPosts: views.topPosts,
+      referrers: views.referrers,
+      totalViews: views.totals.views,
+      uniqueVisitors: views.totals.uniqueVisitors,
       period: days
     });
   } catch (error) {
@@ -542,7 +865,7 @@ router.get('/analytics', requireAdmin, async (req, res) => {
 });
 
 // Additional admin methods for user management
-router.put('/users/:userId/status', requireAdmin, async (req, res) => {
+router.put('/users/:userId/status', requirePermission('user:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isActive } = req.body;
@@ -560,16 +883,31 @@ router.put('/users/:userId/status', requireAdmin, async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { isActive },
-      { new: true }
-    ).select('-password');
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json({ message: 'You cannot manage users with this role' });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = isActive;
+    await user.save();
+
+    // Sign a deactivated user out of every device
+    if (!isActive) {
+      await Session.revokeForUser(user._id, 'deactivated');
+    }
+
+    await auditLog.recordUserChange(req, user, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      before: { isActive: wasActive },
+      after: { isActive }
+    });
+
     res.json({
       message: `User account ${isActive ? 'activated' : 'deactivated'} successfully`,
       user
@@ -586,7 +924,58 @@ router.put('/users/:userId/status', requireAdmin, async (req, res) => {
   }
 });
 
-router.delete('/users/:userId', requireAdmin, async (req, res) => {
+// @route   PUT /api/admin/users/:userId/media-quota
+// @desc    Set how many megabytes a user may keep in their media library:
+//          a number (0 for no limit), or null for the site default (MEDIA_QUOTA_MB)
+// @access  Private (user:manage)
+router.put('/users/:userId/media-quota', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { mediaQuotaMB } = req.body;
+
+    if (mediaQuotaMB !== null && !(Number.isInteger(mediaQuotaMB) && mediaQuotaMB >= 0)) {
+      return res.status(400).json({
+        message: 'mediaQuotaMB must be a whole number of megabytes, or null for the default'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json({ message: 'You cannot manage users with this role' });
+    }
+
+    const before = user.mediaQuotaMB;
+    user.mediaQuotaMB = mediaQuotaMB;
+    await user.save();
+
+    await auditLog.recordUserChange(req, user, {
+      action: 'user.media_quota',
+      before: { mediaQuotaMB: before },
+      after: { mediaQuotaMB }
+    });
+
+    res.json({
+      message: 'Media quota updated successfully',
+      user,
+      quota: await mediaLibrary.quotaOf(user)
+    });
+  } catch (error) {
+    console.error('Update media quota error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({
+      message: 'Failed to update media quota',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+router.delete('/users/:userId', requirePermission('user:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -597,12 +986,24 @@ router.delete('/users/:userId', requireAdmin, async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndDelete(userId);
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!canManageUser(req.user, user)) {
+      return res.status(403).json({ message: 'You cannot manage users with this role' });
+    }
+
+    await user.deleteOne();
+    await Session.deleteMany({ user: user._id });
+
+    await auditLog.recordUserChange(req, user, {
+      action: 'user.delete',
+      before: { role: user.role, isActive: user.isActive }
+    });
+
     res.json({
       message: 'User deleted successfully'
     });
@@ -618,14 +1019,14 @@ router.delete('/users/:userId', requireAdmin, async (req, res) => {
   }
 });
 
-router.put('/users/:userId/role', requireAdmin, async (req, res) => {
+router.put('/users/:userId/role', requirePermission('user:assign_role'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { role } = req.body;
 
-    if (!['user', 'admin', 'moderator', 'super_admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
-        message: 'Invalid role. Must be user, admin, moderator, or super_admin'
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
       });
     }
 
@@ -636,16 +1037,26 @@ router.put('/users/:userId/role', requireAdmin, async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { role },
-      { new: true }
-    ).select('-password');
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!canAssignRole(req.user, user, role)) {
+      return res.status(403).json({ message: `You cannot change this user's role to ${role}` });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await auditLog.recordUserChange(req, user, {
+      action: 'user.role_change',
+      before: { role: previousRole },
+      after: { role }
+    });
+
     res.json({
       message: `User role updated to ${role} successfully`,
       user
@@ -662,7 +1073,7 @@ router.put('/users/:userId/role', requireAdmin, async (req, res) => {
   }
 });
 
-router.post('/users/bulk-action', requireAdmin, async (req, res) => {
+router.post('/users/bulk-action', requirePermission('user:manage'), async (req, res) => {
   try {
     const { userIds, action } = req.body;
 
@@ -685,6 +1096,13 @@ router.post('/users/bulk-action', requireAdmin, async (req, res) => {
       });
     }
 
+    const targets = await User.find({ _id: { $in: userIds } }).select('name email role isActive');
+    if (targets.some(target => !canManageUser(req.user, target))) {
+      return res.status(403).json({
+        message: 'You cannot manage users with this role'
+      });
+    }
+
     let result;
     switch (action) {
       case 'activate':
@@ -698,12 +1116,25 @@ router.post('/users/bulk-action', requireAdmin, async (req, res) => {
           { _id: { $in: userIds } },
           { isActive: false }
         );
+        await Session.updateMany(
+          { user: { $in: userIds }, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: 'deactivated' } }
+        );
         break;
       case 'delete':
         result = await User.deleteMany({ _id: { $in: userIds } });
+        await Session.deleteMany({ user: { $in: userIds } });
         break;
     }
 
+    // One entry per user, so each shows up in that user's history
+    await Promise.all(targets.map(target => auditLog.recordUserChange(req, target, {
+      action: `user.${action}`,
+      before: action === 'delete' ? { role: target.role, isActive: target.isActive } : { isActive: target.isActive },
+      after: action === 'delete' ? {} : { isActive: action === 'activate' },
+      details: { bulk: true, count: targets.length }
+    })));
+
     res.json({
       message: `Bulk ${action} completed successfully`,
       affectedCount: result.modifiedCount || result.deletedCount
@@ -717,7 +1148,7 @@ router.post('/users/bulk-action', requireAdmin, async (req, res) => {
   }
 });
 
-router.post('/users', requireAdmin, async (req, res) => {
+router.post('/users', requirePermission('user:manage'), async (req, res) => {
   try {
     const { name, email, role, password } = req.body;
 
@@ -728,9 +1159,15 @@ router.post('/users', requireAdmin, async (req, res) => {
       });
     }
 
-    if (!['user', 'admin', 'moderator', 'super_admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
-        message: 'Invalid role. Must be user, admin, moderator, or super_admin'
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!canAssignRole(req.user, { role: 'member' }, role)) {
+      return res.status(403).json({
+        message: `You cannot create users with the ${role} role`
       });
     }
 
@@ -753,6 +1190,11 @@ router.post('/users', requireAdmin, async (req, res) => {
 
     await newUser.save();
 
+    await auditLog.recordUserChange(req, newUser, {
+      action: 'user.create',
+      after: { role, isActive: true }
+    });
+
     // Return user without password
     const userResponse = newUser.toObject();
     delete userResponse.password;
@@ -770,4 +1212,109 @@ router.post('/users', requireAdmin, async (req, res) => {
   }
 });
 
+// Filters shared by the audit log list and its CSV export
+const auditLogFilters = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().trim().isLength({ max: 100 }).withMessage('Invalid action'),
+  query('targetType').optional().isIn(AuditLog.schema.path('targetType').enumValues).withMessage('Invalid target type'),
+  query('target').optional().isMongoId().withMessage('Invalid target ID'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be a valid date').toDate()
+];
+
+// Rows in one CSV export; narrow the filters to export more history
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// @route   GET /api/admin/audit-logs
+// @desc    Audit log of privileged actions, newest first
+// @access  Private (audit:view)
+router.get('/audit-logs',
+  requirePermission('audit:view'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ...auditLogFilters
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const filter = auditLog.buildFilter(req.query);
+
+      const [entries, totalEntries, actions] = await Promise.all([
+        AuditLog.find(filter)
+          .populate('actor', 'name email')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(filter),
+        AuditLog.distinct('action')
+      ]);
+
+      const totalPages = Math.ceil(totalEntries / limit);
+
+      res.json({
+        entries,
+        totalEntries,
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        actions: actions.sort()
+      });
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch audit log',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Download the filtered audit log as CSV
+// @access  Private (audit:view)
+router.get('/audit-logs/export',
+  requirePermission('audit:view'),
+  auditLogFilters,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const entries = await AuditLog.find(auditLog.buildFilter(req.query))
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+      res.send(auditLog.toCsv(entries));
+    } catch (error) {
+      console.error('Export audit log error:', error);
+      res.status(500).json({
+        message: 'Failed to export audit log',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -1,11 +1,24 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { generateToken, createSession, authenticateToken } = require('../middleware/auth');
 const { upload, handleUploadError } = require('../middleware/upload');
+const { emailLimiter } = require('../middleware/rateLimit');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountEmails');
+const { permissionsFor, assignableRoles } = require('../services/permissions');
+const mediaLibrary = require('../services/mediaLibrary');
 
 const router = express.Router();
 
+// Issue a verification token and email it to the user
+const sendVerificationLink = async (user) => {
+  const token = await UserToken.issue(user._id, 'email_verification');
+  await sendVerificationEmail(user, token);
+};
+
 // Validation rules
 const signupValidation = [
   body('name')
@@ -85,8 +98,10 @@ router.post('/signup',
 
       // Handle profile image
       let profileImage = '';
+      let profileImageVariants = null;
       if (req.file) {
-        profileImage = `/uploads/profiles/${req.file.filename}`;
+        profileImage = req.file.url;
+        profileImageVariants = req.file.variants;
       }
 
       // Create new user
@@ -95,13 +110,21 @@ router.post('/signup',
         email,
         password,
         profileImage,
+        profileImageVariants,
         role: assignedRole
       });
 
       await user.save();
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Ask the user to confirm their address; a mail failure should not block signup
+      try {
+        await sendVerificationLink(user);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+
+      // Start a session for this device
+      const { token, refreshToken } = await createSession(user._id, req);
 
       res.status(201).json({
         message: 'User registered successfully',
@@ -110,9 +133,12 @@ router.post('/signup',
           name: user.name,
           email: user.email,
           role: user.role,
-          profileImage: user.profileImage
+          profileImage: user.profileImage,
+          profileImageVariants: user.profileImageVariants,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       });
     } catch (error) {
       console.error('Signup error:', error);
@@ -163,8 +189,8 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Remove password from response
     user.password = undefined;
@@ -176,9 +202,12 @@ router.post('/login', loginValidation, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        profileImage: user.profileImage
+        profileImage: user.profileImage,
+        profileImageVariants: user.profileImageVariants,
+        emailVerified: user.emailVerified
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -201,6 +230,8 @@ router.get('/me', authenticateToken, async (req, res) => {
         email: req.user.email,
         role: req.user.role,
         profileImage: req.user.profileImage,
+        profileImageVariants: req.user.profileImageVariants,
+        emailVerified: req.user.emailVerified,
         createdAt: req.user.createdAt
       }
     });
@@ -213,6 +244,17 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/permissions
+// @desc    Actions the current user may perform, for hiding controls they cannot use
+// @access  Private
+router.get('/permissions', authenticateToken, (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: permissionsFor(req.user),
+    assignableRoles: assignableRoles(req.user)
+  });
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -245,7 +287,8 @@ router.put('/profile',
       }
 
       if (req.file) {
-        updateData.profileImage = `/uploads/profiles/${req.file.filename}`;
+        updateData.profileImage = req.file.url;
+        updateData.profileImageVariants = req.file.variants;
       }
 
       const updatedUser = await User.findByIdAndUpdate(
@@ -253,6 +296,7 @@ router.put('/profile',
         updateData,
         { new: true }
       );
+      await mediaLibrary.syncUsage('user', updatedUser);
 
       res.json({
         message: 'Profile updated successfully',
@@ -261,7 +305,9 @@ router.put('/profile',
           name: updatedUser.name,
           email: updatedUser.email,
           role: updatedUser.role,
-          profileImage: updatedUser.profileImage
+          profileImage: updatedUser.profileImage,
+          profileImageVariants: updatedUser.profileImageVariants,
+          emailVerified: updatedUser.emailVerified
         }
       });
     } catch (error) {
@@ -274,12 +320,326 @@ router.put('/profile',
   }
 );
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password',
+  emailLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Same response whether or not the account exists, so emails cannot be enumerated
+      const response = { message: 'If an account exists for that email, a password reset link has been sent' };
+
+      const user = await User.findOne({ email: req.body.email });
+      if (!user || !user.isActive) {
+        return res.json(response);
+      }
+
+      // A mail failure must not answer differently from an unknown address either
+      try {
+        const token = await UserToken.issue(user._id, 'password_reset');
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        message: 'Failed to send password reset email',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token and sign out every device
+// @access  Public
+router.post('/reset-password',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const record = await UserToken.consume(req.body.token, 'password_reset');
+      const user = record && await User.findById(record.user);
+      if (!user || !user.isActive) {
+        return res.status(400).json({ message: 'Invalid or expired reset link' });
+      }
+
+      user.password = req.body.password;
+      // Following the emailed link proves the user owns the address
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      // Whoever knew the old password must not stay signed in
+      await Session.revokeForUser(user._id, 'password_reset');
+
+      res.json({ message: 'Password has been reset, please log in with your new password' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        message: 'Failed to reset password',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address using a verification token
+// @access  Public
+router.post('/verify-email',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const record = await UserToken.consume(req.body.token, 'email_verification');
+      if (!record) {
+        return res.status(400).json({ message: 'Invalid or expired verification link' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        record.user,
+        { emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true }
+      );
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired verification link' });
+      }
+
+      res.json({
+        message: 'Email verified successfully',
+        emailVerified: true
+      });
+    } catch (error) {
+      console.error('Email verification error:', error);
+      res.status(500).json({
+        message: 'Failed to verify email',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link to the current user
+// @access  Private
+router.post('/resend-verification', authenticateToken, emailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationLink(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh',
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await Session.rotate(req.body.refreshToken, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      });
+
+      if (result.error === 'stale') {
+        return res.status(409).json({ message: 'Refresh token was already rotated, retry with the latest token' });
+      }
+      if (result.error === 'reused') {
+        console.warn('Refresh token reuse detected, session revoked:', req.body.refreshToken.split('.')[0]);
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+      if (result.error) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      const { session, refreshToken } = result;
+
+      const user = await User.findById(session.user);
+      if (!user || !user.isActive) {
+        await session.revoke('deactivated');
+        return res.status(401).json({ message: 'Account has been deactivated' });
+      }
+
+      res.json({
+        token: generateToken(user._id, session._id),
+        refreshToken
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({
+        message: 'Failed to refresh token',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id).lean();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      message: 'Session revoked successfully',
+      current: session._id.toString() === String(req.sessionId)
+    });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout user everywhere by revoking every session
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  // Since we're using JWT, logout is handled client-side by removing the token
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await Session.revokeForUser(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out from all devices',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
 });
 
 module.exports = router;
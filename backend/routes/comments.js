@@ -2,8 +2,11 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
-const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const Like = require('../models/Like');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const { can } = require('../services/permissions');
 const aiService = require('../services/aiService');
+const auditLog = require('../services/auditLog');
 
 const router = express.Router();
 
@@ -15,6 +18,17 @@ const commentValidation = [
     .withMessage('Comment content must be between 1 and 1000 characters')
 ];
 
+// Audit log entry for a moderator acting on a comment, labelled with its opening words
+const recordCommentChange = (req, comment, entry) => auditLog.record(req, {
+  targetType: 'Comment',
+  target: comment._id,
+  targetLabel: comment.content.length > 80 ? `${comment.content.slice(0, 77)}...` : comment.content,
+  owner: comment.author && comment.author._id ? comment.author._id : comment.author,
+  ...entry
+});
+
+const isCommentAuthor = (user, comment) => comment.author.toString() === user._id.toString();
+
 // @route   GET /api/comments/:postId
 // @desc    Get comments for a specific post
 // @access  Public
@@ -23,6 +37,7 @@ router.get('/:postId',
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
   ],
+  optionalAuth,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -68,12 +83,12 @@ router.get('/:postId',
         parentComment: null,
         isApproved: true 
       })
-      .populate('author', 'name profileImage')
+      .populate('author', 'name profileImage profileImageVariants')
       .populate({
         path: 'replies',
         populate: {
           path: 'author',
-          select: 'name profileImage'
+          select: 'name profileImage profileImageVariants'
         },
         match: { isApproved: true }
       })
@@ -82,6 +97,20 @@ router.get('/:postId',
       .limit(limit)
       .lean();
 
+      // Flag comments and replies the current user has liked
+      const commentIds = [];
+      comments.forEach(comment => {
+        commentIds.push(comment._id);
+        (comment.replies || []).forEach(reply => commentIds.push(reply._id));
+      });
+      const likedIds = await Like.findLikedIds(req.user && req.user._id, 'Comment', commentIds);
+      comments.forEach(comment => {
+        comment.likedByMe = likedIds.has(comment._id.toString());
+        (comment.replies || []).forEach(reply => {
+          reply.likedByMe = likedIds.has(reply._id.toString());
+        });
+      });
+
       // Get total count for pagination
       const totalComments = await Comment.countDocuments({ 
         post: actualPostId, 
@@ -114,9 +143,10 @@ router.get('/:postId',
 
 // @route   POST /api/comments/:postId
 // @desc    Add a new comment to a post
-// @access  Private
+// @access  Private (comment:create)
 router.post('/:postId',
   authenticateToken,
+  requirePermission('comment:create'),
   commentValidation,
   async (req, res) => {
     try {
@@ -148,7 +178,7 @@ router.post('/:postId',
 
       // Populate author information for response
       const populatedComment = await Comment.findById(comment._id)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .lean();
 
       res.status(201).json({
@@ -170,9 +200,10 @@ router.post('/:postId',
 
 // @route   POST /api/comments/:commentId/reply
 // @desc    Reply to an existing comment
-// @access  Private
+// @access  Private (comment:create)
 router.post('/:commentId/reply',
   authenticateToken,
+  requirePermission('comment:create'),
   commentValidation,
   async (req, res) => {
     try {
@@ -214,7 +245,7 @@ router.post('/:commentId/reply',
 
       // Populate author information for response
       const populatedReply = await Comment.findById(reply._id)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .lean();
 
       res.status(201).json({
@@ -236,10 +267,10 @@ router.post('/:commentId/reply',
 
 // @route   POST /api/comments/:commentId/generate-ai-reply
 // @desc    Generate AI-powered reply to a comment
-// @access  Private (Admin only)
+// @access  Private (comment:moderate)
 router.post('/:commentId/generate-ai-reply',
   authenticateToken,
-  requireAdmin,
+  requirePermission('comment:moderate'),
   [
     body('tone').optional().trim().isIn(['friendly', 'professional', 'casual', 'formal'])
       .withMessage('Tone must be one of: friendly, professional, casual, formal')
@@ -294,10 +325,11 @@ router.post('/:commentId/generate-ai-reply',
 );
 
 // @route   PUT /api/comments/:commentId
-// @desc    Update a comment (author only or admin)
-// @access  Private
+// @desc    Update a comment
+// @access  Private (comment:update)
 router.put('/:commentId',
   authenticateToken,
+  requirePermission('comment:update'),
   commentValidation,
   async (req, res) => {
     try {
@@ -318,18 +350,26 @@ router.put('/:commentId',
         return res.status(404).json({ message: 'Comment not found' });
       }
 
-      // Check if user is the comment author or admin
-      if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      if (!can(req.user, 'comment:update', comment)) {
         return res.status(403).json({ message: 'Not authorized to update this comment' });
       }
 
       // Update comment
+      const previousContent = comment.content;
       comment.content = content;
       await comment.save();
 
+      if (!isCommentAuthor(req.user, comment)) {
+        await recordCommentChange(req, comment, {
+          action: 'comment.update',
+          before: { content: previousContent },
+          after: { content }
+        });
+      }
+
       // Populate author information for response
       const populatedComment = await Comment.findById(comment._id)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .lean();
 
       res.json({
@@ -351,9 +391,10 @@ router.put('/:commentId',
 
 // @route   DELETE /api/comments/:commentId
 // @desc    Delete a comment
-// @access  Private (Admin only or comment author)
+// @access  Private (comment:delete)
 router.delete('/:commentId',
   authenticateToken,
+  requirePermission('comment:delete'),
   async (req, res) => {
     try {
       const { commentId } = req.params;
@@ -364,13 +405,13 @@ router.delete('/:commentId',
         return res.status(404).json({ message: 'Comment not found' });
       }
 
-      // Check if user is the comment author or admin
-      if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      if (!can(req.user, 'comment:delete', comment)) {
         return res.status(403).json({ message: 'Not authorized to delete this comment' });
       }
 
       // If this is a parent comment, also delete all replies
       if (!comment.parentComment) {
+        await Like.deleteMany({ targetType: 'Comment', target: { $in: comment.replies } });
         await Comment.deleteMany({ parentComment: commentId });
       } else {
         // If this is a reply, remove it from parent's replies array
@@ -382,6 +423,15 @@ router.delete('/:commentId',
 
       // Delete the comment
       await Comment.findByIdAndDelete(commentId);
+      await Like.deleteMany({ targetType: 'Comment', target: commentId });
+
+      if (!isCommentAuthor(req.user, comment)) {
+        await recordCommentChange(req, comment, {
+          action: 'comment.delete',
+          before: { content: comment.content },
+          details: { replies: comment.parentComment ? 0 : comment.replies.length }
+        });
+      }
 
       res.json({ message: 'Comment deleted successfully' });
     } catch (error) {
@@ -398,7 +448,7 @@ router.delete('/:commentId',
 );
 
 // @route   POST /api/comments/:commentId/like
-// @desc    Like/unlike a comment
+// @desc    Like a comment (idempotent)
 // @access  Private
 router.post('/:commentId/like',
   authenticateToken,
@@ -407,19 +457,18 @@ router.post('/:commentId/like',
       const { commentId } = req.params;
 
       // Find comment
-      const comment = await Comment.findById(commentId);
+      const comment = await Comment.findById(commentId).select('isApproved');
       if (!comment || !comment.isApproved) {
         return res.status(404).json({ message: 'Comment not found' });
       }
 
-      // For simplicity, we'll just increment the like count
-      // In a more complex system, you might track who liked what
-      comment.likeCount += 1;
-      await comment.save();
+      await Like.addLike(req.user._id, 'Comment', comment._id);
+      const { likeCount } = await Comment.findById(comment._id).select('likeCount').lean();
 
       res.json({
         message: 'Comment liked successfully',
-        likeCount: comment.likeCount
+        liked: true,
+        likeCount
       });
     } catch (error) {
       console.error('Like comment error:', error);
@@ -434,12 +483,47 @@ router.post('/:commentId/like',
   }
 );
 
+// @route   DELETE /api/comments/:commentId/like
+// @desc    Unlike a comment (idempotent)
+// @access  Private
+router.delete('/:commentId/like',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { commentId } = req.params;
+
+      const comment = await Comment.findById(commentId).select('_id');
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      await Like.removeLike(req.user._id, 'Comment', comment._id);
+      const { likeCount } = await Comment.findById(comment._id).select('likeCount').lean();
+
+      res.json({
+        message: 'Comment unliked successfully',
+        liked: false,
+        likeCount
+      });
+    } catch (error) {
+      console.error('Unlike comment error:', error);
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Invalid comment ID' });
+      }
+      res.status(500).json({
+        message: 'Failed to unlike comment',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // @route   PUT /api/comments/:commentId/approve
 // @desc    Approve/disapprove a comment
-// @access  Private (Admin only)
+// @access  Private (comment:moderate)
 router.put('/:commentId/approve',
   authenticateToken,
-  requireAdmin,
+  requirePermission('comment:moderate'),
   [
     body('isApproved').isBoolean().withMessage('isApproved must be a boolean value')
   ],
@@ -456,17 +540,22 @@ router.put('/:commentId/approve',
       const { commentId } = req.params;
       const { isApproved } = req.body;
 
-      // Find and update comment
-      const comment = await Comment.findByIdAndUpdate(
-        commentId,
-        { isApproved },
-        { new: true }
-      ).populate('author', 'name profileImage');
+      const comment = await Comment.findById(commentId).populate('author', 'name profileImage profileImageVariants');
 
       if (!comment) {
         return res.status(404).json({ message: 'Comment not found' });
       }
 
+      const wasApproved = comment.isApproved;
+      comment.isApproved = isApproved;
+      await comment.save();
+
+      await recordCommentChange(req, comment, {
+        action: isApproved ? 'comment.approve' : 'comment.unapprove',
+        before: { isApproved: wasApproved },
+        after: { isApproved }
+      });
+
       res.json({
         message: `Comment ${isApproved ? 'approved' : 'disapproved'} successfully`,
         comment
@@ -5,6 +5,7 @@ const Comment = require('../models/Comment');
 const Tag = require('../models/Tag');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const viewAnalytics = require('../services/viewAnalytics');
 
 const router = express.Router();
 
@@ -170,7 +171,7 @@ router.get('/my-top-posts', async (req, res) => {
       author: userId, 
       status: 'published' 
     })
-      .select('title slug viewCount likeCount commentCount publishedAt coverImage')
+      .select('title slug viewCount likeCount commentCount publishedAt coverImage coverImageVariants')
       .sort({ [sortField]: -1 })
       .limit(limit)
       .lean();
@@ -201,7 +202,7 @@ router.get('/my-recent-comments', async (req, res) => {
       post: { $in: postIds }, 
       isApproved: true 
     })
-      .populate('author', 'name profileImage')
+      .populate('author', 'name profileImage profileImageVariants')
       .populate('post', 'title slug')
       .select('content createdAt')
       .sort({ createdAt: -1 })
@@ -225,7 +226,7 @@ router.get('/my-posts',
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('status').optional().isIn(['published', 'draft', 'all']).withMessage('Invalid status filter')
+    query('status').optional().isIn(['published', 'scheduled', 'draft', 'all']).withMessage('Invalid status filter')
   ],
   async (req, res) => {
     try {
@@ -251,7 +252,7 @@ router.get('/my-posts',
 
       const posts = await Post.find(query)
         .populate('tags', 'name slug color')
-        .select('title slug status viewCount likeCount commentCount createdAt updatedAt publishedAt coverImage excerpt')
+        .select('title slug status viewCount likeCount commentCount createdAt updatedAt publishedAt publishAt coverImage coverImageVariants excerpt')
         .sort({ updatedAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -279,13 +280,13 @@ router.get('/my-posts',
 );
 
 // @route   GET /api/dashboard/my-analytics
-// @desc    Get user's analytics data (posts, views, comments over time)
+// @desc    Get user's analytics data: posts, comments, views and unique visitors over time, and referrers
 // @access  Private (Any authenticated user)
 router.get('/my-analytics', async (req, res) => {
   try {
     const userId = req.user._id;
     const period = req.query.period || '30'; // days
-    const days = parseInt(period);
+    const days = parseInt(period) || 30;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
@@ -332,20 +333,17 @@ router.get('/my-analytics', async (req, res) => {
       { $sort: { '_id': 1 } }
     ]);
 
-    // Views over time (if we track view dates, otherwise just current view counts)
-    const viewsByPost = await Post.find({ 
-      author: userId, 
-      status: 'published' 
-    })
-      .select('title viewCount likeCount')
-      .sort({ viewCount: -1 })
-      .limit(10)
-      .lean();
+    // Views of the user's posts in the period
+    const views = await viewAnalytics.report({ author: userId, from: startDate });
 
     res.json({
       postsOverTime,
       commentsOverTime,
-      viewsByPost,
+      viewsOverTime: views.overTime,
+      viewsByPost: views.topPosts,
+      referrers: views.referrers,
+      totalViews: views.totals.views,
+      uniqueVisitors: views.totals.uniqueVisitors,
       period: days
     });
   } catch (error) {
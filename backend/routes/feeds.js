@@ -0,0 +1,132 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const feedService = require('../services/feedService');
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+// Latest published posts for a feed, newest first
+const findFeedPosts = (filter = {}) => Post.find({ status: 'published', ...filter })
+  .populate('author', 'name')
+  .populate('tags', 'name slug')
+  .select('title slug content excerpt author tags publishedAt createdAt updatedAt')
+  .sort({ publishedAt: -1 })
+  .limit(feedService.FEED_SIZE)
+  .lean();
+
+// Build the feed descriptor shared by the RSS and Atom renderers
+const createFeed = (req, { title, description, posts }) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    title,
+    description,
+    posts,
+    baseUrl,
+    siteUrl: (process.env.CLIENT_URL || baseUrl).replace(/\/$/, ''),
+    selfUrl: `${baseUrl}${req.originalUrl.split('?')[0]}`
+  };
+};
+
+// Send a feed, answering conditional requests with 304 when nothing changed
+const sendFeed = (req, res, format, feed) => {
+  const { etag, lastModified } = feedService.getValidators(format, feed);
+
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  res.set('Cache-Control', 'public, max-age=300');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.type(CONTENT_TYPES[format]);
+  res.send(format === 'atom' ? feedService.buildAtom(feed) : feedService.buildRss(feed));
+};
+
+const handleFeedError = (res, error) => {
+  console.error('Feed error:', error);
+  res.status(500).json({
+    message: 'Failed to generate feed',
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const siteFeed = (format) => async (req, res) => {
+  try {
+    const posts = await findFeedPosts();
+    sendFeed(req, res, format, createFeed(req, {
+      title: feedService.SITE_TITLE,
+      description: feedService.SITE_DESCRIPTION,
+      posts
+    }));
+  } catch (error) {
+    handleFeedError(res, error);
+  }
+};
+
+// @route   GET /feed.xml
+// @desc    RSS 2.0 feed of the latest published posts
+// @access  Public
+router.get('/feed.xml', siteFeed('rss'));
+
+// @route   GET /atom.xml
+// @desc    Atom feed of the latest published posts
+// @access  Public
+router.get('/atom.xml', siteFeed('atom'));
+
+// @route   GET /tag/:slug/feed.xml
+// @desc    RSS 2.0 feed of the latest published posts with a tag
+// @access  Public
+router.get('/tag/:slug/feed.xml', async (req, res) => {
+  try {
+    const tag = await Tag.findOne({ slug: req.params.slug.toLowerCase() }).lean();
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const posts = await findFeedPosts({ tags: tag._id });
+    sendFeed(req, res, 'rss', createFeed(req, {
+      title: `${feedService.SITE_TITLE} - ${tag.name}`,
+      description: tag.description || `Latest posts tagged ${tag.name}`,
+      posts
+    }));
+  } catch (error) {
+    handleFeedError(res, error);
+  }
+});
+
+// @route   GET /author/:id/feed.xml
+// @desc    RSS 2.0 feed of the latest published posts by an author
+// @access  Public
+router.get('/author/:id/feed.xml', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    const author = await User.findById(req.params.id).select('name').lean();
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    const posts = await findFeedPosts({ author: author._id });
+    sendFeed(req, res, 'rss', createFeed(req, {
+      title: `${feedService.SITE_TITLE} - ${author.name}`,
+      description: `Latest posts by ${author.name}`,
+      posts
+    }));
+  } catch (error) {
+    handleFeedError(res, error);
+  }
+});
+
+module.exports = router;
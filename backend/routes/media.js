@@ -0,0 +1,273 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { can, canAny } = require('../services/permissions');
+const mediaLibrary = require('../services/mediaLibrary');
+const coverSuggestions = require('../services/coverSuggestions');
+
+const router = express.Router();
+
+// Everything here needs a library of one's own; editors may manage everyone's
+router.use(authenticateToken, requirePermission('media:manage'));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load a library file the user may manage
+const findMedia = async (id, user) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return { status: 404, message: 'Media not found' };
+  }
+  const media = await Media.findById(id);
+  if (!media) {
+    return { status: 404, message: 'Media not found' };
+  }
+  if (!can(user, 'media:manage', media)) {
+    return { status: 403, message: 'You do not have permission to manage this file' };
+  }
+  return { media };
+};
+
+// Titles and links of what uses a file, for showing where it appears
+const describeUsage = async (usage) => {
+  const idsOf = (kind) => usage.filter(ref => ref.kind === kind).map(ref => ref.document);
+  const [posts, series, users] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') } }).select('title slug status').lean(),
+    Series.find({ _id: { $in: idsOf('series') } }).select('title slug').lean(),
+    User.find({ _id: { $in: idsOf('user') } }).select('name').lean()
+  ]);
+  return [
+    ...posts.map(post => ({ kind: 'post', id: post._id, title: post.title, slug: post.slug, status: post.status })),
+    ...series.map(item => ({ kind: 'series', id: item._id, title: item.title, slug: item.slug })),
+    ...users.map(user => ({ kind: 'user', id: user._id, title: user.name }))
+  ];
+};
+
+// @route   GET /api/media
+// @desc    Browse the media library, newest first. `search` matches file names and
+//          alt text, `unused=true` lists files nothing links to, and `owner=all`
+//          shows everyone's files to users who manage all media.
+// @access  Private (media:manage)
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+    query('unused').optional().isBoolean().withMessage('unused must be true or false'),
+    query('owner').optional().isIn(['me', 'all']).withMessage('Owner must be "me" or "all"')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (req.query.owner === 'all' && !canAny(req.user, 'media:manage')) {
+        return res.status(403).json({ message: 'You can only browse your own files' });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 24;
+      const skip = (page - 1) * limit;
+
+      const filter = req.query.owner === 'all' ? {} : { owner: req.user._id };
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+        filter.$or = [{ filename: pattern }, { altText: pattern }];
+      }
+      if (req.query.unused === 'true') {
+        filter.usage = { $size: 0 };
+      }
+
+      const [media, totalMedia, quota] = await Promise.all([
+        Media.find(filter)
+          .populate('owner', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Media.countDocuments(filter),
+        mediaLibrary.quotaOf(req.user)
+      ]);
+      const totalPages = Math.ceil(totalMedia / limit);
+
+      res.json({
+        media,
+        totalMedia,
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        quota
+      });
+    } catch (error) {
+      console.error('Get media error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch media',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/media/cover-suggestions
+// @desc    Library images that suit a post as its cover, best first, judged by the
+//          post's title, tags and content. Send `post` with the id of a saved
+//          post so its current cover does not count against the image.
+// @access  Private (media:manage; own files, or everyone's for Editors)
+router.post('/cover-suggestions',
+  [
+    body('title').optional().isString().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+    body('content').optional().isString().withMessage('Content must be text'),
+    body('tags').optional().custom(tags => typeof tags === 'string' || (Array.isArray(tags) && tags.every(tag => typeof tag === 'string')))
+      .withMessage('Tags must be a list of names'),
+    body('post').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid post id'),
+    body('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { title = '', content = '', tags = [], post } = req.body;
+      const suggestions = await coverSuggestions.suggest({
+        _id: post || null,
+        title,
+        content,
+        tags: Array.isArray(tags) ? tags : tags.split(',')
+      }, req.user, { limit: parseInt(req.body.limit) || 5 });
+
+      res.json({ suggestions });
+    } catch (error) {
+      console.error('Cover suggestions error:', error);
+      res.status(500).json({
+        message: 'Failed to suggest cover images',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/media/:id
+// @desc    Get a library file with the posts, series and users that use it
+// @access  Private (File owner, or an Editor for any file)
+router.get('/:id', async (req, res) => {
+  try {
+    const { media, status, message } = await findMedia(req.params.id, req.user);
+    if (!media) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      media: { ...media.toObject(), usage: await describeUsage(media.usage) }
+    });
+  } catch (error) {
+    console.error('Get media file error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch media',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PATCH /api/media/:id
+// @desc    Update a library file's alt text
+// @access  Private (File owner, or an Editor for any file)
+router.patch('/:id',
+  [
+    body('altText')
+      .isString()
+      .withMessage('Alt text is required')
+      .bail()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Alt text cannot exceed 300 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { media, status, message } = await findMedia(req.params.id, req.user);
+      if (!media) {
+        return res.status(status).json({ message });
+      }
+
+      media.altText = req.body.altText;
+      await media.save();
+
+      res.json({
+        message: 'Media updated successfully',
+        media
+      });
+    } catch (error) {
+      console.error('Update media error:', error);
+      res.status(500).json({
+        message: 'Failed to update media',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/media/:id
+// @desc    Delete a library file and its variants; files still in use are refused
+// @access  Private (File owner, or an Editor for any file)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { media, status, message } = await findMedia(req.params.id, req.user);
+    if (!media) {
+      return res.status(status).json({ message });
+    }
+
+    if (media.usage.length > 0) {
+      return res.status(409).json({
+        message: 'This file is still in use. Remove it from where it appears before deleting it.',
+        usage: await describeUsage(media.usage)
+      });
+    }
+
+    // Restoring a revision or viewing a sent newsletter would show a broken image
+    const archived = await mediaLibrary.archivedReferencesTo(media.key);
+    if (archived.revisions.length > 0 || archived.campaigns.length > 0) {
+      const where = [
+        archived.revisions.length > 0 ? 'earlier revisions of posts' : null,
+        archived.campaigns.length > 0 ? 'newsletter campaigns' : null
+      ].filter(Boolean).join(' and ');
+      return res.status(409).json({
+        message: `This file is still used in ${where}, so it cannot be deleted.`,
+        ...archived
+      });
+    }
+
+    await mediaLibrary.discard(media);
+
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({
+      message: 'Failed to delete media',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,64 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Subscriber = require('../models/Subscriber');
-const { body, validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { emailLimiter } = require('../middleware/rateLimit');
+const campaignSender = require('../services/campaignSender');
+const auditLog = require('../services/auditLog');
+const {
+  verifyUnsubscribeToken,
+  verifyConfirmationToken,
+  sendConfirmationEmail,
+  renderCampaign,
+  buildDigest
+} = require('../services/newsletterService');
 
-// Subscribe to newsletter
-router.post('/subscribe', [
+// Hosts used in email links: the API host serves images and one-click unsubscribe,
+// the client host serves the pages themselves
+const getHosts = (req) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    baseUrl,
+    siteUrl: (process.env.CLIENT_URL || baseUrl).replace(/\/$/, '')
+  };
+};
+
+// Mark a subscriber as unsubscribed; shared by the email form and signed one-click links.
+// Returns 'unsubscribed', 'already_unsubscribed' or 'not_found'.
+const unsubscribeEmail = async (email) => {
+  const subscriber = await Subscriber.findOne({ email });
+
+  if (!subscriber) {
+    return 'not_found';
+  }
+
+  if (subscriber.status === 'unsubscribed') {
+    return 'already_unsubscribed';
+  }
+
+  subscriber.status = 'unsubscribed';
+  subscriber.unsubscribedAt = new Date();
+  await subscriber.save();
+  return 'unsubscribed';
+};
+
+// Subscribe to newsletter; sends a confirmation email, so it shares the email rate limit
+router.post('/subscribe', emailLimiter, [
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address')
+    .withMessage('Please provide a valid email address'),
+  // Where the form was, e.g. "footer"; kept as part of the proof of consent
+  body('source')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Source must be a name of up to 50 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -16,47 +66,34 @@ router.post('/subscribe', [
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid email address',
+        message: errors.array()[0].path === 'email' ? 'Invalid email address' : errors.array()[0].msg,
         errors: errors.array()
       });
     }
 
     const { email } = req.body;
+    const consent = { ip: req.ip, userAgent: req.get('user-agent') || '', source: req.body.source };
 
     // Check if email already exists
     const existingSubscriber = await Subscriber.findOne({ email });
-    
-    if (existingSubscriber) {
-      if (existingSubscriber.status === 'active') {
-        return res.status(409).json({
-          success: false,
-          message: 'This email is already subscribed to our newsletter'
-        });
-      } else {
-        // Reactivate unsubscribed user
-        existingSubscriber.status = 'active';
-        existingSubscriber.subscribedAt = new Date();
-        existingSubscriber.unsubscribedAt = null;
-        await existingSubscriber.save();
-        
-        return res.status(200).json({
-          success: true,
-          message: 'Welcome back! Your subscription has been reactivated'
-        });
-      }
+
+    if (existingSubscriber && existingSubscriber.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'This email is already subscribed to our newsletter'
+      });
     }
 
-    // Create new subscriber
-    const newSubscriber = new Subscriber({
-      email,
-      source: req.body.source || 'homepage'
-    });
+    // New, still pending and previously unsubscribed addresses all have to (re)confirm
+    const subscriber = existingSubscriber || new Subscriber({ email, source: 'homepage' });
+    subscriber.requestConfirmation(consent);
+    await subscriber.save();
 
-    await newSubscriber.save();
+    await sendConfirmationEmail(subscriber, getHosts(req).siteUrl);
 
-    res.status(201).json({
+    res.status(existingSubscriber ? 200 : 201).json({
       success: true,
-      message: 'Successfully subscribed! Thank you for joining our newsletter'
+      message: 'Almost done! Check your inbox and click the link to confirm your subscription'
     });
 
   } catch (error) {
@@ -76,6 +113,62 @@ router.post('/subscribe', [
   }
 });
 
+// Confirm a pending subscription from the link in the confirmation email
+router.post('/confirm', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const email = errors.isEmpty() ? verifyConfirmationToken(req.body.token) : null;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired'
+      });
+    }
+
+    const now = new Date();
+    const subscriber = await Subscriber.findOneAndUpdate(
+      { email, status: 'pending' },
+      {
+        status: 'active',
+        confirmedAt: now,
+        confirmationExpiresAt: null,
+        'consent.confirmedAt': now,
+        'consent.confirmedIp': req.ip
+      },
+      { new: true }
+    );
+
+    if (!subscriber) {
+      const existing = await Subscriber.findOne({ email, status: 'active' });
+      if (existing) {
+        return res.json({
+          success: true,
+          message: 'Your subscription is already confirmed'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks for confirming! You are now subscribed to our newsletter'
+    });
+
+  } catch (error) {
+    console.error('Newsletter confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Something went wrong. Please try again later'
+    });
+  }
+});
+
 // Unsubscribe from newsletter (for future use)
 router.post('/unsubscribe', [
   body('email').isEmail().normalizeEmail()
@@ -89,27 +182,22 @@ router.post('/unsubscribe', [
       });
     }
 
-    const { email } = req.body;
-    const subscriber = await Subscriber.findOne({ email });
+    const result = await unsubscribeEmail(req.body.email);
 
-    if (!subscriber) {
+    if (result === 'not_found') {
       return res.status(404).json({
         success: false,
         message: 'Email not found in our subscription list'
       });
     }
 
-    if (subscriber.status === 'unsubscribed') {
+    if (result === 'already_unsubscribed') {
       return res.status(400).json({
         success: false,
         message: 'This email is already unsubscribed'
       });
     }
 
-    subscriber.status = 'unsubscribed';
-    subscriber.unsubscribedAt = new Date();
-    await subscriber.save();
-
     res.status(200).json({
       success: true,
       message: 'Successfully unsubscribed from newsletter'
@@ -124,10 +212,13 @@ router.post('/unsubscribe', [
   }
 });
 
-// Get subscriber stats (admin only - for future dashboard integration)
-router.get('/stats', async (req, res) => {
+// Get subscriber stats (newsletter:manage)
+router.get('/stats', authenticateToken, requirePermission('newsletter:manage'), async (req, res) => {
   try {
+    // Only confirmed (active) subscribers count as subscribers; pending ones are reported
+    // apart, leaving out expired ones the background purge has not removed yet
     const totalSubscribers = await Subscriber.countDocuments({ status: 'active' });
+    const totalPending = await Subscriber.countDocuments({ status: 'pending', confirmationExpiresAt: { $gt: new Date() } });
     const totalUnsubscribed = await Subscriber.countDocuments({ status: 'unsubscribed' });
     
     // Get subscription growth over time (last 30 days)
@@ -143,9 +234,11 @@ router.get('/stats', async (req, res) => {
       success: true,
       data: {
         totalSubscribers,
+        totalConfirmed: totalSubscribers,
+        totalPending,
         totalUnsubscribed,
         recentSubscribers,
-        totalAll: totalSubscribers + totalUnsubscribed
+        totalAll: totalSubscribers + totalPending + totalUnsubscribed
       }
     });
 
@@ -158,4 +251,382 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// One-click unsubscribe from a signed link (List-Unsubscribe header or the email footer)
+router.post('/unsubscribe/one-click', async (req, res) => {
+  try {
+    const email = String(req.query.email || '').toLowerCase();
+
+    if (!verifyUnsubscribeToken(email, req.query.token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const result = await unsubscribeEmail(email);
+
+    if (result === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found in our subscription list'
+      });
+    }
+
+    // Repeated clicks are not an error for one-click links
+    res.status(200).json({
+      success: true,
+      message: 'Successfully unsubscribed from newsletter'
+    });
+
+  } catch (error) {
+    console.error('Newsletter one-click unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Something went wrong. Please try again later'
+    });
+  }
+});
+
+// Campaigns (newsletter:manage)
+
+const campaignValidation = [
+  body('subject')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Content is required')
+];
+
+const handleCampaignError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Sending, cancelling and deleting campaigns are recorded in the audit log
+const recordCampaignAction = (req, campaign, action, details = {}) => auditLog.record(req, {
+  action,
+  targetType: 'Campaign',
+  target: campaign._id,
+  targetLabel: campaign.subject,
+  details
+});
+
+// Load the campaign named by :id into req.campaign
+const loadCampaign = async (req, res, next) => {
+  try {
+    const campaign = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Campaign.findById(req.params.id).populate('createdBy', 'name email')
+      : null;
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to fetch campaign');
+  }
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// List campaigns, newest first
+router.get('/campaigns', authenticateToken, requirePermission('newsletter:manage'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['draft', 'preparing', 'queued', 'sending', 'sent', 'cancelled'])
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-content'),
+      Campaign.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to fetch campaigns');
+  }
+});
+
+// Create a draft campaign
+router.post('/campaigns', authenticateToken, requirePermission('newsletter:manage'), campaignValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const campaign = await Campaign.create({
+      subject: req.body.subject,
+      content: req.body.content,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to create campaign');
+  }
+});
+
+// Create a draft digest of the posts published in the last `days` days
+router.post('/campaigns/digest', authenticateToken, requirePermission('newsletter:manage'), [
+  body('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const digest = await buildDigest({
+      siteUrl: getHosts(req).siteUrl,
+      days: parseInt(req.body.days) || 7
+    });
+
+    if (!digest) {
+      return res.status(400).json({
+        success: false,
+        message: 'No posts were published in this period'
+      });
+    }
+
+    const campaign = await Campaign.create({
+      ...digest,
+      kind: 'digest',
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Digest created',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to create digest');
+  }
+});
+
+// Get a campaign with its delivery counts
+router.get('/campaigns/:id', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, async (req, res) => {
+  try {
+    const deliveries = await CampaignDelivery.countByStatus(req.campaign._id);
+
+    res.json({
+      success: true,
+      data: { campaign: req.campaign, deliveries }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to fetch campaign');
+  }
+});
+
+// Update a draft campaign
+router.put('/campaigns/:id', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, campaignValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    if (!req.campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft campaigns can be edited'
+      });
+    }
+
+    req.campaign.subject = req.body.subject;
+    req.campaign.content = req.body.content;
+    await req.campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      data: { campaign: req.campaign }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to update campaign');
+  }
+});
+
+// Delete a draft campaign
+router.delete('/campaigns/:id', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, async (req, res) => {
+  try {
+    if (!req.campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft campaigns can be deleted'
+      });
+    }
+
+    await req.campaign.deleteOne();
+    await recordCampaignAction(req, req.campaign, 'campaign.delete');
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted'
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to delete campaign');
+  }
+});
+
+// Render the campaign as a subscriber would receive it
+router.get('/campaigns/:id/preview', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, async (req, res) => {
+  try {
+    // Drafts have no hosts yet; preview with the ones of this request
+    const hosts = req.campaign.baseUrl ? req.campaign : getHosts(req);
+    const rendered = renderCampaign(
+      { subject: req.campaign.subject, content: req.campaign.content, baseUrl: hosts.baseUrl, siteUrl: hosts.siteUrl },
+      req.user.email
+    );
+
+    res.json({
+      success: true,
+      data: {
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text
+      }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to render preview');
+  }
+});
+
+// Queue a draft campaign for delivery to every active subscriber
+router.post('/campaigns/:id/send', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, async (req, res) => {
+  try {
+    if (!req.campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This campaign has already been sent'
+      });
+    }
+
+    if (!(await Subscriber.exists({ status: 'active' }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no active subscribers to send to'
+      });
+    }
+
+    const campaign = await campaignSender.enqueue(req.campaign._id, getHosts(req));
+    if (!campaign) {
+      return res.status(409).json({
+        success: false,
+        message: 'This campaign has already been queued'
+      });
+    }
+
+    await recordCampaignAction(req, campaign, 'campaign.send', { recipientCount: campaign.recipientCount });
+
+    res.json({
+      success: true,
+      message: `Campaign queued for ${campaign.recipientCount} subscriber${campaign.recipientCount === 1 ? '' : 's'}`,
+      data: { campaign }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to queue campaign');
+  }
+});
+
+// Stop sending a queued campaign
+router.post('/campaigns/:id/cancel', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, async (req, res) => {
+  try {
+    const campaign = await campaignSender.cancel(req.campaign._id);
+    if (!campaign) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only queued or sending campaigns can be cancelled'
+      });
+    }
+
+    await recordCampaignAction(req, campaign, 'campaign.cancel');
+
+    res.json({
+      success: true,
+      message: 'Campaign cancelled',
+      data: { campaign }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to cancel campaign');
+  }
+});
+
+// Per-recipient delivery status of a campaign
+router.get('/campaigns/:id/deliveries', authenticateToken, requirePermission('newsletter:manage'), loadCampaign, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(CampaignDelivery.STATUSES)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = { campaign: req.campaign._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      CampaignDelivery.find(filter)
+        .sort({ email: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('email status attempts lastError sentAt updatedAt'),
+      CampaignDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    handleCampaignError(res, error, 'Failed to fetch deliveries');
+  }
+});
+
 module.exports = router;
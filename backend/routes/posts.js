@@ -1,10 +1,29 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Post = require('../models/Post');
 const Tag = require('../models/Tag');
-const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
-const { upload, handleUploadError } = require('../middleware/upload');
+const Like = require('../models/Like');
+const PostRevision = require('../models/PostRevision');
+const AuditLog = require('../models/AuditLog');
+const ReviewNote = require('../models/ReviewNote');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const { can } = require('../services/permissions');
+const { upload, handleUploadError, importUpload, handleImportUploadError } = require('../middleware/upload');
 const aiService = require('../services/aiService');
+const diffService = require('../services/diffService');
+const sitemapService = require('../services/sitemapService');
+const searchService = require('../services/searchService');
+const auditLog = require('../services/auditLog');
+const reviewWorkflow = require('../services/reviewWorkflow');
+const viewAnalytics = require('../services/viewAnalytics');
+const relatedPosts = require('../services/relatedPosts');
+const markdownPosts = require('../services/markdownPosts');
+const mediaLibrary = require('../services/mediaLibrary');
+const imageVariants = require('../services/imageVariants');
+const { sendReviewDecisionEmail } = require('../services/accountEmails');
 
 const router = express.Router();
 
@@ -20,10 +39,117 @@ const postValidation = [
     .withMessage('Content must be at least 10 characters long'),
   body('status')
     .optional()
-    .isIn(['draft', 'published'])
-    .withMessage('Status must be either draft or published')
+    .isIn(reviewWorkflow.STATUSES)
+    .withMessage(`Status must be one of: ${reviewWorkflow.STATUSES.join(', ')}`),
+  body('publishAt')
+    .if(body('status').equals('scheduled'))
+    .notEmpty()
+    .withMessage('Publish date is required for scheduled posts')
+    .bail()
+    .isISO8601()
+    .withMessage('Publish date must be a valid date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Publish date must be in the future'),
+  body('series')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid series ID'),
+  // An image picked from the media library instead of an uploaded file
+  body('coverImage')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Cover image URL cannot exceed 500 characters')
 ];
 
+// Editors changing someone else's post may say why; the author sees it in the post's change history
+const reasonValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+// Load a post the user may edit; revisions are only available to its editors
+const findEditablePost = async (id, user) => {
+  const post = await Post.findById(id);
+  if (!post) {
+    return { status: 404, message: 'Post not found' };
+  }
+  if (!can(user, 'post:update', post)) {
+    return { status: 403, message: 'You do not have permission to edit this post' };
+  }
+  return { post };
+};
+
+// Check the user may add posts to the series they picked. An empty value
+// takes the post out of its series, which needs no check.
+const checkTargetSeries = async (seriesId, user) => {
+  if (!seriesId) {
+    return {};
+  }
+  const series = await Series.findById(seriesId).select('author');
+  if (!series) {
+    return { status: 400, message: 'Series not found' };
+  }
+  if (!can(user, 'series:manage', series)) {
+    return { status: 403, message: 'You do not have permission to add posts to this series' };
+  }
+  return { series };
+};
+
+// A cover image picked from the media library, with the variants covers need
+const pickCoverImage = async (url, user) => {
+  const media = await mediaLibrary.findUsable(user, url);
+  if (!media) {
+    return { status: 400, message: 'Cover image must be an image from your media library' };
+  }
+  return {
+    coverImage: media.url,
+    coverImageVariants: await mediaLibrary.ensureVariants(media, imageVariants.VARIANT_SETS.coverImage)
+  };
+};
+
+// Images newly linked from a post's content must be stored uploads from the
+// author's media library (or anyone's, for users who manage all media)
+const checkContentImages = async (content, user, post = null) => {
+  const images = await mediaLibrary.unusableImagesIn(content, {
+    user,
+    author: post ? post.author : user._id,
+    previous: post ? post.content : ''
+  });
+  if (images.length === 0) {
+    return {};
+  }
+  const more = images.length > 1 ? ` (and ${images.length - 1} more)` : '';
+  return { status: 400, message: `Image ${images[0].url} ${images[0].message}${more}`, images };
+};
+
+// Load a post the user may take part in reviewing: its editors and reviewers
+const findReviewablePost = async (id, user) => {
+  const post = await Post.findById(id);
+  if (!post) {
+    return { status: 404, message: 'Post not found' };
+  }
+  if (!can(user, 'post:update', post) && !can(user, 'post:review', post)) {
+    return { status: 403, message: 'You do not have permission to review this post' };
+  }
+  return { post };
+};
+
+// Fields of a post or revision that are compared in a diff, with tags as sorted names
+const toComparable = (doc) => ({
+  title: doc.title || '',
+  content: doc.content || '',
+  excerpt: doc.excerpt || '',
+  coverImage: doc.coverImage || '',
+  seoTitle: doc.seoTitle || '',
+  seoDescription: doc.seoDescription || '',
+  tags: (doc.tags || []).map(tag => tag.name || String(tag)).sort()
+});
+
 // @route   GET /api/posts
 // @desc    Get all published posts with pagination
 // @access  Public
@@ -32,6 +158,7 @@ router.get('/',
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
     query('tag').optional().trim(),
+    query('author').optional().isMongoId().withMessage('Invalid author ID'),
     query('search').optional().trim(),
     query('sort').optional().isIn(['newest', 'oldest', 'popular', 'trending']).withMessage('Invalid sort option')
   ],
@@ -49,11 +176,16 @@ router.get('/',
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const skip = (page - 1) * limit;
-      const { tag, search, sort = 'newest' } = req.query;
+      const { tag, author, search, sort = 'newest' } = req.query;
 
       // Build query
       let query = { status: 'published' };
 
+      // Add author filter
+      if (author) {
+        query.author = author;
+      }
+
       // Add tag filter
       if (tag) {
         const tagDoc = await Tag.findOne({ slug: tag });
@@ -94,7 +226,7 @@ router.get('/',
 
       // Get posts with pagination
       const posts = await Post.find(query)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .populate('tags', 'name slug color')
         .select('-content') // Exclude content for list view
         .sort(sortOptions)
@@ -102,6 +234,16 @@ router.get('/',
         .limit(limit)
         .lean();
 
+      // Flag posts the current user has liked
+      const likedIds = await Like.findLikedIds(
+        req.user && req.user._id,
+        'Post',
+        posts.map(post => post._id)
+      );
+      posts.forEach(post => {
+        post.likedByMe = likedIds.has(post._id.toString());
+      });
+
       // Get total count for pagination
       const totalPosts = await Post.countDocuments(query);
       const totalPages = Math.ceil(totalPosts / limit);
@@ -124,6 +266,64 @@ router.get('/',
   }
 );
 
+// @route   GET /api/posts/search
+// @desc    Full-text search of published posts, ranked by relevance, with highlights and facets
+// @access  Public
+router.get('/search',
+  [
+    query('q').trim().notEmpty().withMessage('Search query is required')
+      .isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('tags').optional().trim(),
+    query('author').optional().isMongoId().withMessage('Invalid author ID'),
+    query('year').optional().isInt({ min: 1970, max: 9999 }).withMessage('Invalid year'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const results = await searchService.searchPosts({
+        search: req.query.q,
+        tags: req.query.tags ? req.query.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        author: req.query.author,
+        year: req.query.year ? parseInt(req.query.year) : undefined,
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      });
+
+      // Flag posts the current user has liked
+      const likedIds = await Like.findLikedIds(
+        req.user && req.user._id,
+        'Post',
+        results.posts.map(post => post._id)
+      );
+      results.posts.forEach(post => {
+        post.likedByMe = likedIds.has(post._id.toString());
+      });
+
+      res.json(results);
+    } catch (error) {
+      console.error('Search posts error:', error);
+      res.status(500).json({
+        message: 'Failed to search posts',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // @route   GET /api/posts/recent
 // @desc    Get recent published posts
 // @access  Public
@@ -132,9 +332,9 @@ router.get('/recent', async (req, res) => {
     const limit = parseInt(req.query.limit) || 5;
     
     const posts = await Post.find({ status: 'published' })
-      .populate('author', 'name profileImage')
+      .populate('author', 'name profileImage profileImageVariants')
       .populate('tags', 'name slug color')
-      .select('title slug excerpt coverImage publishedAt viewCount likeCount commentCount readingTime')
+      .select('title slug excerpt coverImage coverImageVariants publishedAt viewCount likeCount commentCount readingTime')
       .sort({ publishedAt: -1 })
       .limit(limit)
       .lean();
@@ -149,8 +349,52 @@ router.get('/recent', async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/export
+// @desc    Download an author's posts (yours unless `author` is given) as a zip of Markdown files
+// @access  Private (post:update)
+router.get('/export',
+  authenticateToken,
+  requirePermission('post:update'),
+  [
+    query('author').optional().isMongoId().withMessage('Invalid author ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const author = req.query.author || req.user._id.toString();
+      if (!can(req.user, 'post:update', { author })) {
+        return res.status(403).json({ message: 'You do not have permission to export these posts' });
+      }
+
+      const posts = await Post.find({ author })
+        .populate('tags', 'name')
+        .sort({ createdAt: 1 })
+        .lean();
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="posts-${author}.zip"`
+      });
+      res.send(markdownPosts.toZip(posts));
+    } catch (error) {
+      console.error('Export posts error:', error);
+      res.status(500).json({
+        message: 'Failed to export posts',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // @route   GET /api/posts/:id
-// @desc    Get single post by ID or slug
+// @desc    Get single post by ID or slug, counting a view (pass the linking page as `ref`)
 // @access  Public
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -162,14 +406,14 @@ router.get('/:id', optionalAuth, async (req, res) => {
     try {
       // Try to find by ObjectId first
       post = await Post.findById(id)
-        .populate('author', 'name profileImage email')
+        .populate('author', 'name profileImage profileImageVariants email')
         .populate('tags', 'name slug color')
         .lean();
     } catch (error) {
       // If ID is invalid (not a valid ObjectId), try by slug
       if (error.name === 'CastError') {
         post = await Post.findOne({ slug: id })
-          .populate('author', 'name profileImage email')
+          .populate('author', 'name profileImage profileImageVariants email')
           .populate('tags', 'name slug color')
           .lean();
       } else {
@@ -180,7 +424,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
     // If not found by ID, try by slug
     if (!post) {
       post = await Post.findOne({ slug: id })
-        .populate('author', 'name profileImage email')
+        .populate('author', 'name profileImage profileImageVariants email')
         .populate('tags', 'name slug color')
         .lean();
     }
@@ -189,17 +433,21 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Check if post is published or user is admin
-  if (post.status !== 'published' && (!req.user || (req.user.role !== 'admin' && req.user.role !== 'super_admin'))) {
-    return res.status(404).json({ message: 'Post not found' });
-  }
+    // Unpublished posts are only visible to those allowed to see them
+    if (post.status !== 'published' && !can(req.user, 'post:read_unpublished', post)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
 
-    // Increment view count if post is published
-    if (post.status === 'published') {
-      await Post.findByIdAndUpdate(post._id, { $inc: { viewCount: 1 } });
+    // Count the view if the post is published. Clients pass the page that linked
+    // to the post as `ref`, since the request's own Referer is the blog itself.
+    if (post.status === 'published' && await viewAnalytics.recordView(req, post, { referrer: req.query.ref })) {
       post.viewCount += 1;
     }
 
+    const likedIds = await Like.findLikedIds(req.user && req.user._id, 'Post', [post._id]);
+    post.likedByMe = likedIds.has(post._id.toString());
+    post.series = await Series.navigationFor(post);
+
     res.json({ post });
   } catch (error) {
     console.error('Get post error:', error);
@@ -213,11 +461,83 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/:id/related
+// @desc    Published posts to read next, ranked by shared tags, text similarity and recency
+// @access  Public
+router.get('/:id/related',
+  [
+    query('limit').optional().isInt({ min: 1, max: relatedPosts.CACHE_SIZE })
+      .withMessage(`Limit must be between 1 and ${relatedPosts.CACHE_SIZE}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const post = await Post.findOne(
+        mongoose.isValidObjectId(id) ? { $or: [{ _id: id }, { slug: id }] } : { slug: id }
+      )
+        .select('title excerpt tags status relatedPosts relatedPostsUpdatedAt')
+        .lean();
+
+      if (!post || post.status !== 'published') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+
+      const posts = await relatedPosts.getRelated(post, parseInt(req.query.limit) || 3);
+
+      res.json({ posts });
+    } catch (error) {
+      console.error('Get related posts error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch related posts',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/posts/:id/export
+// @desc    Download a post as Markdown with YAML front matter
+// @access  Private (post:update)
+router.get('/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const { post, status, message } = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    await post.populate('tags', 'name');
+
+    res.set({
+      'Content-Type': 'text/markdown; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${markdownPosts.filenameFor(post)}"`
+    });
+    res.send(markdownPosts.toMarkdown(post));
+  } catch (error) {
+    console.error('Export post error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to export post',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/posts
 // @desc    Create new post
-// @access  Private (Any authenticated user)
+// @access  Private (post:create)
 router.post('/',
   authenticateToken,
+  requirePermission('post:create'),
   upload.single('coverImage'),
   handleUploadError,
   postValidation,
@@ -231,12 +551,36 @@ router.post('/',
         });
       }
 
-      const { title, content, excerpt, tags = [], status = 'draft', seoTitle, seoDescription, featured = false } = req.body;
+      const { title, content, excerpt, tags = [], status = 'draft', publishAt, seoTitle, seoDescription, featured = false, series } = req.body;
+
+      // New posts start as drafts; anything else is a move the user must be allowed to make
+      const transitionError = reviewWorkflow.transitionError(req.user, { author: req.user._id, status: 'draft' }, status);
+      if (transitionError) {
+        return res.status(403).json({ message: transitionError });
+      }
 
-      // Handle cover image
+      const seriesCheck = await checkTargetSeries(series, req.user);
+      if (seriesCheck.message) {
+        return res.status(seriesCheck.status).json({ message: seriesCheck.message });
+      }
+
+      const imageCheck = await checkContentImages(content, req.user);
+      if (imageCheck.message) {
+        return res.status(imageCheck.status).json({ message: imageCheck.message, images: imageCheck.images });
+      }
+
+      // Handle cover image: a new upload, or an image from the media library
       let coverImage = '';
+      let coverImageVariants = null;
       if (req.file) {
-        coverImage = `/uploads/posts/${req.file.filename}`;
+        coverImage = req.file.url;
+        coverImageVariants = req.file.variants;
+      } else if (req.body.coverImage) {
+        const picked = await pickCoverImage(req.body.coverImage, req.user);
+        if (picked.message) {
+          return res.status(picked.status).json({ message: picked.message });
+        }
+        ({ coverImage, coverImageVariants } = picked);
       }
 
       // Process tags - find existing or create new ones
@@ -260,25 +604,40 @@ router.post('/',
         content,
         excerpt,
         coverImage,
+        coverImageVariants,
         author: req.user._id,
         tags: tagIds,
-        status,
+        publishAt: status === 'scheduled' ? new Date(publishAt) : null,
         seoTitle,
         seoDescription,
         featured
       });
 
+      post.moveTo(status, req.user);
       await post.save();
+      await mediaLibrary.syncUsage('post', post);
       
-      // Update tag post counts
-      await Tag.updateMany(
-        { _id: { $in: tagIds } },
-        { $inc: { postCount: 1 } }
-      );
+      // Update tag post counts (scheduled posts are counted once they go live)
+      if (Post.countsTowardTags(status)) {
+        await Tag.updateMany(
+          { _id: { $in: tagIds } },
+          { $inc: { postCount: 1 } }
+        );
+      }
+
+      sitemapService.invalidate();
+
+      if (series) {
+        await Series.assignPost(post._id, series);
+      }
+
+      if (post.status === 'published') {
+        await relatedPosts.refresh(post);
+      }
 
       // Populate the post for response
       const populatedPost = await Post.findById(post._id)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .populate('tags', 'name slug color');
 
       res.status(201).json({
@@ -297,14 +656,137 @@ router.post('/',
   }
 );
 
+// @route   POST /api/posts/import
+// @desc    Create posts from uploaded Markdown files (or zips of them) with YAML front matter.
+//          Each file is imported on its own; the response reports what happened to each.
+// @access  Private (post:create)
+router.post('/import',
+  authenticateToken,
+  requirePermission('post:create'),
+  importUpload.array('files', 20),
+  handleImportUploadError,
+  async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'No files uploaded' });
+      }
+
+      const results = [];
+
+      for (const file of req.files) {
+        let documents;
+        try {
+          documents = markdownPosts.readUpload(file);
+        } catch (error) {
+          results.push({ file: file.originalname, error: error.message });
+          continue;
+        }
+
+        for (const document of documents) {
+          try {
+            const fields = markdownPosts.toPostFields(markdownPosts.parseDocument(document.text), document.name);
+
+            const transitionError = reviewWorkflow.transitionError(req.user, { author: req.user._id, status: 'draft' }, fields.status);
+            if (transitionError) {
+              throw new Error(transitionError);
+            }
+
+            const imageCheck = await checkContentImages(fields.content, req.user);
+            if (imageCheck.message) {
+              throw new Error(imageCheck.message);
+            }
+
+            // Covers on other sites are kept as links; ones from storage go through the library like a picked cover
+            let cover = { coverImage: fields.coverImage, coverImageVariants: null };
+            if (mediaLibrary.uploadKeysIn(fields.coverImage).length > 0) {
+              cover = await pickCoverImage(fields.coverImage, req.user);
+              if (cover.message) {
+                throw new Error(cover.message);
+              }
+            }
+
+            const tagIds = [];
+            for (const tagName of fields.tags) {
+              let tag = await Tag.findOne({ name: tagName });
+              if (!tag) {
+                tag = new Tag({ name: tagName });
+                await tag.save();
+              }
+              tagIds.push(tag._id);
+            }
+
+            // The slug comes from the title in Post's pre-save hook, which keeps it unique
+            const post = new Post({
+              title: fields.title,
+              content: fields.content,
+              excerpt: fields.excerpt,
+              coverImage: cover.coverImage,
+              coverImageVariants: cover.coverImageVariants,
+              author: req.user._id,
+              tags: tagIds,
+              publishedAt: fields.status === 'published' ? fields.publishedAt : null,
+              publishAt: fields.status === 'scheduled' ? fields.publishedAt : null,
+              seoTitle: fields.seoTitle,
+              seoDescription: fields.seoDescription,
+              featured: fields.featured
+            });
+
+            post.moveTo(fields.status, req.user);
+            await post.save();
+            await mediaLibrary.syncUsage('post', post);
+
+            if (Post.countsTowardTags(post.status)) {
+              await Tag.updateMany(
+                { _id: { $in: tagIds } },
+                { $inc: { postCount: 1 } }
+              );
+            }
+
+            if (post.status === 'published') {
+              await relatedPosts.refresh(post);
+            }
+
+            results.push({
+              file: document.name,
+              post: { _id: post._id, title: post.title, slug: post.slug, status: post.status }
+            });
+          } catch (error) {
+            results.push({ file: document.name, error: error.message });
+          }
+        }
+      }
+
+      const imported = results.filter(result => result.post).length;
+      if (imported > 0) {
+        sitemapService.invalidate();
+      }
+
+      res.status(imported > 0 ? 201 : 400).json({
+        message: `Imported ${imported} of ${results.length} ${results.length === 1 ? 'file' : 'files'}`,
+        imported,
+        failed: results.length - imported,
+        results
+      });
+    } catch (error) {
+      console.error('Import posts error:', error);
+      res.status(500).json({
+        message: 'Failed to import posts',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // @route   PUT /api/posts/:id
 // @desc    Update post
-// @access  Private (Any authenticated user)
+// @access  Private (post:update)
 router.put('/:id',
   authenticateToken,
+  requirePermission('post:update'),
   upload.single('coverImage'),
   handleUploadError,
   postValidation,
+  reasonValidation,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -316,21 +798,58 @@ router.put('/:id',
       }
 
       const { id } = req.params;
-      const { title, content, excerpt, tags = [], status, seoTitle, seoDescription, featured } = req.body;
+      const { title, content, excerpt, tags = [], status, publishAt, seoTitle, seoDescription, featured, reason, series } = req.body;
 
       const post = await Post.findById(id);
       if (!post) {
         return res.status(404).json({ message: 'Post not found' });
       }
 
-      // Check if user is the author of the post
-      if (post.author.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'You can only edit your own posts' });
+      if (!can(req.user, 'post:update', post)) {
+        return res.status(403).json({ message: 'You do not have permission to edit this post' });
       }
 
-      // Handle cover image
+      let newStatus = status || post.status;
+
+      // Review decisions are recorded by POST /:id/review, not by editing the post
+      if (newStatus !== post.status && reviewWorkflow.REVIEW_DECISIONS.includes(newStatus)) {
+        return res.status(400).json({ message: 'Use the review endpoint to approve a post or request changes' });
+      }
+
+      // Keeping the current status is always allowed; any other move is checked
+      const transitionError = reviewWorkflow.transitionError(req.user, post, newStatus);
+      if (transitionError) {
+        return res.status(403).json({ message: transitionError });
+      }
+
+      // Taking the post back to a draft is fine; any other status would skip the reviewer
+      if (newStatus !== 'draft' && reviewWorkflow.needsNewReview(req.user, post, { title, content, excerpt })) {
+        newStatus = 'in_review';
+      }
+
+      // Leaving `series` out keeps the post where it is
+      const seriesCheck = series === undefined ? {} : await checkTargetSeries(series, req.user);
+      if (seriesCheck.message) {
+        return res.status(seriesCheck.status).json({ message: seriesCheck.message });
+      }
+
+      const imageCheck = await checkContentImages(content, req.user, post);
+      if (imageCheck.message) {
+        return res.status(imageCheck.status).json({ message: imageCheck.message, images: imageCheck.images });
+      }
+
+      const before = await auditLog.postState(post);
+
+      // Handle cover image: a new upload, or an image from the media library
       if (req.file) {
-        post.coverImage = `/uploads/posts/${req.file.filename}`;
+        post.coverImage = req.file.url;
+        post.coverImageVariants = req.file.variants;
+      } else if (req.body.coverImage && req.body.coverImage !== post.coverImage) {
+        const picked = await pickCoverImage(req.body.coverImage, req.user);
+        if (picked.message) {
+          return res.status(picked.status).json({ message: picked.message });
+        }
+        Object.assign(post, picked);
       }
 
       // Process tags
@@ -348,10 +867,18 @@ router.put('/:id',
         }
       }
 
-      // Update tag post counts (remove from old tags, add to new tags)
-      const oldTagIds = post.tags || [];
-      const removedTagIds = oldTagIds.filter(tagId => !tagIds.includes(tagId.toString()));
-      const addedTagIds = tagIds.filter(tagId => !oldTagIds.includes(tagId));
+      // Update tag post counts (remove from old tags, add to new tags).
+      // Scheduled posts are not counted until they go live.
+      const wasCounted = Post.countsTowardTags(post.status);
+      const isCounted = Post.countsTowardTags(newStatus);
+      const oldTagIds = (post.tags || []).map(tagId => tagId.toString());
+      const newTagIds = tagIds.map(tagId => tagId.toString());
+      const removedTagIds = wasCounted
+        ? oldTagIds.filter(tagId => !isCounted || !newTagIds.includes(tagId))
+        : [];
+      const addedTagIds = isCounted
+        ? newTagIds.filter(tagId => !wasCounted || !oldTagIds.includes(tagId))
+        : [];
 
       await Tag.updateMany(
         { _id: { $in: removedTagIds } },
@@ -363,23 +890,42 @@ router.put('/:id',
         { $inc: { postCount: 1 } }
       );
 
+      // Keep the previous version before overwriting it
+      await PostRevision.createFromPost(post, req.user._id);
+
       // Update post
+      post.moveTo(newStatus, req.user);
       Object.assign(post, {
         title,
         content,
         excerpt,
         tags: tagIds,
-        status,
+        publishAt: newStatus === 'scheduled' ? new Date(publishAt || post.publishAt) : null,
         seoTitle,
         seoDescription,
         featured: featured !== undefined ? featured : post.featured
       });
 
       await post.save();
+      await mediaLibrary.syncUsage('post', post);
+      sitemapService.invalidate();
+      await relatedPosts.refresh(post);
+
+      if (series !== undefined) {
+        await Series.assignPost(post._id, series || null);
+      }
+
+      await auditLog.recordPostChange(req, {
+        post,
+        action: before.status === 'published' && newStatus === 'draft' ? 'post.unpublish' : 'post.update',
+        before,
+        after: await auditLog.postState(post),
+        reason
+      });
 
       // Populate the post for response
       const populatedPost = await Post.findById(post._id)
-        .populate('author', 'name profileImage')
+        .populate('author', 'name profileImage profileImageVariants')
         .populate('tags', 'name slug color');
 
       res.json({
@@ -401,9 +947,17 @@ router.put('/:id',
 
 // @route   DELETE /api/posts/:id
 // @desc    Delete post
-// @access  Private (Any authenticated user)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// @access  Private (post:delete)
+router.delete('/:id', authenticateToken, requirePermission('post:delete'), reasonValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     
     const post = await Post.findById(id);
@@ -411,18 +965,34 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Check if user is the author of the post
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'You can only delete your own posts' });
+    if (!can(req.user, 'post:delete', post)) {
+      return res.status(403).json({ message: 'You do not have permission to delete this post' });
     }
 
     // Update tag post counts
-    await Tag.updateMany(
-      { _id: { $in: post.tags } },
-      { $inc: { postCount: -1 } }
-    );
+    if (Post.countsTowardTags(post.status)) {
+      await Tag.updateMany(
+        { _id: { $in: post.tags } },
+        { $inc: { postCount: -1 } }
+      );
+    }
+
+    const before = await auditLog.postState(post);
 
     await Post.findByIdAndDelete(id);
+    await Like.deleteMany({ targetType: 'Post', target: id });
+    await PostRevision.deleteMany({ post: id });
+    await ReviewNote.deleteMany({ post: id });
+    await Series.removePosts([id]);
+    await mediaLibrary.releaseUsage('post', post._id);
+    sitemapService.invalidate();
+
+    await auditLog.recordPostChange(req, {
+      post,
+      action: 'post.delete',
+      before,
+      reason: req.body.reason
+    });
 
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
@@ -437,26 +1007,534 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/:id/audit
+// @desc    Changes other users made to a post, newest first
+// @access  Private (post:update)
+router.get('/:id/audit', authenticateToken, async (req, res) => {
+  try {
+    const { post, status, message } = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const entries = await AuditLog.find({ targetType: 'Post', target: post._id })
+      .populate('actor', 'name profileImage profileImageVariants')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Get post change history error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to fetch change history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/review
+// @desc    Approve a post that is in review, or send it back to its author with changes requested
+// @access  Private (post:review, not on your own posts)
+router.post('/:id/review',
+  authenticateToken,
+  requirePermission('post:review'),
+  [
+    body('decision')
+      .isIn(['approve', 'request_changes'])
+      .withMessage('Decision must be approve or request_changes'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Note cannot exceed 2000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { decision, note } = req.body;
+
+      const post = await Post.findById(req.params.id);
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+
+      if (post.status !== 'in_review') {
+        return res.status(400).json({ message: 'Only posts that are in review can be approved or sent back' });
+      }
+
+      const newStatus = decision === 'approve' ? 'approved' : 'changes_requested';
+      const transitionError = reviewWorkflow.transitionError(req.user, post, newStatus);
+      if (transitionError) {
+        return res.status(403).json({ message: transitionError });
+      }
+
+      // The author needs to know what to change: a note now, or inline notes left earlier
+      if (newStatus === 'changes_requested' && !note) {
+        const openNotes = await ReviewNote.countDocuments({ post: post._id, resolved: false });
+        if (openNotes === 0) {
+          return res.status(400).json({ message: 'Add a note saying what needs to change' });
+        }
+      }
+
+      const previousStatus = post.status;
+      post.moveTo(newStatus, req.user);
+      await post.save();
+
+      const reviewNote = note
+        ? await ReviewNote.create({ post: post._id, author: req.user._id, body: note })
+        : null;
+
+      await auditLog.record(req, {
+        action: decision === 'approve' ? 'post.approve' : 'post.request_changes',
+        targetType: 'Post',
+        target: post._id,
+        targetLabel: post.title,
+        owner: post.author,
+        before: { status: previousStatus },
+        after: { status: newStatus },
+        reason: note ? note.slice(0, 500) : ''
+      });
+
+      // The decision is saved either way; a mail failure should not undo it
+      try {
+        const author = await User.findById(post.author).select('name email');
+        if (author) {
+          await sendReviewDecisionEmail(author, { post, reviewer: req.user, decision, note });
+        }
+      } catch (error) {
+        console.error('Review decision email error:', error);
+      }
+
+      const populatedPost = await Post.findById(post._id)
+        .populate('author', 'name profileImage profileImageVariants')
+        .populate('tags', 'name slug color');
+
+      res.json({
+        message: decision === 'approve' ? 'Post approved' : 'Changes requested',
+        post: populatedPost,
+        note: reviewNote
+      });
+    } catch (error) {
+      console.error('Review post error:', error);
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      res.status(500).json({
+        message: 'Failed to review post',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/posts/:id/review-notes
+// @desc    Review notes on a post, oldest first
+// @access  Private (post:update or post:review)
+router.get('/:id/review-notes', authenticateToken, async (req, res) => {
+  try {
+    const { post, status, message } = await findReviewablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const notes = await ReviewNote.find({ post: post._id })
+      .populate('author', 'name profileImage profileImageVariants')
+      .populate('resolvedBy', 'name')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({ notes });
+  } catch (error) {
+    console.error('Get review notes error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to fetch review notes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/review-notes
+// @desc    Leave a note on a post, optionally on one line of its content
+// @access  Private (post:update or post:review)
+router.post('/:id/review-notes',
+  authenticateToken,
+  [
+    body('body')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Note must be between 1 and 2000 characters'),
+    body('line')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Line must be a positive integer')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { post, status, message } = await findReviewablePost(req.params.id, req.user);
+      if (!post) {
+        return res.status(status).json({ message });
+      }
+
+      const { body: noteBody, line = null } = req.body;
+
+      // Keep the line's text with the note, since the content may change afterwards
+      let quote = '';
+      if (line) {
+        const lines = (post.content || '').split('\n');
+        if (line > lines.length) {
+          return res.status(400).json({ message: 'Line is outside the post content' });
+        }
+        quote = lines[line - 1].slice(0, 500);
+      }
+
+      const note = await ReviewNote.create({
+        post: post._id,
+        author: req.user._id,
+        body: noteBody,
+        line,
+        quote
+      });
+      await note.populate('author', 'name profileImage profileImageVariants');
+
+      res.status(201).json({
+        message: 'Note added',
+        note
+      });
+    } catch (error) {
+      console.error('Add review note error:', error);
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      res.status(500).json({
+        message: 'Failed to add review note',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/posts/:id/review-notes/:noteId
+// @desc    Resolve a review note, or reopen it
+// @access  Private (post:update or post:review)
+router.put('/:id/review-notes/:noteId',
+  authenticateToken,
+  [
+    body('resolved')
+      .isBoolean()
+      .withMessage('Resolved must be true or false')
+      .toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { post, status, message } = await findReviewablePost(req.params.id, req.user);
+      if (!post) {
+        return res.status(status).json({ message });
+      }
+
+      const note = await ReviewNote.findOne({ _id: req.params.noteId, post: post._id });
+      if (!note) {
+        return res.status(404).json({ message: 'Note not found' });
+      }
+
+      note.setResolved(req.body.resolved, req.user);
+      await note.save();
+      await note.populate([
+        { path: 'author', select: 'name profileImage profileImageVariants' },
+        { path: 'resolvedBy', select: 'name' }
+      ]);
+
+      res.json({
+        message: note.resolved ? 'Note resolved' : 'Note reopened',
+        note
+      });
+    } catch (error) {
+      console.error('Update review note error:', error);
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Note not found' });
+      }
+      res.status(500).json({
+        message: 'Failed to update review note',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/posts/:id/revisions
+// @desc    List saved revisions of a post
+// @access  Private (post:update)
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { post, status, message } = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate('editedBy', 'name profileImage profileImageVariants')
+      .select('-content')
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to fetch revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/diff
+// @desc    Line-level diff between two revisions ("current" means the live post)
+// @access  Private (post:update)
+router.get('/:id/revisions/diff',
+  authenticateToken,
+  [
+    query('from').trim().notEmpty().withMessage('from revision is required'),
+    query('to').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { post, status, message } = await findEditablePost(req.params.id, req.user);
+      if (!post) {
+        return res.status(status).json({ message });
+      }
+
+      const loadSide = async (ref) => {
+        if (ref === 'current') {
+          await post.populate('tags', 'name');
+          return { revision: 'current', updatedAt: post.updatedAt, ...toComparable(post) };
+        }
+        const revision = await PostRevision.findOne({ _id: ref, post: post._id })
+          .populate('tags', 'name')
+          .lean();
+        if (!revision) {
+          return null;
+        }
+        return { revision: revision.revision, updatedAt: revision.createdAt, ...toComparable(revision) };
+      };
+
+      const from = await loadSide(req.query.from);
+      const to = await loadSide(req.query.to || 'current');
+      if (!from || !to) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      const fields = {};
+      ['title', 'excerpt', 'coverImage', 'seoTitle', 'seoDescription'].forEach(field => {
+        if (from[field] !== to[field]) {
+          fields[field] = { from: from[field], to: to[field] };
+        }
+      });
+      if (from.tags.join(',') !== to.tags.join(',')) {
+        fields.tags = { from: from.tags, to: to.tags };
+      }
+
+      const content = diffService.diffLines(from.content, to.content);
+
+      res.json({
+        from: { revision: from.revision, updatedAt: from.updatedAt },
+        to: { revision: to.revision, updatedAt: to.updatedAt },
+        fields,
+        content,
+        stats: diffService.summarize(content)
+      });
+    } catch (error) {
+      console.error('Diff revisions error:', error);
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+      res.status(500).json({
+        message: 'Failed to diff revisions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/posts/:id/revisions/:revisionId
+// @desc    Get a single revision
+// @access  Private (post:update)
+router.get('/:id/revisions/:revisionId', authenticateToken, async (req, res) => {
+  try {
+    const { post, status, message } = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const revision = await PostRevision.findOne({ _id: req.params.revisionId, post: post._id })
+      .populate('editedBy', 'name profileImage profileImageVariants')
+      .populate('tags', 'name slug color')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to fetch revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/revisions/:revisionId/restore
+// @desc    Restore a post to a previous revision (the current version is kept as a new revision)
+// @access  Private (post:update)
+router.post('/:id/revisions/:revisionId/restore', authenticateToken, async (req, res) => {
+  try {
+    const { post, status, message } = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const revision = await PostRevision.findOne({ _id: req.params.revisionId, post: post._id });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const before = await auditLog.postState(post);
+
+    await PostRevision.createFromPost(post, req.user._id, {
+      reason: 'restore',
+      restoredFrom: revision.revision
+    });
+
+    // Restoring other text onto a reviewed post needs a review, as editing it does
+    const sendBack = reviewWorkflow.needsNewReview(req.user, post, {
+      title: revision.title,
+      content: revision.content || '',
+      excerpt: revision.excerpt || ''
+    });
+
+    // Only restore tags that still exist, and keep tag post counts in sync
+    const oldTagIds = post.tags || [];
+    const wasCounted = Post.countsTowardTags(post.status);
+    const restoredTags = await Tag.find({ _id: { $in: revision.tags } }).select('_id');
+
+    revision.applyTo(post);
+    post.tags = restoredTags.map(tag => tag._id);
+    if (sendBack) {
+      post.moveTo('in_review', req.user);
+      post.publishAt = null;
+    }
+
+    if (wasCounted) {
+      await Tag.updateMany(
+        { _id: { $in: oldTagIds } },
+        { $inc: { postCount: -1 } }
+      );
+    }
+    if (Post.countsTowardTags(post.status)) {
+      await Tag.updateMany(
+        { _id: { $in: post.tags } },
+        { $inc: { postCount: 1 } }
+      );
+    }
+
+    await post.save();
+    await mediaLibrary.syncUsage('post', post);
+    sitemapService.invalidate();
+    await relatedPosts.refresh(post);
+
+    await auditLog.recordPostChange(req, {
+      post,
+      action: 'post.restore',
+      before,
+      after: await auditLog.postState(post),
+      details: { restoredFrom: revision.revision }
+    });
+
+    const populatedPost = await Post.findById(post._id)
+      .populate('author', 'name profileImage profileImageVariants')
+      .populate('tags', 'name slug color');
+
+    res.json({
+      message: sendBack
+        ? `Post restored to revision ${revision.revision} and sent back for review`
+        : `Post restored to revision ${revision.revision}`,
+      post: populatedPost
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to restore revision',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/posts/:id/like
-// @desc    Like/unlike a post
+// @desc    Like a post (idempotent)
 // @access  Private
 router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const post = await Post.findById(id);
+    const post = await Post.findById(id).select('status');
     if (!post || post.status !== 'published') {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // For simplicity, we'll just increment the like count
-    // In a more complex system, you might track who liked what
-    post.likeCount += 1;
-    await post.save();
+    await Like.addLike(req.user._id, 'Post', post._id);
+    const { likeCount } = await Post.findById(post._id).select('likeCount').lean();
 
     res.json({ 
       message: 'Post liked successfully',
-      likeCount: post.likeCount 
+      liked: true,
+      likeCount
     });
   } catch (error) {
     console.error('Like post error:', error);
@@ -470,6 +1548,38 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   DELETE /api/posts/:id/like
+// @desc    Unlike a post (idempotent)
+// @access  Private
+router.delete('/:id/like', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findById(id).select('_id');
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    await Like.removeLike(req.user._id, 'Post', post._id);
+    const { likeCount } = await Post.findById(post._id).select('likeCount').lean();
+
+    res.json({
+      message: 'Post unliked successfully',
+      liked: false,
+      likeCount
+    });
+  } catch (error) {
+    console.error('Unlike post error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to unlike post',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/posts/:id/summarize
 // @desc    Generate AI summary for a post
 // @access  Public
@@ -505,9 +1615,10 @@ router.post('/:id/summarize', optionalAuth, async (req, res) => {
 
 // @route   POST /api/posts/generate-ai
 // @desc    Generate AI blog post
-// @access  Private (Any authenticated user)
+// @access  Private (post:create)
 router.post('/generate-ai',
   authenticateToken,
+  requirePermission('post:create'),
   [
     body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title is required and must be between 3-200 characters'),
     body('tone').optional().trim(),
@@ -561,9 +1672,10 @@ router.post('/generate-ai',
 
 // @route   POST /api/posts/generate-content
 // @desc    Generate AI content for existing post
-// @access  Private (Any authenticated user)
+// @access  Private (post:create)
 router.post('/generate-content',
   authenticateToken,
+  requirePermission('post:create'),
   [
     body('prompt').trim().isLength({ min: 3 }).withMessage('Prompt is required')
   ],
@@ -604,9 +1716,10 @@ router.post('/generate-content',
 
 // @route   POST /api/posts/improve-title
 // @desc    Generate improved title variations
-// @access  Private (Any authenticated user)
+// @access  Private (post:create)
 router.post('/improve-title',
   authenticateToken,
+  requirePermission('post:create'),
   [
     body('title').trim().isLength({ min: 3 }).withMessage('Title is required')
   ],
@@ -648,9 +1761,10 @@ router.post('/improve-title',
 
 // @route   POST /api/posts/generate-excerpt
 // @desc    Generate excerpt from content
-// @access  Private (Any authenticated user)
+// @access  Private (post:create)
 router.post('/generate-excerpt',
   authenticateToken,
+  requirePermission('post:create'),
   [
     body('content').trim().isLength({ min: 10 }).withMessage('Content is required')
   ],
@@ -0,0 +1,87 @@
+const express = require('express');
+const sitemapService = require('../services/sitemapService');
+
+const router = express.Router();
+
+// Hosts used in generated URLs: the API host serves sitemaps and images,
+// the client host serves the pages themselves
+const getHosts = (req) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    baseUrl,
+    siteUrl: (process.env.CLIENT_URL || baseUrl).replace(/\/$/, '')
+  };
+};
+
+const handleSeoError = (res, error) => {
+  console.error('Sitemap error:', error);
+  res.status(500).json({
+    message: 'Failed to generate sitemap',
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @route   GET /robots.txt
+// @desc    Crawler rules, configurable through ROBOTS_* environment variables
+// @access  Public
+router.get('/robots.txt', async (req, res) => {
+  try {
+    const robots = await sitemapService.getRobots(getHosts(req));
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('text/plain').send(robots);
+  } catch (error) {
+    handleSeoError(res, error);
+  }
+});
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap index listing the paginated sub-sitemaps
+// @access  Public
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const index = await sitemapService.getIndex(getHosts(req));
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('application/xml').send(index);
+  } catch (error) {
+    handleSeoError(res, error);
+  }
+});
+
+// @route   GET /sitemaps/:section-:page.xml
+// @desc    One page of the pages, posts, tags or authors sitemap
+// @access  Public
+router.get('/sitemaps/:section-:page.xml', async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    const sitemap = await sitemapService.getSitemap(getHosts(req), req.params.section, page);
+
+    if (!sitemap) {
+      return res.status(404).json({ message: 'Sitemap not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('application/xml').send(sitemap);
+  } catch (error) {
+    handleSeoError(res, error);
+  }
+});
+
+// @route   GET /share/post/:slug
+// @desc    Open Graph preview page for sharing a post; sends people on to the post
+// @access  Public
+router.get('/share/post/:slug', async (req, res) => {
+  try {
+    const page = await sitemapService.getSharePage(getHosts(req), req.params.slug);
+
+    if (!page) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('text/html').send(page);
+  } catch (error) {
+    handleSeoError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Series = require('../models/Series');
+const Post = require('../models/Post');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const { can, canAny } = require('../services/permissions');
+const mediaLibrary = require('../services/mediaLibrary');
+
+const router = express.Router();
+
+const CARD_FIELDS = 'title slug excerpt coverImage coverImageVariants publishedAt viewCount likeCount commentCount readingTime';
+
+// Validation rules
+const seriesValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('coverImage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cover image URL cannot exceed 500 characters'),
+  body('posts')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Posts must be a list of at most 100 post IDs'),
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Invalid post ID')
+];
+
+const findSeries = (id) => Series.findOne(
+  mongoose.isValidObjectId(id) ? { $or: [{ _id: id }, { slug: id }] } : { slug: id }
+);
+
+// Check the posts for a series exist and that the user may edit each one newly
+// added to it. Resolves to an error message, or null when they are fine.
+const checkParts = async (user, postIds, series) => {
+  const unique = [...new Set(postIds.map(String))];
+  if (unique.length !== postIds.length) {
+    return 'A post can only appear once in a series';
+  }
+
+  const posts = await Post.find({ _id: { $in: unique } }).select('author').lean();
+  if (posts.length !== unique.length) {
+    return 'One or more posts were not found';
+  }
+
+  const existing = new Set((series ? series.posts : []).map(String));
+  const forbidden = posts.find(post => !existing.has(post._id.toString()) && !can(user, 'post:update', post));
+  return forbidden ? 'You can only add posts you are allowed to edit' : null;
+};
+
+// A post belongs to at most one series: take the parts out of any other series
+const claimParts = (series) => Series.updateMany(
+  { _id: { $ne: series._id }, posts: { $in: series.posts } },
+  { $pull: { posts: { $in: series.posts } } }
+);
+
+// @route   GET /api/series
+// @desc    Series with at least one published post, most recently updated first
+// @access  Public
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 12;
+
+      const [result] = await Series.aggregate([
+        {
+          $lookup: {
+            from: 'posts',
+            let: { parts: '$posts' },
+            pipeline: [
+              { $match: { $expr: { $in: ['$_id', '$$parts'] }, status: 'published' } },
+              { $project: { _id: 1 } }
+            ],
+            as: 'publishedParts'
+          }
+        },
+        { $addFields: { postCount: { $size: '$publishedParts' } } },
+        { $match: { postCount: { $gt: 0 } } },
+        { $sort: { updatedAt: -1 } },
+        {
+          $facet: {
+            series: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $project: { title: 1, slug: 1, description: 1, coverImage: 1, author: 1, postCount: 1, updatedAt: 1 } }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const series = await Series.populate(result.series, { path: 'author', select: 'name profileImage profileImageVariants' });
+      const totalSeries = result.total[0] ? result.total[0].count : 0;
+      const totalPages = Math.ceil(totalSeries / limit);
+
+      res.json({
+        series,
+        totalSeries,
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      });
+    } catch (error) {
+      console.error('Get series error:', error);
+      res.status(500).json({
+        message: 'Failed to fetch series',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/series/manage
+// @desc    Series the current user can edit, with every part's title and status, for series pickers
+// @access  Private (series:manage)
+router.get('/manage', authenticateToken, requirePermission('series:manage'), async (req, res) => {
+  try {
+    const filter = canAny(req.user, 'series:manage') ? {} : { author: req.user._id };
+
+    const series = await Series.find(filter)
+      .populate('author', 'name')
+      .populate('posts', 'title slug status')
+      .sort({ title: 1 })
+      .lean();
+
+    res.json({ series });
+  } catch (error) {
+    console.error('Get manageable series error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/series/:id
+// @desc    Get a series by ID or slug with its published posts in order
+// @access  Public (those who can edit the series also see its unpublished parts)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await findSeries(req.params.id)
+      .populate('author', 'name profileImage profileImageVariants')
+      .lean();
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const canManage = can(req.user, 'series:manage', series);
+    const filter = { _id: { $in: series.posts } };
+    if (!canManage) {
+      filter.status = 'published';
+    }
+
+    const parts = await Post.find(filter)
+      .populate('tags', 'name slug color')
+      .select(`${CARD_FIELDS} status`)
+      .lean();
+
+    if (parts.length === 0 && !canManage) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const order = series.posts.map(String);
+    series.posts = parts.sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()));
+
+    res.json({ series, canManage });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/series
+// @desc    Create a series; `posts` lists its parts in reading order
+// @access  Private (series:manage)
+router.post('/', authenticateToken, requirePermission('series:manage'), seriesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, coverImage, posts = [] } = req.body;
+
+    const partsError = await checkParts(req.user, posts);
+    if (partsError) {
+      return res.status(400).json({ message: partsError });
+    }
+
+    const series = await Series.create({
+      title,
+      description,
+      coverImage,
+      posts,
+      author: req.user._id
+    });
+    await claimParts(series);
+    await mediaLibrary.syncUsage('series', series);
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      message: 'Failed to create series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/series/:id
+// @desc    Update a series; `posts` replaces its parts and their order
+// @access  Private (Series author, or an Editor for any series)
+router.put('/:id', authenticateToken, requirePermission('series:manage'), seriesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    if (!can(req.user, 'series:manage', series)) {
+      return res.status(403).json({ message: 'You do not have permission to edit this series' });
+    }
+
+    const { title, description, coverImage, posts } = req.body;
+
+    if (posts) {
+      const partsError = await checkParts(req.user, posts, series);
+      if (partsError) {
+        return res.status(400).json({ message: partsError });
+      }
+      series.posts = posts;
+    }
+
+    series.title = title;
+    if (description !== undefined) series.description = description;
+    if (coverImage !== undefined) series.coverImage = coverImage;
+
+    await series.save();
+    await claimParts(series);
+    await mediaLibrary.syncUsage('series', series);
+
+    res.json({
+      message: 'Series updated successfully',
+      series
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to update series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/series/:id
+// @desc    Delete a series; its posts are kept
+// @access  Private (Series author, or an Editor for any series)
+router.delete('/:id', authenticateToken, requirePermission('series:manage'), async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    if (!can(req.user, 'series:manage', series)) {
+      return res.status(403).json({ message: 'You do not have permission to delete this series' });
+    }
+
+    await series.deleteOne();
+    await mediaLibrary.releaseUsage('series', series._id);
+
+    res.json({ message: 'Series deleted successfully' });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to delete series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
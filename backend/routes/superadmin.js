@@ -1,16 +1,37 @@
+const fs = require('fs');
 const express = require('express');
 const { query, body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Tag = require('../models/Tag');
 const User = require('../models/User');
-const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const Like = require('../models/Like');
+const PostRevision = require('../models/PostRevision');
+const ReviewNote = require('../models/ReviewNote');
+const Series = require('../models/Series');
+const Session = require('../models/Session');
+const ImportJob = require('../models/ImportJob');
+const sitemapService = require('../services/sitemapService');
+const auditLog = require('../services/auditLog');
+const viewAnalytics = require('../services/viewAnalytics');
+const blogImport = require('../services/blogImport');
+const siteBackup = require('../services/siteBackup');
+const mediaLibrary = require('../services/mediaLibrary');
+const { parseExport } = require('../services/blogImportSources');
+const {
+  migrationUpload,
+  handleMigrationUploadError,
+  backupUpload,
+  handleBackupUploadError
+} = require('../middleware/upload');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../services/permissions');
 
 const router = express.Router();
 
 // Apply authentication and super admin requirement to all routes
 router.use(authenticateToken);
-router.use(requireSuperAdmin);
+router.use(requirePermission('system:manage'));
 
 // @route   GET /api/superadmin/system-metrics
 // @desc    Get comprehensive system metrics (super admin only)
@@ -240,7 +261,7 @@ router.get('/users/all',
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-    query('role').optional().isIn(['member', 'admin', 'super_admin', 'all']).withMessage('Invalid role filter'),
+    query('role').optional().isIn([...ROLES, 'all']).withMessage('Invalid role filter'),
     query('status').optional().isIn(['active', 'inactive', 'all']).withMessage('Invalid status filter')
   ],
   async (req, res) => {
@@ -316,14 +337,31 @@ router.delete('/users/:userId', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Delete all user's posts and comments
-    await Promise.all([
+    // Delete all user's posts, comments and series
+    const postIds = await Post.find({ author: userId }).distinct('_id');
+    const seriesIds = await Series.find({ author: userId }).distinct('_id');
+    await Series.removePosts(postIds);
+    await Series.deleteMany({ author: userId });
+    const [deletedPosts, deletedComments] = await Promise.all([
       Post.deleteMany({ author: userId }),
       Comment.deleteMany({ author: userId })
     ]);
+    sitemapService.invalidate();
 
-    // Delete the user
+    // Delete the user and sign them out everywhere
     await User.findByIdAndDelete(userId);
+    await Session.deleteMany({ user: userId });
+    await Promise.all([
+      mediaLibrary.releaseUsage('post', postIds),
+      mediaLibrary.releaseUsage('series', seriesIds),
+      mediaLibrary.releaseUsage('user', userToDelete._id)
+    ]);
+
+    await auditLog.recordUserChange(req, userToDelete, {
+      action: 'user.delete',
+      before: { role: userToDelete.role, isActive: userToDelete.isActive },
+      details: { deletedPosts: deletedPosts.deletedCount, deletedComments: deletedComments.deletedCount }
+    });
 
     res.json({
       message: `User ${userToDelete.name} (${userToDelete.email}) has been permanently deleted along with all their content`,
@@ -351,7 +389,7 @@ router.delete('/users/:userId', async (req, res) => {
 // @access  Private (Super Admin only)
 router.put('/users/:userId/role',
   [
-    body('role').isIn(['member', 'admin', 'super_admin']).withMessage('Invalid role')
+    body('role').isIn(ROLES).withMessage('Invalid role')
   ],
   async (req, res) => {
     try {
@@ -373,16 +411,22 @@ router.put('/users/:userId/role',
         });
       }
 
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { role },
-        { new: true }
-      ).select('-password');
+      const user = await User.findById(userId).select('-password');
 
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
 
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+
+      await auditLog.recordUserChange(req, user, {
+        action: 'user.role_change',
+        before: { role: previousRole },
+        after: { role }
+      });
+
       res.json({
         message: `User role updated to ${role}`,
         user
@@ -403,48 +447,83 @@ router.put('/users/:userId/role',
 // @route   DELETE /api/superadmin/posts/:postId
 // @desc    Delete any post (including admin posts)
 // @access  Private (Super Admin only)
-router.delete('/posts/:postId', async (req, res) => {
-  try {
-    const { postId } = req.params;
+router.delete('/posts/:postId',
+  [
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-    const post = await Post.findById(postId).populate('author', 'name email');
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
+      const { postId } = req.params;
 
-    // Delete all comments associated with this post
-    await Comment.deleteMany({ post: postId });
+      const post = await Post.findById(postId).populate('author', 'name email');
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
 
-    // Delete the post
-    await Post.findByIdAndDelete(postId);
+      // Delete all comments associated with this post, and any likes on the post or its comments
+      const commentIds = await Comment.find({ post: postId }).distinct('_id');
+      await Comment.deleteMany({ post: postId });
+      await Like.deleteMany({
+        $or: [
+          { targetType: 'Post', target: postId },
+          { targetType: 'Comment', target: { $in: commentIds } }
+        ]
+      });
 
-    res.json({
-      message: `Post "${post.title}" has been permanently deleted along with all its comments`,
-      deletedPost: {
-        id: post._id,
-        title: post.title,
-        author: post.author.name,
-        authorEmail: post.author.email
+      const before = await auditLog.postState(post);
+
+      // Delete the post, its revision history and its review notes, and take it out of its series
+      await Post.findByIdAndDelete(postId);
+      await PostRevision.deleteMany({ post: postId });
+      await ReviewNote.deleteMany({ post: postId });
+      await Series.removePosts([postId]);
+      await mediaLibrary.releaseUsage('post', post._id);
+      sitemapService.invalidate();
+
+      await auditLog.recordPostChange(req, {
+        post,
+        action: 'post.delete',
+        before,
+        reason: req.body.reason
+      });
+
+      res.json({
+        message: `Post "${post.title}" has been permanently deleted along with all its comments`,
+        deletedPost: {
+          id: post._id,
+          title: post.title,
+          author: post.author.name,
+          authorEmail: post.author.email
+        }
+      });
+    } catch (error) {
+      console.error('Delete post error:', error);
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Invalid post ID' });
       }
-    });
-  } catch (error) {
-    console.error('Delete post error:', error);
-    if (error.name === 'CastError') {
-      return res.status(404).json({ message: 'Invalid post ID' });
+      res.status(500).json({
+        message: 'Failed to delete post',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
     }
-    res.status(500).json({
-      message: 'Failed to delete post',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
   }
-});
+);
 
 // @route   GET /api/superadmin/analytics/trends
 // @desc    Get analytics trends over time (super admin only)
 // @access  Private (Super Admin only)
 router.get('/analytics/trends', 
   [
-    query('period').optional().isIn(['7', '30', '90', '365']).withMessage('Period must be 7, 30, 90, or 365 days')
+    query('period').optional().isIn(['7', '30', '90', '365']).withMessage('Period must be 7, 30, 90, or 365 days'),
+    query('interval').optional().isIn(['hour', 'day']).withMessage('Interval must be hour or day')
   ],
   async (req, res) => {
     try {
@@ -506,13 +585,18 @@ router.get('/analytics/trends',
                 $cond: [{ $eq: ['$status', 'published'] }, 1, 0]
               }
             },
-            totalViews: { $sum: '$viewCount' },
             totalLikes: { $sum: '$likeCount' }
           }
         },
         { $sort: { '_id': 1 } }
       ]);
 
+      // Views when they happened, rather than posts' lifetime totals by creation date
+      const views = await viewAnalytics.report({
+        from: startDate,
+        interval: req.query.interval || 'day'
+      });
+
       // Comments over time
       const commentsOverTime = await Comment.aggregate([
         {
@@ -541,8 +625,12 @@ router.get('/analytics/trends',
         trends: {
           users: usersOverTime,
           posts: postsOverTime,
-          comments: commentsOverTime
-        }
+          comments: commentsOverTime,
+          views: views.overTime
+        },
+        referrers: views.referrers,
+        totalViews: views.totals.views,
+        uniqueVisitors: views.totals.uniqueVisitors
       });
     } catch (error) {
       console.error('Analytics trends error:', error);
@@ -830,14 +918,16 @@ router.get('/analytics/user-engagement', async (req, res) => {
 });
 
 // @route   POST /api/superadmin/system/cleanup
-// @desc    Cleanup orphaned data and optimize system
+// @desc    Cleanup orphaned data and unreferenced uploads, and optimize system
 // @access  Private (Super Admin only)
 router.post('/system/cleanup', async (req, res) => {
   try {
     const results = {
       orphanedComments: 0,
       inactiveUsers: 0,
-      emptyTags: 0
+      emptyTags: 0,
+      orphanedFiles: 0,
+      orphanedMedia: 0
     };
 
     // Remove comments for deleted posts
@@ -867,6 +957,16 @@ router.post('/system/cleanup', async (req, res) => {
       await Tag.deleteMany({ _id: { $in: tagsToDelete } });
     }
 
+    // Remove uploaded files nothing links to any more
+    Object.assign(results, await mediaLibrary.removeOrphans());
+
+    await auditLog.record(req, {
+      action: 'system.cleanup',
+      targetType: 'System',
+      targetLabel: 'System cleanup',
+      details: results
+    });
+
     res.json({
       message: 'System cleanup completed successfully',
       results
@@ -880,4 +980,242 @@ router.post('/system/cleanup', async (req, res) => {
   }
 });
 
+// @route   POST /api/superadmin/imports
+// @desc    Import a WordPress (WXR .xml) or Ghost (.json) export in the background. With
+//          `dryRun` nothing is written and the job reports what would happen.
+// @access  Private (Super Admin only)
+router.post('/imports',
+  migrationUpload.single('file'),
+  handleMigrationUploadError,
+  [
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+    body('imageBaseUrl')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Image base URL cannot exceed 500 characters')
+      .matches(/^(\/|https?:\/\/)/)
+      .withMessage('Image base URL must be a path starting with / or an http(s) URL'),
+    body('siteUrl')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isURL({ require_protocol: true })
+      .withMessage('Site URL must be a full URL')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'No export file uploaded' });
+      }
+
+      if (await blogImport.isRunning()) {
+        return res.status(409).json({ message: 'Another import is still running' });
+      }
+
+      let data;
+      try {
+        data = parseExport(req.file.buffer, req.file.originalname, { siteUrl: req.body.siteUrl });
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+      const job = await blogImport.createJob(data, req.user, {
+        dryRun,
+        imageBaseUrl: req.body.imageBaseUrl,
+        filename: req.file.originalname
+      });
+
+      if (!dryRun) {
+        await auditLog.record(req, {
+          action: 'system.import',
+          targetType: 'System',
+          targetLabel: `Import of ${req.file.originalname}`,
+          details: { source: data.source, siteUrl: data.siteUrl, posts: data.posts.length, job: job._id }
+        });
+      }
+
+      blogImport.startJob(job, data);
+
+      res.status(202).json({
+        message: dryRun ? 'Dry run started' : 'Import started',
+        job
+      });
+    } catch (error) {
+      console.error('Start import error:', error);
+      res.status(500).json({
+        message: 'Failed to start import',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/superadmin/imports
+// @desc    Recent import jobs, newest first, without their issue lists
+// @access  Private (Super Admin only)
+router.get('/imports', async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .select('-issues')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch imports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/superadmin/imports/:id
+// @desc    An import job with its progress, counts and issues; poll it while the job runs
+// @access  Private (Super Admin only)
+router.get('/imports/:id', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Get import error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    res.status(500).json({
+      message: 'Failed to fetch import',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/superadmin/backup
+// @desc    Download a zip of users, posts, comments, tags, subscribers and uploads.
+//          Password hashes are only included with `includePasswords=true`.
+// @access  Private (Super Admin only)
+router.get('/backup',
+  [
+    query('includePasswords').optional().isBoolean().withMessage('includePasswords must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const includePasswords = req.query.includePasswords === 'true';
+
+      await auditLog.record(req, {
+        action: 'system.backup',
+        targetType: 'System',
+        targetLabel: 'Site backup',
+        details: { includePasswords, schemaVersion: siteBackup.BACKUP_SCHEMA_VERSION }
+      });
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="thisblog-backup-${new Date().toISOString().slice(0, 10)}.zip"`
+      });
+      await siteBackup.writeBackup(res, { includePasswords });
+    } catch (error) {
+      console.error('Backup error:', error);
+      // Once the archive has started streaming the only way to signal failure is to cut it off
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        message: 'Failed to create backup',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/superadmin/restore
+// @desc    Restore a backup sent as `file`. `mode=merge` keeps what is already here and
+//          reports it as conflicts; `mode=replace` empties each collection first.
+// @access  Private (Super Admin only)
+router.post('/restore',
+  backupUpload.single('file'),
+  handleBackupUploadError,
+  [
+    body('mode').isIn(siteBackup.RESTORE_MODES).withMessage(`Mode must be one of: ${siteBackup.RESTORE_MODES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'No backup file uploaded' });
+      }
+
+      let backup;
+      try {
+        backup = siteBackup.readBackup(req.file.path);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const report = await siteBackup.restoreBackup(backup, { mode: req.body.mode, actor: req.user });
+      sitemapService.invalidate();
+
+      await auditLog.record(req, {
+        action: 'system.restore',
+        targetType: 'System',
+        targetLabel: `Restore of ${req.file.originalname}`,
+        details: {
+          mode: report.mode,
+          backupCreatedAt: backup.manifest.createdAt,
+          conflicts: Object.values(report.counts).reduce((sum, counts) => sum + counts.conflicts, 0)
+        }
+      });
+
+      res.json({
+        message: 'Backup restored',
+        manifest: backup.manifest,
+        report
+      });
+    } catch (error) {
+      console.error('Restore error:', error);
+      res.status(500).json({
+        message: 'Failed to restore backup',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    } finally {
+      // The uploaded archive is a temporary file, not something in storage
+      if (req.file) {
+        fs.promises.rm(req.file.path, { force: true }).catch(error => console.error('Error deleting backup upload:', error));
+      }
+    }
+  }
+);
+
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { upload, handleUploadError } = require('../middleware/upload');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -19,12 +19,14 @@ router.post('/profile',
         });
       }
 
-      const profileImageUrl = `/uploads/profiles/${req.file.filename}`;
+      const profileImageUrl = req.file.url;
       
       res.json({
         message: 'Profile image uploaded successfully',
         imageUrl: profileImageUrl,
-        filename: req.file.filename
+        variants: req.file.variants,
+        filename: req.file.filename,
+        media: req.file.media
       });
     } catch (error) {
       console.error('Profile upload error:', error);
@@ -38,9 +40,10 @@ router.post('/profile',
 
 // @route   POST /api/upload/post-cover
 // @desc    Upload post cover image
-// @access  Private (Admin only for now, but can be adjusted)
+// @access  Private (post:create)
 router.post('/post-cover',
   authenticateToken,
+  requirePermission('post:create'),
   upload.single('coverImage'),
   handleUploadError,
   (req, res) => {
@@ -51,12 +54,14 @@ router.post('/post-cover',
         });
       }
 
-      const coverImageUrl = `/uploads/posts/${req.file.filename}`;
+      const coverImageUrl = req.file.url;
       
       res.json({
         message: 'Cover image uploaded successfully',
         imageUrl: coverImageUrl,
-        filename: req.file.filename
+        variants: req.file.variants,
+        filename: req.file.filename,
+        media: req.file.media
       });
     } catch (error) {
       console.error('Cover upload error:', error);
@@ -69,10 +74,11 @@ router.post('/post-cover',
 );
 
 // @route   POST /api/upload/multiple
-// @desc    Upload multiple images
-// @access  Private
+// @desc    Upload multiple images into the user's media library
+// @access  Private (post:create)
 router.post('/multiple',
   authenticateToken,
+  requirePermission('post:create'),
   upload.array('images', 5), // Max 5 images
   handleUploadError,
   (req, res) => {
@@ -86,8 +92,11 @@ router.post('/multiple',
       const uploadedFiles = req.files.map(file => ({
         filename: file.filename,
         originalName: file.originalname,
-        url: `/uploads/misc/${file.filename}`,
-        size: file.size
+        url: file.url,
+        size: file.size,
+        width: file.width,
+        height: file.height,
+        media: file.media
       }));
       
       res.json({
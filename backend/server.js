@@ -8,12 +8,21 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
+const seriesRoutes = require('./routes/series');
 const commentRoutes = require('./routes/comments');
 const adminRoutes = require('./routes/admin');
 const superAdminRoutes = require('./routes/superadmin');
 const dashboardRoutes = require('./routes/dashboard');
 const uploadRoutes = require('./routes/upload');
+const mediaRoutes = require('./routes/media');
 const newsletterRoutes = require('./routes/newsletter');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
+const publishScheduler = require('./services/publishScheduler');
+const campaignSender = require('./services/campaignSender');
+const blogImport = require('./services/blogImport');
+const storage = require('./services/storage');
+const mailer = require('./services/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -59,19 +68,25 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// Uploaded files, from disk or the configured storage bucket
+app.use('/uploads', storage.serveUploads());
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/series', seriesRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/superadmin', superAdminRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/media', mediaRoutes);
 app.use('/api/newsletter', newsletterRoutes);
 
+// RSS / Atom feeds, sitemaps and robots.txt
+app.use('/', feedRoutes);
+app.use('/', seoRoutes);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'OK', message: 'Server is running' });
@@ -98,9 +113,31 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/thisblog'
 })
 .then(() => {
   console.log('Connected to MongoDB');
+
+  // Check the storage settings now rather than on the first upload
+  try {
+    console.log(`Storing uploads with the ${storage.getDriver().name} driver`);
+  } catch (error) {
+    console.error('Storage configuration error:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    console.log(`Sending mail with the ${mailer.transportName} transport`);
+  } catch (error) {
+    console.error('Mail configuration error:', error.message);
+    process.exit(1);
+  }
+
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
   });
+
+  // Publish scheduled posts and send queued newsletters in the background
+  publishScheduler.start();
+  campaignSender.start();
+
+  blogImport.failInterrupted().catch(error => console.error('Failed to mark interrupted imports:', error));
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -0,0 +1,131 @@
+const mailer = require('./mailer');
+const { SITE_TITLE, escapeXml } = require('./feedService');
+
+// Links in account emails point at the frontend, which calls the API with the token
+const clientUrl = (pathname, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return token ? `${base}${pathname}?token=${encodeURIComponent(token)}` : `${base}${pathname}`;
+};
+
+const formatDuration = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minutes`;
+};
+
+const renderEmail = ({ name, intro, action, url, outro }) => ({
+  text: [
+    `Hi ${name},`,
+    '',
+    intro,
+    '',
+    `${action}: ${url}`,
+    '',
+    outro,
+    '',
+    `- ${SITE_TITLE}`
+  ].join('\n'),
+  html: [
+    `<p>Hi ${escapeXml(name)},</p>`,
+    `<p>${escapeXml(intro)}</p>`,
+    `<p><a href="${escapeXml(url)}">${escapeXml(action)}</a></p>`,
+    `<p>${escapeXml(outro)}</p>`,
+    `<p>&mdash; ${escapeXml(SITE_TITLE)}</p>`
+  ].join('\n')
+});
+
+const sendPasswordResetEmail = (user, token) => {
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60;
+
+  return mailer.send({
+    to: user.email,
+    subject: `Reset your ${SITE_TITLE} password`,
+    ...renderEmail({
+      name: user.name,
+      intro: 'We received a request to reset the password for your account.',
+      action: 'Choose a new password',
+      url: clientUrl('/reset-password', token),
+      outro: `This link expires in ${formatDuration(ttlMinutes)} and can only be used once. If you did not request a reset, you can ignore this email.`
+    })
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 48;
+
+  return mailer.send({
+    to: user.email,
+    subject: `Confirm your email for ${SITE_TITLE}`,
+    ...renderEmail({
+      name: user.name,
+      intro: `Please confirm that ${user.email} is your email address.`,
+      action: 'Verify email address',
+      url: clientUrl('/verify-email', token),
+      outro: `This link expires in ${formatDuration(ttlHours * 60)}. If you did not create an account, you can ignore this email.`
+    })
+  });
+};
+
+const POST_CHANGES = {
+  'post.update': 'edited',
+  'post.unpublish': 'unpublished',
+  'post.restore': 'restored an earlier version of',
+  'post.delete': 'deleted',
+  'post.cover_fill': 'added a cover image to',
+  'post.cover_fill_undo': 'took the added cover image off'
+};
+
+// Tell an author that someone else changed one of their posts
+const sendPostChangedEmail = (author, { post, editor, action, reason }) => {
+  const deleted = action === 'post.delete';
+  const intro = `${editor.name} ${POST_CHANGES[action] || 'changed'} your post "${post.title}".`;
+
+  return mailer.send({
+    to: author.email,
+    subject: `Your post "${post.title}" was ${deleted ? 'deleted' : 'changed'}`,
+    ...renderEmail({
+      name: author.name,
+      intro: reason ? `${intro} Reason given: ${reason}` : intro,
+      action: deleted ? 'View your posts' : 'Review the changes',
+      url: clientUrl(deleted ? '/admin/posts' : `/admin/posts/${post._id}/edit`),
+      outro: deleted
+        ? 'If you think this was a mistake, please contact the editors.'
+        : 'The change history on the post shows who changed what; earlier versions can be restored from its revision history.'
+    })
+  });
+};
+
+// Tell an author that a reviewer approved their post or asked for changes
+const sendReviewDecisionEmail = (author, { post, reviewer, decision, note }) => {
+  const approved = decision === 'approve';
+  const intro = approved
+    ? `${reviewer.name} approved your post "${post.title}". You can now publish or schedule it.`
+    : `${reviewer.name} asked for changes to your post "${post.title}".`;
+
+  return mailer.send({
+    to: author.email,
+    subject: approved ? `Your post "${post.title}" was approved` : `Changes requested on "${post.title}"`,
+    ...renderEmail({
+      name: author.name,
+      intro: note ? `${intro} Their note: ${note}` : intro,
+      action: approved ? 'Open your post' : 'See the review notes',
+      url: clientUrl(`/admin/posts/${post._id}/edit`),
+      outro: approved
+        ? 'Changing the title, excerpt or content before publishing will send the post back for review.'
+        : 'Once you have made the changes, submit the post for review again.'
+    })
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendPostChangedEmail,
+  sendReviewDecisionEmail
+};
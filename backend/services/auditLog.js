@@ -0,0 +1,160 @@
+const AuditLog = require('../models/AuditLog');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const diffService = require('./diffService');
+const { sendPostChangedEmail } = require('./accountEmails');
+
+// Post fields shown in the audit log; content changes are summarised as line counts instead
+const POST_FIELDS = ['title', 'excerpt', 'coverImage', 'tags', 'status', 'seoTitle', 'seoDescription', 'featured'];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The fields that differ between two versions of something, as { before, after }
+// objects holding only those fields
+const changedFields = (before, after, fields = Object.keys({ ...before, ...after })) =>
+  fields.reduce((changes, field) => {
+    if (!sameValue(before[field], after[field])) {
+      changes.before[field] = before[field] === undefined ? null : before[field];
+      changes.after[field] = after[field] === undefined ? null : after[field];
+    }
+    return changes;
+  }, { before: {}, after: {} });
+
+// Append an entry for something the current user did, with where the request came from
+const record = (req, entry) => AuditLog.create({
+  actor: req.user._id,
+  ip: req.ip || '',
+  userAgent: req.get('user-agent') || '',
+  ...entry
+});
+
+// Record a change to a user account, keeping the target's name and email in the label
+const recordUserChange = (req, user, entry) => record(req, {
+  targetType: 'User',
+  target: user._id,
+  targetLabel: `${user.name} <${user.email}>`,
+  ...entry
+});
+
+// Mongo filter for the audit log viewer. `action` matches exactly, or a whole
+// namespace when it ends in a dot ("user." finds every user action).
+const buildFilter = ({ actor, action, targetType, target, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (action) {
+    filter.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (targetType) filter.targetType = targetType;
+  if (target) filter.target = target;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+};
+
+const CSV_COLUMNS = ['createdAt', 'actorName', 'actorEmail', 'action', 'targetType', 'target', 'targetLabel', 'before', 'after', 'details', 'reason', 'ip', 'userAgent'];
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const jsonCell = (value) => (value && Object.keys(value).length > 0 ? JSON.stringify(value) : '');
+
+// CSV export of audit log entries with their actors populated
+const toCsv = (entries) => {
+  const rows = entries.map(entry => [
+    entry.createdAt instanceof Date ? entry.createdAt.toISOString() : entry.createdAt,
+    entry.actor ? entry.actor.name : '',
+    entry.actor ? entry.actor.email : '',
+    entry.action,
+    entry.targetType,
+    entry.target ? String(entry.target) : '',
+    entry.targetLabel,
+    jsonCell(entry.before),
+    jsonCell(entry.after),
+    jsonCell(entry.details),
+    entry.reason,
+    entry.ip,
+    entry.userAgent
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Audited fields of a post, with tag names rather than ids
+const postState = async (post) => {
+  const tags = await Tag.find({ _id: { $in: post.tags || [] } }).select('name').lean();
+  const state = { content: post.content || '', tags: tags.map(tag => tag.name).sort() };
+  POST_FIELDS.filter(field => field !== 'tags').forEach(field => {
+    state[field] = post[field] === undefined ? null : post[field];
+  });
+  return state;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const isAuthor = (user, post) => idOf(post.author).toString() === user._id.toString();
+
+// Record a change someone made to another author's post and let the author know.
+// Authors changing their own posts are not audited; the revision history covers that.
+const recordPostChange = async (req, { post, action, before, after = {}, reason, details = {} }) => {
+  if (isAuthor(req.user, post)) {
+    return null;
+  }
+
+  const changes = changedFields(before, after, POST_FIELDS);
+  const contentBefore = before.content || '';
+  const contentAfter = after.content || '';
+  if (contentBefore !== contentAfter) {
+    details = { ...details, contentLines: diffService.summarize(diffService.diffLines(contentBefore, contentAfter)) };
+  }
+
+  if (action !== 'post.delete' && Object.keys(changes.after).length === 0 && !details.contentLines) {
+    return null;
+  }
+
+  const entry = await record(req, {
+    action,
+    targetType: 'Post',
+    target: post._id,
+    targetLabel: before.title || post.title,
+    owner: idOf(post.author),
+    ...changes,
+    details,
+    reason
+  });
+
+  // The change is saved either way; a mail failure should not undo it
+  try {
+    const author = await User.findById(idOf(post.author)).select('name email');
+    if (author) {
+      await sendPostChangedEmail(author, { post, editor: req.user, action, reason });
+    }
+  } catch (error) {
+    console.error('Post change email error:', error);
+  }
+
+  return entry;
+};
+
+module.exports = {
+  changedFields,
+  record,
+  recordUserChange,
+  buildFilter,
+  toCsv,
+  postState,
+  recordPostChange
+};
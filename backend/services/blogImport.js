@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const ImportJob = require('../models/ImportJob');
+const ImportRecord = require('../models/ImportRecord');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const Comment = require('../models/Comment');
+const sitemapService = require('./sitemapService');
+const relatedPosts = require('./relatedPosts');
+const { htmlToMarkdown, rewriteImageUrls, threadOrder } = require('./blogImportSources');
+
+const DEFAULT_IMAGE_BASE_URL = '/uploads/imported';
+const MAX_ISSUES = 200;
+// Save progress after this many posts so the super admin can follow along
+const PROGRESS_INTERVAL = 10;
+
+const truncate = (text, max) => (text && text.length > max ? text.slice(0, max) : text || '');
+
+// One run of an import job over a parsed export (see services/blogImportSources).
+// Posts and comments already imported from the same blog are skipped through
+// ImportRecord; users are matched by email and tags by name. A dry run makes the
+// same decisions but only validates the documents it would create.
+class ImportRun {
+  constructor(job, data) {
+    this.job = job;
+    this.data = data;
+    this.dryRun = job.dryRun;
+    this.sourceKey = `${data.source}:${data.siteUrl}`;
+    this.imageBaseUrl = job.imageBaseUrl || DEFAULT_IMAGE_BASE_URL;
+    this.users = new Map();
+    this.tags = new Map();
+  }
+
+  issue(item, message) {
+    if (this.job.issues.length < MAX_ISSUES) {
+      this.job.issues.push({ item, message });
+    }
+  }
+
+  rewriteImages(text) {
+    const result = rewriteImageUrls(text, this.data.imagePrefixes, this.imageBaseUrl);
+    this.job.imagesRewritten += result.count;
+    return result.text;
+  }
+
+  findRecord(kind, externalId) {
+    return ImportRecord.findOne({ source: this.sourceKey, kind, externalId }).lean();
+  }
+
+  addRecord(kind, externalId, document) {
+    return ImportRecord.create({ source: this.sourceKey, kind, externalId, document, job: this.job._id });
+  }
+
+  // The user with this email, created with a random password if there is none.
+  // Resolves to their ID, or null when there is no usable email address.
+  async user({ name, email }, role, item) {
+    const address = (email || '').trim().toLowerCase();
+    if (!address) {
+      return null;
+    }
+    if (this.users.has(address)) {
+      return this.users.get(address);
+    }
+
+    let userId = null;
+    const existing = await User.findOne({ email: address }).select('_id role').lean();
+    if (existing) {
+      this.job.counts.users.existing++;
+      if (role === 'author' && existing.role === 'member') {
+        this.issue(address, 'Existing member now has imported posts; give them the author role so they can edit them');
+      }
+      userId = existing._id;
+    } else {
+      // Imported users sign in by resetting their password
+      const user = new User({
+        name: truncate((name || address.split('@')[0]).trim(), 50),
+        email: address,
+        password: crypto.randomBytes(24).toString('hex'),
+        role
+      });
+      try {
+        await (this.dryRun ? user.validate() : user.save());
+        this.job.counts.users.created++;
+        userId = user._id;
+      } catch (error) {
+        this.job.counts.users.skipped++;
+        this.issue(item, `Could not create user ${address}: ${error.message}`);
+      }
+    }
+
+    this.users.set(address, userId);
+    return userId;
+  }
+
+  async tag(rawName, item) {
+    const name = truncate(rawName.trim().toLowerCase(), 30);
+    if (this.tags.has(name)) {
+      return this.tags.get(name);
+    }
+
+    let tagId = null;
+    const existing = await Tag.findOne({ name }).select('_id').lean();
+    if (existing) {
+      this.job.counts.tags.existing++;
+      tagId = existing._id;
+    } else {
+      const tag = new Tag({ name });
+      try {
+        await (this.dryRun ? tag.validate() : tag.save());
+        this.job.counts.tags.created++;
+        tagId = tag._id;
+      } catch (error) {
+        this.job.counts.tags.skipped++;
+        this.issue(item, `Could not create tag "${name}": ${error.message}`);
+      }
+    }
+
+    this.tags.set(name, tagId);
+    return tagId;
+  }
+
+  async importPost(item) {
+    const label = `Post "${item.title || item.id}"`;
+    const counts = this.job.counts.posts;
+
+    const record = await this.findRecord('post', item.id);
+    if (record) {
+      counts.existing++;
+      await this.importComments(item, record.document, label);
+      return;
+    }
+
+    const content = this.rewriteImages(htmlToMarkdown(item.html));
+    if (!item.title || !content) {
+      counts.skipped++;
+      this.issue(label, item.title ? 'Post has no content' : 'Post has no title');
+      return;
+    }
+    if (item.title.length > 200) {
+      this.issue(label, 'Title shortened to 200 characters');
+    }
+
+    let author = await this.user(item.author, 'author', label);
+    if (!author) {
+      this.issue(label, `Author ${item.author.name || 'unknown'} has no usable email address; the post is yours`);
+      author = this.job.createdBy;
+    }
+
+    const tagIds = [];
+    for (const name of item.tags) {
+      const tagId = await this.tag(name, label);
+      if (tagId && !tagIds.some(id => id.equals(tagId))) {
+        tagIds.push(tagId);
+      }
+    }
+
+    // Scheduled posts whose date has passed would have gone live already
+    let status = item.status;
+    if (status === 'scheduled' && !(item.publishedAt > new Date())) {
+      status = 'published';
+    }
+
+    const post = new Post({
+      title: truncate(item.title, 200),
+      content,
+      excerpt: truncate(item.excerpt, 500),
+      coverImage: this.rewriteImages(item.coverImage),
+      author,
+      tags: tagIds,
+      status,
+      publishedAt: status === 'published' ? item.publishedAt || item.createdAt : null,
+      publishAt: status === 'scheduled' ? item.publishedAt : null,
+      seoTitle: truncate(item.seoTitle, 60),
+      seoDescription: truncate(item.seoDescription, 160),
+      featured: item.featured,
+      submittedAt: status === 'in_review' ? new Date() : null,
+      createdAt: item.createdAt || undefined
+    });
+
+    try {
+      if (this.dryRun) {
+        await post.validate();
+      } else {
+        await post.save();
+        await this.addRecord('post', item.id, post._id);
+        if (Post.countsTowardTags(post.status)) {
+          await Tag.updateMany({ _id: { $in: tagIds } }, { $inc: { postCount: 1 } });
+        }
+        if (post.status === 'published') {
+          await relatedPosts.refresh(post);
+        }
+      }
+    } catch (error) {
+      counts.skipped++;
+      this.issue(label, error.message);
+      return;
+    }
+
+    counts.created++;
+    await this.importComments(item, post._id, label);
+  }
+
+  async importComments(item, postId, label) {
+    const counts = this.job.counts.comments;
+    // Export comment ID -> comment ID here, for threading replies
+    const imported = new Map();
+
+    for (const comment of threadOrder(item.comments)) {
+      const commentLabel = `Comment ${comment.id} on ${label}`;
+
+      const record = await this.findRecord('comment', comment.id);
+      if (record) {
+        counts.existing++;
+        imported.set(comment.id, record.document);
+        continue;
+      }
+
+      const content = this.rewriteImages(htmlToMarkdown(comment.html));
+      if (!content) {
+        counts.skipped++;
+        this.issue(commentLabel, 'Comment is empty');
+        continue;
+      }
+
+      const author = await this.user(comment, 'member', commentLabel);
+      if (!author) {
+        counts.skipped++;
+        this.issue(commentLabel, `${comment.name || 'Anonymous'} left no email address`);
+        continue;
+      }
+
+      let parentComment = null;
+      if (comment.parentId) {
+        parentComment = imported.get(comment.parentId) || null;
+        if (!parentComment) {
+          this.issue(commentLabel, 'The comment it replied to was not imported; added as a top-level comment');
+        }
+      }
+      if (content.length > 1000) {
+        this.issue(commentLabel, 'Shortened to 1000 characters');
+      }
+
+      const doc = new Comment({
+        content: truncate(content, 1000),
+        author,
+        post: postId,
+        parentComment,
+        isApproved: comment.approved,
+        createdAt: comment.createdAt || undefined
+      });
+
+      try {
+        if (this.dryRun) {
+          await doc.validate();
+        } else {
+          await doc.save();
+          await this.addRecord('comment', comment.id, doc._id);
+          if (parentComment) {
+            await Comment.updateOne({ _id: parentComment }, { $push: { replies: doc._id } });
+          }
+        }
+      } catch (error) {
+        counts.skipped++;
+        this.issue(commentLabel, error.message);
+        continue;
+      }
+
+      counts.created++;
+      imported.set(comment.id, doc._id);
+    }
+  }
+
+  async run() {
+    const { job } = this;
+    job.status = 'running';
+    job.startedAt = new Date();
+    job.progress.total = this.data.posts.length;
+    await job.save();
+
+    try {
+      for (const [index, item] of this.data.posts.entries()) {
+        await this.importPost(item);
+        job.progress.processed = index + 1;
+        if (job.progress.processed % PROGRESS_INTERVAL === 0) {
+          await job.save();
+        }
+      }
+      job.status = 'completed';
+    } catch (error) {
+      console.error('Blog import error:', error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+
+    if (!job.dryRun && job.counts.posts.created > 0) {
+      sitemapService.invalidate();
+    }
+    return job;
+  }
+}
+
+// Create a job for a parsed export. `options` are { dryRun, imageBaseUrl, filename }.
+const createJob = (data, user, options = {}) => ImportJob.create({
+  source: data.source,
+  siteUrl: data.siteUrl,
+  filename: options.filename || '',
+  dryRun: Boolean(options.dryRun),
+  imageBaseUrl: options.imageBaseUrl || DEFAULT_IMAGE_BASE_URL,
+  createdBy: user._id,
+  progress: { total: data.posts.length, processed: 0 }
+});
+
+// Run a job to completion; resolves to the finished job
+const runJob = (job, data) => new ImportRun(job, data).run();
+
+// Run a job in the background, after the request that created it has been answered
+const startJob = (job, data) => {
+  setImmediate(() => {
+    runJob(job, data).catch(error => console.error('Blog import error:', error));
+  });
+};
+
+// Whether an import is underway; only one runs at a time so re-runs cannot overlap
+const isRunning = () => ImportJob.exists({ status: { $in: ['queued', 'running'] } });
+
+// Jobs still marked as running when the server starts were cut off by a restart
+const failInterrupted = () => ImportJob.updateMany(
+  { status: { $in: ['queued', 'running'] } },
+  { $set: { status: 'failed', error: 'Interrupted by a server restart; run the import again to finish it', completedAt: new Date() } }
+);
+
+module.exports = {
+  DEFAULT_IMAGE_BASE_URL,
+  createJob,
+  runJob,
+  startJob,
+  isRunning,
+  failInterrupted
+};
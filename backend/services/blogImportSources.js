@@ -0,0 +1,329 @@
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const TurndownService = require('turndown');
+
+// Reads exports from other blogging platforms into one shape that services/blogImport
+// turns into documents:
+//
+//   { source, siteUrl, imagePrefixes, posts: [{ id, title, html, excerpt, status,
+//     publishedAt, createdAt, author: { name, email }, tags, coverImage, seoTitle,
+//     seoDescription, featured, comments: [{ id, parentId, name, email, html,
+//     approved, createdAt }] }] }
+//
+// Statuses are already mapped to this blog's; spam, trash and pingbacks are left out.
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  emDelimiter: '*'
+});
+
+const BLOCK_TAG = /^<\/?(p|div|h[1-6]|ul|ol|li|blockquote|pre|table|figure|hr|img|!--)/i;
+
+// WordPress stores most content without <p> tags and adds them when rendering
+const autop = (html) => html
+  .split(/\n\s*\n/)
+  .map(block => block.trim())
+  .filter(Boolean)
+  .map(block => (BLOCK_TAG.test(block) ? block : `<p>${block.replace(/\n/g, '<br>\n')}</p>`))
+  .join('\n');
+
+// Markdown for a post or comment body. Shortcodes are dropped, keeping what they wrap.
+const htmlToMarkdown = (html) => {
+  if (!html) {
+    return '';
+  }
+  const cleaned = String(html).replace(/\[\/?(caption|gallery|embed|audio|video)[^\]]*\]/g, '');
+  const source = /<p[\s>]/i.test(cleaned) ? cleaned : autop(cleaned);
+  return turndown.turndown(source).trim();
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Point URLs that start with one of `prefixes` at `baseUrl` instead. Only whole URLs
+// are matched: a prefix must start the text or follow a quote, bracket or space.
+// Returns { text, count }.
+const rewriteImageUrls = (text, prefixes, baseUrl) => {
+  if (!text || prefixes.length === 0) {
+    return { text: text || '', count: 0 };
+  }
+
+  const pattern = new RegExp(
+    `(^|["'(\\s])(${prefixes.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|')})/`,
+    'g'
+  );
+  let count = 0;
+  const rewritten = text.replace(pattern, (match, before) => {
+    count++;
+    return `${before}${baseUrl.replace(/\/+$/, '')}/`;
+  });
+  return { text: rewritten, count };
+};
+
+// Comments ordered so every parent comes before its replies. Replies whose parent is
+// missing keep their place at the end, so the importer can report them.
+const threadOrder = (comments) => {
+  const ids = new Set(comments.map(comment => comment.id));
+  const placed = new Set();
+  const ordered = [];
+  let remaining = comments;
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(comment =>
+      !comment.parentId || placed.has(comment.parentId) || !ids.has(comment.parentId)
+    );
+    if (ready.length === 0) {
+      // A reply loop; nothing left can be placed under its parent
+      return ordered.concat(remaining);
+    }
+    ready.forEach(comment => {
+      placed.add(comment.id);
+      ordered.push(comment);
+    });
+    remaining = remaining.filter(comment => !placed.has(comment.id));
+  }
+
+  return ordered;
+};
+
+const asDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const stripTrailingSlash = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+// ---------------------------------------------------------------------------
+// WordPress (WXR)
+
+const WXR_LISTS = ['item', 'wp:author', 'category', 'wp:comment', 'wp:postmeta'];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  isArray: (name) => WXR_LISTS.includes(name)
+});
+
+// Text of an XML element, which the parser gives as an object when it has attributes
+const text = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '').trim();
+  return String(value).trim();
+};
+
+// WXR dates are "YYYY-MM-DD HH:MM:SS" in UTC; drafts have all zeros
+const wxrDate = (value) => {
+  const raw = text(value);
+  if (!raw || raw.startsWith('0000')) return null;
+  return asDate(`${raw.replace(' ', 'T')}Z`);
+};
+
+const WXR_STATUSES = {
+  publish: 'published',
+  future: 'scheduled',
+  pending: 'in_review',
+  draft: 'draft',
+  private: 'draft'
+};
+
+const WXR_SKIPPED_COMMENT_TYPES = ['pingback', 'trackback'];
+
+const parseWxr = (xml) => {
+  let document;
+  try {
+    document = xmlParser.parse(xml);
+  } catch (error) {
+    throw new Error(`Not a valid WordPress export: ${error.message}`);
+  }
+
+  const channel = document.rss && document.rss.channel;
+  if (!channel || !channel['wp:wxr_version']) {
+    throw new Error('Not a WordPress export (WXR) file');
+  }
+
+  const siteUrl = stripTrailingSlash(text(channel['wp:base_blog_url']) || text(channel.link));
+
+  const hosts = new Set(
+    [channel['wp:base_site_url'], channel['wp:base_blog_url'], channel.link]
+      .map(url => stripTrailingSlash(text(url)).replace(/^[a-z]+:\/\//i, ''))
+      .filter(Boolean)
+  );
+  const imagePrefixes = [...hosts].flatMap(host =>
+    ['http://', 'https://', '//'].map(scheme => `${scheme}${host}/wp-content/uploads`)
+  );
+
+  const authors = new Map((channel['wp:author'] || []).map(author => [
+    text(author['wp:author_login']),
+    { name: text(author['wp:author_display_name']) || text(author['wp:author_login']), email: text(author['wp:author_email']) }
+  ]));
+
+  const items = channel.item || [];
+  const attachments = new Map(items
+    .filter(item => text(item['wp:post_type']) === 'attachment')
+    .map(item => [text(item['wp:post_id']), text(item['wp:attachment_url'])]));
+
+  const posts = items
+    .filter(item => text(item['wp:post_type']) === 'post' && WXR_STATUSES[text(item['wp:status'])])
+    .map(item => {
+      const meta = new Map((item['wp:postmeta'] || []).map(entry => [text(entry['wp:meta_key']), text(entry['wp:meta_value'])]));
+      const login = text(item['dc:creator']);
+
+      return {
+        id: text(item['wp:post_id']),
+        title: text(item.title),
+        html: text(item['content:encoded']),
+        excerpt: htmlToMarkdown(text(item['excerpt:encoded'])),
+        status: WXR_STATUSES[text(item['wp:status'])],
+        publishedAt: wxrDate(item['wp:post_date_gmt']),
+        createdAt: wxrDate(item['wp:post_date_gmt']),
+        author: authors.get(login) || { name: login, email: '' },
+        // Categories become tags too, since this blog only has tags
+        tags: (item.category || [])
+          .filter(category => ['post_tag', 'category'].includes(category['@_domain']))
+          .map(category => text(category))
+          .filter(name => name && name.toLowerCase() !== 'uncategorized'),
+        coverImage: attachments.get(meta.get('_thumbnail_id')) || '',
+        seoTitle: meta.get('_yoast_wpseo_title') || '',
+        seoDescription: meta.get('_yoast_wpseo_metadesc') || '',
+        featured: text(item['wp:is_sticky']) === '1',
+        comments: (item['wp:comment'] || [])
+          .filter(comment =>
+            !WXR_SKIPPED_COMMENT_TYPES.includes(text(comment['wp:comment_type'])) &&
+            ['0', '1'].includes(text(comment['wp:comment_approved']))
+          )
+          .map(comment => ({
+            id: text(comment['wp:comment_id']),
+            parentId: ['', '0'].includes(text(comment['wp:comment_parent'])) ? null : text(comment['wp:comment_parent']),
+            name: text(comment['wp:comment_author']),
+            email: text(comment['wp:comment_author_email']),
+            html: text(comment['wp:comment_content']),
+            approved: text(comment['wp:comment_approved']) === '1',
+            createdAt: wxrDate(comment['wp:comment_date_gmt'])
+          }))
+      };
+    });
+
+  return { source: 'wordpress', siteUrl, imagePrefixes, posts };
+};
+
+// ---------------------------------------------------------------------------
+// Ghost (JSON export)
+
+const GHOST_STATUSES = {
+  published: 'published',
+  scheduled: 'scheduled',
+  draft: 'draft',
+  sent: 'published'
+};
+
+// Ghost writes its own address as __GHOST_URL__; `siteUrl` is where the blog lived
+const parseGhost = (json, { siteUrl = '' } = {}) => {
+  let document;
+  try {
+    document = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not a valid Ghost export: ${error.message}`);
+  }
+
+  const data = (document.db && document.db[0] && document.db[0].data) || document.data;
+  if (!data || !Array.isArray(data.posts)) {
+    throw new Error('Not a Ghost export file');
+  }
+
+  const site = stripTrailingSlash(siteUrl);
+  const withSiteUrl = (value) => (value ? String(value).replace(/__GHOST_URL__/g, site) : '');
+  const imagePrefixes = [`${site}/content/images`];
+  if (/^https?:\/\//i.test(site)) {
+    imagePrefixes.push(`//${site.replace(/^https?:\/\//i, '')}/content/images`);
+  }
+
+  const byId = (rows) => new Map((rows || []).map(row => [row.id, row]));
+  const users = byId(data.users);
+  const tags = byId(data.tags);
+  const members = byId(data.members);
+  const meta = new Map((data.posts_meta || []).map(row => [row.post_id, row]));
+
+  const related = (rows, key, value) => (rows || [])
+    .slice()
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+    .reduce((groups, row) => {
+      groups.set(row[key], [...(groups.get(row[key]) || []), row[value]]);
+      return groups;
+    }, new Map());
+  const postAuthors = related(data.posts_authors, 'post_id', 'author_id');
+  const postTags = related(data.posts_tags, 'post_id', 'tag_id');
+
+  const comments = (data.comments || []).reduce((groups, comment) => {
+    groups.set(comment.post_id, [...(groups.get(comment.post_id) || []), comment]);
+    return groups;
+  }, new Map());
+
+  const posts = data.posts
+    .filter(post => (post.type || 'post') === 'post' && GHOST_STATUSES[post.status])
+    .map(post => {
+      const author = users.get((postAuthors.get(post.id) || [])[0] || post.author_id) || {};
+      const seo = meta.get(post.id) || post;
+
+      return {
+        id: String(post.id),
+        title: String(post.title || '').trim(),
+        html: withSiteUrl(post.html || (post.plaintext ? post.plaintext.replace(/\n/g, '<br>') : '')),
+        excerpt: String(post.custom_excerpt || '').trim(),
+        status: GHOST_STATUSES[post.status],
+        publishedAt: asDate(post.published_at),
+        createdAt: asDate(post.created_at),
+        author: { name: author.name || '', email: author.email || '' },
+        // Internal tags (#name) only organise posts inside Ghost
+        tags: (postTags.get(post.id) || [])
+          .map(tagId => tags.get(tagId))
+          .filter(tag => tag && tag.visibility !== 'internal')
+          .map(tag => tag.name),
+        coverImage: withSiteUrl(post.feature_image),
+        seoTitle: seo.meta_title || '',
+        seoDescription: seo.meta_description || '',
+        featured: Boolean(post.featured),
+        comments: (comments.get(post.id) || [])
+          .filter(comment => comment.status !== 'deleted')
+          .map(comment => {
+            const member = members.get(comment.member_id) || {};
+            return {
+              id: String(comment.id),
+              parentId: comment.parent_id ? String(comment.parent_id) : null,
+              name: member.name || '',
+              email: member.email || '',
+              html: withSiteUrl(comment.html),
+              approved: comment.status !== 'hidden',
+              createdAt: asDate(comment.created_at)
+            };
+          })
+      };
+    });
+
+  return { source: 'ghost', siteUrl: site, imagePrefixes, posts };
+};
+
+// Parse an uploaded export by its extension: .xml for WordPress, .json for Ghost
+const parseExport = (buffer, filename, options = {}) => {
+  const contents = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const extension = path.extname(filename).toLowerCase();
+
+  if (extension === '.xml') {
+    return parseWxr(contents);
+  }
+  if (extension === '.json') {
+    return parseGhost(contents, options);
+  }
+  throw new Error('Only WordPress (.xml) and Ghost (.json) exports can be imported');
+};
+
+module.exports = {
+  htmlToMarkdown,
+  rewriteImageUrls,
+  threadOrder,
+  parseWxr,
+  parseGhost,
+  parseExport
+};
@@ -0,0 +1,232 @@
+const Campaign = require('../models/Campaign');
+const CampaignDelivery = require('../models/CampaignDelivery');
+const Subscriber = require('../models/Subscriber');
+const mailer = require('./mailer');
+const { renderCampaign } = require('./newsletterService');
+
+const RATE_PER_MINUTE = parseInt(process.env.NEWSLETTER_RATE_PER_MINUTE) || 60;
+const MAX_ATTEMPTS = parseInt(process.env.NEWSLETTER_MAX_ATTEMPTS) || 3;
+// Wait before the first retry of a failed send, doubled for each one after it, so a
+// short mail server outage does not use up every attempt at once
+const RETRY_DELAY_MS = parseInt(process.env.NEWSLETTER_RETRY_DELAY_MS) || 60 * 1000;
+// Deliveries left in "sending" this long were interrupted (e.g. by a restart) and are retried;
+// campaigns left "preparing" go back to draft
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+const INSERT_BATCH_SIZE = 1000;
+
+// Sends queued campaigns in the background, a limited number of emails per tick,
+// and drops pending subscriptions nobody confirmed in time
+class CampaignSender {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.NEWSLETTER_SEND_INTERVAL_MS) || 10 * 1000;
+  }
+
+  // Emails allowed per tick so the overall rate stays under NEWSLETTER_RATE_PER_MINUTE
+  get batchSize() {
+    return Math.max(1, Math.floor(RATE_PER_MINUTE * this.intervalMs / 60000));
+  }
+
+  // Queue a draft campaign for every active subscriber.
+  // Returns the queued campaign, or null if it was no longer a draft.
+  async enqueue(campaignId, { baseUrl, siteUrl }) {
+    // Conditional update so a campaign can only be queued once. It stays
+    // "preparing", which the sender ignores, until every delivery exists.
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: 'draft' },
+      { $set: { status: 'preparing', queuedAt: new Date(), baseUrl, siteUrl } },
+      { new: true }
+    );
+    if (!campaign) {
+      return null;
+    }
+
+    let recipientCount = 0;
+    try {
+      let batch = [];
+      const flush = async () => {
+        if (batch.length === 0) return;
+        await CampaignDelivery.insertMany(batch, { ordered: false });
+        recipientCount += batch.length;
+        batch = [];
+      };
+
+      const cursor = Subscriber.find({ status: 'active' }).select('_id email').lean().cursor();
+      for await (const subscriber of cursor) {
+        batch.push({ campaign: campaign._id, subscriber: subscriber._id, email: subscriber.email });
+        if (batch.length >= INSERT_BATCH_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+    } catch (error) {
+      await this.unprepare(campaign._id);
+      throw error;
+    }
+
+    campaign.status = 'queued';
+    campaign.recipientCount = recipientCount;
+    await campaign.save();
+    return campaign;
+  }
+
+  // Put a campaign that failed to queue back into draft without its deliveries
+  async unprepare(campaignId) {
+    await CampaignDelivery.deleteMany({ campaign: campaignId });
+    await Campaign.updateOne(
+      { _id: campaignId, status: 'preparing' },
+      { $set: { status: 'draft', queuedAt: null, recipientCount: 0 } }
+    );
+  }
+
+  // Stop a queued or sending campaign; deliveries not yet sent are skipped
+  async cancel(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ['queued', 'sending'] } },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+    if (!campaign) {
+      return null;
+    }
+
+    await CampaignDelivery.updateMany(
+      { campaign: campaign._id, status: 'pending' },
+      { $set: { status: 'skipped', lastError: 'Campaign cancelled' } }
+    );
+    return campaign;
+  }
+
+  // Claim the next pending delivery of a campaign that is due; fresh deliveries go before retries
+  claimNext(campaignId) {
+    return CampaignDelivery.findOneAndUpdate(
+      {
+        campaign: campaignId,
+        status: 'pending',
+        $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }]
+      },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { sort: { attempts: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  async deliver(campaign, delivery) {
+    // Subscribers may have left since the campaign was queued
+    if (!(await Subscriber.exists({ _id: delivery.subscriber, status: 'active' }))) {
+      delivery.status = 'skipped';
+      delivery.lastError = 'Unsubscribed before delivery';
+      await delivery.save();
+      return;
+    }
+
+    try {
+      const { messageId } = await mailer.send({ to: delivery.email, ...renderCampaign(campaign, delivery.email) });
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.messageId = messageId || null;
+      delivery.lastError = null;
+    } catch (error) {
+      delivery.status = delivery.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAY_MS * 2 ** (delivery.attempts - 1));
+      delivery.lastError = error.message;
+    }
+    await delivery.save();
+  }
+
+  // Send up to `limit` emails across the queued campaigns, oldest campaign first
+  async processQueue(limit = this.batchSize) {
+    // Skip if the previous run is still going
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let attempted = 0;
+
+    try {
+      await CampaignDelivery.updateMany(
+        { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+        { $set: { status: 'pending' } }
+      );
+
+      // Campaigns still preparing this long were interrupted while queuing
+      const interrupted = await Campaign.find({
+        status: 'preparing',
+        queuedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) }
+      }).select('_id');
+      for (const { _id } of interrupted) {
+        await this.unprepare(_id);
+      }
+
+      const campaigns = await Campaign.find({ status: { $in: ['queued', 'sending'] } }).sort({ queuedAt: 1 });
+
+      for (const campaign of campaigns) {
+        if (campaign.status === 'queued') {
+          campaign.status = 'sending';
+          campaign.startedAt = new Date();
+          await campaign.save();
+        }
+
+        while (attempted < limit) {
+          const delivery = await this.claimNext(campaign._id);
+          if (!delivery) break;
+
+          attempted++;
+          await this.deliver(campaign, delivery);
+        }
+
+        const remaining = await CampaignDelivery.exists({
+          campaign: campaign._id,
+          status: { $in: ['pending', 'sending'] }
+        });
+        if (!remaining) {
+          await Campaign.updateOne(
+            { _id: campaign._id, status: 'sending' },
+            { $set: { status: 'sent', completedAt: new Date() } }
+          );
+        }
+
+        if (attempted >= limit) break;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return attempted;
+  }
+
+  start(intervalMs = this.intervalMs) {
+    if (this.timer) {
+      return;
+    }
+    this.intervalMs = intervalMs;
+
+    const tick = async () => {
+      try {
+        await this.processQueue();
+      } catch (error) {
+        console.error('Newsletter sending error:', error);
+      }
+      try {
+        await Subscriber.purgeExpiredPending();
+      } catch (error) {
+        console.error('Failed to purge expired subscriptions:', error);
+      }
+    };
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    console.log(`Newsletter sender running every ${Math.round(intervalMs / 1000)}s, ${this.batchSize} emails per run`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new CampaignSender();
@@ -0,0 +1,150 @@
+const Media = require('../models/Media');
+const { canAny } = require('./permissions');
+
+// Suggests cover images for a post from the media library by matching the
+// words in each file's name and alt text ("python-code-2.jpg", "A laptop
+// showing Python code") against the post's title, tags and content.
+
+// How much a word counts, by where in the post it appears
+const WEIGHTS = { title: 3, tags: 3, content: 1 };
+// Content words count at most this many times, so a long post cannot drown out its title
+const MAX_CONTENT_HITS = 3;
+// Related words count for this share of the word they come from
+const RELATED_SHARE = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'how', 'if', 'in',
+  'into', 'is', 'it', 'its', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'than', 'that', 'the',
+  'their', 'then', 'there', 'these', 'this', 'to', 'up', 'us', 'was', 'we', 'what', 'when', 'which',
+  'why', 'will', 'with', 'you', 'your'
+]);
+
+// Words in file names that say nothing about what an image shows
+const FILENAME_NOISE = new Set([
+  'image', 'img', 'cover', 'coverimage', 'photo', 'pic', 'picture', 'screenshot', 'untitled',
+  'copy', 'final', 'edit', 'edited', 'profileimage', 'thumbnail', 'card', 'hero', 'og'
+]);
+
+// Words for the same subject, so a post about React matches a "javascript" image
+const RELATED_WORDS = {
+  ai: ['machine', 'learning', 'data'],
+  ml: ['machine', 'learning', 'ai'],
+  js: ['javascript'],
+  javascript: ['js', 'web'],
+  typescript: ['javascript'],
+  react: ['javascript', 'web'],
+  node: ['javascript', 'server'],
+  nodejs: ['node', 'javascript'],
+  py: ['python'],
+  python: ['data'],
+  sql: ['database'],
+  mongodb: ['database'],
+  mysql: ['database'],
+  postgres: ['database'],
+  postgresql: ['database'],
+  devops: ['server'],
+  deployment: ['server', 'devops'],
+  docker: ['devops', 'server'],
+  kubernetes: ['devops', 'server'],
+  tutorial: ['learning', 'education'],
+  learn: ['learning', 'education'],
+  course: ['learning', 'education'],
+  education: ['learning'],
+  coding: ['programming', 'code'],
+  code: ['coding', 'programming'],
+  programming: ['coding', 'code', 'development'],
+  software: ['development'],
+  development: ['software', 'programming']
+};
+
+// Words above that end in "s" without being plurals, like "devops"
+const KNOWN_WORDS = new Set([...Object.keys(RELATED_WORDS), ...Object.values(RELATED_WORDS).flat()]);
+
+const singular = (word) => (
+  word.length > 3 && /[^su]s$/.test(word) && !KNOWN_WORDS.has(word) ? word.slice(0, -1) : word
+);
+
+// Lowercase words of a text without stop words, numbers or plural endings
+const wordsOf = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word))
+  .map(singular);
+
+// Links and images say where something is, not what the post is about
+const proseOf = (content) => String(content || '')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/https?:\/\/\S+/g, ' ');
+
+// How much each word says about a post: Map<word, weight>
+const postKeywords = ({ title = '', tags = [], content = '' }) => {
+  const weights = new Map();
+  const add = (word, weight) => weights.set(word, (weights.get(word) || 0) + weight);
+
+  new Set(wordsOf(title)).forEach(word => add(word, WEIGHTS.title));
+  new Set([].concat(tags).flatMap(tag => wordsOf(tag))).forEach(word => add(word, WEIGHTS.tags));
+
+  const hits = new Map();
+  wordsOf(proseOf(content)).forEach(word => hits.set(word, Math.min((hits.get(word) || 0) + 1, MAX_CONTENT_HITS)));
+  hits.forEach((count, word) => add(word, count * WEIGHTS.content));
+
+  // Related words never count for more than the post's own use of them
+  [...weights].forEach(([word, weight]) => {
+    (RELATED_WORDS[word] || []).forEach(related => {
+      weights.set(related, Math.max(weights.get(related) || 0, weight * RELATED_SHARE));
+    });
+  });
+  return weights;
+};
+
+// Words that describe a library file: its name without the extension, and its alt text
+const imageKeywords = ({ filename = '', altText = '' }) => new Set(
+  [...wordsOf(filename.replace(/\.[a-z0-9]+$/i, '')), ...wordsOf(altText)]
+    .filter(word => !FILENAME_NOISE.has(word))
+);
+
+// Library files with a stored image that `user` may use as a cover: their
+// own, or everyone's for users who manage all media
+const candidatesFor = (user) => {
+  const filter = { contentType: /^image\//, size: { $gt: 0 } };
+  if (!canAny(user, 'media:manage')) {
+    filter.owner = user._id;
+  }
+  return Media.find(filter)
+    .select('owner key url filename altText contentType width height variants usage createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+// Rank candidates for a post, best first, leaving out those that match nothing.
+// Files other posts already use rank lower so covers vary; `extraUses` counts
+// uses not saved yet (Map<mediaId, count>), e.g. earlier picks in a bulk fill.
+// Returns [{ media, score, matched }].
+const rank = (post, candidates, { limit = 5, extraUses = new Map() } = {}) => {
+  const keywords = postKeywords(post);
+  const postId = post._id ? String(post._id) : null;
+
+  return candidates
+    .map(media => {
+      const matched = [...imageKeywords(media)].filter(word => keywords.has(word));
+      const relevance = matched.reduce((sum, word) => sum + keywords.get(word), 0);
+      const uses = (media.usage || []).filter(ref => ref.kind === 'post' && String(ref.document) !== postId).length
+        + (extraUses.get(String(media._id)) || 0);
+      return { media, score: Math.round((relevance / (1 + uses)) * 100) / 100, matched };
+    })
+    .filter(suggestion => suggestion.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Cover suggestions for a post (or the title, tags and content of one being written)
+const suggest = async (post, user, options) => rank(post, await candidatesFor(user), options);
+
+module.exports = {
+  postKeywords,
+  imageKeywords,
+  candidatesFor,
+  rank,
+  suggest
+};
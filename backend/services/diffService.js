@@ -0,0 +1,120 @@
+// Largest LCS table we are willing to build before falling back to a block replace
+const MAX_DIFF_CELLS = 4000000;
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+// Longest-common-subsequence diff of two line arrays (after trimming common prefix/suffix)
+const diffMiddle = (oldLines, newLines) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n === 0) {
+    return newLines.map(value => ({ type: 'added', value }));
+  }
+  if (m === 0) {
+    return oldLines.map(value => ({ type: 'removed', value }));
+  }
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(value => ({ type: 'removed', value })),
+      ...newLines.map(value => ({ type: 'added', value }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const lengths = [];
+  for (let i = 0; i <= n; i++) {
+    lengths.push(new Uint32Array(m + 1));
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'unchanged', value: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'removed', value: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', value: newLines[j] });
+      j++;
+    }
+  }
+  while (i < n) {
+    result.push({ type: 'removed', value: oldLines[i++] });
+  }
+  while (j < m) {
+    result.push({ type: 'added', value: newLines[j++] });
+  }
+
+  return result;
+};
+
+// Line-level diff between two texts.
+// Each entry is { type: 'unchanged' | 'added' | 'removed', value, oldLine, newLine }
+const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let prefix = 0;
+  while (
+    prefix < oldLines.length &&
+    prefix < newLines.length &&
+    oldLines[prefix] === newLines[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const changes = [
+    ...oldLines.slice(0, prefix).map(value => ({ type: 'unchanged', value })),
+    ...diffMiddle(
+      oldLines.slice(prefix, oldLines.length - suffix),
+      newLines.slice(prefix, newLines.length - suffix)
+    ),
+    ...oldLines.slice(oldLines.length - suffix).map(value => ({ type: 'unchanged', value }))
+  ];
+
+  // Attach line numbers on each side
+  let oldLine = 0;
+  let newLine = 0;
+  return changes.map(change => {
+    if (change.type !== 'added') oldLine++;
+    if (change.type !== 'removed') newLine++;
+    return {
+      ...change,
+      oldLine: change.type === 'added' ? null : oldLine,
+      newLine: change.type === 'removed' ? null : newLine
+    };
+  });
+};
+
+// Summary counts for a diff produced by diffLines
+const summarize = (changes) => changes.reduce((stats, change) => {
+  if (change.type === 'added') stats.added++;
+  if (change.type === 'removed') stats.removed++;
+  return stats;
+}, { added: 0, removed: 0 });
+
+module.exports = {
+  diffLines,
+  summarize
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const SITE_TITLE = process.env.SITE_TITLE || 'ThisBlog';
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || 'Latest posts from ThisBlog';
+const FEED_SIZE = parseInt(process.env.FEED_SIZE) || 20;
+
+// Markup allowed inside feed item content; everything else is stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del']),
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto']
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Wrap text in a CDATA section, splitting any "]]>" so it cannot close the section early
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Resolve root-relative URLs (e.g. /uploads/...) so feed readers can load them
+const absoluteUrl = (url, baseUrl) => {
+  if (!url || !baseUrl) return url;
+  try {
+    return new URL(url, baseUrl).toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+// Render post Markdown to HTML that is safe to embed in a feed
+const renderMarkdown = (markdown, baseUrl) => {
+  const html = marked.parse(markdown || '', { async: false });
+  return sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      a: (tagName, attribs) => ({ tagName, attribs: { ...attribs, href: absoluteUrl(attribs.href, baseUrl) } }),
+      img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, src: absoluteUrl(attribs.src, baseUrl) } })
+    }
+  });
+};
+
+const postDate = (post) => new Date(post.publishedAt || post.createdAt);
+
+const postLink = (feed, post) => `${feed.siteUrl}/post/${post.slug}`;
+
+// Most recent change across the feed's posts, or null for an empty feed
+const getLastModified = (posts) => posts.reduce((latest, post) => {
+  const changed = new Date(post.updatedAt || postDate(post));
+  return !latest || changed > latest ? changed : latest;
+}, null);
+
+// Conditional request validators for a feed: a weak ETag and the Last-Modified date
+const getValidators = (format, feed) => {
+  const hash = crypto.createHash('sha1')
+    .update(`${format}|${feed.selfUrl}|${feed.title}`)
+    .update(feed.posts.map(post => `${post._id}:${new Date(post.updatedAt).getTime()}`).join(','))
+    .digest('base64url');
+
+  return {
+    etag: `W/"${hash}"`,
+    lastModified: getLastModified(feed.posts)
+  };
+};
+
+// RSS 2.0 (https://www.rssboard.org/rss-specification)
+const buildRss = (feed) => {
+  const lastBuildDate = getLastModified(feed.posts) || new Date();
+
+  const items = feed.posts.map(post => {
+    const link = postLink(feed, post);
+    const categories = (post.tags || [])
+      .map(tag => `      <category>${escapeXml(tag.name)}</category>`)
+      .join('\n');
+
+    return [
+      '    <item>',
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${escapeXml(link)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(link)}</guid>`,
+      `      <pubDate>${postDate(post).toUTCString()}</pubDate>`,
+      post.author ? `      <dc:creator>${escapeXml(post.author.name)}</dc:creator>` : null,
+      categories || null,
+      `      <description>${escapeXml(post.excerpt)}</description>`,
+      `      <content:encoded>${cdata(renderMarkdown(post.content, feed.baseUrl))}</content:encoded>`,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>`,
+    `    <generator>${escapeXml(SITE_TITLE)}</generator>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+// Atom 1.0 (RFC 4287)
+const buildAtom = (feed) => {
+  const updated = getLastModified(feed.posts) || new Date();
+
+  const entries = feed.posts.map(post => {
+    const link = postLink(feed, post);
+    const categories = (post.tags || [])
+      .map(tag => `    <category term="${escapeXml(tag.slug || tag.name)}" label="${escapeXml(tag.name)}"/>`)
+      .join('\n');
+
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(link)}</id>`,
+      `    <title type="text">${escapeXml(post.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+      `    <published>${postDate(post).toISOString()}</published>`,
+      `    <updated>${new Date(post.updatedAt || postDate(post)).toISOString()}</updated>`,
+      '    <author>',
+      `      <name>${escapeXml(post.author ? post.author.name : SITE_TITLE)}</name>`,
+      '    </author>',
+      categories || null,
+      `    <summary type="text">${escapeXml(post.excerpt)}</summary>`,
+      `    <content type="html">${escapeXml(renderMarkdown(post.content, feed.baseUrl))}</content>`,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title type="text">${escapeXml(feed.title)}</title>`,
+    `  <subtitle type="text">${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <generator>${escapeXml(SITE_TITLE)}</generator>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  SITE_TITLE,
+  SITE_DESCRIPTION,
+  FEED_SIZE,
+  escapeXml,
+  renderMarkdown,
+  getValidators,
+  buildRss,
+  buildAtom
+};
@@ -0,0 +1,120 @@
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+// Resized copies made of uploaded images. Cropped variants always fill their box
+// exactly; "hero" keeps the image's proportions and is never enlarged.
+const VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover', formats: ['avif', 'webp'] },
+  card: { width: 800, height: 450, fit: 'cover', formats: ['avif', 'webp'] },
+  hero: { width: 1600, height: 1600, fit: 'inside', formats: ['avif', 'webp'] },
+  // Social networks do not all read WebP or AVIF
+  og: { width: 1200, height: 630, fit: 'cover', formats: ['jpeg'] }
+};
+
+// Which variants each upload field gets; other fields are only cleaned up
+const VARIANT_SETS = {
+  coverImage: ['thumbnail', 'card', 'hero', 'og'],
+  profileImage: ['thumbnail']
+};
+
+const ENCODERS = {
+  avif: (image) => image.avif({ quality: 50, effort: 4 }),
+  webp: (image) => image.webp({ quality: 75 }),
+  jpeg: (image) => image.jpeg({ quality: 80, mozjpeg: true })
+};
+
+// Animated GIFs would lose their animation, so they are stored as they are
+const isProcessable = (contentType) => ['image/jpeg', 'image/png', 'image/webp'].includes(contentType);
+
+// The image turned the way its EXIF orientation says, in its own format,
+// without EXIF, GPS or other metadata
+const stripMetadata = async (buffer) => {
+  try {
+    return await sharp(buffer).rotate().toBuffer();
+  } catch (error) {
+    throw new Error('The file is not a valid image');
+  }
+};
+
+// A stored file's key without its extension: posts/cover-1.jpg -> posts/cover-1
+const baseOf = (key) => {
+  const { dir, name } = path.posix.parse(key);
+  return `${dir ? `${dir}/` : ''}${name}`;
+};
+
+// The base of the original a variant was made from, or null for other keys:
+// posts/cover-1-card.avif -> posts/cover-1
+const originalBaseOf = (key) => {
+  const match = key.match(new RegExp(`^(.+)-(${Object.keys(VARIANTS).join('|')})\\.(${Object.keys(ENCODERS).join('|')})$`));
+  return match ? match[1] : null;
+};
+
+// Make the named variants of an image stored under `key`, next to it in storage:
+// posts/cover-1.jpg -> posts/cover-1-card.avif, posts/cover-1-card.webp, ...
+// Resolves to { <variant>: { width, height, <format>: url } }.
+const createVariants = async (buffer, key, names) => {
+  const base = baseOf(key);
+  const variants = {};
+
+  for (const variantName of names) {
+    const { width, height, fit, formats } = VARIANTS[variantName];
+    const resized = sharp(buffer).resize({ width, height, fit, withoutEnlargement: fit === 'inside' });
+    variants[variantName] = {};
+
+    for (const format of formats) {
+      const { data, info } = await ENCODERS[format](resized.clone()).toBuffer({ resolveWithObject: true });
+      const variantKey = `${base}-${variantName}.${format}`;
+      await storage.put(variantKey, data, { contentType: `image/${format}` });
+      Object.assign(variants[variantName], { width: info.width, height: info.height, [format]: storage.url(variantKey) });
+    }
+  }
+
+  return variants;
+};
+
+// Width and height of an image, or nulls when sharp cannot read it
+const dimensionsOf = async (buffer) => {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return { width: width || null, height: height || null };
+  } catch (error) {
+    return { width: null, height: null };
+  }
+};
+
+// Store an uploaded image under `key`: metadata stripped and, for fields in
+// VARIANT_SETS, with its variants. Resolves to { size, width, height, variants }
+// where variants is null when none were made.
+const storeImage = async (key, body, { fieldname, contentType } = {}) => {
+  const buffer = await storage.toBuffer(body);
+  if (!isProcessable(contentType)) {
+    const { size } = await storage.put(key, buffer, { contentType });
+    return { size, ...await dimensionsOf(buffer), variants: null };
+  }
+
+  const cleaned = await stripMetadata(buffer);
+  const { size } = await storage.put(key, cleaned, { contentType });
+  const names = VARIANT_SETS[fieldname] || [];
+  const variants = names.length > 0 ? await createVariants(cleaned, key, names) : null;
+  return { size, ...await dimensionsOf(cleaned), variants };
+};
+
+// Every URL in a variant map, e.g. to delete them with the original
+const variantUrls = (variants) => Object.values(variants || {}).flatMap(variant =>
+  Object.entries(variant)
+    .filter(([format]) => ENCODERS[format])
+    .map(([, url]) => url)
+);
+
+module.exports = {
+  VARIANTS,
+  VARIANT_SETS,
+  isProcessable,
+  baseOf,
+  originalBaseOf,
+  stripMetadata,
+  createVariants,
+  storeImage,
+  variantUrls
+};
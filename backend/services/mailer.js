@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { SITE_TITLE } = require('./feedService');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', 'mail-outbox');
+
+// MAIL_TRANSPORT picks the transport explicitly; otherwise SMTP is used once a
+// host is configured. Production never falls back to the console, which would
+// print password reset and verification links to the logs.
+const resolveTransportName = () => {
+  if (!process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+    throw new Error('SMTP_HOST (or MAIL_TRANSPORT) must be set in production');
+  }
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  if (!TRANSPORTS.includes(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}", expected one of: ${TRANSPORTS.join(', ')}`);
+  }
+  return name;
+};
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      // Render the full RFC 822 message so it can be opened in a mail client
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+  }
+};
+
+// Sends mail through SMTP in production, or writes it to disk / the console
+// during local development and tests (MAIL_TRANSPORT=file|console)
+class Mailer {
+  constructor() {
+    this.transports = new Map();
+  }
+
+  getTransport(name) {
+    if (!this.transports.has(name)) {
+      this.transports.set(name, createTransport(name));
+    }
+    return this.transports.get(name);
+  }
+
+  // Name of the transport mail goes through; throws when the settings are invalid
+  get transportName() {
+    return resolveTransportName();
+  }
+
+  get from() {
+    return process.env.MAIL_FROM || `${SITE_TITLE} <no-reply@localhost>`;
+  }
+
+  // Send a message ({ to, subject, text, html, headers }) and return { messageId, file }
+  async send(message) {
+    const name = resolveTransportName();
+    const info = await this.getTransport(name).sendMail({ from: this.from, ...message });
+
+    if (name === 'file') {
+      const dir = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR;
+      const file = path.join(
+        dir,
+        `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`
+      );
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
+    }
+
+    if (name === 'console') {
+      console.log([
+        '--- Outgoing mail ---',
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text || '',
+        '---------------------'
+      ].join('\n'));
+    }
+
+    return { messageId: info.messageId, file: null };
+  }
+}
+
+module.exports = new Mailer();
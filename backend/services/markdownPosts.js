@@ -0,0 +1,196 @@
+const path = require('path');
+const zlib = require('zlib');
+const yaml = require('js-yaml');
+const AdmZip = require('adm-zip');
+const { STATUSES } = require('./reviewWorkflow');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Limits for a zip upload, so a small archive cannot expand into something huge
+const MAX_ZIP_ENTRIES = 200;
+const MAX_ENTRY_SIZE = 2 * 1024 * 1024;
+
+// Front matter keys in the order they are exported
+const FRONT_MATTER_FIELDS = ['title', 'tags', 'status', 'excerpt', 'seoTitle', 'seoDescription', 'publishedAt', 'featured', 'coverImage'];
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Split a Markdown document into its YAML front matter and body
+const parseDocument = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const match = source.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { data: {}, content: source };
+  }
+
+  const data = yaml.load(match[1]);
+  if (data !== null && data !== undefined && (typeof data !== 'object' || Array.isArray(data))) {
+    throw new Error('Front matter must be a set of key: value pairs');
+  }
+  return { data: data || {}, content: source.slice(match[0].length) };
+};
+
+const asString = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const asBoolean = (value) => value === true || ['true', 'yes', '1'].includes(asString(value).toLowerCase());
+
+// Post fields from a parsed document. A missing title falls back to a leading
+// "# Heading", which is then dropped from the content, and then to the file name.
+// Throws when the document cannot become a post.
+const toPostFields = ({ data, content }, filename = '') => {
+  let body = content.replace(/^\s+/, '');
+  let title = asString(data.title);
+
+  if (!title) {
+    const heading = body.match(/^#[ \t]+(.+?)[ \t#]*(?:\r?\n|$)/);
+    if (heading) {
+      title = heading[1].trim();
+      body = body.slice(heading[0].length).replace(/^\s+/, '');
+    } else {
+      title = path.basename(filename, path.extname(filename)).replace(/[-_]+/g, ' ').trim();
+    }
+  }
+
+  if (title.length < 3 || title.length > 200) {
+    throw new Error('Title must be between 3 and 200 characters');
+  }
+  if (body.trim().length < 10) {
+    throw new Error('Content must be at least 10 characters long');
+  }
+
+  const status = asString(data.status) || 'draft';
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  let publishedAt = null;
+  if (data.publishedAt !== undefined && data.publishedAt !== null && data.publishedAt !== '') {
+    publishedAt = data.publishedAt instanceof Date ? data.publishedAt : new Date(asString(data.publishedAt));
+    if (isNaN(publishedAt.getTime())) {
+      throw new Error('publishedAt must be a valid date');
+    }
+  }
+  if (status === 'scheduled' && !(publishedAt > new Date())) {
+    throw new Error('Scheduled posts need a publishedAt date in the future');
+  }
+
+  const tags = Array.isArray(data.tags) ? data.tags : asString(data.tags).split(',');
+
+  return {
+    title,
+    content: body,
+    excerpt: asString(data.excerpt),
+    tags: [...new Set(tags.map(tag => asString(tag).toLowerCase()).filter(Boolean))],
+    status,
+    publishedAt,
+    featured: asBoolean(data.featured),
+    coverImage: asString(data.coverImage),
+    seoTitle: asString(data.seoTitle),
+    seoDescription: asString(data.seoDescription)
+  };
+};
+
+// A post as Markdown with the front matter import understands. Expects tags populated.
+const toMarkdown = (post) => {
+  const data = {};
+  FRONT_MATTER_FIELDS.forEach(field => {
+    let value = post[field];
+    if (field === 'tags') {
+      value = (value || []).map(tag => tag.name);
+    }
+    if (field === 'publishedAt' && value) {
+      value = new Date(value).toISOString();
+    }
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return;
+    }
+    data[field] = value;
+  });
+
+  return `---\n${yaml.dump(data, { lineWidth: -1 })}---\n\n${(post.content || '').replace(/\s+$/, '')}\n`;
+};
+
+const filenameFor = (post) => `${post.slug || post._id}.md`;
+
+const isMarkdown = (name) => MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+// Contents of a zip entry, inflated here rather than by adm-zip so the size in
+// the entry's header, which the uploader controls, cannot hide a zip bomb.
+// Returns null for entries over MAX_ENTRY_SIZE or stored in a way we do not read.
+const readEntry = (entry) => {
+  const data = entry.getCompressedData();
+  if (entry.header.encrypted) {
+    return null;
+  }
+  if (entry.header.method === 0) {
+    return data.length > MAX_ENTRY_SIZE ? null : data;
+  }
+  if (entry.header.method !== 8) {
+    return null;
+  }
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Markdown documents in an upload: the file itself, or each Markdown file in a zip.
+// Returns [{ name, text }].
+const readUpload = (file) => {
+  if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+    return [{ name: file.originalname, text: file.buffer.toString('utf8') }];
+  }
+
+  let zip;
+  try {
+    zip = new AdmZip(file.buffer);
+  } catch (error) {
+    throw new Error(`${file.originalname} is not a valid zip file`);
+  }
+
+  const entries = zip.getEntries().filter(entry =>
+    !entry.isDirectory &&
+    isMarkdown(entry.entryName) &&
+    !entry.entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+  );
+
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`${file.originalname} has more than ${MAX_ZIP_ENTRIES} Markdown files`);
+  }
+
+  return entries.map(entry => {
+    const data = readEntry(entry);
+    if (!data) {
+      throw new Error(`${entry.entryName} in ${file.originalname} is too large or cannot be read`);
+    }
+    return { name: `${file.originalname}/${entry.entryName}`, text: data.toString('utf8') };
+  });
+};
+
+// A zip of posts as Markdown, one file per post
+const toZip = (posts) => {
+  const zip = new AdmZip();
+  const used = new Set();
+
+  posts.forEach(post => {
+    let name = filenameFor(post);
+    for (let counter = 1; used.has(name); counter++) {
+      name = `${post.slug || post._id}-${counter}.md`;
+    }
+    used.add(name);
+    zip.addFile(name, Buffer.from(toMarkdown(post), 'utf8'));
+  });
+
+  return zip.toBuffer();
+};
+
+module.exports = {
+  FRONT_MATTER_FIELDS,
+  parseDocument,
+  toPostFields,
+  toMarkdown,
+  filenameFor,
+  readUpload,
+  toZip
+};
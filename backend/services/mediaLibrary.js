@@ -0,0 +1,298 @@
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const storage = require('./storage');
+const imageVariants = require('./imageVariants');
+const { can } = require('./permissions');
+
+// Every file uploaded by a signed-in user gets a Media document, so people can
+// find and reuse what they uploaded. Its `usage` lists the posts, series and
+// users linking to the file; routes keep it current as they save those, and
+// removeOrphans() rebuilds it from scratch before deleting unused files.
+
+const MEGABYTE = 1024 * 1024;
+const DEFAULT_QUOTA_MB = 250;
+const DEFAULT_ORPHAN_GRACE_HOURS = 24;
+
+// Fields that link to uploads, by usage kind
+const USAGE_FIELDS = {
+  post: ['coverImage', 'content'],
+  series: ['coverImage'],
+  user: ['profileImage']
+};
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / MEGABYTE * 10) / 10}MB`;
+
+// Bytes the user may keep in the library, or null for no limit
+const quotaFor = (user) => {
+  const configured = parseInt(process.env.MEDIA_QUOTA_MB);
+  const megabytes = user.mediaQuotaMB != null
+    ? user.mediaQuotaMB
+    : (Number.isNaN(configured) ? DEFAULT_QUOTA_MB : configured);
+  return megabytes > 0 ? megabytes * MEGABYTE : null;
+};
+
+const quotaOf = async (user) => ({
+  used: await Media.usedBy(user._id),
+  limit: quotaFor(user)
+});
+
+const quotaError = (limit) => Object.assign(
+  new Error(`Your media library is full (${formatMegabytes(limit)}). Delete files you no longer use to make room.`),
+  { status: 413 }
+);
+
+// Start recording an upload before its file is stored, so cleanup never takes
+// a half-stored file for an orphan. Rejects when the user's library is full.
+const reserve = async (user, { key, url, filename, contentType }) => {
+  const { used, limit } = await quotaOf(user);
+  if (limit !== null && used >= limit) {
+    throw quotaError(limit);
+  }
+  return Media.create({ owner: user._id, key, url, filename, contentType });
+};
+
+// Fill in a reserved upload once its file is stored. Rejects when the file
+// takes the user over their quota; the caller then discards it.
+const complete = async (user, media, { size, width, height, variants }) => {
+  const limit = quotaFor(user);
+  if (limit !== null && await Media.usedBy(user._id) + size > limit) {
+    throw quotaError(limit);
+  }
+  Object.assign(media, { size, width, height, variants });
+  return media.save();
+};
+
+// Delete an upload's file, its variants and its library entry
+const discard = async ({ key, variants }) => {
+  const urls = imageVariants.variantUrls(variants);
+  await Promise.all([
+    storage.delete(key),
+    ...urls.map(url => storage.keyFromUrl(url)).filter(Boolean).map(variantKey => storage.delete(variantKey))
+  ]);
+  await Media.deleteOne({ key });
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Links to stored files, under this server's /uploads or the storage's public URL.
+// A link has to start there: /uploads/ in the path of some other site's URL
+// (https://old.example.com/wp-content/uploads/...) is not one of ours.
+const uploadUrlPattern = () => {
+  const marker = storage.url('__key__');
+  const bases = new Set([marker.slice(0, marker.indexOf('__key__')), '/uploads/']);
+  return new RegExp(`(?<![\\w.~:/@%+-])(?:${[...bases].map(escapeRegex).join('|')})[^\\s"'()<>]+`, 'g');
+};
+
+// Storage keys of the uploads a piece of text links to
+const uploadKeysIn = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  const keys = (text.match(uploadUrlPattern()) || [])
+    .map(url => storage.keyFromUrl(url))
+    .filter(Boolean);
+  return [...new Set(keys)];
+};
+
+const keysUsedBy = (kind, doc) => [...new Set(USAGE_FIELDS[kind].flatMap(field => uploadKeysIn(doc[field])))];
+
+// Record which library files a post, series or user links to now. Call after saving it.
+const syncUsage = async (kind, doc) => {
+  const ref = { kind, document: doc._id };
+  const keys = keysUsedBy(kind, doc);
+  await Media.updateMany(
+    { usage: { $elemMatch: ref }, key: { $nin: keys } },
+    { $pull: { usage: ref } }
+  );
+  if (keys.length > 0) {
+    await Media.updateMany(
+      { key: { $in: keys }, usage: { $not: { $elemMatch: ref } } },
+      { $push: { usage: ref } }
+    );
+  }
+};
+
+// Forget the links of deleted posts, series or users (one id or a list)
+const releaseUsage = (kind, ids) => {
+  const ref = { kind, document: { $in: [].concat(ids) } };
+  return Media.updateMany({ usage: { $elemMatch: ref } }, { $pull: { usage: ref } });
+};
+
+// The library file at `url`, when the user may use it (their own, or anyone's
+// for users who manage all media)
+const findUsable = async (user, url) => {
+  const key = storage.keyFromUrl(url);
+  if (!key) {
+    return null;
+  }
+  const media = await Media.findOne({ key });
+  return media && can(user, 'media:manage', media) ? media : null;
+};
+
+// Images that content links to for the first time (not in `previous`) and that
+// are missing from storage, or that neither the author nor the editing user may
+// use. Resolves to [{ url, message }].
+const unusableImagesIn = async (content, { user, author, previous = '' }) => {
+  const known = new Set(uploadKeysIn(previous));
+  const keys = uploadKeysIn(content).filter(key => !known.has(key));
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const library = new Map((await Media.find({ key: { $in: keys } })).map(media => [media.key, media]));
+  const problems = [];
+  for (const key of keys) {
+    const media = library.get(key);
+    if (!await storage.exists(key)) {
+      problems.push({ url: storage.url(key), message: 'was not found' });
+    } else if (!media) {
+      problems.push({ url: storage.url(key), message: 'is not in the media library' });
+    } else if (String(media.owner) !== String(author) && !can(user, 'media:manage', media)) {
+      problems.push({ url: media.url, message: 'belongs to someone else\'s media library' });
+    }
+  }
+  return problems;
+};
+
+// Variants of a library image for a new use, e.g. the cover set for an image
+// uploaded into the content. Missing ones are made and kept on the media.
+const ensureVariants = async (media, names) => {
+  const missing = names.filter(name => !media.variants?.[name]);
+  if (missing.length === 0 || !imageVariants.isProcessable(media.contentType)) {
+    return media.variants;
+  }
+  const body = await storage.get(media.key);
+  if (!body) {
+    return media.variants;
+  }
+  const made = await imageVariants.createVariants(await storage.toBuffer(body), media.key, missing);
+  media.variants = { ...media.variants, ...made };
+  await media.save();
+  return media.variants;
+};
+
+// Documents that keep files alive without counting as usage, since they are
+// history rather than somewhere a file appears on the site
+const ARCHIVED_SOURCES = [
+  { model: PostRevision, fields: 'coverImage content', keysOf: (revision) => keysUsedBy('post', revision) },
+  { model: Campaign, fields: 'content', keysOf: (campaign) => uploadKeysIn(campaign.content) }
+];
+
+// Post revisions and newsletter campaigns linking to a stored file.
+// Resolves to { revisions: [{ post, revision }], campaigns: [{ _id, subject, status }] }.
+const archivedReferencesTo = async (key) => {
+  const mentions = { $regex: escapeRegex(key) };
+  const [revisions, campaigns] = await Promise.all(ARCHIVED_SOURCES.map(({ model, fields, keysOf }) =>
+    model.find({ $or: fields.split(' ').map(field => ({ [field]: mentions })) })
+      .select(`${fields} post revision subject status`)
+      .lean()
+      .then(docs => docs.filter(doc => keysOf(doc).includes(key)))
+  ));
+
+  return {
+    revisions: revisions.map(({ post, revision }) => ({ post, revision })),
+    campaigns: campaigns.map(({ _id, subject, status }) => ({ _id, subject, status }))
+  };
+};
+
+// Everything that links to uploads: { usage: Map<key, refs>, referenced: Set<key> }.
+// Revisions and newsletter campaigns keep files alive without counting as usage.
+const collectReferences = async () => {
+  const usage = new Map();
+  const referenced = new Set();
+  const add = (keys, ref) => keys.forEach(key => {
+    referenced.add(key);
+    if (ref) {
+      usage.set(key, [...(usage.get(key) || []), ref]);
+    }
+  });
+
+  const sources = [
+    { model: Post, kind: 'post' },
+    { model: Series, kind: 'series' },
+    { model: User, kind: 'user' }
+  ];
+  for (const { model, kind } of sources) {
+    for await (const doc of model.find().select(USAGE_FIELDS[kind].join(' ')).lean()) {
+      add(keysUsedBy(kind, doc), { kind, document: doc._id });
+    }
+  }
+
+  for (const { model, fields, keysOf } of ARCHIVED_SOURCES) {
+    for await (const doc of model.find().select(fields).lean()) {
+      add(keysOf(doc));
+    }
+  }
+
+  return { usage, referenced };
+};
+
+const sameUsage = (a, b) => JSON.stringify(a.map(ref => [ref.kind, String(ref.document)]).sort())
+  === JSON.stringify(b.map(ref => [ref.kind, String(ref.document)]).sort());
+
+// Delete stored files nothing links to, with their variants and library entries,
+// and bring every entry's usage up to date. Files uploaded in the last
+// MEDIA_ORPHAN_GRACE_HOURS are kept, since they may belong to an unsaved draft.
+// Resolves to { orphanedFiles, orphanedMedia }.
+const removeOrphans = async ({ now = new Date() } = {}) => {
+  const configured = parseInt(process.env.MEDIA_ORPHAN_GRACE_HOURS);
+  const graceHours = Number.isNaN(configured) ? DEFAULT_ORPHAN_GRACE_HOURS : configured;
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+
+  const { usage, referenced } = await collectReferences();
+  const keep = new Set(referenced);
+  const staleMedia = [];
+
+  for await (const media of Media.find().select('key usage createdAt')) {
+    const current = usage.get(media.key) || [];
+    if (!referenced.has(media.key) && media.createdAt < cutoff) {
+      staleMedia.push(media._id);
+      continue;
+    }
+    keep.add(media.key);
+    if (!sameUsage(current, media.usage)) {
+      await Media.updateOne({ _id: media._id }, { $set: { usage: current } });
+    }
+  }
+
+  // Variants live and die with their original
+  const keptBases = new Set([...keep].map(imageVariants.baseOf));
+  const results = { orphanedFiles: 0, orphanedMedia: 0 };
+
+  for await (const key of storage.list()) {
+    const originalBase = imageVariants.originalBaseOf(key);
+    if (keep.has(key) || (originalBase && keptBases.has(originalBase))) {
+      continue;
+    }
+    if (await storage.delete(key)) {
+      results.orphanedFiles++;
+    }
+  }
+
+  if (staleMedia.length > 0) {
+    const { deletedCount } = await Media.deleteMany({ _id: { $in: staleMedia } });
+    results.orphanedMedia = deletedCount;
+  }
+
+  return results;
+};
+
+module.exports = {
+  quotaFor,
+  quotaOf,
+  reserve,
+  complete,
+  discard,
+  uploadKeysIn,
+  syncUsage,
+  releaseUsage,
+  findUsable,
+  unusableImagesIn,
+  ensureVariants,
+  archivedReferencesTo,
+  removeOrphans
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const mailer = require('./mailer');
+const { SITE_TITLE, escapeXml, renderMarkdown } = require('./feedService');
+
+const DIGEST_MAX_POSTS = parseInt(process.env.NEWSLETTER_DIGEST_MAX_POSTS) || 10;
+
+// Newsletter links are signed so they cannot be forged for someone else's address
+const signingSecret = () => process.env.NEWSLETTER_SECRET || process.env.JWT_SECRET;
+
+const sign = (value) => crypto.createHmac('sha256', signingSecret()).update(value).digest('base64url');
+
+const signatureMatches = (value, signature) => {
+  const expected = Buffer.from(sign(value));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const createUnsubscribeToken = (email) => sign(`unsubscribe:${String(email).toLowerCase()}`);
+
+const verifyUnsubscribeToken = (email, token) => {
+  if (!email || typeof token !== 'string') {
+    return false;
+  }
+  return signatureMatches(`unsubscribe:${String(email).toLowerCase()}`, token);
+};
+
+// Confirmation tokens carry the email and the expiry: "<base64url email>.<expiry ms>.<signature>"
+const createConfirmationToken = (email, expiresAt) => {
+  const payload = `${Buffer.from(String(email).toLowerCase()).toString('base64url')}.${new Date(expiresAt).getTime()}`;
+  return `${payload}.${sign(`confirm:${payload}`)}`;
+};
+
+// Email of a valid, unexpired confirmation token, or null
+const verifyConfirmationToken = (token, now = new Date()) => {
+  const [encodedEmail, expiresAt, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!encodedEmail || !expiresAt || !signature) {
+    return null;
+  }
+
+  if (!signatureMatches(`confirm:${encodedEmail}.${expiresAt}`, signature) || Number(expiresAt) <= now.getTime()) {
+    return null;
+  }
+
+  return Buffer.from(encodedEmail, 'base64url').toString();
+};
+
+// Ask a pending subscriber to confirm their subscription
+const sendConfirmationEmail = (subscriber, siteUrl) => {
+  const url = `${siteUrl}/newsletter/confirm?token=${createConfirmationToken(subscriber.email, subscriber.confirmationExpiresAt)}`;
+  const hours = Math.round((subscriber.confirmationExpiresAt - Date.now()) / (60 * 60 * 1000));
+  const intro = `Please confirm that you want to receive the ${SITE_TITLE} newsletter at ${subscriber.email}.`;
+  const outro = `This link expires in ${hours} hours. If you did not sign up, ignore this email and you will not be subscribed.`;
+
+  return mailer.send({
+    to: subscriber.email,
+    subject: `Confirm your subscription to ${SITE_TITLE}`,
+    text: [intro, '', `Confirm subscription: ${url}`, '', outro, '', `- ${SITE_TITLE}`].join('\n'),
+    html: [
+      `<p>${escapeXml(intro)}</p>`,
+      `<p><a href="${escapeXml(url)}">Confirm subscription</a></p>`,
+      `<p>${escapeXml(outro)}</p>`,
+      `<p>&mdash; ${escapeXml(SITE_TITLE)}</p>`
+    ].join('\n')
+  });
+};
+
+const unsubscribeQuery = (email) =>
+  `email=${encodeURIComponent(email)}&token=${createUnsubscribeToken(email)}`;
+
+// Target of the List-Unsubscribe header: mail clients POST to it directly (RFC 8058)
+const oneClickUnsubscribeUrl = (baseUrl, email) =>
+  `${baseUrl}/api/newsletter/unsubscribe/one-click?${unsubscribeQuery(email)}`;
+
+// Link in the email footer: a page that asks for confirmation, so link scanners
+// following it do not unsubscribe anyone
+const unsubscribePageUrl = (siteUrl, email) => `${siteUrl}/unsubscribe?${unsubscribeQuery(email)}`;
+
+// Render a campaign for one recipient
+const renderCampaign = (campaign, email) => {
+  const { baseUrl, siteUrl } = campaign;
+  const unsubscribeUrl = unsubscribePageUrl(siteUrl, email);
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head><meta charset="utf-8"></head>',
+    '<body style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', sans-serif; color: #1f2937; max-width: 640px; margin: 0 auto; padding: 24px;">',
+    renderMarkdown(campaign.content, baseUrl),
+    '<hr style="border: none; border-top: 1px solid #e5e7eb; margin: 32px 0 16px;">',
+    '<p style="font-size: 12px; color: #6b7280;">',
+    `You are receiving this email because you subscribed to ${escapeXml(SITE_TITLE)}.`,
+    `<a href="${escapeXml(unsubscribeUrl)}" style="color: #6b7280;">Unsubscribe</a>`,
+    '</p>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+
+  const text = [
+    campaign.content,
+    '',
+    '--',
+    `You are receiving this email because you subscribed to ${SITE_TITLE}.`,
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join('\n');
+
+  return {
+    subject: campaign.subject,
+    html,
+    text,
+    headers: {
+      'List-Unsubscribe': `<${oneClickUnsubscribeUrl(baseUrl, email)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+// Build the subject and Markdown body of a "new posts" digest from recently published posts.
+// Returns null when nothing was published in the period.
+const buildDigest = async ({ siteUrl, days = 7, now = new Date() }) => {
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const posts = await Post.find({ status: 'published', publishedAt: { $gte: since, $lte: now } })
+    .populate('author', 'name')
+    .sort({ publishedAt: -1 })
+    .limit(DIGEST_MAX_POSTS)
+    .select('title slug excerpt author publishedAt readingTime');
+
+  if (posts.length === 0) {
+    return null;
+  }
+
+  const period = days === 7 ? 'this week' : `in the last ${days} days`;
+  const sections = posts.map(post => {
+    const url = `${siteUrl}/post/${post.slug}`;
+    const meta = [post.author && post.author.name, post.readingTime && `${post.readingTime} min read`]
+      .filter(Boolean)
+      .join(' · ');
+    return [
+      `## [${post.title}](${url})`,
+      meta ? `*${meta}*` : null,
+      post.excerpt || null,
+      `[Read more →](${url})`
+    ].filter(Boolean).join('\n\n');
+  });
+
+  return {
+    subject: `New on ${SITE_TITLE} ${period}`,
+    content: [
+      `Here ${posts.length === 1 ? 'is the post' : `are the ${posts.length} posts`} we published ${period}:`,
+      ...sections
+    ].join('\n\n'),
+    posts: posts.map(post => post._id)
+  };
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  createConfirmationToken,
+  verifyConfirmationToken,
+  sendConfirmationEmail,
+  oneClickUnsubscribeUrl,
+  unsubscribePageUrl,
+  renderCampaign,
+  buildDigest
+};
@@ -0,0 +1,157 @@
+// Central role/permission matrix. Every route asks can(user, action, resource)
+// instead of comparing role names itself.
+//
+// A role grants actions such as 'post:update'. A grant ending in ':own' only
+// applies to resources the user owns (posts they wrote, comments they left).
+
+const ROLES = ['member', 'author', 'moderator', 'editor', 'admin', 'super_admin'];
+
+// Roles in the order of how much they can do; admins may only manage roles below their own
+const ROLE_RANK = ROLES.reduce((ranks, role, index) => ({ ...ranks, [role]: index }), {});
+
+const ACTIONS = [
+  'post:create',
+  'post:update',
+  'post:delete',
+  'post:publish',
+  'post:review',
+  'post:read_unpublished',
+  'series:manage',
+  'media:manage',
+  'comment:create',
+  'comment:update',
+  'comment:delete',
+  'comment:moderate',
+  'analytics:view',
+  'newsletter:manage',
+  'user:manage',
+  'user:assign_role',
+  'audit:view',
+  'system:manage'
+];
+
+// Anyone signed in may write posts; without post:publish they go live only
+// once a reviewer approves them (services/reviewWorkflow)
+const MEMBER = [
+  'comment:create',
+  'comment:update:own',
+  'comment:delete:own',
+  'post:create',
+  'post:update:own',
+  'post:delete:own',
+  'post:read_unpublished:own',
+  'media:manage:own'
+];
+
+const AUTHOR = [
+  ...MEMBER,
+  'series:manage:own'
+];
+
+const MODERATOR = [
+  ...MEMBER,
+  'comment:delete',
+  'comment:moderate'
+];
+
+const EDITOR = [
+  ...AUTHOR,
+  'post:update',
+  'post:delete',
+  'post:publish',
+  'post:review',
+  'post:read_unpublished',
+  'series:manage',
+  'media:manage',
+  'comment:delete',
+  'comment:moderate',
+  'analytics:view'
+];
+
+const ADMIN = [
+  ...EDITOR,
+  'comment:update',
+  'newsletter:manage',
+  'user:manage',
+  'user:assign_role',
+  'audit:view'
+];
+
+const ROLE_PERMISSIONS = {
+  member: MEMBER,
+  author: AUTHOR,
+  moderator: MODERATOR,
+  editor: EDITOR,
+  admin: ADMIN,
+  super_admin: [...ACTIONS]
+};
+
+const grantsFor = (user) => new Set((user && ROLE_PERMISSIONS[user.role]) || []);
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Owner of a resource: posts and comments have an author, campaigns a creator,
+// media files an owner
+const ownerOf = (resource) => {
+  if (!resource) return null;
+  return idOf(resource.author) || idOf(resource.createdBy) || idOf(resource.user) || idOf(resource.owner) || null;
+};
+
+const isOwner = (user, resource) => {
+  const owner = ownerOf(resource);
+  return !!owner && owner.toString() === user._id.toString();
+};
+
+// Whether the user may perform an action. Without a resource an ':own' grant
+// counts, since the user may do it to something of their own.
+const can = (user, action, resource) => {
+  if (!user) return false;
+
+  const grants = grantsFor(user);
+  if (grants.has(action)) return true;
+  if (!grants.has(`${action}:own`)) return false;
+
+  return resource === undefined || isOwner(user, resource);
+};
+
+// Whether the user may perform an action on anyone's resources, not just their own
+const canAny = (user, action) => !!user && grantsFor(user).has(action);
+
+// Super admins outrank everyone; other users only outrank roles below their own
+const outranks = (user, role) => user.role === 'super_admin' || ROLE_RANK[role] < ROLE_RANK[user.role];
+
+// Whether the user may activate, deactivate or delete another user
+const canManageUser = (user, target) => can(user, 'user:manage') && outranks(user, target.role);
+
+// Roles this user may give to other users
+const assignableRoles = (user) => (can(user, 'user:assign_role') ? ROLES.filter(role => outranks(user, role)) : []);
+
+// Whether the user may change the target user's role to the given one
+const canAssignRole = (user, target, role) =>
+  can(user, 'user:assign_role') && outranks(user, target.role) && outranks(user, role);
+
+// Flat list of the actions a user can perform, with ':own' marking owner-only ones,
+// for clients deciding which controls to show
+const permissionsFor = (user) => {
+  const grants = grantsFor(user);
+  return ACTIONS.reduce((permissions, action) => {
+    if (grants.has(action)) {
+      permissions.push(action);
+    } else if (grants.has(`${action}:own`)) {
+      permissions.push(`${action}:own`);
+    }
+    return permissions;
+  }, []);
+};
+
+module.exports = {
+  ROLES,
+  ACTIONS,
+  ROLE_PERMISSIONS,
+  can,
+  canAny,
+  canManageUser,
+  assignableRoles,
+  canAssignRole,
+  permissionsFor
+};
@@ -0,0 +1,93 @@
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const sitemapService = require('./sitemapService');
+const relatedPosts = require('./relatedPosts');
+
+class PublishScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Publish every scheduled post whose publishAt has passed
+  async publishDuePosts(now = new Date()) {
+    // Skip if the previous run is still going
+    if (this.running) {
+      return [];
+    }
+
+    this.running = true;
+    const published = [];
+
+    try {
+      const duePosts = await Post.findDueScheduled(now).select('_id publishAt').lean();
+
+      for (const duePost of duePosts) {
+        // Conditional update: only the first run to see the post as scheduled publishes it,
+        // so restarts or several server instances never publish twice
+        const post = await Post.findOneAndUpdate(
+          { _id: duePost._id, status: 'scheduled', publishAt: { $lte: now } },
+          {
+            $set: {
+              status: 'published',
+              publishedAt: duePost.publishAt,
+              publishAt: null
+            }
+          },
+          { new: true }
+        );
+
+        if (!post) {
+          continue;
+        }
+
+        // Scheduled posts are left out of tag counts until they go live
+        await Tag.updateMany(
+          { _id: { $in: post.tags } },
+          { $inc: { postCount: 1 } }
+        );
+        await relatedPosts.refresh(post);
+
+        published.push(post);
+      }
+      if (published.length > 0) {
+        sitemapService.invalidate();
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return published;
+  }
+
+  // Start polling for due posts; runs once immediately to catch up after a restart
+  start(intervalMs = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60 * 1000) {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      try {
+        const posts = await this.publishDuePosts();
+        if (posts.length > 0) {
+          console.log(`Published ${posts.length} scheduled post(s)`);
+        }
+      } catch (error) {
+        console.error('Scheduled publishing error:', error);
+      }
+    };
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    console.log(`Publish scheduler running every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new PublishScheduler();
@@ -0,0 +1,145 @@
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+
+// How many related posts are cached per post; GET /related returns up to this many
+const CACHE_SIZE = 6;
+
+// Cached lists are rebuilt after this long, so newer posts find their way into older posts' lists
+const CACHE_TTL_MS = (parseInt(process.env.RELATED_POSTS_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Candidates taken from each source before ranking
+const CANDIDATES = 50;
+
+// A post this many days older than another weighs half as much on recency
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+const WEIGHTS = {
+  tags: 3,
+  text: 2,
+  recency: 1
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CARD_FIELDS = 'title slug excerpt coverImage coverImageVariants publishedAt viewCount likeCount commentCount readingTime';
+
+// Words of the title, excerpt and tag names as a $text query. Punctuation is dropped
+// so quotes and leading dashes are not read as phrases or negations.
+const textQuery = (post, tagNames) => {
+  const words = [post.title, post.excerpt, ...tagNames]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1)
+    .map(word => word.toLowerCase());
+
+  return [...new Set(words)].slice(0, 30).join(' ');
+};
+
+// Rank other published posts by shared tags, text similarity and recency
+const computeRelated = async (post, now = new Date()) => {
+  const others = { status: 'published', _id: { $ne: post._id } };
+  const tagIds = (post.tags || []).map(tag => (tag && tag._id ? tag._id : tag));
+  const tags = await Tag.find({ _id: { $in: tagIds } }).select('name').lean();
+  const search = textQuery(post, tags.map(tag => tag.name));
+
+  const [byTags, byText, recent] = await Promise.all([
+    tagIds.length > 0
+      ? Post.find({ ...others, tags: { $in: tagIds } })
+        .select('tags publishedAt')
+        .sort({ publishedAt: -1 })
+        .limit(CANDIDATES)
+        .lean()
+      : [],
+    search
+      ? Post.find({ ...others, $text: { $search: search } }, { textScore: { $meta: 'textScore' } })
+        .select('tags publishedAt')
+        .sort({ textScore: { $meta: 'textScore' } })
+        .limit(CANDIDATES)
+        .lean()
+      : [],
+    // Newest posts keep the list full when little else is similar
+    Post.find(others)
+      .select('tags publishedAt')
+      .sort({ publishedAt: -1 })
+      .limit(CACHE_SIZE)
+      .lean()
+  ]);
+
+  const candidates = new Map();
+  [...byTags, ...byText, ...recent].forEach(candidate => {
+    const key = candidate._id.toString();
+    const existing = candidates.get(key);
+    candidates.set(key, { ...candidate, textScore: Math.max(existing ? existing.textScore || 0 : 0, candidate.textScore || 0) });
+  });
+
+  const tagSet = new Set(tagIds.map(String));
+  const maxTextScore = Math.max(0, ...byText.map(candidate => candidate.textScore));
+
+  const ranked = [...candidates.values()].map(candidate => {
+    const shared = (candidate.tags || []).filter(tag => tagSet.has(tag.toString())).length;
+    const ageDays = Math.max(0, (now - new Date(candidate.publishedAt || 0)) / DAY_MS);
+
+    return {
+      _id: candidate._id,
+      score: WEIGHTS.tags * (tagSet.size > 0 ? shared / tagSet.size : 0)
+        + WEIGHTS.text * (maxTextScore > 0 ? candidate.textScore / maxTextScore : 0)
+        + WEIGHTS.recency * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS)
+    };
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CACHE_SIZE)
+    .map(candidate => candidate._id);
+};
+
+// Recompute and store a post's related posts; called after a post is published or updated.
+// Failures are logged rather than thrown, since the post itself was saved.
+const refresh = async (post) => {
+  try {
+    const related = post.status === 'published' ? await computeRelated(post) : [];
+
+    // Leave updatedAt alone: caching is not an edit of the post
+    await Post.updateOne(
+      { _id: post._id },
+      { $set: { relatedPosts: related, relatedPostsUpdatedAt: new Date() } },
+      { timestamps: false }
+    );
+    return related;
+  } catch (error) {
+    console.error('Related posts refresh error:', error);
+    return [];
+  }
+};
+
+const isStale = (post, now = new Date()) =>
+  !post.relatedPostsUpdatedAt || now - post.relatedPostsUpdatedAt > CACHE_TTL_MS;
+
+// Published related posts for a post, from the cache when it is fresh.
+// Posts unpublished or deleted since the cache was built are left out.
+const getRelated = async (post, limit = CACHE_SIZE) => {
+  const ids = isStale(post) ? await refresh(post) : post.relatedPosts || [];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const posts = await Post.find({ _id: { $in: ids }, status: 'published' })
+    .populate('author', 'name profileImage profileImageVariants')
+    .populate('tags', 'name slug color')
+    .select(CARD_FIELDS)
+    .lean();
+
+  const order = ids.map(String);
+  return posts
+    .sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()))
+    .slice(0, limit);
+};
+
+module.exports = {
+  CACHE_SIZE,
+  computeRelated,
+  refresh,
+  getRelated
+};
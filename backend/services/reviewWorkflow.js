@@ -0,0 +1,99 @@
+// Editorial review workflow. Posts move draft → in_review → changes_requested / approved
+// → published (or scheduled); this module decides who may make each move.
+const { can } = require('./permissions');
+
+const STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published'];
+
+// Statuses a post can be created in or moved to without going through review
+const LIVE_STATUSES = ['scheduled', 'published'];
+
+// Statuses a post reaches only after review (or from a publisher)
+const REVIEWED_STATUSES = ['approved', ...LIVE_STATUSES];
+
+// Statuses only a reviewer's decision can move a post to
+const REVIEW_DECISIONS = ['approved', 'changes_requested'];
+
+// Fields a reviewer signs off on; changing them after approval needs another review
+const REVIEWED_FIELDS = ['title', 'content', 'excerpt'];
+
+// Allowed moves and who may make them:
+//   author    - anyone who may edit the post (its author, or an editor)
+//   reviewer  - someone with post:review who did not write the post
+//   publisher - someone with post:publish for the post
+const TRANSITIONS = {
+  draft: { in_review: 'author' },
+  in_review: { draft: 'author', changes_requested: 'reviewer', approved: 'reviewer' },
+  changes_requested: { in_review: 'author', draft: 'author' },
+  approved: { draft: 'author', scheduled: 'author', published: 'author' },
+  scheduled: { draft: 'author', published: 'author' },
+  published: { draft: 'author' }
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const isAuthor = (user, post) => idOf(post.author).toString() === user._id.toString();
+
+const passes = (rule, user, post) => {
+  switch (rule) {
+    case 'author':
+      return can(user, 'post:update', post);
+    case 'reviewer':
+      return can(user, 'post:review', post) && !isAuthor(user, post);
+    case 'publisher':
+      return can(user, 'post:publish', post);
+    default:
+      return false;
+  }
+};
+
+// Why the user may not move the post to the given status, or null when they may.
+// Publishers can also put any post live directly, skipping review.
+const transitionError = (user, post, to) => {
+  const from = post.status || 'draft';
+  if (from === to) {
+    return null;
+  }
+
+  const rule = (TRANSITIONS[from] || {})[to];
+  if (rule && passes(rule, user, post)) {
+    return null;
+  }
+  if (LIVE_STATUSES.includes(to) && passes('publisher', user, post)) {
+    return null;
+  }
+
+  if (rule === 'reviewer') {
+    return isAuthor(user, post)
+      ? 'You cannot review your own post'
+      : 'You do not have permission to review posts';
+  }
+  if (LIVE_STATUSES.includes(to)) {
+    return 'This post needs to be approved by a reviewer before it can be published';
+  }
+  return `A post cannot be moved from ${from.replace('_', ' ')} to ${to.replace('_', ' ')}`;
+};
+
+// Statuses the user may move the post to by editing it, for clients deciding what to offer.
+// Review decisions are left out; they are made through the review endpoint.
+const nextStatuses = (user, post) =>
+  STATUSES.filter(status =>
+    status !== (post.status || 'draft') &&
+    !REVIEW_DECISIONS.includes(status) &&
+    !transitionError(user, post, status)
+  );
+
+// Whether saving these changes to an approved, scheduled or published post should
+// send it back for review, whatever status was asked for; otherwise unreviewed text
+// would go live. Users who may publish the post anyway do not need a second look.
+const needsNewReview = (user, post, changes) =>
+  REVIEWED_STATUSES.includes(post.status) &&
+  !can(user, 'post:publish', post) &&
+  REVIEWED_FIELDS.some(field => changes[field] !== undefined && (changes[field] || '') !== (post[field] || ''));
+
+module.exports = {
+  STATUSES,
+  REVIEW_DECISIONS,
+  transitionError,
+  nextStatuses,
+  needsNewReview
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { escapeXml } = require('./feedService');
+
+const SNIPPET_LENGTH = 200;
+const FACET_LIMIT = 20;
+
+// Markdown to plain text, so snippets do not show syntax or cut through tags
+const toPlainText = (markdown) => {
+  const html = marked.parse(markdown || '', { async: false });
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms and "quoted phrases" of a $text query, minus -negated ones
+const parseTerms = (search) => {
+  const terms = [];
+  const phrasePattern = /(-?)"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(search)) !== null) {
+    if (!match[1]) terms.push(match[2].trim());
+  }
+
+  search.replace(phrasePattern, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+
+  return [...new Set(terms.filter(Boolean).map(term => term.toLowerCase()))];
+};
+
+// Matches any term at the start of a word; prefixes roughly cover the stemming $text does
+const buildMatcher = (terms) => {
+  if (terms.length === 0) return null;
+  const alternatives = terms
+    .sort((a, b) => b.length - a.length)
+    .map(term => `${escapeRegExp(term)}\\w*`);
+  return new RegExp(`(?<![\\w])(?:${alternatives.join('|')})`, 'gi');
+};
+
+// Escape text for HTML and wrap matches in <mark>
+const highlight = (text, matcher) => {
+  if (!matcher) return escapeXml(text);
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(matcher)) {
+    html += escapeXml(text.slice(last, match.index)) + `<mark>${escapeXml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeXml(text.slice(last));
+};
+
+// Window of plain text around the first match, trimmed to word boundaries
+const excerptAround = (text, matcher, length = SNIPPET_LENGTH) => {
+  if (text.length <= length) return text;
+
+  const match = matcher ? text.search(matcher) : -1;
+
+  let start = Math.max(0, match - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > start + 20 ? start : space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+};
+
+// Highlighted title and snippet for one post. The strings are HTML: everything but <mark> is escaped.
+const buildHighlights = (post, search) => {
+  const matcher = buildMatcher(parseTerms(search));
+  const body = toPlainText(post.content);
+  // Fall back to the excerpt when only it (or the title) matched
+  const source = matcher && body.search(matcher) === -1 && post.excerpt
+    ? post.excerpt
+    : body || post.excerpt || '';
+
+  return {
+    title: highlight(post.title, matcher),
+    snippet: highlight(excerptAround(source, matcher), matcher)
+  };
+};
+
+// Mongo filter for the non-text search filters; null when a tag does not exist
+const buildFilters = async ({ tags = [], author, year, from, to }) => {
+  const filter = { status: 'published' };
+
+  if (tags.length > 0) {
+    const tagDocs = await Tag.find({ slug: { $in: tags } }).select('_id');
+    if (tagDocs.length !== tags.length) {
+      return null;
+    }
+    filter.tags = { $all: tagDocs.map(tag => tag._id) };
+  }
+
+  if (author) {
+    filter.author = new mongoose.Types.ObjectId(author);
+  }
+
+  const publishedAt = {};
+  if (year) {
+    publishedAt.$gte = new Date(Date.UTC(year, 0, 1));
+    publishedAt.$lt = new Date(Date.UTC(year + 1, 0, 1));
+  }
+  if (from) {
+    publishedAt.$gte = publishedAt.$gte && publishedAt.$gte > from ? publishedAt.$gte : from;
+  }
+  if (to) {
+    publishedAt.$lte = to;
+  }
+  if (Object.keys(publishedAt).length > 0) {
+    filter.publishedAt = publishedAt;
+  }
+
+  return filter;
+};
+
+const emptyResult = (page) => ({
+  posts: [],
+  totalPosts: 0,
+  currentPage: page,
+  totalPages: 0,
+  hasNextPage: false,
+  hasPrevPage: false,
+  facets: { tags: [], authors: [], years: [] }
+});
+
+// Replace facet ids with the tag and author details the UI shows
+const resolveFacets = async ({ tags, authors, years }) => {
+  const [tagDocs, authorDocs] = await Promise.all([
+    Tag.find({ _id: { $in: tags.map(facet => facet._id) } }).select('name slug color').lean(),
+    User.find({ _id: { $in: authors.map(facet => facet._id) } }).select('name').lean()
+  ]);
+  const tagsById = new Map(tagDocs.map(tag => [tag._id.toString(), tag]));
+  const authorsById = new Map(authorDocs.map(author => [author._id.toString(), author]));
+
+  return {
+    tags: tags
+      .filter(facet => tagsById.has(facet._id.toString()))
+      .map(facet => {
+        const tag = tagsById.get(facet._id.toString());
+        return { slug: tag.slug, name: tag.name, color: tag.color, count: facet.count };
+      }),
+    authors: authors
+      .filter(facet => authorsById.has(facet._id.toString()))
+      .map(facet => ({ _id: facet._id, name: authorsById.get(facet._id.toString()).name, count: facet.count })),
+    years: years.map(facet => ({ year: facet._id, count: facet.count }))
+  };
+};
+
+// Published posts matching a $text query, best matches first, with highlights and
+// tag/author/year facet counts for the filtered result set
+const searchPosts = async ({ search, tags, author, year, from, to, page = 1, limit = 10 }) => {
+  const filter = await buildFilters({ tags, author, year, from, to });
+  if (!filter) {
+    return emptyResult(page);
+  }
+
+  const facetCount = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  ];
+
+  const [result] = await Post.aggregate([
+    { $match: { $text: { $search: search }, ...filter } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        posts: [
+          { $sort: { score: -1, publishedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }],
+        tags: [{ $unwind: '$tags' }, ...facetCount('$tags')],
+        authors: facetCount('$author'),
+        years: [
+          { $group: { _id: { $year: '$publishedAt' }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const posts = await Post.populate(result.posts, [
+    { path: 'author', select: 'name profileImage profileImageVariants' },
+    { path: 'tags', select: 'name slug color' }
+  ]);
+
+  const results = posts.map(({ content, ...post }) => ({
+    ...post,
+    highlights: buildHighlights({ ...post, content }, search)
+  }));
+
+  const totalPosts = result.total.length > 0 ? result.total[0].count : 0;
+  const totalPages = Math.ceil(totalPosts / limit);
+
+  return {
+    posts: results,
+    totalPosts,
+    currentPage: page,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    facets: await resolveFacets(result)
+  };
+};
+
+module.exports = {
+  parseTerms,
+  buildHighlights,
+  searchPosts
+};
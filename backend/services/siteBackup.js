@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const bcrypt = require('bcryptjs');
+const { BSON } = require('mongodb');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Subscriber = require('../models/Subscriber');
+const Media = require('../models/Media');
+const Like = require('../models/Like');
+const Series = require('../models/Series');
+const Session = require('../models/Session');
+const PostRevision = require('../models/PostRevision');
+const ReviewNote = require('../models/ReviewNote');
+const PostViewStat = require('../models/PostViewStat');
+const PostVisit = require('../models/PostVisit');
+const SiteVisit = require('../models/SiteVisit');
+const VisitorStat = require('../models/VisitorStat');
+const CoverFillBatch = require('../models/CoverFillBatch');
+const storage = require('./storage');
+
+// Bump when the archive layout or the shape of a backed-up collection changes
+// in a way older restores cannot read
+const BACKUP_SCHEMA_VERSION = 1;
+const BACKUP_FORMAT = 'thisblog-backup';
+
+// Collections in restore order, so documents come after the ones they reference
+const COLLECTIONS = [
+  { name: 'users', model: User },
+  { name: 'tags', model: Tag },
+  { name: 'posts', model: Post },
+  { name: 'comments', model: Comment },
+  { name: 'subscribers', model: Subscriber },
+  { name: 'media', model: Media }
+];
+
+const RESTORE_MODES = ['merge', 'replace'];
+const MAX_CONFLICTS = 500;
+
+// Extended JSON keeps ObjectIds and dates intact, one document per line
+async function* toLines(cursor) {
+  for await (const doc of cursor) {
+    yield `${BSON.EJSON.stringify(doc, { relaxed: false })}\n`;
+  }
+}
+
+// A stored file, only opened when the archive gets to it
+async function* fromStorage(key) {
+  yield* await storage.get(key);
+}
+
+// Stream a backup archive to `output`:
+//
+//   manifest.json           format, schema version, time and document counts
+//   data/<collection>.ndjson
+//   uploads/...             every uploaded file, by storage key
+//
+// Password hashes are left out unless `includePasswords` is set.
+const writeBackup = async (output, { includePasswords = false } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const failed = new Promise((resolve, reject) => archive.on('error', reject));
+  archive.pipe(output);
+
+  const counts = {};
+  for (const { name, model } of COLLECTIONS) {
+    counts[name] = await model.estimatedDocumentCount();
+  }
+
+  archive.append(JSON.stringify({
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    includesPasswords: includePasswords,
+    counts
+  }, null, 2), { name: 'manifest.json' });
+
+  for (const { name, model } of COLLECTIONS) {
+    const projection = name === 'users' && !includePasswords ? { password: 0 } : {};
+    const cursor = model.collection.find({}, { projection });
+    archive.append(Readable.from(toLines(cursor)), { name: `data/${name}.ndjson` });
+  }
+
+  for await (const key of storage.list()) {
+    archive.append(Readable.from(fromStorage(key)), { name: `uploads/${key}` });
+  }
+
+  await Promise.race([archive.finalize(), failed]);
+};
+
+// Open a backup archive and check it is one this server can restore.
+// Throws with a message for the user when it is not.
+const readBackup = (archivePath) => {
+  let zip;
+  try {
+    zip = new AdmZip(archivePath);
+  } catch (error) {
+    throw new Error('The file is not a valid zip archive');
+  }
+
+  const manifestEntry = zip.getEntry('manifest.json');
+  let manifest = null;
+  try {
+    manifest = manifestEntry ? JSON.parse(manifestEntry.getData().toString('utf8')) : null;
+  } catch (error) {
+    manifest = null;
+  }
+
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new Error('The archive is not a ThisBlog backup');
+  }
+  if (manifest.schemaVersion !== BACKUP_SCHEMA_VERSION) {
+    throw new Error(`Backups with schema version ${manifest.schemaVersion} cannot be restored; this server restores version ${BACKUP_SCHEMA_VERSION}`);
+  }
+
+  // Parse every collection now, so a damaged archive is turned away before a
+  // restore has deleted anything. Collections missing from the archive are null.
+  const collections = {};
+  for (const { name } of COLLECTIONS) {
+    const entry = zip.getEntry(`data/${name}.ndjson`);
+    if (!entry) {
+      collections[name] = null;
+      continue;
+    }
+
+    const lines = entry.getData().toString('utf8').split('\n');
+    collections[name] = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        collections[name].push(BSON.EJSON.parse(line, { relaxed: false }));
+      } catch (error) {
+        throw new Error(`Line ${index + 1} of data/${name}.ndjson is not a valid document`);
+      }
+    });
+  }
+
+  return { zip, manifest, collections };
+};
+
+const describeDuplicate = (error) => {
+  const fields = Object.entries(error.keyValue || {});
+  if (fields.length === 0 || fields[0][0] === '_id') {
+    return 'A document with this ID already exists';
+  }
+  return `Already exists with ${fields.map(([key, value]) => `${key} "${value}"`).join(', ')}`;
+};
+
+// Post counts the app keeps up to date itself, recalculated after a restore
+const recount = async () => {
+  const tagCounts = await Post.aggregate([
+    { $match: { status: { $ne: 'scheduled' } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  await Tag.updateMany({}, { $set: { postCount: 0 } });
+  if (tagCounts.length > 0) {
+    await Tag.bulkWrite(tagCounts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { postCount: count } } }
+    })));
+  }
+
+  // Like the Comment model, only top-level comments count towards a post
+  const commentCounts = await Comment.aggregate([
+    { $match: { parentComment: null } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+  await Post.updateMany({}, { $set: { commentCount: 0 } }, { timestamps: false });
+  if (commentCounts.length > 0) {
+    await Post.bulkWrite(commentCounts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { commentCount: count } }, timestamps: false }
+    })));
+  }
+};
+
+// Documents in other collections that point at restored ones. A replace keeps
+// those that still match something and drops the rest, along with every
+// session but `actor`'s, since the accounts they were opened for were replaced.
+const pruneDependents = async (actor) => {
+  const [userIds, postIds, commentIds] = await Promise.all([
+    User.distinct('_id'),
+    Post.distinct('_id'),
+    Comment.distinct('_id')
+  ]);
+
+  await Session.deleteMany({ user: { $ne: actor._id } });
+  await CoverFillBatch.deleteMany({});
+  await Like.deleteMany({
+    $or: [
+      { user: { $nin: userIds } },
+      { targetType: 'Post', target: { $nin: postIds } },
+      { targetType: 'Comment', target: { $nin: commentIds } }
+    ]
+  });
+  for (const model of [PostRevision, ReviewNote, PostViewStat, PostVisit]) {
+    await model.deleteMany({ post: { $nin: postIds } });
+  }
+  for (const model of [SiteVisit, VisitorStat]) {
+    await model.deleteMany({ author: { $nin: [null, ...userIds] } });
+  }
+
+  await Series.deleteMany({ author: { $nin: userIds } });
+  await Series.updateMany({}, { $pull: { posts: { $nin: postIds } } });
+};
+
+// Restore an archive opened with readBackup. In "merge" mode documents and files
+// that already exist are kept and reported as conflicts; "replace" empties each
+// backed-up collection first, except for `actor`'s own account, overwrites files
+// and prunes what pointed at the replaced documents (see pruneDependents).
+// Resolves to { mode, counts: { <collection>|uploads: { restored, conflicts } }, conflicts }.
+//
+// Every document is checked before anything is deleted. Should writing still
+// fail part way through a replace, the collections are put back as they were;
+// this runs without a transaction so it works on a standalone MongoDB server.
+const restoreBackup = async ({ zip, collections }, { mode, actor }) => {
+  const report = { mode, counts: {}, conflicts: [] };
+  const conflict = (collection, id, reason) => {
+    report.counts[collection].conflicts++;
+    if (report.conflicts.length < MAX_CONFLICTS) {
+      report.conflicts.push({ collection, id: String(id), reason });
+    }
+  };
+
+  // Users backed up without a password get one nobody knows, and sign in by resetting it
+  let placeholderPassword = null;
+
+  const toRestore = [];
+  for (const { name, model } of COLLECTIONS) {
+    report.counts[name] = { restored: 0, conflicts: 0 };
+    if (!collections[name]) {
+      continue;
+    }
+
+    const docs = [];
+    for (const doc of collections[name]) {
+      if (name === 'users' && !doc.password) {
+        placeholderPassword = placeholderPassword || await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+        doc.password = placeholderPassword;
+      }
+
+      const invalid = new model(doc).validateSync();
+      if (invalid) {
+        conflict(name, doc._id, `Invalid document: ${invalid.message}`);
+        continue;
+      }
+      docs.push(doc);
+    }
+    toRestore.push({ name, model, docs, filter: name === 'users' ? { _id: { $ne: actor._id } } : {} });
+  }
+
+  // What a replace deletes, kept to put back if the restore fails
+  const previous = new Map();
+  try {
+    for (const { name, model, docs, filter } of toRestore) {
+      if (mode === 'replace') {
+        previous.set(model, { filter, docs: await model.collection.find(filter).toArray() });
+        await model.collection.deleteMany(filter);
+      }
+
+      // Written as stored, skipping save hooks that would change slugs or counts
+      for (const doc of docs) {
+        try {
+          await model.collection.insertOne(doc);
+          report.counts[name].restored++;
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+          conflict(name, doc._id, describeDuplicate(error));
+        }
+      }
+    }
+  } catch (error) {
+    for (const [model, { filter, docs }] of previous) {
+      await model.collection.deleteMany(filter);
+      if (docs.length > 0) {
+        await model.collection.insertMany(docs, { ordered: false });
+      }
+    }
+    throw error;
+  }
+
+  report.counts.uploads = { restored: 0, conflicts: 0 };
+  const files = zip.getEntries().filter(entry => !entry.isDirectory && entry.entryName.startsWith('uploads/'));
+  for (const entry of files) {
+    let key;
+    try {
+      key = storage.normalizeKey(entry.entryName.slice('uploads/'.length));
+    } catch (error) {
+      conflict('uploads', entry.entryName, 'Path is outside the uploads directory');
+      continue;
+    }
+    if (mode === 'merge' && await storage.exists(key)) {
+      conflict('uploads', entry.entryName, 'A file with this name already exists');
+      continue;
+    }
+
+    await storage.put(key, entry.getData());
+    report.counts.uploads.restored++;
+  }
+
+  if (mode === 'replace') {
+    await pruneDependents(actor);
+  }
+  await recount();
+  return report;
+};
+
+module.exports = {
+  BACKUP_SCHEMA_VERSION,
+  COLLECTIONS,
+  RESTORE_MODES,
+  writeBackup,
+  readBackup,
+  restoreBackup
+};
@@ -0,0 +1,284 @@
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { escapeXml, SITE_TITLE } = require('./feedService');
+
+// The sitemap protocol allows at most 50,000 URLs per file
+const PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 5000, 50000);
+const CACHE_TTL_MS = parseInt(process.env.SITEMAP_CACHE_TTL_MS) || 60 * 60 * 1000;
+// Entries are keyed by the request's Host header, so any client can add new
+// ones; past this many the oldest are dropped
+const CACHE_MAX_ENTRIES = 500;
+
+// Paths crawlers are kept out of unless ROBOTS_DISALLOW overrides them
+const DEFAULT_DISALLOW = ['/admin', '/admin-login', '/super-admin', '/user', '/profile', '/login', '/signup', '/forgot-password', '/reset-password', '/verify-email', '/unsubscribe', '/newsletter/confirm'];
+
+const SECTIONS = ['pages', 'posts', 'tags', 'authors'];
+
+const PUBLISHED = { status: 'published' };
+
+const formatUrlset = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+  ...urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    url.lastmod ? `    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : null,
+    url.image ? `    <image:image>\n      <image:loc>${escapeXml(url.image)}</image:loc>\n    </image:image>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n')),
+  '</urlset>',
+  ''
+].join('\n');
+
+const formatIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...sitemaps.map(sitemap => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+    sitemap.lastmod ? `    <lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n')),
+  '</sitemapindex>',
+  ''
+].join('\n');
+
+// Resolve stored image paths (e.g. /uploads/...) against the API host
+const absoluteUrl = (url, baseUrl) => {
+  try {
+    return new URL(url, baseUrl).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+// A page for social networks' link previews, which read Open Graph tags from the
+// HTML they fetch and do not run the client app. People following the link are
+// sent on to the post. og:url points back here, as crawlers re-fetch that URL.
+const formatSharePage = (post, { baseUrl, siteUrl }) => {
+  const postUrl = `${siteUrl}/post/${post.slug}`;
+  const title = post.seoTitle || post.title;
+  const description = post.seoDescription || post.excerpt || '';
+  // Covers uploaded before variants existed fall back to the original image
+  const og = post.coverImageVariants && post.coverImageVariants.og && post.coverImageVariants.og.jpeg
+    ? post.coverImageVariants.og
+    : null;
+  const imagePath = og ? og.jpeg : post.coverImage;
+  const image = imagePath ? absoluteUrl(imagePath, baseUrl) : null;
+
+  const meta = [
+    ['og:type', 'article'],
+    ['og:site_name', SITE_TITLE],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', `${baseUrl}/share/post/${encodeURIComponent(post.slug)}`],
+    ['og:image', image],
+    ['og:image:width', og ? og.width : null],
+    ['og:image:height', og ? og.height : null]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <meta name="description" content="${escapeXml(description)}">`,
+    ...meta.map(([property, value]) => `  <meta property="${property}" content="${escapeXml(value)}">`),
+    `  <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `  <meta http-equiv="refresh" content="0; url=${escapeXml(postUrl)}">`,
+    '</head>',
+    '<body>',
+    `  <p><a href="${escapeXml(postUrl)}">${escapeXml(title)}</a></p>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+};
+
+// Group published posts by a field (tags or author) with the latest update per group
+const groupPublished = (field, page) => {
+  const pipeline = [{ $match: PUBLISHED }];
+  if (field === 'tags') {
+    pipeline.push({ $unwind: '$tags' });
+  }
+  pipeline.push(
+    { $group: { _id: `$${field}`, lastmod: { $max: '$updatedAt' } } },
+    { $sort: { _id: 1 } }
+  );
+
+  if (page) {
+    pipeline.push({ $skip: (page - 1) * PAGE_SIZE }, { $limit: PAGE_SIZE });
+  } else {
+    pipeline.push({ $count: 'total' });
+  }
+
+  return Post.aggregate(pipeline);
+};
+
+const countGroups = async (field) => {
+  const [result] = await groupPublished(field);
+  return result ? result.total : 0;
+};
+
+class SitemapService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Drop every cached sitemap so the next request regenerates it.
+  // Called whenever a post is published, updated or deleted.
+  invalidate() {
+    this.cache.clear();
+  }
+
+  async cached(key, generate) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.body;
+    }
+
+    const body = await generate();
+    if (body !== null) {
+      this.cache.delete(key);
+      this.cache.set(key, { body, expiresAt: Date.now() + CACHE_TTL_MS });
+      if (this.cache.size > CACHE_MAX_ENTRIES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    return body;
+  }
+
+  // Number of sub-sitemap pages per section
+  async countPages(section) {
+    switch (section) {
+      case 'pages':
+        return 1;
+      case 'posts':
+        return Math.ceil(await Post.countDocuments(PUBLISHED) / PAGE_SIZE);
+      case 'tags':
+        return Math.ceil(await countGroups('tags') / PAGE_SIZE);
+      case 'authors':
+        return Math.ceil(await countGroups('author') / PAGE_SIZE);
+      default:
+        return 0;
+    }
+  }
+
+  // Sitemap index listing every non-empty sub-sitemap page
+  getIndex({ baseUrl }) {
+    return this.cached(`index|${baseUrl}`, async () => {
+      const sitemaps = [];
+      for (const section of SECTIONS) {
+        const pages = await this.countPages(section);
+        for (let page = 1; page <= pages; page++) {
+          sitemaps.push({ loc: `${baseUrl}/sitemaps/${section}-${page}.xml` });
+        }
+      }
+
+      const [latest] = await Post.find(PUBLISHED).sort({ updatedAt: -1 }).limit(1).select('updatedAt').lean();
+      if (latest) {
+        sitemaps.forEach(sitemap => {
+          sitemap.lastmod = latest.updatedAt;
+        });
+      }
+
+      return formatIndex(sitemaps);
+    });
+  }
+
+  // One page of a sub-sitemap, or null if the section/page does not exist
+  getSitemap({ baseUrl, siteUrl }, section, page) {
+    if (!SECTIONS.includes(section) || !(page >= 1)) {
+      return Promise.resolve(null);
+    }
+
+    return this.cached(`${section}-${page}|${baseUrl}|${siteUrl}`, async () => {
+      if (page > await this.countPages(section)) {
+        return null;
+      }
+
+      switch (section) {
+        case 'pages':
+          return formatUrlset([{ loc: `${siteUrl}/` }]);
+
+        case 'posts': {
+          const posts = await Post.find(PUBLISHED)
+            .select('slug updatedAt coverImage')
+            .sort({ _id: 1 })
+            .skip((page - 1) * PAGE_SIZE)
+            .limit(PAGE_SIZE)
+            .lean();
+
+          return formatUrlset(posts.map(post => ({
+            loc: `${siteUrl}/post/${post.slug}`,
+            lastmod: post.updatedAt,
+            image: post.coverImage ? absoluteUrl(post.coverImage, baseUrl) : null
+          })));
+        }
+
+        case 'tags': {
+          const groups = await groupPublished('tags', page);
+          const tags = await Tag.find({ _id: { $in: groups.map(group => group._id) } }).select('slug').lean();
+          const slugs = new Map(tags.map(tag => [tag._id.toString(), tag.slug]));
+
+          return formatUrlset(groups
+            .filter(group => slugs.has(group._id.toString()))
+            .map(group => ({
+              loc: `${siteUrl}/category/${encodeURIComponent(slugs.get(group._id.toString()))}`,
+              lastmod: group.lastmod
+            })));
+        }
+
+        case 'authors': {
+          const groups = await groupPublished('author', page);
+          const authors = await User.find({ _id: { $in: groups.map(group => group._id) } }).select('_id').lean();
+          const authorIds = new Set(authors.map(author => author._id.toString()));
+
+          return formatUrlset(groups
+            .filter(group => authorIds.has(group._id.toString()))
+            .map(group => ({
+              loc: `${siteUrl}/author/${group._id}`,
+              lastmod: group.lastmod
+            })));
+        }
+      }
+    });
+  }
+
+  // Link preview page of a published post, or null if there is none with that slug
+  getSharePage(hosts, slug) {
+    return this.cached(`share-${slug}|${hosts.baseUrl}|${hosts.siteUrl}`, async () => {
+      const post = await Post.findOne({ ...PUBLISHED, slug })
+        .select('title slug excerpt seoTitle seoDescription coverImage coverImageVariants')
+        .lean();
+      return post ? formatSharePage(post, hosts) : null;
+    });
+  }
+
+  // robots.txt pointing crawlers at the sitemap index
+  getRobots({ baseUrl }) {
+    return this.cached(`robots|${baseUrl}`, async () => {
+      const lines = ['User-agent: *'];
+
+      if (process.env.ROBOTS_ALLOW_INDEXING === 'false') {
+        lines.push('Disallow: /');
+      } else {
+        const disallow = process.env.ROBOTS_DISALLOW !== undefined
+          ? process.env.ROBOTS_DISALLOW.split(',').map(path => path.trim()).filter(Boolean)
+          : DEFAULT_DISALLOW;
+
+        if (disallow.length === 0) {
+          lines.push('Disallow:');
+        }
+        disallow.forEach(path => lines.push(`Disallow: ${path}`));
+      }
+
+      lines.push('', `Sitemap: ${baseUrl}/sitemap.xml`, '');
+      return lines.join('\n');
+    });
+  }
+}
+
+module.exports = new SitemapService();
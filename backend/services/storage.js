@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+
+// Uploaded files are stored under keys like "posts/coverImage-123.jpg" by a driver:
+//
+//   put(key, body, { contentType })  body is a Buffer or a readable stream; resolves to { size }
+//   get(key)                         resolves to a readable stream, or null when there is no such file
+//   exists(key)                      resolves to true or false
+//   delete(key)                      resolves to whether there was a file to delete
+//   list(prefix)                     async iterable of the keys under prefix
+//   url(key)                         where browsers load the file from
+//
+// STORAGE_DRIVER picks the driver: "local" (default) keeps files in the uploads
+// directory, "s3" in an S3-compatible bucket such as AWS S3 or MinIO.
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const UPLOADS_URL = '/uploads';
+
+// Keys are relative paths with forward slashes that cannot climb out of the store
+const normalizeKey = (key) => {
+  const normalized = path.posix.normalize(String(key || '').replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized.split('/').includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+const contentTypeFor = (key) => express.static.mime.lookup(key);
+
+const toBuffer = async (body) => {
+  if (Buffer.isBuffer(body)) {
+    return body;
+  }
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const createLocalDriver = ({ root = UPLOADS_DIR, baseUrl = UPLOADS_URL } = {}) => {
+  const filePath = (key) => path.join(root, normalizeKey(key));
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, body) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, fs.createWriteStream(target));
+      const { size } = await fs.promises.stat(target);
+      return { size };
+    },
+
+    async get(key) {
+      const target = filePath(key);
+      try {
+        await fs.promises.access(target);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(target);
+    },
+
+    async exists(key) {
+      try {
+        return (await fs.promises.stat(filePath(key))).isFile();
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async *list(prefix = '') {
+      const walk = async function* (dir) {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          return;
+        }
+        for (const entry of entries) {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            yield* walk(full);
+          } else if (entry.isFile()) {
+            yield path.relative(root, full).split(path.sep).join('/');
+          }
+        }
+      };
+
+      for await (const key of walk(root)) {
+        if (key.startsWith(prefix)) {
+          yield key;
+        }
+      }
+    },
+
+    url(key) {
+      return `${baseUrl}/${normalizeKey(key)}`;
+    }
+  };
+};
+
+// An S3-compatible bucket. With publicUrl set files are linked there directly
+// (a public bucket or a CDN in front of it); otherwise this server streams them
+// from the bucket under /uploads, so the bucket can stay private.
+const createS3Driver = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  prefix = '',
+  publicUrl = ''
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+  }
+
+  // Only loaded when S3 storage is used
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const keyPrefix = prefix ? `${normalizeKey(prefix)}/` : '';
+  const objectKey = (key) => `${keyPrefix}${normalizeKey(key)}`;
+  const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+
+    async put(key, body, { contentType } = {}) {
+      // Uploads are small, and a known length lets any S3-compatible server accept them
+      const data = await toBuffer(body);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        // Browsers load files straight from a public bucket, so it needs to say what they are
+        ContentType: contentType || contentTypeFor(key)
+      }));
+      return { size: data.length };
+    },
+
+    async get(key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return response.Body;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const existed = await this.exists(key);
+      if (existed) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      }
+      return existed;
+    },
+
+    async *list(listPrefix = '') {
+      let ContinuationToken;
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${keyPrefix}${listPrefix}`,
+          ContinuationToken
+        }));
+        for (const object of response.Contents || []) {
+          yield object.Key.slice(keyPrefix.length);
+        }
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    url(key) {
+      return publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${objectKey(key)}` : `${UPLOADS_URL}/${normalizeKey(key)}`;
+    }
+  };
+};
+
+const createDriver = (env = process.env) => {
+  const name = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (name === 'local') {
+    return createLocalDriver();
+  }
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: env.S3_PREFIX,
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${name}"; use "local" or "s3"`);
+};
+
+let driver = null;
+
+// The configured driver, created on first use
+const getDriver = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+// For tests and the migration command
+const setDriver = (next) => {
+  driver = next;
+};
+
+// The key of a file stored by `target` from the URL it was given, or null when
+// the URL points somewhere else
+const keyFromUrl = (url, target = getDriver()) => {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+  const marker = target.url('__key__');
+  const base = marker.slice(0, marker.indexOf('__key__'));
+  for (const candidate of [base, `${UPLOADS_URL}/`]) {
+    if (url.startsWith(candidate)) {
+      try {
+        return normalizeKey(decodeURIComponent(url.slice(candidate.length).split(/[?#]/)[0]));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Serves /uploads: straight from disk for local storage, streamed from the
+// driver otherwise so links made before a move to S3 keep working
+const serveUploads = () => {
+  let staticFiles = null;
+
+  return async (req, res, next) => {
+    const current = getDriver();
+    if (current.name === 'local') {
+      staticFiles = staticFiles || express.static(current.root);
+      return staticFiles(req, res, next);
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    let key;
+    try {
+      key = normalizeKey(decodeURIComponent(req.path));
+    } catch (error) {
+      return next();
+    }
+
+    try {
+      const body = await current.get(key);
+      if (!body) {
+        return next();
+      }
+      res.type(path.extname(key));
+      res.set('Cache-Control', 'public, max-age=86400');
+      if (req.method === 'HEAD') {
+        body.destroy?.();
+        return res.end();
+      }
+      await pipeline(body, res);
+    } catch (error) {
+      console.error('Error serving upload:', error);
+      if (!res.headersSent) {
+        next(error);
+      } else {
+        res.destroy();
+      }
+    }
+  };
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  normalizeKey,
+  toBuffer,
+  contentTypeFor,
+  createLocalDriver,
+  createS3Driver,
+  createDriver,
+  getDriver,
+  setDriver,
+  keyFromUrl,
+  serveUploads,
+  put: (key, body, options) => getDriver().put(key, body, options),
+  get: (key) => getDriver().get(key),
+  exists: (key) => getDriver().exists(key),
+  delete: (key) => getDriver().delete(key),
+  list: (prefix) => getDriver().list(prefix),
+  url: (key) => getDriver().url(key)
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostViewStat = require('../models/PostViewStat');
+const PostVisit = require('../models/PostVisit');
+const SiteVisit = require('../models/SiteVisit');
+const VisitorStat = require('../models/VisitorStat');
+
+// A visitor's views of a post count once until they have been away this long
+const SESSION_MINUTES = parseInt(process.env.VIEW_SESSION_MINUTES) || 30;
+
+// How long a visit is remembered for de-duplication; a little over a day covers the day boundary
+const VISIT_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Crawlers, link previews and scripted clients; requests without a user agent are treated the same
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|monitor|curl|wget|python-requests|httpclient|okhttp|axios|node-fetch|go-http-client|java\//i;
+
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+const hourOf = (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const hashSecret = () => process.env.VIEW_HASH_SECRET || process.env.JWT_SECRET || '';
+
+// Signed-in readers are identified by account, everyone else by IP and browser.
+// The day is part of the hash, so the same visitor cannot be followed across days.
+const visitorId = (req, day) => {
+  const identity = req.user
+    ? `user:${req.user._id}`
+    : `anon:${req.ip || ''}:${req.get('user-agent') || ''}`;
+  return crypto.createHmac('sha256', hashSecret()).update(`${day}:${identity}`).digest('base64url');
+};
+
+const siteHost = () => {
+  try {
+    return new URL(process.env.CLIENT_URL || 'http://localhost:3000').hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+// Host name of the page that linked to the post: 'direct' when there is none,
+// 'internal' when it is another page of this site
+const referrerHost = (referrer) => {
+  if (!referrer) return 'direct';
+
+  let host;
+  try {
+    host = new URL(referrer).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (error) {
+    return 'direct';
+  }
+
+  if (!host) return 'direct';
+  return host === siteHost() ? 'internal' : host;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Count a visitor once per day for the whole site and for the post's author,
+// however many of their posts the visitor reads
+const recordVisitor = async (post, visitor, day, now) => {
+  for (const author of [null, idOf(post.author)]) {
+    let previous;
+    try {
+      previous = await SiteVisit.findOneAndUpdate(
+        { author, visitor, day },
+        { $setOnInsert: { expiresAt: new Date(now.getTime() + VISIT_TTL_MS) } },
+        { upsert: true, new: false }
+      ).lean();
+    } catch (error) {
+      // A concurrent request from the same visitor got there first
+      if (error.code === 11000) continue;
+      throw error;
+    }
+    if (!previous) {
+      await VisitorStat.updateOne(
+        { author, hour: hourOf(now) },
+        { $inc: { visitors: 1 } },
+        { upsert: true }
+      );
+    }
+  }
+};
+
+// Count a view of a published post. Bots and the post's author are ignored, and
+// a visitor's repeated views only count again after a break of SESSION_MINUTES.
+// Resolves to whether the view was counted.
+const recordView = async (req, post, { referrer } = {}) => {
+  if (isBot(req.get('user-agent'))) {
+    return false;
+  }
+  if (req.user && idOf(post.author).toString() === req.user._id.toString()) {
+    return false;
+  }
+
+  const now = new Date();
+  const day = dayOf(now);
+  const visitor = visitorId(req, day);
+
+  let previous;
+  try {
+    previous = await PostVisit.findOneAndUpdate(
+      { post: post._id, visitor, day },
+      {
+        $set: { lastViewAt: now },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + VISIT_TTL_MS) }
+      },
+      { upsert: true, new: false }
+    ).lean();
+  } catch (error) {
+    // A concurrent request from the same visitor got there first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const newVisitor = !previous;
+  if (!newVisitor && now - previous.lastViewAt < SESSION_MINUTES * 60 * 1000) {
+    return false;
+  }
+
+  await PostViewStat.updateOne(
+    { post: post._id, hour: hourOf(now), referrer: referrerHost(referrer || req.get('referer')) },
+    { $inc: { views: 1, visitors: newVisitor ? 1 : 0 } },
+    { upsert: true }
+  );
+  if (newVisitor) {
+    await recordVisitor(post, visitor, day, now);
+  }
+  // A view is not an edit, so it must not move updatedAt (feeds and sitemaps use it)
+  await Post.updateOne({ _id: post._id }, { $inc: { viewCount: 1 } }, { timestamps: false });
+
+  return true;
+};
+
+const BUCKET_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d'
+};
+
+// Views, daily unique visitors, referrers and top posts between two dates.
+// `author` limits the report to that author's posts; leave it out for the whole site.
+// Visitors are counted once per day, so over several days a returning reader
+// counts once for each day they came back. Per-referrer and per-post visitor
+// counts are visitors of each post, so a reader of two posts appears in both.
+const report = async ({ author, from, to = new Date(), interval = 'day', limit = 10 }) => {
+  const match = { hour: { $gte: hourOf(from), $lte: to } };
+  if (author) {
+    match.post = { $in: await Post.find({ author: idOf(author) }).distinct('_id') };
+  }
+  const bucket = { $dateToString: { format: BUCKET_FORMATS[interval] || BUCKET_FORMATS.day, date: '$hour' } };
+
+  const visitorsOverTime = await VisitorStat.aggregate([
+    {
+      $match: {
+        author: author ? new mongoose.Types.ObjectId(String(idOf(author))) : null,
+        hour: match.hour
+      }
+    },
+    { $group: { _id: bucket, visitors: { $sum: '$visitors' } } }
+  ]);
+  const visitorsIn = new Map(visitorsOverTime.map(entry => [entry._id, entry.visitors]));
+
+  const [result] = await PostViewStat.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, views: { $sum: '$views' } } }
+        ],
+        overTime: [
+          { $group: { _id: bucket, views: { $sum: '$views' } } },
+          { $sort: { _id: 1 } }
+        ],
+        referrers: [
+          { $group: { _id: '$referrer', views: { $sum: '$views' }, visitors: { $sum: '$visitors' } } },
+          { $sort: { views: -1, _id: 1 } },
+          { $limit: limit }
+        ],
+        topPosts: [
+          { $group: { _id: '$post', views: { $sum: '$views' }, visitors: { $sum: '$visitors' } } },
+          { $sort: { views: -1 } },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'posts',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'post'
+            }
+          },
+          { $unwind: '$post' },
+          {
+            $project: {
+              title: '$post.title',
+              slug: '$post.slug',
+              views: 1,
+              visitors: 1
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { views: 0 };
+
+  return {
+    totals: {
+      views: totals.views,
+      uniqueVisitors: visitorsOverTime.reduce((sum, entry) => sum + entry.visitors, 0)
+    },
+    overTime: result.overTime.map(entry => ({ ...entry, visitors: visitorsIn.get(entry._id) || 0 })),
+    referrers: result.referrers,
+    topPosts: result.topPosts
+  };
+};
+
+module.exports = {
+  isBot,
+  referrerHost,
+  visitorId,
+  hourOf,
+  recordView,
+  report
+};
@@ -0,0 +1,160 @@
+const express = require('express');
+const request = require('supertest');
+const authRoutes = require('../../../routes/auth');
+const mailer = require('../../../services/mailer');
+const User = require('../../../models/User');
+const { createAuthenticatedUser } = require('../../utils/testHelpers');
+
+const app = express();
+// Lets tests act as another client through X-Forwarded-For, past the email rate limit
+app.set('trust proxy', 1);
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+// Pull the token out of the link in the most recently sent email
+const lastEmailedToken = (send) => {
+  const { text } = send.mock.calls[send.mock.calls.length - 1][0];
+  return text.match(/token=([^\s]+)/)[1];
+};
+
+describe('Password Reset and Email Verification API Integration Tests', () => {
+  let send;
+
+  beforeEach(() => {
+    send = jest.spyOn(mailer, 'send');
+  });
+
+  afterEach(() => {
+    send.mockRestore();
+  });
+
+  describe('POST /api/auth/signup', () => {
+    it('should send a verification email and return an unverified user', async () => {
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .field('name', 'New User')
+        .field('email', 'new@example.com')
+        .field('password', 'password123');
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.user.emailVerified).toBe(false);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].to).toBe('new@example.com');
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link to an existing user', async () => {
+      await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.statusCode).toBe(200);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].text).toContain('/reset-password?token=');
+    });
+
+    it('should respond the same way for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.statusCode).toBe(200);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should respond the same way when the email cannot be sent', async () => {
+      await createAuthenticatedUser();
+      send.mockRejectedValueOnce(new Error('SMTP unavailable'));
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .set('X-Forwarded-For', '203.0.113.20')
+        .send({ email: 'test@example.com' });
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .set('X-Forwarded-For', '203.0.113.20')
+        .send({ email: 'nobody@example.com' });
+      error.mockRestore();
+
+      expect(known.statusCode).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should change the password, revoke sessions and reject reuse of the token', async () => {
+      const auth = await createAuthenticatedUser();
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+      const token = lastEmailedToken(send);
+
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'brandnew456' });
+      expect(reset.statusCode).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${auth.token}`);
+      expect(me.statusCode).toBe(401);
+
+      const oldLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'testpass123' });
+      expect(oldLogin.statusCode).toBe(401);
+
+      const newLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'brandnew456' });
+      expect(newLogin.statusCode).toBe(200);
+      expect(newLogin.body.user.emailVerified).toBe(true);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'another789' });
+      expect(reuse.statusCode).toBe(400);
+    });
+
+    it('should reject an unknown token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'not-a-real-token', password: 'brandnew456' });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    it('should mark the email as verified', async () => {
+      const auth = await createAuthenticatedUser();
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${auth.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: lastEmailedToken(send) });
+
+      expect(response.statusCode).toBe(200);
+      const user = await User.findById(auth.user._id);
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    });
+
+    it('should not resend verification to a verified user', async () => {
+      const auth = await createAuthenticatedUser();
+      await User.updateOne({ _id: auth.user._id }, { emailVerified: true });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${auth.token}`);
+
+      expect(response.statusCode).toBe(400);
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+});
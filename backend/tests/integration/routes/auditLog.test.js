@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const adminRoutes = require('../../../routes/admin');
+const AuditLog = require('../../../models/AuditLog');
+const { createAuthenticatedUser, createTestUser } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+describe('Audit Log API Integration Tests', () => {
+  let admin;
+  let member;
+
+  beforeEach(async () => {
+    admin = await createAuthenticatedUser(global.testUserData.adminUser);
+    member = await createTestUser(global.testUserData.validUser);
+  });
+
+  const changeRole = (role) => request(app)
+    .put(`/api/admin/users/${member._id}/role`)
+    .set('Authorization', `Bearer ${admin.token}`)
+    .set('User-Agent', 'audit-test')
+    .send({ role });
+
+  describe('privileged actions', () => {
+    it('should record role changes with the before and after values', async () => {
+      await changeRole('editor');
+
+      const entry = await AuditLog.findOne({ action: 'user.role_change' });
+      expect(entry.actor.toString()).toBe(admin.user._id.toString());
+      expect(entry.targetType).toBe('User');
+      expect(entry.target.toString()).toBe(member._id.toString());
+      expect(entry.targetLabel).toBe('Test User <test@example.com>');
+      expect(entry.before).toEqual({ role: 'member' });
+      expect(entry.after).toEqual({ role: 'editor' });
+      expect(entry.userAgent).toBe('audit-test');
+      expect(entry.ip).toBeTruthy();
+    });
+
+    it('should record one entry per user in a bulk action', async () => {
+      const other = await createTestUser({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/admin/users/bulk-action')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ userIds: [member._id.toString(), other._id.toString()], action: 'deactivate' });
+
+      const entries = await AuditLog.find({ action: 'user.deactivate' });
+      expect(entries).toHaveLength(2);
+      expect(entries.every(entry => entry.details.bulk)).toBe(true);
+    });
+  });
+
+  describe('GET /api/admin/audit-logs', () => {
+    it('should list entries newest first with filters', async () => {
+      await changeRole('editor');
+      await request(app)
+        .put(`/api/admin/users/${member._id}/status`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ isActive: false });
+
+      const response = await request(app)
+        .get('/api/admin/audit-logs?action=user.')
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.totalEntries).toBe(2);
+      expect(response.body.entries[0].action).toBe('user.deactivate');
+      expect(response.body.entries[0].actor.name).toBe('Admin User');
+      expect(response.body.actions).toEqual(['user.deactivate', 'user.role_change']);
+
+      const filtered = await request(app)
+        .get('/api/admin/audit-logs?action=user.role_change')
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(filtered.body.totalEntries).toBe(1);
+    });
+
+    it('should not show the audit log to editors', async () => {
+      const editor = await createAuthenticatedUser({
+        name: 'Editor',
+        email: 'editor@example.com',
+        password: 'password123',
+        role: 'editor'
+      });
+
+      const response = await request(app)
+        .get('/api/admin/audit-logs')
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/admin/audit-logs/export', () => {
+    it('should download the filtered entries as CSV', async () => {
+      await changeRole('author');
+
+      const response = await request(app)
+        .get('/api/admin/audit-logs/export?targetType=User')
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"/);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('user.role_change');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const adminRoutes = require('../../../routes/admin');
+const mediaRoutes = require('../../../routes/media');
+const uploadRoutes = require('../../../routes/upload');
+const Media = require('../../../models/Media');
+const Post = require('../../../models/Post');
+const PostRevision = require('../../../models/PostRevision');
+const AuditLog = require('../../../models/AuditLog');
+const storage = require('../../../services/storage');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/upload', uploadRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+const image = () => sharp({ create: { width: 640, height: 480, channels: 3, background: '#224488' } }).jpeg().toBuffer();
+
+describe('Cover Suggestions API Integration Tests', () => {
+  let root;
+  let author;
+  let editor;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'cover-fill-test-'));
+    storage.setDriver(storage.createLocalDriver({ root }));
+    author = await userWithRole('author', 'Cover Author');
+    editor = await userWithRole('editor', 'Cover Editor');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    storage.setDriver(null);
+  });
+
+  const upload = async (token, name) => {
+    const response = await request(app)
+      .post('/api/upload/multiple')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('images', await image(), name);
+    return response.body.files[0].media;
+  };
+
+  describe('POST /api/media/cover-suggestions', () => {
+    it('should rank the user\'s own images by how well they match the post', async () => {
+      await upload(author.token, 'python-code-2.jpg');
+      await upload(author.token, 'database-1.jpg');
+      await upload(editor.token, 'python-programming-1.jpg');
+
+      const response = await request(app)
+        .post('/api/media/cover-suggestions')
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ title: 'Python for beginners', tags: ['Programming'], content: 'Write your first Python script' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.suggestions).toHaveLength(1);
+      expect(response.body.suggestions[0]).toMatchObject({
+        media: { filename: 'python-code-2.jpg' },
+        matched: ['python', 'code']
+      });
+    });
+  });
+
+  describe('cover fill', () => {
+    it('should only be open to users who manage all posts and media', async () => {
+      const response = await request(app)
+        .get('/api/admin/cover-fill')
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it('should preview, fill in and undo missing covers', async () => {
+      const pythonImage = await upload(editor.token, 'python-code-2.jpg');
+      await upload(editor.token, 'database-1.jpg');
+      const pythonPost = await createTestPost({ title: 'Python tips', content: 'Some Python tricks' }, author.user._id);
+      const otherPost = await createTestPost({ title: 'Gardening notes', content: 'Tomatoes and beans' }, author.user._id);
+      await createTestPost({ title: 'Python with a cover', content: 'Already illustrated', coverImage: '/uploads/posts/a.jpg' }, author.user._id);
+
+      const preview = await request(app)
+        .get('/api/admin/cover-fill')
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(preview.statusCode).toBe(200);
+      expect(preview.body.totalPosts).toBe(2);
+      const suggestionsFor = (post) => preview.body.posts.find(item => item._id === post._id.toString()).suggestions;
+      expect(suggestionsFor(pythonPost)[0].media._id).toBe(pythonImage._id);
+      expect(suggestionsFor(otherPost)).toEqual([]);
+
+      const filled = await request(app)
+        .post('/api/admin/cover-fill')
+        .set('Authorization', `Bearer ${editor.token}`)
+        .send({ assignments: [{ post: pythonPost._id, media: pythonImage._id }] });
+
+      expect(filled.statusCode).toBe(200);
+      const updated = await Post.findById(pythonPost._id);
+      expect(updated.coverImage).toBe(pythonImage.url);
+      expect(Object.keys(updated.coverImageVariants)).toEqual(['thumbnail', 'card', 'hero', 'og']);
+      expect((await Media.findById(pythonImage._id)).usage).toHaveLength(1);
+      expect((await PostRevision.findOne({ post: pythonPost._id })).coverImage).toBe('');
+      const fillEntry = await AuditLog.findOne({ action: 'post.cover_fill', target: pythonPost._id });
+      expect(fillEntry.after.coverImage).toBe(pythonImage.url);
+
+      const undone = await request(app)
+        .post(`/api/admin/cover-fill/${filled.body.batch._id}/undo`)
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(undone.body).toMatchObject({ restored: 1, kept: 0 });
+      expect((await Post.findById(pythonPost._id)).coverImage).toBe('');
+      expect((await Media.findById(pythonImage._id)).usage).toHaveLength(0);
+      const revisions = await PostRevision.find({ post: pythonPost._id }).sort({ revision: 1 });
+      expect(revisions.map(revision => revision.coverImage)).toEqual(['', pythonImage.url]);
+      const undoEntry = await AuditLog.findOne({ action: 'post.cover_fill_undo', target: pythonPost._id });
+      expect(undoEntry.before.coverImage).toBe(pythonImage.url);
+    });
+
+    it('should leave covers changed since the fill when undoing it', async () => {
+      const pythonImage = await upload(editor.token, 'python-code-2.jpg');
+      const post = await createTestPost({ title: 'Python tips', content: 'Some Python tricks' }, author.user._id);
+
+      const filled = await request(app)
+        .post('/api/admin/cover-fill')
+        .set('Authorization', `Bearer ${editor.token}`)
+        .send({ assignments: [{ post: post._id, media: pythonImage._id }] });
+      await Post.updateOne({ _id: post._id }, { coverImage: '/uploads/posts/chosen-by-hand.jpg' });
+
+      const undone = await request(app)
+        .post(`/api/admin/cover-fill/${filled.body.batch._id}/undo`)
+        .set('Authorization', `Bearer ${editor.token}`);
+      const again = await request(app)
+        .post(`/api/admin/cover-fill/${filled.body.batch._id}/undo`)
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(undone.body).toMatchObject({ restored: 0, kept: 1 });
+      expect((await Post.findById(post._id)).coverImage).toBe('/uploads/posts/chosen-by-hand.jpg');
+      expect(again.statusCode).toBe(400);
+    });
+  });
+});
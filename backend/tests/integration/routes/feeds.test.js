@@ -0,0 +1,160 @@
+const express = require('express');
+const request = require('supertest');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const feedRoutes = require('../../../routes/feeds');
+const Tag = require('../../../models/Tag');
+const Like = require('../../../models/Like');
+const viewAnalytics = require('../../../services/viewAnalytics');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use('/', feedRoutes);
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@', isArray: name => ['item', 'entry'].includes(name) });
+
+describe('Feed Routes Integration Tests', () => {
+  let author;
+  let tag;
+  let publishedPost;
+
+  beforeEach(async () => {
+    author = await createTestUser();
+    tag = await Tag.create({ name: 'Feeds', slug: 'feeds' });
+
+    publishedPost = await createTestPost({
+      title: 'Published Post',
+      content: '# Published\n\nVisible in feeds',
+      status: 'published',
+      tags: [tag._id]
+    }, author._id);
+    await createTestPost({
+      title: 'Untagged Post',
+      content: 'Also visible',
+      status: 'published'
+    }, author._id);
+    await createTestPost({
+      title: 'Draft Post',
+      content: 'Not visible',
+      status: 'draft',
+      tags: [tag._id]
+    }, author._id);
+  });
+
+  describe('GET /feed.xml', () => {
+    it('should return a valid RSS feed of published posts', async () => {
+      const response = await request(app).get('/feed.xml');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('application/rss+xml');
+      expect(XMLValidator.validate(response.text)).toBe(true);
+
+      const titles = parser.parse(response.text).rss.channel.item.map(item => item.title);
+      expect(titles).toEqual(expect.arrayContaining(['Published Post', 'Untagged Post']));
+      expect(titles).not.toContain('Draft Post');
+    });
+
+    it('should return 304 when the ETag matches', async () => {
+      const first = await request(app).get('/feed.xml');
+
+      const response = await request(app)
+        .get('/feed.xml')
+        .set('If-None-Match', first.headers.etag);
+
+      expect(response.statusCode).toBe(304);
+      expect(response.text).toBeFalsy();
+    });
+
+    it('should return 304 when not modified since Last-Modified', async () => {
+      const first = await request(app).get('/feed.xml');
+
+      const response = await request(app)
+        .get('/feed.xml')
+        .set('If-Modified-Since', first.headers['last-modified']);
+
+      expect(response.statusCode).toBe(304);
+    });
+
+    it('should return the feed again once a post changes', async () => {
+      const first = await request(app).get('/feed.xml');
+
+      await createTestPost({
+        title: 'Newer Post',
+        content: 'Fresh content',
+        status: 'published'
+      }, author._id);
+
+      const response = await request(app)
+        .get('/feed.xml')
+        .set('If-None-Match', first.headers.etag);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    it('should keep the same ETag when posts are liked or viewed', async () => {
+      const first = await request(app).get('/feed.xml');
+      const reader = await createTestUser({ name: 'Feed Reader', email: 'reader@example.com', password: 'password123' });
+      const browserRequest = { ip: '203.0.113.7', get: (header) => ({ 'user-agent': 'Mozilla/5.0 Firefox/128.0' })[header.toLowerCase()] };
+
+      await Like.addLike(reader._id, 'Post', publishedPost._id);
+      expect(await viewAnalytics.recordView(browserRequest, publishedPost)).toBe(true);
+
+      const response = await request(app)
+        .get('/feed.xml')
+        .set('If-None-Match', first.headers.etag);
+
+      expect(response.statusCode).toBe(304);
+    });
+  });
+
+  describe('GET /atom.xml', () => {
+    it('should return a valid Atom feed', async () => {
+      const response = await request(app).get('/atom.xml');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('application/atom+xml');
+      expect(XMLValidator.validate(response.text)).toBe(true);
+      expect(parser.parse(response.text).feed.entry).toHaveLength(2);
+    });
+  });
+
+  describe('GET /tag/:slug/feed.xml', () => {
+    it('should only include published posts with the tag', async () => {
+      const response = await request(app).get('/tag/feeds/feed.xml');
+
+      const items = parser.parse(response.text).rss.channel.item;
+      expect(response.statusCode).toBe(200);
+      expect(items.map(item => item.title)).toEqual(['Published Post']);
+    });
+
+    it('should return 404 for an unknown tag', async () => {
+      const response = await request(app).get('/tag/missing/feed.xml');
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
+  describe('GET /author/:id/feed.xml', () => {
+    it('should only include published posts by the author', async () => {
+      const otherAuthor = await createTestUser(global.testUserData.adminUser);
+      await createTestPost({
+        title: 'Someone Else',
+        content: 'Different author',
+        status: 'published'
+      }, otherAuthor._id);
+
+      const response = await request(app).get(`/author/${author._id}/feed.xml`);
+
+      const titles = parser.parse(response.text).rss.channel.item.map(item => item.title);
+      expect(response.statusCode).toBe(200);
+      expect(titles).not.toContain('Someone Else');
+      expect(titles).toHaveLength(2);
+    });
+
+    it('should return 404 for an invalid author id', async () => {
+      const response = await request(app).get('/author/not-an-id/feed.xml');
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+});
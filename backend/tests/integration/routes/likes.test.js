@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+const postRoutes = require('../../../routes/posts');
+const commentRoutes = require('../../../routes/comments');
+const Comment = require('../../../models/Comment');
+const Like = require('../../../models/Like');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/comments', commentRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+describe('Likes API Integration Tests', () => {
+  let author;
+  let reader;
+  let post;
+  let comment;
+
+  beforeEach(async () => {
+    author = await userWithRole('author', 'Liked Author');
+    reader = await userWithRole('member', 'Keen Reader');
+    post = await createTestPost({ title: 'Likeable Post', content: 'Worth a like', status: 'published' }, author.user._id);
+    comment = await Comment.create({ content: 'Great post', author: author.user._id, post: post._id });
+  });
+
+  const asUser = (method, url, token) => {
+    const pending = request(app)[method](url);
+    return token ? pending.set('Authorization', `Bearer ${token}`) : pending;
+  };
+
+  describe('POST/DELETE /api/posts/:id/like', () => {
+    it('should like and unlike a post once however often it is asked', async () => {
+      const liked = await asUser('post', `/api/posts/${post._id}/like`, reader.token);
+      const likedAgain = await asUser('post', `/api/posts/${post._id}/like`, reader.token);
+
+      expect(liked.statusCode).toBe(200);
+      expect(liked.body).toMatchObject({ liked: true, likeCount: 1 });
+      expect(likedAgain.body).toMatchObject({ liked: true, likeCount: 1 });
+
+      const unliked = await asUser('delete', `/api/posts/${post._id}/like`, reader.token);
+      const unlikedAgain = await asUser('delete', `/api/posts/${post._id}/like`, reader.token);
+
+      expect(unliked.body).toMatchObject({ liked: false, likeCount: 0 });
+      expect(unlikedAgain.body).toMatchObject({ liked: false, likeCount: 0 });
+      expect(await Like.countDocuments()).toBe(0);
+    });
+
+    it('should need a signed-in user and a published post', async () => {
+      const draft = await createTestPost({ title: 'Unfinished Post', content: 'Not yet', status: 'draft' }, author.user._id);
+
+      expect((await asUser('post', `/api/posts/${post._id}/like`)).statusCode).toBe(401);
+      expect((await asUser('post', `/api/posts/${draft._id}/like`, reader.token)).statusCode).toBe(404);
+    });
+  });
+
+  describe('likedByMe on posts', () => {
+    beforeEach(async () => {
+      await asUser('post', `/api/posts/${post._id}/like`, reader.token);
+    });
+
+    it('should flag posts the user liked in the list', async () => {
+      const mine = await asUser('get', '/api/posts', reader.token);
+      const theirs = await asUser('get', '/api/posts', author.token);
+      const anonymous = await asUser('get', '/api/posts');
+
+      expect(mine.body.posts[0]).toMatchObject({ likeCount: 1, likedByMe: true });
+      expect(theirs.body.posts[0].likedByMe).toBe(false);
+      expect(anonymous.body.posts[0].likedByMe).toBe(false);
+    });
+
+    it('should flag a single post the user liked', async () => {
+      const mine = await asUser('get', `/api/posts/${post._id}`, reader.token);
+      const anonymous = await asUser('get', `/api/posts/${post.slug}`);
+
+      expect(mine.body.post.likedByMe).toBe(true);
+      expect(anonymous.body.post.likedByMe).toBe(false);
+    });
+  });
+
+  describe('comment likes', () => {
+    it('should like and unlike a comment once however often it is asked', async () => {
+      await asUser('post', `/api/comments/${comment._id}/like`, reader.token);
+      const likedAgain = await asUser('post', `/api/comments/${comment._id}/like`, reader.token);
+
+      expect(likedAgain.statusCode).toBe(200);
+      expect(likedAgain.body).toMatchObject({ liked: true, likeCount: 1 });
+
+      await asUser('delete', `/api/comments/${comment._id}/like`, reader.token);
+      const unlikedAgain = await asUser('delete', `/api/comments/${comment._id}/like`, reader.token);
+
+      expect(unlikedAgain.body).toMatchObject({ liked: false, likeCount: 0 });
+    });
+
+    it('should flag comments and replies the user liked', async () => {
+      const reply = await Comment.create({ content: 'Agreed', author: author.user._id, post: post._id, parentComment: comment._id });
+      await Comment.updateOne({ _id: comment._id }, { $push: { replies: reply._id } });
+      await asUser('post', `/api/comments/${reply._id}/like`, reader.token);
+
+      const mine = await asUser('get', `/api/comments/${post._id}`, reader.token);
+      const anonymous = await asUser('get', `/api/comments/${post._id}`);
+
+      expect(mine.body.comments[0].likedByMe).toBe(false);
+      expect(mine.body.comments[0].replies[0]).toMatchObject({ likeCount: 1, likedByMe: true });
+      expect(anonymous.body.comments[0].replies[0].likedByMe).toBe(false);
+    });
+  });
+});
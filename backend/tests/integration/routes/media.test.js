@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+const mediaRoutes = require('../../../routes/media');
+const uploadRoutes = require('../../../routes/upload');
+const postRoutes = require('../../../routes/posts');
+const Media = require('../../../models/Media');
+const PostRevision = require('../../../models/PostRevision');
+const Campaign = require('../../../models/Campaign');
+const storage = require('../../../services/storage');
+const { createAuthenticatedUser } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+app.use('/api/upload', uploadRoutes);
+app.use('/api/posts', postRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+const image = () => sharp({ create: { width: 640, height: 480, channels: 3, background: '#884422' } }).png().toBuffer();
+
+describe('Media API Integration Tests', () => {
+  let root;
+  let author;
+  let otherAuthor;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-routes-test-'));
+    storage.setDriver(storage.createLocalDriver({ root }));
+    author = await userWithRole('author', 'Media Author');
+    otherAuthor = await userWithRole('author', 'Other Author');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    storage.setDriver(null);
+    delete process.env.MEDIA_QUOTA_MB;
+  });
+
+  const upload = async (token, name = 'diagram.png') => request(app)
+    .post('/api/upload/multiple')
+    .set('Authorization', `Bearer ${token}`)
+    .attach('images', await image(), name);
+
+  describe('POST /api/upload/multiple', () => {
+    it('should add uploads to the user\'s media library', async () => {
+      const response = await upload(author.token);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.files[0].media).toMatchObject({
+        filename: 'diagram.png',
+        width: 640,
+        height: 480,
+        owner: author.user._id.toString()
+      });
+      expect(await Media.countDocuments({ owner: author.user._id })).toBe(1);
+    });
+
+    it('should refuse uploads over the quota and keep nothing', async () => {
+      process.env.MEDIA_QUOTA_MB = '1';
+      await Media.create({ owner: author.user._id, key: 'misc/big.png', url: '/uploads/misc/big.png', size: 1024 * 1024 });
+
+      const response = await upload(author.token);
+
+      expect(response.statusCode).toBe(413);
+      expect(await Media.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('GET /api/media', () => {
+    it('should list and search only the user\'s own files', async () => {
+      await upload(author.token, 'diagram.png');
+      await upload(author.token, 'holiday.png');
+      await upload(otherAuthor.token, 'diagram.png');
+
+      const response = await request(app)
+        .get('/api/media?search=diag')
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.media).toHaveLength(1);
+      expect(response.body.media[0].filename).toBe('diagram.png');
+      expect(response.body.quota.used).toBeGreaterThan(0);
+    });
+
+    it('should only show everyone\'s files to users who manage all media', async () => {
+      const editor = await userWithRole('editor', 'Media Editor');
+      await upload(otherAuthor.token);
+
+      const denied = await request(app)
+        .get('/api/media?owner=all')
+        .set('Authorization', `Bearer ${author.token}`);
+      const allowed = await request(app)
+        .get('/api/media?owner=all')
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(denied.statusCode).toBe(403);
+      expect(allowed.body.media).toHaveLength(1);
+    });
+  });
+
+  describe('PATCH /api/media/:id', () => {
+    it('should let only the owner change the alt text', async () => {
+      const { body } = await upload(author.token);
+      const id = body.files[0].media._id;
+
+      const denied = await request(app)
+        .patch(`/api/media/${id}`)
+        .set('Authorization', `Bearer ${otherAuthor.token}`)
+        .send({ altText: 'Not mine' });
+      const response = await request(app)
+        .patch(`/api/media/${id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ altText: 'Architecture diagram' });
+
+      expect(denied.statusCode).toBe(403);
+      expect(response.body.media.altText).toBe('Architecture diagram');
+    });
+  });
+
+  describe('using library images in posts', () => {
+    it('should set a library cover with its variants and refuse to delete it while used', async () => {
+      const { body } = await upload(author.token);
+      const media = body.files[0].media;
+
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({
+          title: 'Post With Library Cover',
+          content: `Intro\n\n![Diagram](${media.url})`,
+          coverImage: media.url
+        });
+
+      expect(created.statusCode).toBe(201);
+      expect(created.body.post.coverImage).toBe(media.url);
+      expect(Object.keys(created.body.post.coverImageVariants)).toEqual(['thumbnail', 'card', 'hero', 'og']);
+      expect((await Media.findById(media._id)).usage).toHaveLength(1);
+
+      const deleted = await request(app)
+        .delete(`/api/media/${media._id}`)
+        .set('Authorization', `Bearer ${author.token}`);
+      expect(deleted.statusCode).toBe(409);
+      expect(deleted.body.usage[0]).toMatchObject({ kind: 'post', title: 'Post With Library Cover' });
+    });
+
+    it('should not let authors use someone else\'s library image as a cover', async () => {
+      const { body } = await upload(otherAuthor.token);
+
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ title: 'Borrowed Cover', content: 'Some content here', coverImage: body.files[0].url });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toContain('media library');
+    });
+
+    it('should refuse content images that are missing or belong to someone else', async () => {
+      const { body } = await upload(otherAuthor.token);
+      const foreignUrl = body.files[0].url;
+
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({
+          title: 'Borrowed Images',
+          content: `![Gone](/uploads/misc/missing.png)\n\n![Theirs](${foreignUrl})`
+        });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.images).toEqual([
+        { url: '/uploads/misc/missing.png', message: 'was not found' },
+        { url: foreignUrl, message: 'belongs to someone else\'s media library' }
+      ]);
+    });
+
+    it('should let editors keep the author\'s images and add their own', async () => {
+      const editor = await userWithRole('editor', 'Media Editor');
+      const authorUpload = (await upload(author.token)).body.files[0];
+      const editorUpload = (await upload(editor.token)).body.files[0];
+
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ title: 'Shared Images', content: `![Mine](${authorUpload.url})` });
+      const updated = await request(app)
+        .put(`/api/posts/${created.body.post._id}`)
+        .set('Authorization', `Bearer ${editor.token}`)
+        .send({
+          title: 'Shared Images',
+          content: `![Mine](${authorUpload.url})\n\n![Added](${editorUpload.url})`
+        });
+
+      expect(updated.statusCode).toBe(200);
+      expect((await Media.findById(editorUpload.media._id)).usage).toHaveLength(1);
+    });
+  });
+
+  describe('DELETE /api/media/:id', () => {
+    it('should delete an unused file from storage and the library', async () => {
+      const { body } = await upload(author.token);
+      const media = body.files[0].media;
+
+      const response = await request(app)
+        .delete(`/api/media/${media._id}`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(await Media.findById(media._id)).toBeNull();
+      expect(await storage.exists(media.key)).toBe(false);
+    });
+
+    it('should refuse to delete a file earlier revisions or newsletter campaigns link to', async () => {
+      const { body } = await upload(author.token);
+      const media = body.files[0].media;
+      const revision = await PostRevision.create({
+        post: new mongoose.Types.ObjectId(),
+        revision: 1,
+        title: 'Old version',
+        content: `![Diagram](${media.url})`
+      });
+
+      const blocked = await request(app)
+        .delete(`/api/media/${media._id}`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(blocked.statusCode).toBe(409);
+      expect(blocked.body.revisions).toHaveLength(1);
+      expect(await storage.exists(media.key)).toBe(true);
+
+      await revision.deleteOne();
+      await Campaign.create({ subject: 'Monthly', content: `<img src="${media.url}">`, createdBy: author.user._id });
+
+      const stillBlocked = await request(app)
+        .delete(`/api/media/${media._id}`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(stillBlocked.statusCode).toBe(409);
+      expect(stillBlocked.body.campaigns[0].subject).toBe('Monthly');
+      expect(await Media.findById(media._id)).not.toBeNull();
+    });
+  });
+});
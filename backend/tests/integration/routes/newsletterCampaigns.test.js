@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+const newsletterRoutes = require('../../../routes/newsletter');
+const Subscriber = require('../../../models/Subscriber');
+const CampaignDelivery = require('../../../models/CampaignDelivery');
+const { createUnsubscribeToken } = require('../../../services/newsletterService');
+const { createAuthenticatedUser } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/newsletter', newsletterRoutes);
+
+describe('Newsletter Campaign API Integration Tests', () => {
+  let admin;
+  let member;
+
+  beforeEach(async () => {
+    admin = await createAuthenticatedUser(global.testUserData.adminUser);
+    member = await createAuthenticatedUser(global.testUserData.validUser);
+    await Subscriber.create([
+      { email: 'one@example.com', status: 'active' },
+      { email: 'two@example.com', status: 'active' }
+    ]);
+  });
+
+  const createCampaign = () => request(app)
+    .post('/api/newsletter/campaigns')
+    .set('Authorization', `Bearer ${admin.token}`)
+    .send({ subject: 'Monthly update', content: '# Hello\n\nNews from the blog' });
+
+  describe('POST /api/newsletter/campaigns', () => {
+    it('should create a draft campaign', async () => {
+      const response = await createCampaign();
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.campaign.status).toBe('draft');
+    });
+
+    it('should be restricted to admins', async () => {
+      const response = await request(app)
+        .post('/api/newsletter/campaigns')
+        .set('Authorization', `Bearer ${member.token}`)
+        .send({ subject: 'Nope', content: 'Nope' });
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/newsletter/campaigns/:id/preview', () => {
+    it('should render the HTML and text versions', async () => {
+      const { body } = await createCampaign();
+
+      const response = await request(app)
+        .get(`/api/newsletter/campaigns/${body.data.campaign._id}/preview`)
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.html).toContain('<h1>Hello</h1>');
+      expect(response.body.data.text).toContain('Unsubscribe:');
+    });
+  });
+
+  describe('POST /api/newsletter/campaigns/:id/send', () => {
+    it('should queue a delivery per subscriber and lock the campaign', async () => {
+      const { body } = await createCampaign();
+      const campaignId = body.data.campaign._id;
+
+      const response = await request(app)
+        .post(`/api/newsletter/campaigns/${campaignId}/send`)
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.campaign.status).toBe('queued');
+      expect(await CampaignDelivery.countDocuments({ campaign: campaignId })).toBe(2);
+
+      const edit = await request(app)
+        .put(`/api/newsletter/campaigns/${campaignId}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ subject: 'Changed', content: 'Changed' });
+      expect(edit.statusCode).toBe(400);
+
+      const resend = await request(app)
+        .post(`/api/newsletter/campaigns/${campaignId}/send`)
+        .set('Authorization', `Bearer ${admin.token}`);
+      expect(resend.statusCode).toBe(400);
+
+      const deliveries = await request(app)
+        .get(`/api/newsletter/campaigns/${campaignId}/deliveries?status=pending`)
+        .set('Authorization', `Bearer ${admin.token}`);
+      expect(deliveries.body.data.total).toBe(2);
+    });
+  });
+
+  describe('POST /api/newsletter/unsubscribe/one-click', () => {
+    it('should unsubscribe with a valid signature', async () => {
+      const token = createUnsubscribeToken('one@example.com');
+
+      const response = await request(app)
+        .post(`/api/newsletter/unsubscribe/one-click?email=one%40example.com&token=${token}`)
+        .type('form')
+        .send('List-Unsubscribe=One-Click');
+
+      expect(response.statusCode).toBe(200);
+      const subscriber = await Subscriber.findOne({ email: 'one@example.com' });
+      expect(subscriber.status).toBe('unsubscribed');
+
+      const again = await request(app)
+        .post(`/api/newsletter/unsubscribe/one-click?email=one%40example.com&token=${token}`);
+      expect(again.statusCode).toBe(200);
+    });
+
+    it('should reject a forged signature', async () => {
+      const token = createUnsubscribeToken('one@example.com');
+
+      const response = await request(app)
+        .post(`/api/newsletter/unsubscribe/one-click?email=two%40example.com&token=${token}`);
+
+      expect(response.statusCode).toBe(400);
+      const subscriber = await Subscriber.findOne({ email: 'two@example.com' });
+      expect(subscriber.status).toBe('active');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const express = require('express');
+const request = require('supertest');
+const newsletterRoutes = require('../../../routes/newsletter');
+const Subscriber = require('../../../models/Subscriber');
+const mailer = require('../../../services/mailer');
+const { createAuthenticatedUser } = require('../../utils/testHelpers');
+
+const app = express();
+// Lets the rate limit test act as its own client through X-Forwarded-For
+app.set('trust proxy', 1);
+app.use(express.json());
+app.use('/api/newsletter', newsletterRoutes);
+
+// Pull the confirmation token out of the link in the last email sent
+const tokenFromEmail = (send) => {
+  const { text } = send.mock.calls[send.mock.calls.length - 1][0];
+  return decodeURIComponent(text.match(/\/newsletter\/confirm\?token=(\S+)/)[1]);
+};
+
+describe('Newsletter Subscription API Integration Tests', () => {
+  let send;
+
+  beforeEach(() => {
+    send = jest.spyOn(mailer, 'send');
+  });
+
+  afterEach(() => {
+    send.mockRestore();
+  });
+
+  const subscribe = (email = 'reader@example.com') => request(app)
+    .post('/api/newsletter/subscribe')
+    .set('User-Agent', 'Test Browser')
+    .send({ email });
+
+  describe('POST /api/newsletter/subscribe', () => {
+    it('should create a pending subscriber and send a confirmation email', async () => {
+      const response = await subscribe();
+
+      expect(response.statusCode).toBe(201);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].to).toBe('reader@example.com');
+
+      const subscriber = await Subscriber.findOne({ email: 'reader@example.com' });
+      expect(subscriber.status).toBe('pending');
+      expect(subscriber.consent.userAgent).toBe('Test Browser');
+      expect(subscriber.consent.ip).toBeTruthy();
+    });
+
+    it('should resend the confirmation to pending and unsubscribed addresses', async () => {
+      await Subscriber.create({ email: 'gone@example.com', status: 'unsubscribed' });
+
+      const response = await subscribe('gone@example.com');
+
+      expect(response.statusCode).toBe(200);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect((await Subscriber.findOne({ email: 'gone@example.com' })).status).toBe('pending');
+    });
+
+    it('should reject addresses that are already confirmed', async () => {
+      await Subscriber.create({ email: 'reader@example.com', status: 'active' });
+
+      const response = await subscribe();
+
+      expect(response.statusCode).toBe(409);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should limit how many confirmation emails one client can request', async () => {
+      const fromClient = (email) => request(app)
+        .post('/api/newsletter/subscribe')
+        .set('X-Forwarded-For', '203.0.113.9')
+        .send({ email });
+
+      for (let i = 0; i < 5; i++) {
+        expect((await fromClient(`reader${i}@example.com`)).statusCode).toBe(201);
+      }
+
+      const response = await fromClient('one-more@example.com');
+      expect(response.statusCode).toBe(429);
+      expect(await Subscriber.exists({ email: 'one-more@example.com' })).toBeNull();
+    });
+
+    it('should keep a short source and reject anything else', async () => {
+      const withSource = (email, source) => request(app)
+        .post('/api/newsletter/subscribe')
+        .set('X-Forwarded-For', '203.0.113.10')
+        .send({ email, source });
+
+      expect((await withSource('footer@example.com', ' footer ')).statusCode).toBe(201);
+      expect((await Subscriber.findOne({ email: 'footer@example.com' })).source).toBe('footer');
+
+      expect((await withSource('object@example.com', { $gt: '' })).statusCode).toBe(400);
+      expect((await withSource('long@example.com', 'x'.repeat(51))).statusCode).toBe(400);
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/newsletter/confirm', () => {
+    it('should activate the subscriber once', async () => {
+      await subscribe();
+      const token = tokenFromEmail(send);
+
+      const response = await request(app).post('/api/newsletter/confirm').send({ token });
+
+      expect(response.statusCode).toBe(200);
+      const subscriber = await Subscriber.findOne({ email: 'reader@example.com' });
+      expect(subscriber.status).toBe('active');
+      expect(subscriber.confirmationExpiresAt).toBeNull();
+      expect(subscriber.consent.confirmedAt).toBeInstanceOf(Date);
+
+      const again = await request(app).post('/api/newsletter/confirm').send({ token });
+      expect(again.statusCode).toBe(200);
+      expect(again.body.message).toMatch(/already confirmed/);
+    });
+
+    it('should reject invalid tokens', async () => {
+      const response = await request(app).post('/api/newsletter/confirm').send({ token: 'bogus' });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it('should not resubscribe an address that unsubscribed after the link was sent', async () => {
+      await subscribe();
+      const token = tokenFromEmail(send);
+      await Subscriber.updateOne({ email: 'reader@example.com' }, { status: 'unsubscribed' });
+
+      const response = await request(app).post('/api/newsletter/confirm').send({ token });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/newsletter/stats', () => {
+    it('should report pending and confirmed subscribers separately', async () => {
+      await Subscriber.create([
+        { email: 'one@example.com', status: 'active' },
+        { email: 'two@example.com', status: 'pending', confirmationExpiresAt: new Date(Date.now() + 60000) },
+        { email: 'stale@example.com', status: 'pending', confirmationExpiresAt: new Date(Date.now() - 1000) },
+        { email: 'three@example.com', status: 'unsubscribed' }
+      ]);
+
+      const admin = await createAuthenticatedUser(global.testUserData.adminUser);
+
+      const response = await request(app)
+        .get('/api/newsletter/stats')
+        .set('Authorization', `Bearer ${admin.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data).toMatchObject({
+        totalSubscribers: 1,
+        totalConfirmed: 1,
+        totalPending: 1,
+        totalUnsubscribed: 1,
+        totalAll: 3
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const authRoutes = require('../../../routes/auth');
+const postRoutes = require('../../../routes/posts');
+const adminRoutes = require('../../../routes/admin');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/posts', postRoutes);
+app.use('/api/admin', adminRoutes);
+
+const userWithRole = (role) => createAuthenticatedUser({
+  name: `${role} user`,
+  email: `${role.replace('_', '')}@example.com`,
+  password: 'password123',
+  role
+});
+
+describe('Permission API Integration Tests', () => {
+  describe('GET /api/auth/permissions', () => {
+    it('should list the current user\'s permissions', async () => {
+      const { token } = await userWithRole('author');
+
+      const response = await request(app)
+        .get('/api/auth/permissions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.role).toBe('author');
+      expect(response.body.permissions).toContain('post:update:own');
+      expect(response.body.assignableRoles).toEqual([]);
+    });
+  });
+
+  describe('PUT /api/posts/:id', () => {
+    let post;
+
+    beforeEach(async () => {
+      const { user } = await userWithRole('author');
+      post = await createTestPost({ title: 'Someone Else', content: 'Written by another author' }, user._id);
+    });
+
+    const update = (token) => request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Edited title', content: 'Edited content for the post' });
+
+    it('should not let authors edit other authors\' posts', async () => {
+      const { token } = await createAuthenticatedUser({
+        name: 'Other Author',
+        email: 'other@example.com',
+        password: 'password123',
+        role: 'author'
+      });
+
+      expect((await update(token)).statusCode).toBe(403);
+    });
+
+    it('should let editors edit any post', async () => {
+      const { token } = await userWithRole('editor');
+
+      const response = await update(token);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.title).toBe('Edited title');
+    });
+
+    it('should let members write posts but not publish them without review', async () => {
+      const { token } = await userWithRole('member');
+      const create = (status) => request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Member post', content: 'Members write posts too', status });
+
+      const published = await create('published');
+      expect(published.statusCode).toBe(403);
+
+      const draft = await create('draft');
+      expect(draft.statusCode).toBe(201);
+      expect(draft.body.post.status).toBe('draft');
+    });
+  });
+
+  describe('PUT /api/admin/users/:userId/role', () => {
+    it('should not let admins promote users to admin', async () => {
+      const { token } = await userWithRole('admin');
+      const { user } = await userWithRole('member');
+
+      const response = await request(app)
+        .put(`/api/admin/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'admin' });
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it('should let admins make a member an editor', async () => {
+      const { token } = await userWithRole('admin');
+      const { user } = await userWithRole('member');
+
+      const response = await request(app)
+        .put(`/api/admin/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'editor' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.user.role).toBe('editor');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const postRoutes = require('../../../routes/posts');
+const Post = require('../../../models/Post');
+const Media = require('../../../models/Media');
+const storage = require('../../../services/storage');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+const markdown = (frontMatter, body = 'Imported body text for the post.') =>
+  Buffer.from(`---\n${frontMatter}\n---\n\n${body}\n`);
+
+describe('Post Markdown Import/Export Integration Tests', () => {
+  let author;
+  let editor;
+
+  beforeEach(async () => {
+    author = await userWithRole('author', 'Import Author');
+    editor = await userWithRole('editor', 'Import Editor');
+  });
+
+  describe('POST /api/posts/import', () => {
+    it('should create posts and keep slugs unique', async () => {
+      await createTestPost({ title: 'Hello World', content: 'Existing post content' }, author.user._id);
+
+      const response = await request(app)
+        .post('/api/posts/import')
+        .set('Authorization', `Bearer ${author.token}`)
+        .attach('files', markdown('title: Hello World\ntags: [node]\nexcerpt: Short'), 'hello.md')
+        .attach('files', markdown('title: Second'), 'second.md');
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.imported).toBe(2);
+      expect(response.body.results[0].post.slug).not.toBe('hello-world');
+      expect(response.body.results[0].post.status).toBe('draft');
+    });
+
+    it('should report files authors may not import as published', async () => {
+      const response = await request(app)
+        .post('/api/posts/import')
+        .set('Authorization', `Bearer ${author.token}`)
+        .attach('files', markdown('title: Straight To Live\nstatus: published'), 'live.md');
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.results[0].error).toBeDefined();
+      expect(await Post.countDocuments({ title: 'Straight To Live' })).toBe(0);
+    });
+
+    it('should keep publishedAt for editors importing published posts', async () => {
+      const response = await request(app)
+        .post('/api/posts/import')
+        .set('Authorization', `Bearer ${editor.token}`)
+        .attach('files', markdown('title: Old Post\nstatus: published\npublishedAt: 2020-05-01T00:00:00.000Z'), 'old.md');
+
+      expect(response.statusCode).toBe(201);
+      const post = await Post.findById(response.body.results[0].post._id);
+      expect(post.publishedAt.toISOString()).toBe('2020-05-01T00:00:00.000Z');
+    });
+  });
+
+  describe('POST /api/posts/import images', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'post-import-test-'));
+      storage.setDriver(storage.createLocalDriver({ root }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+      storage.setDriver(null);
+    });
+
+    const addMedia = async (key, owner) => {
+      await storage.put(key, Buffer.from(key));
+      return Media.create({ owner, key, url: storage.url(key), size: 100, contentType: 'image/png' });
+    };
+
+    it('should refuse content and covers from someone else\'s media library', async () => {
+      const theirs = await addMedia('misc/theirs.png', editor.user._id);
+
+      const response = await request(app)
+        .post('/api/posts/import')
+        .set('Authorization', `Bearer ${author.token}`)
+        .attach('files', markdown('title: Borrowed Body', `![Theirs](${theirs.url})`), 'body.md')
+        .attach('files', markdown(`title: Borrowed Cover\ncoverImage: ${theirs.url}`), 'cover.md');
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.results[0].error).toContain('someone else');
+      expect(response.body.results[1].error).toContain('media library');
+      expect(await Post.countDocuments({ title: /^Borrowed/ })).toBe(0);
+    });
+
+    it('should keep covers and images linked from other sites', async () => {
+      const oldCover = 'https://myoldblog.com/wp-content/uploads/2020/01/cat.jpg';
+
+      const response = await request(app)
+        .post('/api/posts/import')
+        .set('Authorization', `Bearer ${author.token}`)
+        .attach('files', markdown(`title: Cat Post\ncoverImage: ${oldCover}`, `![Cat](${oldCover})`), 'cat.md');
+
+      expect(response.statusCode).toBe(201);
+      expect((await Post.findById(response.body.results[0].post._id)).coverImage).toBe(oldCover);
+    });
+  });
+
+  describe('GET /api/posts/:id/export', () => {
+    it('should download a post as Markdown for its editors only', async () => {
+      const post = await createTestPost({ title: 'Export Me', content: 'Content to export here' }, author.user._id);
+      const other = await userWithRole('author', 'Other Author');
+
+      const forbidden = await request(app)
+        .get(`/api/posts/${post._id}/export`)
+        .set('Authorization', `Bearer ${other.token}`);
+      expect(forbidden.statusCode).toBe(403);
+
+      const response = await request(app)
+        .get(`/api/posts/${post._id}/export`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toContain('text/markdown');
+      expect(response.text).toContain('title: Export Me');
+      expect(response.text).toContain('Content to export here');
+    });
+  });
+
+  describe('GET /api/posts/export', () => {
+    it('should only let editors export another author\'s posts', async () => {
+      await createTestPost({ title: 'Zipped Post', content: 'Content for the zip' }, author.user._id);
+
+      const forbidden = await request(app)
+        .get(`/api/posts/export?author=${editor.user._id}`)
+        .set('Authorization', `Bearer ${author.token}`);
+      expect(forbidden.statusCode).toBe(403);
+
+      const response = await request(app)
+        .get(`/api/posts/export?author=${author.user._id}`)
+        .set('Authorization', `Bearer ${editor.token}`);
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toBe('application/zip');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const postRoutes = require('../../../routes/posts');
+const mailer = require('../../../services/mailer');
+const AuditLog = require('../../../models/AuditLog');
+const Post = require('../../../models/Post');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+describe('Post Moderation API Integration Tests', () => {
+  let send;
+  let author;
+  let post;
+
+  beforeEach(async () => {
+    send = jest.spyOn(mailer, 'send');
+    author = await userWithRole('author', 'Post Author');
+    post = await createTestPost({
+      title: 'Original Title',
+      content: 'Original content of the post',
+      status: 'published'
+    }, author.user._id);
+  });
+
+  afterEach(() => {
+    send.mockRestore();
+  });
+
+  const update = (token, changes = {}) => request(app)
+    .put(`/api/posts/${post._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Fixed Title', content: 'Original content of the post', status: 'published', ...changes });
+
+  describe('PUT /api/posts/:id', () => {
+    it('should record an editor\'s change and notify the author', async () => {
+      const { token } = await userWithRole('editor', 'Copy Editor');
+
+      const response = await update(token, { reason: 'Typo in the title' });
+
+      expect(response.statusCode).toBe(200);
+
+      const entries = await AuditLog.find({ target: post._id });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].action).toBe('post.update');
+      expect(entries[0].before).toEqual({ title: 'Original Title' });
+      expect(entries[0].after).toEqual({ title: 'Fixed Title' });
+      expect(entries[0].reason).toBe('Typo in the title');
+      expect(entries[0].owner.toString()).toBe(author.user._id.toString());
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].to).toBe(author.user.email);
+      expect(send.mock.calls[0][0].text).toContain('Copy Editor edited your post');
+      expect(send.mock.calls[0][0].text).toContain('Typo in the title');
+    });
+
+    it('should record unpublishing as its own action', async () => {
+      const { token } = await userWithRole('editor');
+
+      await update(token, { title: 'Original Title', status: 'draft' });
+
+      const entry = await AuditLog.findOne({ target: post._id });
+      expect(entry.action).toBe('post.unpublish');
+      expect(entry.after).toEqual({ status: 'draft' });
+    });
+
+    it('should not audit authors editing their own posts', async () => {
+      const response = await update(author.token);
+
+      expect(response.statusCode).toBe(200);
+      expect(await AuditLog.countDocuments()).toBe(0);
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/posts/:id', () => {
+    it('should let editors delete any post and keep a record of it', async () => {
+      const { token } = await userWithRole('editor');
+
+      const response = await request(app)
+        .delete(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Duplicate of another post' });
+
+      expect(response.statusCode).toBe(200);
+      expect(await Post.findById(post._id)).toBeNull();
+
+      const entry = await AuditLog.findOne({ target: post._id });
+      expect(entry.action).toBe('post.delete');
+      expect(entry.targetLabel).toBe('Original Title');
+      expect(entry.reason).toBe('Duplicate of another post');
+      expect(send.mock.calls[0][0].subject).toContain('was deleted');
+    });
+  });
+
+  describe('GET /api/posts/:id/audit', () => {
+    it('should show the author who changed their post', async () => {
+      const { token } = await userWithRole('editor', 'Copy Editor');
+      await update(token);
+
+      const response = await request(app)
+        .get(`/api/posts/${post._id}/audit`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0].actor.name).toBe('Copy Editor');
+    });
+
+    it('should not show the change history to other authors', async () => {
+      const { token } = await userWithRole('author', 'Other Author');
+
+      const response = await request(app)
+        .get(`/api/posts/${post._id}/audit`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+});
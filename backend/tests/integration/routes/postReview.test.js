@@ -0,0 +1,253 @@
+const express = require('express');
+const request = require('supertest');
+const postRoutes = require('../../../routes/posts');
+const adminRoutes = require('../../../routes/admin');
+const mailer = require('../../../services/mailer');
+const AuditLog = require('../../../models/AuditLog');
+const ReviewNote = require('../../../models/ReviewNote');
+const PostRevision = require('../../../models/PostRevision');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/admin', adminRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+describe('Post Review API Integration Tests', () => {
+  let send;
+  let author;
+  let editor;
+  let post;
+
+  beforeEach(async () => {
+    send = jest.spyOn(mailer, 'send');
+    author = await userWithRole('author', 'Post Author');
+    editor = await userWithRole('editor', 'Reviewing Editor');
+    post = await createTestPost({
+      title: 'Draft Title',
+      content: 'First line of the post\nSecond line of the post',
+      status: 'draft'
+    }, author.user._id);
+  });
+
+  afterEach(() => {
+    send.mockRestore();
+  });
+
+  const update = (token, changes = {}) => request(app)
+    .put(`/api/posts/${post._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: post.title, content: post.content, ...changes });
+
+  const review = (token, decision, note) => request(app)
+    .post(`/api/posts/${post._id}/review`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ decision, note });
+
+  const submit = () => update(author.token, { status: 'in_review' });
+
+  describe('PUT /api/posts/:id', () => {
+    it('should not let authors publish without an approval', async () => {
+      const response = await update(author.token, { status: 'published' });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.message).toContain('approved by a reviewer');
+    });
+
+    it('should let authors submit a draft for review', async () => {
+      const response = await submit();
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.status).toBe('in_review');
+      expect(response.body.post.submittedAt).toBeTruthy();
+    });
+
+    it('should not approve posts through an edit', async () => {
+      await submit();
+
+      const response = await update(editor.token, { status: 'approved' });
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('POST /api/posts/:id/review', () => {
+    it('should approve a post and let its author publish it', async () => {
+      await submit();
+
+      const response = await review(editor.token, 'approve');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.status).toBe('approved');
+      expect(response.body.post.reviewedBy).toBe(editor.user._id.toString());
+
+      const entry = await AuditLog.findOne({ action: 'post.approve' });
+      expect(entry.after).toEqual({ status: 'approved' });
+      expect(send.mock.calls[0][0].subject).toContain('was approved');
+
+      const publish = await update(author.token, { status: 'published' });
+      expect(publish.statusCode).toBe(200);
+      expect(publish.body.post.status).toBe('published');
+    });
+
+    it('should send an approved post back for review when its text changes', async () => {
+      await submit();
+      await review(editor.token, 'approve');
+
+      const response = await update(author.token, { status: 'approved', title: 'A Different Title' });
+
+      expect(response.body.post.status).toBe('in_review');
+    });
+
+    it('should not let authors publish an approved post with new text', async () => {
+      await submit();
+      await review(editor.token, 'approve');
+
+      const response = await update(author.token, { status: 'published', content: 'Text nobody reviewed' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.status).toBe('in_review');
+      expect(response.body.post.content).toBe('Text nobody reviewed');
+    });
+
+    it('should send a published post back for review when its author rewrites it', async () => {
+      await submit();
+      await review(editor.token, 'approve');
+      await update(author.token, { status: 'published' });
+
+      const unchanged = await update(author.token, { status: 'published' });
+      expect(unchanged.body.post.status).toBe('published');
+
+      const rewritten = await update(author.token, { status: 'published', title: 'A Rewritten Title' });
+      expect(rewritten.body.post.status).toBe('in_review');
+
+      const editorEdit = await update(editor.token, { status: 'published', title: 'An Editor\'s Title' });
+      expect(editorEdit.body.post.status).toBe('published');
+    });
+
+    it('should send a published post back for review when its author restores other text', async () => {
+      await submit();
+      await review(editor.token, 'approve');
+      await update(author.token, { status: 'published' });
+      const revision = await PostRevision.create({ post: post._id, revision: 10, title: 'An Unreviewed Title', content: 'Old text' });
+
+      const response = await request(app)
+        .post(`/api/posts/${post._id}/revisions/${revision._id}/restore`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.title).toBe('An Unreviewed Title');
+      expect(response.body.post.status).toBe('in_review');
+    });
+
+    it('should need a note to request changes', async () => {
+      await submit();
+
+      expect((await review(editor.token, 'request_changes')).statusCode).toBe(400);
+
+      const response = await review(editor.token, 'request_changes', 'Please add a conclusion');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.status).toBe('changes_requested');
+      expect(response.body.note.body).toBe('Please add a conclusion');
+      expect(send.mock.calls[0][0].text).toContain('Please add a conclusion');
+    });
+
+    it('should not let authors review posts', async () => {
+      await submit();
+
+      const response = await review(author.token, 'approve');
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    it('should only review posts that are in review', async () => {
+      const response = await review(editor.token, 'approve');
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('review notes', () => {
+    it('should keep inline notes with the line they were left on', async () => {
+      const created = await request(app)
+        .post(`/api/posts/${post._id}/review-notes`)
+        .set('Authorization', `Bearer ${editor.token}`)
+        .send({ body: 'Too vague', line: 2 });
+
+      expect(created.statusCode).toBe(201);
+      expect(created.body.note.quote).toBe('Second line of the post');
+
+      const resolved = await request(app)
+        .put(`/api/posts/${post._id}/review-notes/${created.body.note._id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ resolved: true });
+
+      expect(resolved.statusCode).toBe(200);
+      expect(resolved.body.note.resolvedBy.name).toBe('Post Author');
+
+      const listed = await request(app)
+        .get(`/api/posts/${post._id}/review-notes`)
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(listed.body.notes).toHaveLength(1);
+      expect(listed.body.notes[0].resolved).toBe(true);
+    });
+
+    it('should reject notes on lines the post does not have', async () => {
+      const response = await request(app)
+        .post(`/api/posts/${post._id}/review-notes`)
+        .set('Authorization', `Bearer ${editor.token}`)
+        .send({ body: 'Where?', line: 10 });
+
+      expect(response.statusCode).toBe(400);
+      expect(await ReviewNote.countDocuments()).toBe(0);
+    });
+
+    it('should not show notes to other authors', async () => {
+      const other = await userWithRole('author', 'Other Author');
+
+      const response = await request(app)
+        .get(`/api/posts/${post._id}/review-notes`)
+        .set('Authorization', `Bearer ${other.token}`);
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/admin/review-queue', () => {
+    it('should list posts waiting for review with their open notes', async () => {
+      await submit();
+      await ReviewNote.create({ post: post._id, author: editor.user._id, body: 'Check the facts' });
+
+      const response = await request(app)
+        .get('/api/admin/review-queue')
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.totalPosts).toBe(1);
+      expect(response.body.posts[0].openNotes).toBe(1);
+
+      const metrics = await request(app)
+        .get('/api/admin/dashboard-metrics')
+        .set('Authorization', `Bearer ${editor.token}`);
+
+      expect(metrics.body.postsAwaitingReview).toBe(1);
+    });
+
+    it('should not be available to authors', async () => {
+      const response = await request(app)
+        .get('/api/admin/review-queue')
+        .set('Authorization', `Bearer ${author.token}`);
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+});
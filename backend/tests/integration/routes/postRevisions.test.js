@@ -0,0 +1,111 @@
+const express = require('express');
+const request = require('supertest');
+const postRoutes = require('../../../routes/posts');
+const Post = require('../../../models/Post');
+const PostRevision = require('../../../models/PostRevision');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+describe('Post Revisions API Integration Tests', () => {
+  let author;
+  let otherAuthor;
+  let post;
+
+  beforeEach(async () => {
+    author = await userWithRole('author', 'Revision Author');
+    otherAuthor = await userWithRole('author', 'Other Author');
+    post = await createTestPost({
+      title: 'First Title',
+      content: 'First line\nSecond line',
+      status: 'draft'
+    }, author.user._id);
+
+    const updated = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ title: 'Second Title', content: 'First line\nChanged line', status: 'draft' });
+    expect(updated.statusCode).toBe(200);
+  });
+
+  const asUser = (method, url, token) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  describe('GET /api/posts/:id/revisions', () => {
+    it('should list revisions newest first without their content', async () => {
+      const response = await asUser('get', `/api/posts/${post._id}/revisions`, author.token);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.revisions).toHaveLength(1);
+      expect(response.body.revisions[0].revision).toBe(1);
+      expect(response.body.revisions[0].title).toBe('First Title');
+      expect(response.body.revisions[0].content).toBeUndefined();
+      expect(response.body.revisions[0].editedBy.name).toBe('Revision Author');
+    });
+
+    it('should not show revisions to users who cannot edit the post', async () => {
+      const response = await asUser('get', `/api/posts/${post._id}/revisions`, otherAuthor.token);
+
+      expect(response.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET /api/posts/:id/revisions/diff', () => {
+    it('should diff a revision against the current post', async () => {
+      const revision = await PostRevision.findOne({ post: post._id });
+
+      const response = await asUser('get', `/api/posts/${post._id}/revisions/diff?from=${revision._id}`, author.token);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.from.revision).toBe(1);
+      expect(response.body.to.revision).toBe('current');
+      expect(response.body.fields.title).toEqual({ from: 'First Title', to: 'Second Title' });
+      expect(response.body.stats).toEqual({ added: 1, removed: 1 });
+    });
+
+    it('should require a from revision and 404 on unknown ones', async () => {
+      const missing = await asUser('get', `/api/posts/${post._id}/revisions/diff`, author.token);
+      expect(missing.statusCode).toBe(400);
+
+      const unknown = await asUser('get', `/api/posts/${post._id}/revisions/diff?from=${post._id}`, author.token);
+      expect(unknown.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /api/posts/:id/revisions/:revisionId/restore', () => {
+    it('should restore the revision and keep the replaced version as a new one', async () => {
+      const revision = await PostRevision.findOne({ post: post._id });
+
+      const response = await asUser('post', `/api/posts/${post._id}/revisions/${revision._id}/restore`, author.token);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.post.title).toBe('First Title');
+
+      const restored = await Post.findById(post._id);
+      expect(restored.content).toBe('First line\nSecond line');
+
+      const latest = await PostRevision.findOne({ post: post._id }).sort({ revision: -1 });
+      expect(latest.revision).toBe(2);
+      expect(latest.title).toBe('Second Title');
+      expect(latest.reason).toBe('restore');
+      expect(latest.restoredFrom).toBe(1);
+    });
+
+    it('should not let other authors restore revisions', async () => {
+      const revision = await PostRevision.findOne({ post: post._id });
+
+      const response = await asUser('post', `/api/posts/${post._id}/revisions/${revision._id}/restore`, otherAuthor.token);
+
+      expect(response.statusCode).toBe(403);
+      expect((await Post.findById(post._id)).title).toBe('Second Title');
+    });
+  });
+});
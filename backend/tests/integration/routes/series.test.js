@@ -0,0 +1,132 @@
+const express = require('express');
+const request = require('supertest');
+const postRoutes = require('../../../routes/posts');
+const seriesRoutes = require('../../../routes/series');
+const Series = require('../../../models/Series');
+const { createAuthenticatedUser, createTestPost } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/posts', postRoutes);
+app.use('/api/series', seriesRoutes);
+
+const userWithRole = (role, name = `${role} user`) => createAuthenticatedUser({
+  name,
+  email: `${name.replace(/\s+/g, '.')}@example.com`,
+  password: 'password123',
+  role
+});
+
+describe('Series API Integration Tests', () => {
+  let author;
+  let otherAuthor;
+  let parts;
+
+  beforeEach(async () => {
+    author = await userWithRole('author', 'Series Author');
+    otherAuthor = await userWithRole('author', 'Other Author');
+    parts = [];
+    for (const [index, status] of ['published', 'draft', 'published'].entries()) {
+      parts.push(await createTestPost({
+        title: `Tutorial Part ${index + 1}`,
+        content: `Content of part ${index + 1}`,
+        status
+      }, author.user._id));
+    }
+  });
+
+  const createSeries = (token, data) => request(app)
+    .post('/api/series')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Node Tutorial', description: 'Learn Node step by step', ...data });
+
+  describe('POST /api/series', () => {
+    it('should create a series from the author\'s posts in order', async () => {
+      const response = await createSeries(author.token, { posts: [parts[2]._id, parts[0]._id] });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.series.slug).toBe('node-tutorial');
+      expect(response.body.series.posts).toEqual([parts[2]._id.toString(), parts[0]._id.toString()]);
+    });
+
+    it('should not let authors add someone else\'s posts', async () => {
+      const response = await createSeries(otherAuthor.token, { posts: [parts[0]._id] });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toContain('allowed to edit');
+    });
+
+    it('should move posts out of the series they were in', async () => {
+      const first = await createSeries(author.token, { posts: [parts[0]._id] });
+      await createSeries(author.token, { title: 'Second Series', posts: [parts[0]._id] });
+
+      const previous = await Series.findById(first.body.series._id);
+      expect(previous.posts).toHaveLength(0);
+    });
+  });
+
+  describe('PUT /api/series/:id', () => {
+    it('should reorder parts and only let the owner do it', async () => {
+      const created = await createSeries(author.token, { posts: [parts[0]._id, parts[2]._id] });
+      const url = `/api/series/${created.body.series._id}`;
+      const reordered = { title: 'Node Tutorial', posts: [parts[2]._id, parts[0]._id] };
+
+      const forbidden = await request(app)
+        .put(url)
+        .set('Authorization', `Bearer ${otherAuthor.token}`)
+        .send(reordered);
+      expect(forbidden.statusCode).toBe(403);
+
+      const response = await request(app)
+        .put(url)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send(reordered);
+      expect(response.statusCode).toBe(200);
+      expect(response.body.series.posts[0]).toBe(parts[2]._id.toString());
+    });
+  });
+
+  describe('GET /api/series/:id', () => {
+    it('should list only published parts to readers', async () => {
+      await createSeries(author.token, { posts: parts.map(part => part._id) });
+
+      const response = await request(app).get('/api/series/node-tutorial');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.series.posts.map(part => part.title)).toEqual(['Tutorial Part 1', 'Tutorial Part 3']);
+      expect(response.body.canManage).toBe(false);
+    });
+  });
+
+  describe('GET /api/posts/:id', () => {
+    it('should include navigation between published parts', async () => {
+      await createSeries(author.token, { posts: parts.map(part => part._id) });
+
+      const response = await request(app).get(`/api/posts/${parts[0]._id}`);
+
+      expect(response.body.post.series).toMatchObject({
+        title: 'Node Tutorial',
+        position: 1,
+        total: 2,
+        previous: null,
+        next: { title: 'Tutorial Part 3' }
+      });
+    });
+  });
+
+  describe('PUT /api/posts/:id', () => {
+    it('should add a post to a series and take it out again', async () => {
+      const created = await createSeries(author.token);
+      const update = (series) => request(app)
+        .put(`/api/posts/${parts[1]._id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ title: parts[1].title, content: parts[1].content, series });
+
+      expect((await update(created.body.series._id)).statusCode).toBe(200);
+      expect((await Series.findById(created.body.series._id)).posts).toHaveLength(1);
+
+      expect((await update('')).statusCode).toBe(200);
+      expect((await Series.findById(created.body.series._id)).posts).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const authRoutes = require('../../../routes/auth');
+const { createAuthenticatedUser } = require('../../utils/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('Session API Integration Tests', () => {
+  let auth;
+
+  beforeEach(async () => {
+    auth = await createAuthenticatedUser();
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return an access token and a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'testpass123' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: auth.refreshToken });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(auth.refreshToken);
+    });
+
+    it('should revoke the session when a rotated token is replayed', async () => {
+      const first = await request(app).post('/api/auth/refresh').send({ refreshToken: auth.refreshToken });
+      await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+
+      const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: auth.refreshToken });
+      expect(replay.statusCode).toBe(401);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${auth.token}`);
+      expect(me.statusCode).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should invalidate the access token server-side', async () => {
+      const logout = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${auth.token}`);
+      expect(logout.statusCode).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${auth.token}`);
+      expect(me.statusCode).toBe(401);
+
+      const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: auth.refreshToken });
+      expect(refresh.statusCode).toBe(401);
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'testpass123' });
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${auth.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.sessions).toHaveLength(2);
+      expect(response.body.sessions.filter(session => session.current)).toHaveLength(1);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:sessionId', () => {
+    it('should revoke another session of the user', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'testpass123' });
+
+      const { body } = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${auth.token}`);
+      const other = body.sessions.find(session => !session.current);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${other.id}`)
+        .set('Authorization', `Bearer ${auth.token}`);
+      expect(response.statusCode).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.token}`);
+      expect(me.statusCode).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout-all', () => {
+    it('should revoke every session', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'testpass123' });
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${auth.token}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.revokedCount).toBe(2);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.token}`);
+      expect(me.statusCode).toBe(401);
+    });
+  });
+});
@@ -1,6 +1,13 @@
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 
+// Secret used to sign tokens when no .env is loaded
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Never send real mail from tests; write messages to a temp directory instead
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = require('path').join(require('os').tmpdir(), 'thisblog-test-mail');
+
 // Global test configuration
 global.testUserData = {
   validUser: {
@@ -0,0 +1,39 @@
+const AuditLog = require('../../../models/AuditLog');
+const { createTestUser } = require('../../utils/testHelpers');
+
+describe('AuditLog Model', () => {
+  let entry;
+
+  beforeEach(async () => {
+    const actor = await createTestUser();
+    entry = await AuditLog.create({
+      actor: actor._id,
+      action: 'system.cleanup',
+      targetType: 'System',
+      details: { emptyTags: 2 }
+    });
+  });
+
+  it('should allow entries without a target', () => {
+    expect(entry.target).toBeUndefined();
+    expect(entry.createdAt).toBeInstanceOf(Date);
+  });
+
+  it('should not let entries be changed', async () => {
+    entry.action = 'something.else';
+
+    await expect(entry.save()).rejects.toThrow('cannot be changed or removed');
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'something.else' }))
+      .rejects.toThrow('cannot be changed or removed');
+    await expect(AuditLog.findByIdAndUpdate(entry._id, { action: 'something.else' }))
+      .rejects.toThrow('cannot be changed or removed');
+  });
+
+  it('should not let entries be removed', async () => {
+    await expect(entry.deleteOne()).rejects.toThrow('cannot be changed or removed');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be changed or removed');
+    await expect(AuditLog.findByIdAndDelete(entry._id)).rejects.toThrow('cannot be changed or removed');
+
+    expect(await AuditLog.countDocuments()).toBe(1);
+  });
+});
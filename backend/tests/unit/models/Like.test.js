@@ -0,0 +1,87 @@
+const Like = require('../../../models/Like');
+const Post = require('../../../models/Post');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('Like Model', () => {
+  let testUser;
+  let testPost;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    testPost = await createTestPost({
+      title: 'Likeable Post',
+      content: 'Content worth liking',
+      status: 'published'
+    }, testUser._id);
+  });
+
+  describe('addLike', () => {
+    it('should create a like and increment likeCount', async () => {
+      const created = await Like.addLike(testUser._id, 'Post', testPost._id);
+
+      const post = await Post.findById(testPost._id);
+      expect(created).toBe(true);
+      expect(post.likeCount).toBe(1);
+      expect(await Like.countDocuments({ target: testPost._id })).toBe(1);
+    });
+
+    it('should be idempotent for the same user and target', async () => {
+      await Like.addLike(testUser._id, 'Post', testPost._id);
+      const createdAgain = await Like.addLike(testUser._id, 'Post', testPost._id);
+
+      const post = await Post.findById(testPost._id);
+      expect(createdAgain).toBe(false);
+      expect(post.likeCount).toBe(1);
+    });
+
+    it('should count likes from different users separately', async () => {
+      const otherUser = await createTestUser(global.testUserData.adminUser);
+
+      await Like.addLike(testUser._id, 'Post', testPost._id);
+      await Like.addLike(otherUser._id, 'Post', testPost._id);
+
+      const post = await Post.findById(testPost._id);
+      expect(post.likeCount).toBe(2);
+    });
+  });
+
+  describe('removeLike', () => {
+    it('should remove an existing like and decrement likeCount', async () => {
+      await Like.addLike(testUser._id, 'Post', testPost._id);
+      const removed = await Like.removeLike(testUser._id, 'Post', testPost._id);
+
+      const post = await Post.findById(testPost._id);
+      expect(removed).toBe(true);
+      expect(post.likeCount).toBe(0);
+    });
+
+    it('should not decrement likeCount when there was no like', async () => {
+      const removed = await Like.removeLike(testUser._id, 'Post', testPost._id);
+
+      const post = await Post.findById(testPost._id);
+      expect(removed).toBe(false);
+      expect(post.likeCount).toBe(0);
+    });
+  });
+
+  describe('findLikedIds', () => {
+    it('should return only the targets liked by the user', async () => {
+      const otherPost = await createTestPost({
+        title: 'Other Post',
+        content: 'Content nobody liked',
+        status: 'published'
+      }, testUser._id);
+
+      await Like.addLike(testUser._id, 'Post', testPost._id);
+
+      const likedIds = await Like.findLikedIds(testUser._id, 'Post', [testPost._id, otherPost._id]);
+      expect(likedIds.has(testPost._id.toString())).toBe(true);
+      expect(likedIds.has(otherPost._id.toString())).toBe(false);
+    });
+
+    it('should return an empty set for anonymous users', async () => {
+      const likedIds = await Like.findLikedIds(undefined, 'Post', [testPost._id]);
+      expect(likedIds.size).toBe(0);
+    });
+  });
+});
@@ -143,6 +143,38 @@ describe('Post Model', () => {
       expect(error.errors.status).toBeDefined();
     });
 
+    it('should require publishAt for scheduled posts', async () => {
+      const post = new Post({
+        title: 'Scheduled Post',
+        content: 'Test content',
+        author: testUser._id,
+        status: 'scheduled'
+      });
+
+      let error;
+      try {
+        await post.save();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeDefined();
+      expect(error.errors.publishAt).toBeDefined();
+    });
+
+    it('should clear publishAt when a post is not scheduled', async () => {
+      const post = new Post({
+        title: 'Draft Post',
+        content: 'Test content',
+        author: testUser._id,
+        status: 'draft',
+        publishAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await post.save();
+      expect(post.publishAt).toBeNull();
+    });
+
     it('should set publishedAt when status changes to published', async () => {
       const post = new Post({
         title: 'Test Post',
@@ -233,6 +265,17 @@ describe('Post Model', () => {
       await post.save();
       expect(post.excerpt).toBe(customExcerpt);
     });
+
+    it('should drop cover image variants when the cover image changes without them', async () => {
+      const variants = { card: { width: 800, height: 450, webp: '/uploads/posts/cover-card.webp' } };
+      const post = await createTestPost({ coverImage: '/uploads/posts/cover.jpg', coverImageVariants: variants }, testUser._id);
+      expect(post.coverImageVariants).toEqual(variants);
+
+      post.coverImage = 'https://images.example.com/elsewhere.jpg';
+      await post.save();
+
+      expect(post.coverImageVariants).toBeNull();
+    });
   });
 
   describe('Post Indexes', () => {
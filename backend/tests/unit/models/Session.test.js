@@ -0,0 +1,103 @@
+const Session = require('../../../models/Session');
+const { createTestUser } = require('../../utils/testHelpers');
+
+describe('Session Model', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  describe('start', () => {
+    it('should create a session and return a refresh token for it', async () => {
+      const { session, refreshToken } = await Session.start(testUser._id, { userAgent: 'Jest', ip: '127.0.0.1' });
+
+      expect(refreshToken.startsWith(`${session._id}.`)).toBe(true);
+      expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(await Session.isActive(session._id, testUser._id)).toBe(true);
+    });
+
+    it('should store only a hash of the refresh token', async () => {
+      const { session, refreshToken } = await Session.start(testUser._id);
+
+      const stored = await Session.findById(session._id).select('+tokenHash');
+      expect(stored.tokenHash).not.toContain(refreshToken.split('.')[1]);
+    });
+  });
+
+  describe('rotate', () => {
+    it('should issue a new refresh token for the same session', async () => {
+      const { session, refreshToken } = await Session.start(testUser._id);
+
+      const result = await Session.rotate(refreshToken);
+
+      expect(result.error).toBeUndefined();
+      expect(result.session._id.toString()).toBe(session._id.toString());
+      expect(result.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should reject malformed and unknown tokens', async () => {
+      expect((await Session.rotate('garbage')).error).toBe('invalid');
+      expect((await Session.rotate('507f1f77bcf86cd799439011.secret')).error).toBe('invalid');
+    });
+
+    it('should ask for a retry when a just-rotated token is presented again', async () => {
+      const { session, refreshToken } = await Session.start(testUser._id);
+      await Session.rotate(refreshToken);
+
+      const result = await Session.rotate(refreshToken);
+
+      expect(result.error).toBe('stale');
+      expect(await Session.isActive(session._id, testUser._id)).toBe(true);
+    });
+
+    it('should revoke the whole session when an old token is reused', async () => {
+      const { session, refreshToken: first } = await Session.start(testUser._id);
+      const { refreshToken: second } = await Session.rotate(first);
+      const { refreshToken: third } = await Session.rotate(second);
+
+      const result = await Session.rotate(first);
+
+      expect(result.error).toBe('reused');
+      expect(await Session.isActive(session._id, testUser._id)).toBe(false);
+      expect((await Session.rotate(third)).error).toBe('invalid');
+
+      const revoked = await Session.findById(session._id);
+      expect(revoked.revokedReason).toBe('reuse_detected');
+    });
+
+    it('should not rotate tokens of a revoked session', async () => {
+      const { session, refreshToken } = await Session.start(testUser._id);
+      await session.revoke('logout');
+
+      expect((await Session.rotate(refreshToken)).error).toBe('invalid');
+    });
+  });
+
+  describe('revokeForUser', () => {
+    it('should revoke all sessions except the one kept', async () => {
+      const { session: current } = await Session.start(testUser._id);
+      const { session: other } = await Session.start(testUser._id);
+
+      const revoked = await Session.revokeForUser(testUser._id, 'logout_all', current._id);
+
+      expect(revoked).toBe(1);
+      expect(await Session.isActive(current._id, testUser._id)).toBe(true);
+      expect(await Session.isActive(other._id, testUser._id)).toBe(false);
+    });
+  });
+
+  describe('findActiveForUser', () => {
+    it('should only list active sessions of the user', async () => {
+      const otherUser = await createTestUser(global.testUserData.adminUser);
+      const { session } = await Session.start(testUser._id);
+      const { session: revoked } = await Session.start(testUser._id);
+      await Session.start(otherUser._id);
+      await revoked.revoke();
+
+      const sessions = await Session.findActiveForUser(testUser._id);
+
+      expect(sessions.map(s => s._id.toString())).toEqual([session._id.toString()]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const Subscriber = require('../../../models/Subscriber');
+
+describe('Subscriber Model', () => {
+  it('should start new subscribers as pending', async () => {
+    const subscriber = await Subscriber.create({ email: 'reader@example.com' });
+
+    expect(subscriber.status).toBe('pending');
+  });
+
+  describe('requestConfirmation', () => {
+    it('should record consent and set the confirmation expiry', async () => {
+      const subscriber = new Subscriber({ email: 'reader@example.com' });
+
+      subscriber.requestConfirmation({ ip: '203.0.113.7', userAgent: 'Test Browser', source: 'footer' });
+      await subscriber.save();
+
+      expect(subscriber.status).toBe('pending');
+      expect(subscriber.source).toBe('footer');
+      expect(subscriber.consent.ip).toBe('203.0.113.7');
+      expect(subscriber.consent.userAgent).toBe('Test Browser');
+      expect(subscriber.consent.requestedAt).toBeInstanceOf(Date);
+      expect(subscriber.confirmationExpiresAt.getTime() - subscriber.consent.requestedAt.getTime())
+        .toBe(Subscriber.CONFIRMATION_TTL_MS);
+    });
+
+    it('should move an unsubscribed address back to pending', async () => {
+      const subscriber = await Subscriber.create({
+        email: 'reader@example.com',
+        status: 'unsubscribed',
+        unsubscribedAt: new Date()
+      });
+
+      subscriber.requestConfirmation();
+      await subscriber.save();
+
+      expect(subscriber.status).toBe('pending');
+      expect(subscriber.unsubscribedAt).toBeNull();
+    });
+  });
+
+  describe('purgeExpiredPending', () => {
+    it('should delete only pending subscribers past their expiry', async () => {
+      const past = new Date(Date.now() - 1000);
+      await Subscriber.create([
+        { email: 'stale@example.com', status: 'pending', confirmationExpiresAt: past },
+        { email: 'fresh@example.com', status: 'pending', confirmationExpiresAt: new Date(Date.now() + 60000) },
+        { email: 'active@example.com', status: 'active' }
+      ]);
+
+      expect(await Subscriber.purgeExpiredPending()).toBe(1);
+      expect(await Subscriber.exists({ email: 'stale@example.com' })).toBeNull();
+      expect(await Subscriber.countDocuments()).toBe(2);
+    });
+  });
+});
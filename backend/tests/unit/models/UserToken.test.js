@@ -0,0 +1,69 @@
+const UserToken = require('../../../models/UserToken');
+const { createTestUser } = require('../../utils/testHelpers');
+
+describe('UserToken Model', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+  });
+
+  describe('issue', () => {
+    it('should store only a hash of the token', async () => {
+      const token = await UserToken.issue(testUser._id, 'password_reset');
+
+      const stored = await UserToken.findOne({ user: testUser._id }).select('+tokenHash');
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should invalidate earlier unused tokens with the same purpose', async () => {
+      const first = await UserToken.issue(testUser._id, 'password_reset');
+      const second = await UserToken.issue(testUser._id, 'password_reset');
+
+      expect(await UserToken.consume(first, 'password_reset')).toBeNull();
+      expect(await UserToken.consume(second, 'password_reset')).not.toBeNull();
+    });
+
+    it('should keep tokens issued for other purposes', async () => {
+      const verification = await UserToken.issue(testUser._id, 'email_verification');
+      await UserToken.issue(testUser._id, 'password_reset');
+
+      expect(await UserToken.consume(verification, 'email_verification')).not.toBeNull();
+    });
+
+    it('should reject unknown purposes', async () => {
+      await expect(UserToken.issue(testUser._id, 'magic_link')).rejects.toThrow('Unknown token purpose');
+    });
+  });
+
+  describe('consume', () => {
+    it('should only accept a token once', async () => {
+      const token = await UserToken.issue(testUser._id, 'email_verification');
+
+      const record = await UserToken.consume(token, 'email_verification');
+      expect(record.user.toString()).toBe(testUser._id.toString());
+      expect(record.usedAt).toBeInstanceOf(Date);
+
+      expect(await UserToken.consume(token, 'email_verification')).toBeNull();
+    });
+
+    it('should not accept a token for a different purpose', async () => {
+      const token = await UserToken.issue(testUser._id, 'email_verification');
+
+      expect(await UserToken.consume(token, 'password_reset')).toBeNull();
+    });
+
+    it('should not accept an expired token', async () => {
+      const token = await UserToken.issue(testUser._id, 'password_reset');
+      await UserToken.updateMany({ user: testUser._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await UserToken.consume(token, 'password_reset')).toBeNull();
+    });
+
+    it('should ignore missing and malformed tokens', async () => {
+      expect(await UserToken.consume(undefined, 'password_reset')).toBeNull();
+      expect(await UserToken.consume({ $ne: null }, 'password_reset')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const auditLog = require('../../../services/auditLog');
+
+describe('Audit Log Service', () => {
+  describe('changedFields', () => {
+    it('should keep only the fields that changed', () => {
+      const changes = auditLog.changedFields(
+        { title: 'Old', status: 'published', tags: ['a', 'b'] },
+        { title: 'New', status: 'published', tags: ['a', 'b'] }
+      );
+
+      expect(changes).toEqual({ before: { title: 'Old' }, after: { title: 'New' } });
+    });
+
+    it('should compare arrays by value and record missing values as null', () => {
+      const changes = auditLog.changedFields(
+        { tags: ['a'], excerpt: 'Short' },
+        { tags: ['a', 'b'] }
+      );
+
+      expect(changes).toEqual({
+        before: { tags: ['a'], excerpt: 'Short' },
+        after: { tags: ['a', 'b'], excerpt: null }
+      });
+    });
+
+    it('should only look at the listed fields', () => {
+      const changes = auditLog.changedFields({ title: 'Old', content: 'a' }, { title: 'Old', content: 'b' }, ['title']);
+
+      expect(changes).toEqual({ before: {}, after: {} });
+    });
+  });
+
+  describe('buildFilter', () => {
+    it('should match actions exactly or by namespace', () => {
+      expect(auditLog.buildFilter({ action: 'user.delete' })).toEqual({ action: 'user.delete' });
+      expect(auditLog.buildFilter({ action: 'user.' })).toEqual({ action: { $regex: '^user\\.' } });
+    });
+
+    it('should filter by date range', () => {
+      const from = new Date('2026-01-01');
+      const to = new Date('2026-02-01');
+
+      expect(auditLog.buildFilter({ from, to, targetType: 'User' })).toEqual({
+        targetType: 'User',
+        createdAt: { $gte: from, $lte: to }
+      });
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header and one escaped row per entry', () => {
+      const csv = auditLog.toCsv([{
+        createdAt: new Date('2026-03-04T05:06:07Z'),
+        actor: { name: 'Ada, Admin', email: 'ada@example.com' },
+        action: 'user.role_change',
+        targetType: 'User',
+        target: '507f1f77bcf86cd799439011',
+        targetLabel: 'Bob <bob@example.com>',
+        before: { role: 'member' },
+        after: { role: 'editor' },
+        details: {},
+        reason: 'Asked for "editor"',
+        ip: '127.0.0.1',
+        userAgent: ''
+      }]);
+
+      const [header, row] = csv.trim().split('\r\n');
+      expect(header.split(',')[0]).toBe('createdAt');
+      expect(row).toBe([
+        '2026-03-04T05:06:07.000Z',
+        '"Ada, Admin"',
+        'ada@example.com',
+        'user.role_change',
+        'User',
+        '507f1f77bcf86cd799439011',
+        'Bob <bob@example.com>',
+        '"{""role"":""member""}"',
+        '"{""role"":""editor""}"',
+        '',
+        '"Asked for ""editor"""',
+        '127.0.0.1',
+        ''
+      ].join(','));
+    });
+
+    it('should stop spreadsheets from running cell values as formulas', () => {
+      const csv = auditLog.toCsv([{ action: 'comment.delete', targetLabel: '=HYPERLINK("x")', before: {}, after: {} }]);
+
+      expect(csv).toContain('"\'=HYPERLINK(""x"")"');
+    });
+  });
+});
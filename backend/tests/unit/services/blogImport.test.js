@@ -0,0 +1,100 @@
+const User = require('../../../models/User');
+const Post = require('../../../models/Post');
+const Tag = require('../../../models/Tag');
+const Comment = require('../../../models/Comment');
+const ImportJob = require('../../../models/ImportJob');
+const blogImport = require('../../../services/blogImport');
+const { createTestUser } = require('../../utils/testHelpers');
+
+// An export as services/blogImportSources reads it
+const exportData = () => ({
+  source: 'wordpress',
+  siteUrl: 'https://old.example.com',
+  imagePrefixes: ['https://old.example.com/wp-content/uploads'],
+  posts: [{
+    id: '12',
+    title: 'Hello From WordPress',
+    html: '<p>Intro</p><p><img src="https://old.example.com/wp-content/uploads/2020/cat.jpg"></p>',
+    excerpt: '',
+    status: 'published',
+    publishedAt: new Date('2020-01-15T09:30:00Z'),
+    createdAt: new Date('2020-01-15T09:30:00Z'),
+    author: { name: 'Jane Doe', email: 'Jane@Example.com' },
+    tags: ['News'],
+    coverImage: '',
+    seoTitle: '',
+    seoDescription: '',
+    featured: false,
+    comments: [
+      { id: '6', parentId: '5', name: 'Jane', email: 'jane@example.com', html: 'Thanks!', approved: true, createdAt: new Date('2020-01-17') },
+      { id: '5', parentId: null, name: 'Bob', email: 'bob@example.com', html: 'Nice post', approved: true, createdAt: new Date('2020-01-16') },
+      { id: '7', parentId: null, name: 'Anonymous', email: '', html: 'No email', approved: true, createdAt: new Date('2020-01-16') }
+    ]
+  }]
+});
+
+describe('blogImport', () => {
+  let superAdmin;
+
+  beforeEach(async () => {
+    superAdmin = await createTestUser(global.testUserData.superAdminUser);
+  });
+
+  const run = async (options = {}) => {
+    const data = exportData();
+    const job = await blogImport.createJob(data, superAdmin, options);
+    return blogImport.runJob(job, data);
+  };
+
+  it('should report what would happen on a dry run without writing anything', async () => {
+    const job = await run({ dryRun: true });
+
+    expect(job.status).toBe('completed');
+    expect(job.counts.posts.created).toBe(1);
+    expect(job.counts.comments.created).toBe(2);
+    expect(job.counts.comments.skipped).toBe(1);
+    expect(job.progress.processed).toBe(1);
+    expect(await Post.countDocuments()).toBe(0);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('should import posts, users, tags and threaded comments', async () => {
+    await createTestUser({ name: 'Bob', email: 'bob@example.com', password: 'password123' });
+
+    const job = await run();
+
+    expect(job.counts.users).toMatchObject({ created: 1, existing: 1 });
+    const post = await Post.findOne({ title: 'Hello From WordPress' }).populate('author tags');
+    expect(post.author.email).toBe('jane@example.com');
+    expect(post.publishedAt.toISOString()).toBe('2020-01-15T09:30:00.000Z');
+    expect(post.content).toContain('![](/uploads/imported/2020/cat.jpg)');
+    expect(post.tags.map(tag => tag.name)).toEqual(['news']);
+    expect(post.commentCount).toBe(1);
+
+    const reply = await Comment.findOne({ content: 'Thanks!' });
+    const parent = await Comment.findById(reply.parentComment);
+    expect(parent.content).toBe('Nice post');
+    expect(parent.replies.map(String)).toEqual([reply._id.toString()]);
+    expect(job.issues.some(issue => issue.message.includes('no email'))).toBe(true);
+  });
+
+  it('should skip what was already imported when run again', async () => {
+    await run();
+    const job = await run();
+
+    expect(job.counts.posts).toMatchObject({ created: 0, existing: 1 });
+    expect(job.counts.comments).toMatchObject({ created: 0, existing: 2 });
+    expect(await Post.countDocuments()).toBe(1);
+    expect(await Comment.countDocuments()).toBe(2);
+    expect((await Tag.findOne({ name: 'news' })).postCount).toBe(1);
+  });
+
+  it('should mark jobs cut off by a restart as failed', async () => {
+    const data = exportData();
+    const job = await blogImport.createJob(data, superAdmin);
+
+    await blogImport.failInterrupted();
+
+    expect((await ImportJob.findById(job._id)).status).toBe('failed');
+  });
+});
@@ -0,0 +1,166 @@
+const {
+  htmlToMarkdown,
+  rewriteImageUrls,
+  threadOrder,
+  parseWxr,
+  parseGhost
+} = require('../../../services/blogImportSources');
+
+const wxr = (items) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <link>https://old.example.com</link>
+  <wp:wxr_version>1.2</wp:wxr_version>
+  <wp:base_site_url>https://old.example.com</wp:base_site_url>
+  <wp:author>
+    <wp:author_login><![CDATA[jane]]></wp:author_login>
+    <wp:author_email><![CDATA[jane@example.com]]></wp:author_email>
+    <wp:author_display_name><![CDATA[Jane Doe]]></wp:author_display_name>
+  </wp:author>
+  ${items}
+</channel>
+</rss>`;
+
+const wxrComment = (id, parent, approved = '1', type = '') => `
+  <wp:comment>
+    <wp:comment_id>${id}</wp:comment_id>
+    <wp:comment_author><![CDATA[Reader ${id}]]></wp:comment_author>
+    <wp:comment_author_email><![CDATA[reader${id}@example.com]]></wp:comment_author_email>
+    <wp:comment_date_gmt><![CDATA[2020-01-16 10:00:00]]></wp:comment_date_gmt>
+    <wp:comment_content><![CDATA[Comment ${id}]]></wp:comment_content>
+    <wp:comment_approved><![CDATA[${approved}]]></wp:comment_approved>
+    <wp:comment_type><![CDATA[${type}]]></wp:comment_type>
+    <wp:comment_parent>${parent}</wp:comment_parent>
+  </wp:comment>`;
+
+describe('blogImportSources', () => {
+  describe('htmlToMarkdown', () => {
+    it('should convert HTML and add the paragraphs WordPress leaves out', () => {
+      expect(htmlToMarkdown('<h2>Title</h2><p>Some <strong>bold</strong> text</p>')).toBe('## Title\n\nSome **bold** text');
+      expect(htmlToMarkdown('First line\nsecond line\n\n[caption id="1"]Second paragraph[/caption]'))
+        .toBe('First line  \nsecond line\n\nSecond paragraph');
+    });
+  });
+
+  describe('rewriteImageUrls', () => {
+    it('should only rewrite whole URLs under the old prefixes', () => {
+      const { text, count } = rewriteImageUrls(
+        '![a](https://old.example.com/wp-content/uploads/a.png) https://evil.test/?u=https://old.example.com/wp-content/uploads/b.png',
+        ['https://old.example.com/wp-content/uploads'],
+        '/uploads/imported/'
+      );
+
+      expect(text).toBe('![a](/uploads/imported/a.png) https://evil.test/?u=https://old.example.com/wp-content/uploads/b.png');
+      expect(count).toBe(1);
+    });
+  });
+
+  describe('threadOrder', () => {
+    it('should put parents before their replies', () => {
+      const ordered = threadOrder([
+        { id: '3', parentId: '2' },
+        { id: '2', parentId: '1' },
+        { id: '1', parentId: null },
+        { id: '4', parentId: 'missing' }
+      ]);
+
+      expect(ordered.map(comment => comment.id)).toEqual(['1', '4', '2', '3']);
+    });
+  });
+
+  describe('parseWxr', () => {
+    it('should read posts with their author, tags, cover image and comments', () => {
+      const data = parseWxr(wxr(`
+        <item>
+          <title>Hello &amp; Welcome</title>
+          <dc:creator><![CDATA[jane]]></dc:creator>
+          <content:encoded><![CDATA[<p>Hello</p>]]></content:encoded>
+          <wp:post_id>12</wp:post_id>
+          <wp:post_date_gmt><![CDATA[2020-01-15 09:30:00]]></wp:post_date_gmt>
+          <wp:status><![CDATA[publish]]></wp:status>
+          <wp:post_type><![CDATA[post]]></wp:post_type>
+          <category domain="category" nicename="news"><![CDATA[News]]></category>
+          <category domain="post_tag" nicename="cats"><![CDATA[Cats]]></category>
+          <wp:postmeta>
+            <wp:meta_key><![CDATA[_thumbnail_id]]></wp:meta_key>
+            <wp:meta_value><![CDATA[13]]></wp:meta_value>
+          </wp:postmeta>
+          ${wxrComment(5, 0)}
+          ${wxrComment(6, 5)}
+          ${wxrComment(7, 0, 'spam')}
+          ${wxrComment(8, 0, '1', 'pingback')}
+        </item>
+        <item>
+          <wp:post_id>13</wp:post_id>
+          <wp:post_type><![CDATA[attachment]]></wp:post_type>
+          <wp:attachment_url><![CDATA[https://old.example.com/wp-content/uploads/cover.jpg]]></wp:attachment_url>
+        </item>
+        <item>
+          <title>Old page</title>
+          <wp:post_id>14</wp:post_id>
+          <wp:status><![CDATA[publish]]></wp:status>
+          <wp:post_type><![CDATA[page]]></wp:post_type>
+        </item>`));
+
+      expect(data.siteUrl).toBe('https://old.example.com');
+      expect(data.imagePrefixes).toContain('http://old.example.com/wp-content/uploads');
+      expect(data.posts).toHaveLength(1);
+      expect(data.posts[0]).toMatchObject({
+        id: '12',
+        title: 'Hello & Welcome',
+        status: 'published',
+        author: { name: 'Jane Doe', email: 'jane@example.com' },
+        tags: ['News', 'Cats'],
+        coverImage: 'https://old.example.com/wp-content/uploads/cover.jpg'
+      });
+      expect(data.posts[0].publishedAt.toISOString()).toBe('2020-01-15T09:30:00.000Z');
+      expect(data.posts[0].comments.map(comment => [comment.id, comment.parentId])).toEqual([['5', null], ['6', '5']]);
+    });
+
+    it('should reject files that are not WordPress exports', () => {
+      expect(() => parseWxr('<rss><channel><title>Feed</title></channel></rss>')).toThrow('Not a WordPress export');
+    });
+  });
+
+  describe('parseGhost', () => {
+    it('should read posts, authors, public tags and comments', () => {
+      const data = parseGhost(JSON.stringify({
+        db: [{
+          data: {
+            posts: [
+              {
+                id: 'p1',
+                title: 'Ghost Post',
+                html: '<p><img src="__GHOST_URL__/content/images/a.png"></p>',
+                type: 'post',
+                status: 'published',
+                published_at: '2021-05-01T00:00:00.000Z',
+                featured: 1
+              },
+              { id: 'p2', title: 'About', html: '<p>Page</p>', type: 'page', status: 'published' }
+            ],
+            posts_meta: [{ post_id: 'p1', meta_title: 'SEO title' }],
+            users: [{ id: 'u1', name: 'Gina', email: 'gina@example.com' }],
+            posts_authors: [{ post_id: 'p1', author_id: 'u1' }],
+            tags: [{ id: 't1', name: 'Travel' }, { id: 't2', name: '#internal', visibility: 'internal' }],
+            posts_tags: [{ post_id: 'p1', tag_id: 't1' }, { post_id: 'p1', tag_id: 't2' }],
+            members: [{ id: 'm1', name: 'Reader', email: 'reader@example.com' }],
+            comments: [{ id: 'c1', post_id: 'p1', member_id: 'm1', html: '<p>Great</p>', status: 'published' }]
+          }
+        }]
+      }), { siteUrl: 'https://ghost.example.com/' });
+
+      expect(data.posts).toHaveLength(1);
+      expect(data.posts[0]).toMatchObject({
+        title: 'Ghost Post',
+        html: '<p><img src="https://ghost.example.com/content/images/a.png"></p>',
+        author: { name: 'Gina', email: 'gina@example.com' },
+        tags: ['Travel'],
+        seoTitle: 'SEO title',
+        featured: true
+      });
+      expect(data.imagePrefixes).toContain('https://ghost.example.com/content/images');
+      expect(data.posts[0].comments[0]).toMatchObject({ email: 'reader@example.com', approved: true });
+    });
+  });
+});
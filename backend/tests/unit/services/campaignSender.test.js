@@ -0,0 +1,160 @@
+const campaignSender = require('../../../services/campaignSender');
+const mailer = require('../../../services/mailer');
+const Campaign = require('../../../models/Campaign');
+const CampaignDelivery = require('../../../models/CampaignDelivery');
+const Subscriber = require('../../../models/Subscriber');
+const { createTestUser } = require('../../utils/testHelpers');
+
+const hosts = { baseUrl: 'https://api.example.com', siteUrl: 'https://blog.example.com' };
+
+describe('Campaign Sender', () => {
+  let campaign;
+  let send;
+
+  beforeEach(async () => {
+    const admin = await createTestUser(global.testUserData.adminUser);
+    await Subscriber.create([
+      { email: 'one@example.com', status: 'active' },
+      { email: 'two@example.com', status: 'active' },
+      { email: 'three@example.com', status: 'active' },
+      { email: 'unconfirmed@example.com', status: 'pending' },
+      { email: 'gone@example.com', status: 'unsubscribed' }
+    ]);
+    campaign = await Campaign.create({ subject: 'Hello', content: 'Body', createdBy: admin._id });
+    send = jest.spyOn(mailer, 'send');
+  });
+
+  afterEach(() => {
+    send.mockRestore();
+  });
+
+  describe('enqueue', () => {
+    it('should create one pending delivery per active subscriber', async () => {
+      const queued = await campaignSender.enqueue(campaign._id, hosts);
+
+      expect(queued.status).toBe('queued');
+      expect(queued.recipientCount).toBe(3);
+      expect(queued.baseUrl).toBe(hosts.baseUrl);
+      expect(await CampaignDelivery.countDocuments({ campaign: campaign._id, status: 'pending' })).toBe(3);
+    });
+
+    it('should only queue a campaign once', async () => {
+      await campaignSender.enqueue(campaign._id, hosts);
+
+      expect(await campaignSender.enqueue(campaign._id, hosts)).toBeNull();
+      expect(await CampaignDelivery.countDocuments({ campaign: campaign._id })).toBe(3);
+    });
+
+    it('should put the campaign back into draft when creating deliveries fails', async () => {
+      const insertMany = jest.spyOn(CampaignDelivery, 'insertMany').mockRejectedValueOnce(new Error('write failed'));
+
+      await expect(campaignSender.enqueue(campaign._id, hosts)).rejects.toThrow('write failed');
+      insertMany.mockRestore();
+
+      expect((await Campaign.findById(campaign._id)).status).toBe('draft');
+      expect(await CampaignDelivery.countDocuments({ campaign: campaign._id })).toBe(0);
+    });
+
+    it('should not send campaigns that are still preparing, and reset interrupted ones', async () => {
+      await Campaign.updateOne({ _id: campaign._id }, { status: 'preparing', queuedAt: new Date() });
+      const subscriber = await Subscriber.findOne({ email: 'one@example.com' });
+      await CampaignDelivery.create({ campaign: campaign._id, subscriber: subscriber._id, email: subscriber.email });
+
+      expect(await campaignSender.processQueue()).toBe(0);
+      expect((await Campaign.findById(campaign._id)).status).toBe('preparing');
+
+      await Campaign.updateOne({ _id: campaign._id }, { queuedAt: new Date(Date.now() - 60 * 60 * 1000) });
+      await campaignSender.processQueue();
+
+      expect((await Campaign.findById(campaign._id)).status).toBe('draft');
+      expect(await CampaignDelivery.countDocuments({ campaign: campaign._id })).toBe(0);
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processQueue', () => {
+    beforeEach(async () => {
+      await campaignSender.enqueue(campaign._id, hosts);
+    });
+
+    it('should send no more than the limit per run', async () => {
+      const attempted = await campaignSender.processQueue(2);
+
+      expect(attempted).toBe(2);
+      expect(send).toHaveBeenCalledTimes(2);
+      expect((await Campaign.findById(campaign._id)).status).toBe('sending');
+    });
+
+    it('should mark the campaign sent once every delivery is done', async () => {
+      await campaignSender.processQueue(10);
+
+      const counts = await CampaignDelivery.countByStatus(campaign._id);
+      expect(counts.sent).toBe(3);
+      const sent = await Campaign.findById(campaign._id);
+      expect(sent.status).toBe('sent');
+      expect(sent.completedAt).toBeInstanceOf(Date);
+      expect(send.mock.calls[0][0].headers['List-Unsubscribe']).toContain('/api/newsletter/unsubscribe/one-click');
+    });
+
+    it('should skip subscribers who unsubscribed after queueing', async () => {
+      await Subscriber.updateOne({ email: 'two@example.com' }, { status: 'unsubscribed' });
+
+      await campaignSender.processQueue(10);
+
+      const delivery = await CampaignDelivery.findOne({ campaign: campaign._id, email: 'two@example.com' });
+      expect(delivery.status).toBe('skipped');
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait before retrying a failed send', async () => {
+      send.mockRejectedValue(new Error('Connection refused'));
+
+      await campaignSender.processQueue(10);
+
+      expect(send).toHaveBeenCalledTimes(3);
+      const deliveries = await CampaignDelivery.find({ campaign: campaign._id });
+      deliveries.forEach(delivery => {
+        expect(delivery.status).toBe('pending');
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      });
+      expect(await campaignSender.processQueue(10)).toBe(0);
+    });
+
+    it('should retry failed sends and give up after the maximum attempts', async () => {
+      send.mockImplementation(async ({ to }) => {
+        if (to === 'one@example.com') throw new Error('Mailbox unavailable');
+        return { messageId: 'ok' };
+      });
+      const runWhenDue = async () => {
+        await CampaignDelivery.updateMany({ campaign: campaign._id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } });
+        await campaignSender.processQueue(10);
+      };
+
+      await campaignSender.processQueue(10);
+      await runWhenDue();
+      await runWhenDue();
+
+      const delivery = await CampaignDelivery.findOne({ campaign: campaign._id, email: 'one@example.com' });
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toBe(3);
+      expect(delivery.lastError).toBe('Mailbox unavailable');
+      expect((await Campaign.findById(campaign._id)).status).toBe('sent');
+    });
+  });
+
+  describe('cancel', () => {
+    it('should skip deliveries that have not been sent yet', async () => {
+      await campaignSender.enqueue(campaign._id, hosts);
+      await campaignSender.processQueue(1);
+
+      const cancelled = await campaignSender.cancel(campaign._id);
+
+      expect(cancelled.status).toBe('cancelled');
+      const counts = await CampaignDelivery.countByStatus(campaign._id);
+      expect(counts.sent).toBe(1);
+      expect(counts.skipped).toBe(2);
+      expect(await campaignSender.processQueue(10)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const coverSuggestions = require('../../../services/coverSuggestions');
+
+describe('coverSuggestions', () => {
+  const image = (filename, data = {}) => ({ _id: filename, filename, altText: '', usage: [], ...data });
+
+  describe('postKeywords', () => {
+    it('should weigh title and tag words above content words, and ignore links', () => {
+      const keywords = coverSuggestions.postKeywords({
+        title: 'Indexing in MongoDB',
+        tags: ['Databases'],
+        content: 'Indexes make queries fast. ![Chart](/uploads/misc/images-1.png) https://example.com/page'
+      });
+
+      expect(keywords.get('mongodb')).toBe(3);
+      expect(keywords.get('database')).toBe(3);
+      expect(keywords.get('fast')).toBe(1);
+      expect(keywords.has('upload')).toBe(false);
+      expect(keywords.has('example')).toBe(false);
+    });
+
+    it('should add related words at a share of their weight', () => {
+      const keywords = coverSuggestions.postKeywords({ title: 'React hooks', content: '' });
+
+      expect(keywords.get('javascript')).toBe(1.5);
+      expect(keywords.get('web')).toBe(1.5);
+    });
+  });
+
+  describe('imageKeywords', () => {
+    it('should use the file name and alt text without numbers or generic words', () => {
+      expect([...coverSuggestions.imageKeywords(image('python-code-2.jpg', { altText: 'Laptops on a desk' }))])
+        .toEqual(['python', 'code', 'laptop', 'desk']);
+      expect(coverSuggestions.imageKeywords(image('coverImage-1753012691962-296593600.jpg')).size).toBe(0);
+    });
+  });
+
+  describe('rank', () => {
+    const candidates = [
+      image('coverImage-1753012691962-296593600.jpg'),
+      image('java-programming-1.jpg'),
+      image('javascript-code-1.jpg'),
+      image('web-development-1.jpg')
+    ];
+
+    it('should rank matching images first and leave out those matching nothing', () => {
+      const suggestions = coverSuggestions.rank({ title: 'Getting started with React', tags: ['JavaScript'] }, candidates);
+
+      expect(suggestions.map(suggestion => suggestion.media.filename)).toEqual(['javascript-code-1.jpg', 'web-development-1.jpg']);
+      expect(suggestions[0].matched).toEqual(['javascript']);
+    });
+
+    it('should rank images other posts already use lower', () => {
+      const used = [
+        image('python-code-1.jpg', { usage: [{ kind: 'post', document: 'other-post' }] }),
+        image('python-code-2.jpg')
+      ];
+      const post = { _id: 'this-post', title: 'Python code' };
+
+      expect(coverSuggestions.rank(post, used).map(suggestion => suggestion.media.filename))
+        .toEqual(['python-code-2.jpg', 'python-code-1.jpg']);
+      expect(coverSuggestions.rank(post, used, { extraUses: new Map([['python-code-2.jpg', 2]]) })[0].media.filename)
+        .toBe('python-code-1.jpg');
+    });
+  });
+});
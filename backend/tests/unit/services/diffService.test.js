@@ -0,0 +1,39 @@
+const diffService = require('../../../services/diffService');
+
+describe('Diff Service', () => {
+  describe('diffLines', () => {
+    it('should mark identical texts as unchanged', () => {
+      const changes = diffService.diffLines('one\ntwo', 'one\ntwo');
+
+      expect(changes).toHaveLength(2);
+      expect(changes.every(change => change.type === 'unchanged')).toBe(true);
+    });
+
+    it('should detect added, removed and changed lines', () => {
+      const changes = diffService.diffLines('a\nb\nc', 'a\nx\nc\nd');
+
+      expect(changes.map(change => change.type)).toEqual([
+        'unchanged',
+        'removed',
+        'added',
+        'unchanged',
+        'added'
+      ]);
+      expect(diffService.summarize(changes)).toEqual({ added: 2, removed: 1 });
+    });
+
+    it('should number lines on both sides', () => {
+      const changes = diffService.diffLines('a\nb', 'b');
+
+      expect(changes[0]).toMatchObject({ type: 'removed', value: 'a', oldLine: 1, newLine: null });
+      expect(changes[1]).toMatchObject({ type: 'unchanged', value: 'b', oldLine: 2, newLine: 1 });
+    });
+
+    it('should handle empty input', () => {
+      expect(diffService.diffLines('', '')).toEqual([]);
+      expect(diffService.diffLines('', 'new line')).toEqual([
+        { type: 'added', value: 'new line', oldLine: null, newLine: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const feedService = require('../../../services/feedService');
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@' });
+
+// RFC 822 dates as required by RSS 2.0, e.g. "Thu, 01 Jan 2026 00:00:00 GMT"
+const RFC_822_DATE = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} GMT$/;
+// RFC 3339 timestamps as required by Atom
+const RFC_3339_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const createFeed = (overrides = {}) => ({
+  title: 'ThisBlog & Friends',
+  description: 'Latest posts',
+  siteUrl: 'https://blog.example.com',
+  baseUrl: 'https://api.example.com',
+  selfUrl: 'https://api.example.com/feed.xml',
+  posts: [
+    {
+      _id: '507f1f77bcf86cd799439011',
+      title: 'Hello <World>',
+      slug: 'hello-world',
+      content: '# Heading\n\nSome **bold** text with an ![image](/uploads/cover.png).',
+      excerpt: 'A short excerpt',
+      author: { name: 'Jane Writer' },
+      tags: [{ name: 'JavaScript', slug: 'javascript' }],
+      publishedAt: new Date('2026-01-01T10:00:00Z'),
+      createdAt: new Date('2026-01-01T09:00:00Z'),
+      updatedAt: new Date('2026-01-02T12:00:00Z')
+    }
+  ],
+  ...overrides
+});
+
+describe('Feed Service', () => {
+  describe('renderMarkdown', () => {
+    it('should render Markdown to HTML', () => {
+      const html = feedService.renderMarkdown('# Title\n\nSome **bold** text');
+
+      expect(html).toContain('<h1>Title</h1>');
+      expect(html).toContain('<strong>bold</strong>');
+    });
+
+    it('should strip scripts and event handlers', () => {
+      const html = feedService.renderMarkdown('Hello\n\n<script>alert(1)</script>\n\n<img src="x.png" onerror="alert(1)">');
+
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('onerror');
+    });
+
+    it('should drop javascript: links', () => {
+      const html = feedService.renderMarkdown('[click](javascript:alert(1))');
+
+      expect(html).not.toContain('javascript:');
+    });
+
+    it('should resolve relative image URLs against the base URL', () => {
+      const html = feedService.renderMarkdown('![cover](/uploads/cover.png)', 'https://api.example.com');
+
+      expect(html).toContain('src="https://api.example.com/uploads/cover.png"');
+    });
+  });
+
+  describe('buildRss', () => {
+    it('should produce well-formed RSS 2.0', () => {
+      const xml = feedService.buildRss(createFeed());
+
+      expect(XMLValidator.validate(xml)).toBe(true);
+
+      const { rss } = parser.parse(xml);
+      expect(rss['@version']).toBe('2.0');
+      expect(rss['@xmlns:content']).toBe('http://purl.org/rss/1.0/modules/content/');
+    });
+
+    it('should include the required channel and item elements', () => {
+      const { rss: { channel } } = parser.parse(feedService.buildRss(createFeed()));
+
+      expect(channel.title).toBe('ThisBlog & Friends');
+      expect(channel.link).toBe('https://blog.example.com');
+      expect(channel.description).toBe('Latest posts');
+      expect(channel.lastBuildDate).toMatch(RFC_822_DATE);
+      expect(channel['atom:link']['@rel']).toBe('self');
+      expect(channel['atom:link']['@href']).toBe('https://api.example.com/feed.xml');
+
+      const { item } = channel;
+      expect(item.title).toBe('Hello <World>');
+      expect(item.link).toBe('https://blog.example.com/post/hello-world');
+      expect(item.guid['#text']).toBe('https://blog.example.com/post/hello-world');
+      expect(item.guid['@isPermaLink']).toBe('true');
+      expect(item.pubDate).toMatch(RFC_822_DATE);
+      expect(item['dc:creator']).toBe('Jane Writer');
+      expect(item.category).toBe('JavaScript');
+      expect(item.description).toBe('A short excerpt');
+      expect(item['content:encoded']).toContain('<strong>bold</strong>');
+    });
+
+    it('should keep content well-formed when it contains a CDATA terminator', () => {
+      const feed = createFeed();
+      feed.posts[0].content = 'Code: `a[b[0]]>c`';
+
+      expect(XMLValidator.validate(feedService.buildRss(feed))).toBe(true);
+    });
+
+    it('should produce a valid channel with no items', () => {
+      const xml = feedService.buildRss(createFeed({ posts: [] }));
+      const { rss: { channel } } = parser.parse(xml);
+
+      expect(XMLValidator.validate(xml)).toBe(true);
+      expect(channel.item).toBeUndefined();
+      expect(channel.lastBuildDate).toMatch(RFC_822_DATE);
+    });
+  });
+
+  describe('buildAtom', () => {
+    it('should produce well-formed Atom', () => {
+      const xml = feedService.buildAtom(createFeed());
+
+      expect(XMLValidator.validate(xml)).toBe(true);
+      expect(parser.parse(xml).feed['@xmlns']).toBe('http://www.w3.org/2005/Atom');
+    });
+
+    it('should include the required feed and entry elements', () => {
+      const { feed } = parser.parse(feedService.buildAtom(createFeed()));
+
+      expect(feed.id).toBe('https://api.example.com/feed.xml');
+      expect(feed.title['#text']).toBe('ThisBlog & Friends');
+      expect(feed.updated).toMatch(RFC_3339_DATE);
+      expect(feed.link.find(link => link['@rel'] === 'self')['@href']).toBe('https://api.example.com/feed.xml');
+
+      const { entry } = feed;
+      expect(entry.id).toBe('https://blog.example.com/post/hello-world');
+      expect(entry.title['#text']).toBe('Hello <World>');
+      expect(entry.updated).toMatch(RFC_3339_DATE);
+      expect(entry.published).toMatch(RFC_3339_DATE);
+      expect(entry.author.name).toBe('Jane Writer');
+      expect(entry.link['@href']).toBe('https://blog.example.com/post/hello-world');
+      expect(entry.content['@type']).toBe('html');
+      expect(entry.content['#text']).toContain('<strong>bold</strong>');
+    });
+  });
+
+  describe('getValidators', () => {
+    it('should use the most recent update as Last-Modified', () => {
+      const { lastModified } = feedService.getValidators('rss', createFeed());
+
+      expect(lastModified.toISOString()).toBe('2026-01-02T12:00:00.000Z');
+    });
+
+    it('should change the ETag when a post is updated', () => {
+      const before = feedService.getValidators('rss', createFeed()).etag;
+
+      const feed = createFeed();
+      feed.posts[0].updatedAt = new Date('2026-01-03T12:00:00Z');
+      const after = feedService.getValidators('rss', feed).etag;
+
+      expect(before).toMatch(/^W\/".+"$/);
+      expect(after).not.toBe(before);
+    });
+
+    it('should use different ETags for RSS and Atom', () => {
+      const feed = createFeed();
+
+      expect(feedService.getValidators('rss', feed).etag)
+        .not.toBe(feedService.getValidators('atom', feed).etag);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('../../../services/storage');
+const imageVariants = require('../../../services/imageVariants');
+
+// A landscape JPEG carrying EXIF that says it should be shown rotated a quarter turn
+const photo = () => sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } })
+  .jpeg()
+  .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Somebody' } } })
+  .toBuffer();
+
+describe('imageVariants', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-variants-test-'));
+    storage.setDriver(storage.createLocalDriver({ root }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    storage.setDriver(null);
+  });
+
+  const metadataOf = async (url) => sharp(fs.readFileSync(path.join(root, storage.keyFromUrl(url)))).metadata();
+
+  describe('storeImage', () => {
+    it('should strip metadata and apply the EXIF orientation to the original', async () => {
+      const stored = await imageVariants.storeImage('misc/photo.jpg', await photo(), { fieldname: 'images', contentType: 'image/jpeg' });
+
+      expect(stored).toMatchObject({ width: 1000, height: 2000, variants: null });
+
+      const metadata = await metadataOf('/uploads/misc/photo.jpg');
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+      expect([metadata.width, metadata.height]).toEqual([1000, 2000]);
+    });
+
+    it('should make every cover image variant in its formats and sizes', async () => {
+      const { variants } = await imageVariants.storeImage('posts/cover.jpg', await photo(), { fieldname: 'coverImage', contentType: 'image/jpeg' });
+
+      expect(Object.keys(variants)).toEqual(['thumbnail', 'card', 'hero', 'og']);
+      expect(variants.card).toEqual({
+        width: 800,
+        height: 450,
+        avif: '/uploads/posts/cover-card.avif',
+        webp: '/uploads/posts/cover-card.webp'
+      });
+      // Hero keeps the proportions of the (rotated) original without enlarging it
+      expect(variants.hero).toMatchObject({ width: 800, height: 1600 });
+      expect(variants.og).toEqual({ width: 1200, height: 630, jpeg: '/uploads/posts/cover-og.jpeg' });
+
+      expect((await metadataOf(variants.card.webp)).format).toBe('webp');
+      expect((await metadataOf(variants.og.jpeg)).exif).toBeUndefined();
+      expect(imageVariants.variantUrls(variants)).toHaveLength(7);
+    });
+
+    it('should store GIFs as they are', async () => {
+      const gif = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#000' } }).gif().toBuffer();
+
+      const { variants, width } = await imageVariants.storeImage('posts/anim.gif', gif, { fieldname: 'coverImage', contentType: 'image/gif' });
+
+      expect(variants).toBeNull();
+      expect(width).toBe(10);
+      expect(fs.readFileSync(path.join(root, 'posts/anim.gif')).equals(gif)).toBe(true);
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(imageVariants.storeImage('posts/fake.png', Buffer.from('not a png'), { fieldname: 'coverImage', contentType: 'image/png' }))
+        .rejects.toThrow('The file is not a valid image');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mailer = require('../../../services/mailer');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../../../services/accountEmails');
+
+describe('mailer', () => {
+  const originalEnv = { ...process.env };
+  let mailDir;
+
+  beforeEach(() => {
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-test-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_FILE_DIR = mailDir;
+    process.env.CLIENT_URL = 'https://blog.example.com/';
+  });
+
+  afterEach(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  describe('file transport', () => {
+    it('should write the rendered message to MAIL_FILE_DIR', async () => {
+      const { file } = await mailer.send({
+        to: 'reader@example.com',
+        subject: 'Hello',
+        text: 'Plain body'
+      });
+
+      expect(path.dirname(file)).toBe(mailDir);
+      const raw = fs.readFileSync(file, 'utf8');
+      expect(raw).toContain('To: reader@example.com');
+      expect(raw).toContain('Subject: Hello');
+      expect(raw).toContain('Plain body');
+    });
+  });
+
+  describe('console transport', () => {
+    it('should log the message instead of sending it', async () => {
+      process.env.MAIL_TRANSPORT = 'console';
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await mailer.send({ to: 'reader@example.com', subject: 'Hello', text: 'Plain body' });
+
+      expect(result.file).toBeNull();
+      expect(log.mock.calls[0][0]).toContain('Subject: Hello');
+      log.mockRestore();
+    });
+  });
+
+  describe('default transport', () => {
+    beforeEach(() => {
+      delete process.env.MAIL_TRANSPORT;
+      delete process.env.SMTP_HOST;
+    });
+
+    it('should use SMTP once a host is configured', () => {
+      process.env.SMTP_HOST = 'smtp.example.com';
+
+      expect(mailer.transportName).toBe('smtp');
+    });
+
+    it('should fall back to the console outside production', () => {
+      process.env.NODE_ENV = 'development';
+
+      expect(mailer.transportName).toBe('console');
+    });
+
+    it('should refuse to run without SMTP in production', async () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(() => mailer.transportName).toThrow('SMTP_HOST');
+      await expect(mailer.send({ to: 'reader@example.com', subject: 'Hello' })).rejects.toThrow('SMTP_HOST');
+    });
+  });
+
+  it('should reject an unknown transport', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    await expect(mailer.send({ to: 'reader@example.com', subject: 'Hello' })).rejects.toThrow('Unknown MAIL_TRANSPORT');
+  });
+
+  describe('account emails', () => {
+    const user = { name: 'Jane <Doe>', email: 'jane@example.com' };
+
+    it('should link to the reset page on the client', async () => {
+      const send = jest.spyOn(mailer, 'send');
+
+      await sendPasswordResetEmail(user, 'abc-123');
+
+      const message = send.mock.calls[0][0];
+      expect(message.to).toBe('jane@example.com');
+      expect(message.text).toContain('https://blog.example.com/reset-password?token=abc-123');
+      expect(message.text).toContain('expires in 1 hour');
+      expect(message.html).toContain('Jane &lt;Doe&gt;');
+      send.mockRestore();
+    });
+
+    it('should link to the verification page on the client', async () => {
+      const send = jest.spyOn(mailer, 'send');
+
+      await sendVerificationEmail(user, 'xyz');
+
+      const message = send.mock.calls[0][0];
+      expect(message.text).toContain('https://blog.example.com/verify-email?token=xyz');
+      expect(message.text).toContain('expires in 2 days');
+      send.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const AdmZip = require('adm-zip');
+const markdownPosts = require('../../../services/markdownPosts');
+
+describe('markdownPosts', () => {
+  const document = [
+    '---',
+    'title: Getting Started',
+    'tags: [Node, Express]',
+    'status: published',
+    'publishedAt: 2024-03-01T10:00:00.000Z',
+    'featured: true',
+    '---',
+    '',
+    'Some body text for the post.'
+  ].join('\n');
+
+  describe('toPostFields', () => {
+    it('should map front matter to post fields', () => {
+      const fields = markdownPosts.toPostFields(markdownPosts.parseDocument(document));
+
+      expect(fields).toMatchObject({
+        title: 'Getting Started',
+        content: 'Some body text for the post.',
+        tags: ['node', 'express'],
+        status: 'published',
+        featured: true
+      });
+      expect(fields.publishedAt.toISOString()).toBe('2024-03-01T10:00:00.000Z');
+    });
+
+    it('should take the title from a leading heading, then the file name', () => {
+      const fromHeading = markdownPosts.toPostFields(
+        markdownPosts.parseDocument('# A Heading Title\n\nThe rest of the post body.'),
+        'ignored.md'
+      );
+      expect(fromHeading.title).toBe('A Heading Title');
+      expect(fromHeading.content).toBe('The rest of the post body.');
+
+      const fromName = markdownPosts.toPostFields(markdownPosts.parseDocument('Just a body, nothing else.'), 'my-first_post.md');
+      expect(fromName.title).toBe('my first post');
+      expect(fromName.status).toBe('draft');
+    });
+
+    it('should reject unknown statuses and scheduled posts without a future date', () => {
+      const parse = (frontMatter) => () => markdownPosts.toPostFields(
+        markdownPosts.parseDocument(`---\ntitle: Title\n${frontMatter}\n---\nLong enough content.`)
+      );
+
+      expect(parse('status: live')).toThrow('Status must be one of');
+      expect(parse('status: scheduled\npublishedAt: 2000-01-01')).toThrow('future');
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('should round-trip through parseDocument', () => {
+      const post = {
+        title: 'Round Trip: Part 1',
+        content: 'Body with --- in it.\n',
+        excerpt: '',
+        tags: [{ name: 'node' }],
+        status: 'draft',
+        publishedAt: null,
+        featured: false,
+        seoTitle: 'SEO title'
+      };
+
+      const { data, content } = markdownPosts.parseDocument(markdownPosts.toMarkdown(post));
+
+      expect(data).toEqual({ title: 'Round Trip: Part 1', tags: ['node'], status: 'draft', seoTitle: 'SEO title', featured: false });
+      expect(content.trim()).toBe('Body with --- in it.');
+    });
+  });
+
+  describe('toZip and readUpload', () => {
+    it('should read back every post from an exported zip', () => {
+      const posts = [
+        { slug: 'same', title: 'First Post', content: 'First content here', tags: [] },
+        { slug: 'same', title: 'Second Post', content: 'Second content here', tags: [] }
+      ];
+      const zip = markdownPosts.toZip(posts);
+
+      expect(new AdmZip(zip).getEntries().map(entry => entry.entryName).sort()).toEqual(['same-1.md', 'same.md']);
+
+      const documents = markdownPosts.readUpload({ originalname: 'posts.zip', buffer: zip });
+      expect(documents.map(doc => markdownPosts.parseDocument(doc.text).data.title).sort()).toEqual(['First Post', 'Second Post']);
+    });
+
+    it('should reject entries that inflate past the size limit whatever their header says', () => {
+      const zip = new AdmZip();
+      zip.addFile('bomb.md', Buffer.alloc(3 * 1024 * 1024, 'a'));
+      const buffer = zip.toBuffer();
+
+      // Claim a tiny uncompressed size in the local and central headers
+      buffer.writeUInt32LE(100, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+      buffer.writeUInt32LE(100, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+      expect(() => markdownPosts.readUpload({ originalname: 'posts.zip', buffer })).toThrow('bomb.md in posts.zip is too large');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Media = require('../../../models/Media');
+const Post = require('../../../models/Post');
+const PostRevision = require('../../../models/PostRevision');
+const storage = require('../../../services/storage');
+const mediaLibrary = require('../../../services/mediaLibrary');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('mediaLibrary', () => {
+  let root;
+  let owner;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-library-test-'));
+    storage.setDriver(storage.createLocalDriver({ root }));
+    owner = await createTestUser({ ...global.testUserData.validUser, role: 'author' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    storage.setDriver(null);
+    delete process.env.MEDIA_QUOTA_MB;
+  });
+
+  // A stored file with a library entry, created `ageHours` ago
+  const addMedia = async (key, { ageHours = 48, size = 1000 } = {}) => {
+    await storage.put(key, Buffer.from(key));
+    const media = await Media.create({ owner: owner._id, key, url: storage.url(key), size });
+    // createdAt is immutable through Mongoose, so backdate it in the collection
+    await Media.collection.updateOne({ _id: media._id }, { $set: { createdAt: new Date(Date.now() - ageHours * 60 * 60 * 1000) } });
+    return media;
+  };
+
+  describe('uploadKeysIn', () => {
+    it('should find uploads linked from Markdown and HTML', () => {
+      const text = [
+        '![Chart](/uploads/misc/images-1.png "A chart")',
+        '<img src="/uploads/posts/cover-2.jpg">',
+        '[Elsewhere](https://example.com/picture.png) /uploads/misc/images-1.png'
+      ].join('\n');
+
+      expect(mediaLibrary.uploadKeysIn(text)).toEqual(['misc/images-1.png', 'posts/cover-2.jpg']);
+    });
+
+    it('should ignore /uploads/ in links to other sites', () => {
+      const text = '![Cat](https://myoldblog.com/wp-content/uploads/2020/01/cat.jpg) <img src="https://blog.example.com/uploads/cover.jpg">';
+
+      expect(mediaLibrary.uploadKeysIn(text)).toEqual([]);
+    });
+
+    it('should find uploads under the storage\'s public URL', () => {
+      storage.setDriver({ ...storage.createLocalDriver({ root }), url: (key) => `https://cdn.example.com/media/${key}` });
+
+      expect(mediaLibrary.uploadKeysIn('![Chart](https://cdn.example.com/media/misc/images-1.png)')).toEqual(['misc/images-1.png']);
+    });
+  });
+
+  describe('syncUsage', () => {
+    it('should add and remove a post from the files it links to', async () => {
+      const cover = await addMedia('posts/cover-1.jpg');
+      const inline = await addMedia('misc/images-1.png');
+      const post = await createTestPost({
+        title: 'Media Post',
+        content: 'Look: ![Chart](/uploads/misc/images-1.png)',
+        coverImage: '/uploads/posts/cover-1.jpg'
+      }, owner._id);
+
+      await mediaLibrary.syncUsage('post', post);
+      expect((await Media.findById(cover._id)).usage).toHaveLength(1);
+      expect((await Media.findById(inline._id)).usage[0]).toMatchObject({ kind: 'post', document: post._id });
+
+      post.content = 'No pictures any more';
+      await mediaLibrary.syncUsage('post', post);
+      await mediaLibrary.syncUsage('post', post);
+      expect((await Media.findById(inline._id)).usage).toHaveLength(0);
+      expect((await Media.findById(cover._id)).usage).toHaveLength(1);
+
+      await mediaLibrary.releaseUsage('post', post._id);
+      expect((await Media.findById(cover._id)).usage).toHaveLength(0);
+    });
+  });
+
+  describe('unusableImagesIn', () => {
+    it('should report only new links to missing or untracked files', async () => {
+      await addMedia('misc/images-1.png');
+      await storage.put('misc/legacy.png', Buffer.from('before the library'));
+      const content = '![A](/uploads/misc/images-1.png) ![B](/uploads/misc/legacy.png) ![C](/uploads/misc/gone.png)';
+
+      expect(await mediaLibrary.unusableImagesIn(content, { user: owner, author: owner._id })).toEqual([
+        { url: '/uploads/misc/legacy.png', message: 'is not in the media library' },
+        { url: '/uploads/misc/gone.png', message: 'was not found' }
+      ]);
+      expect(await mediaLibrary.unusableImagesIn(content, {
+        user: owner,
+        author: owner._id,
+        previous: '![Old](/uploads/misc/legacy.png) ![Older](/uploads/misc/gone.png)'
+      })).toEqual([]);
+    });
+  });
+
+  describe('reserve', () => {
+    it('should refuse uploads once the owner\'s quota is used up', async () => {
+      process.env.MEDIA_QUOTA_MB = '1';
+      await addMedia('misc/big.png', { size: 1024 * 1024 });
+
+      await expect(mediaLibrary.reserve(owner, { key: 'misc/more.png', url: '/uploads/misc/more.png' }))
+        .rejects.toMatchObject({ status: 413 });
+
+      owner.mediaQuotaMB = 0;
+      await expect(mediaLibrary.reserve(owner, { key: 'misc/more.png', url: '/uploads/misc/more.png' }))
+        .resolves.toMatchObject({ key: 'misc/more.png' });
+    });
+  });
+
+  describe('removeOrphans', () => {
+    it('should delete unreferenced files and their variants, keeping recent uploads', async () => {
+      await addMedia('posts/cover-1.jpg');
+      await storage.put('posts/cover-1-card.webp', Buffer.from('variant'));
+      const orphan = await addMedia('misc/images-2.png');
+      await storage.put('misc/images-2-thumbnail.webp', Buffer.from('variant'));
+      await addMedia('misc/images-3.png', { ageHours: 1 });
+      await addMedia('misc/images-4.png');
+      await storage.put('misc/untracked.png', Buffer.from('old upload'));
+
+      const post = await createTestPost({
+        title: 'Orphan Post',
+        content: 'Content without images',
+        coverImage: '/uploads/posts/cover-1.jpg'
+      }, owner._id);
+      // Only an older version links to this one, so it stays restorable
+      await PostRevision.create({ post: post._id, revision: 1, title: post.title, content: '![Old](/uploads/misc/images-4.png)' });
+
+      const results = await mediaLibrary.removeOrphans();
+
+      expect(results).toEqual({ orphanedFiles: 3, orphanedMedia: 1 });
+      expect(await storage.exists('posts/cover-1.jpg')).toBe(true);
+      expect(await storage.exists('posts/cover-1-card.webp')).toBe(true);
+      expect(await storage.exists('misc/images-2.png')).toBe(false);
+      expect(await storage.exists('misc/images-2-thumbnail.webp')).toBe(false);
+      expect(await storage.exists('misc/untracked.png')).toBe(false);
+      expect(await storage.exists('misc/images-3.png')).toBe(true);
+      expect(await storage.exists('misc/images-4.png')).toBe(true);
+      expect(await Media.findById(orphan._id)).toBeNull();
+
+      // Usage is rebuilt from the posts themselves
+      const cover = await Media.findOne({ key: 'posts/cover-1.jpg' });
+      expect(cover.usage).toEqual([expect.objectContaining({ kind: 'post', document: post._id })]);
+      expect(await Post.countDocuments()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  createConfirmationToken,
+  verifyConfirmationToken,
+  renderCampaign,
+  buildDigest
+} = require('../../../services/newsletterService');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('newsletterService', () => {
+  describe('unsubscribe tokens', () => {
+    it('should accept a token signed for the same email', () => {
+      const token = createUnsubscribeToken('reader@example.com');
+
+      expect(verifyUnsubscribeToken('reader@example.com', token)).toBe(true);
+      expect(verifyUnsubscribeToken('READER@example.com', token)).toBe(true);
+    });
+
+    it('should reject tokens for other emails and malformed tokens', () => {
+      const token = createUnsubscribeToken('reader@example.com');
+
+      expect(verifyUnsubscribeToken('other@example.com', token)).toBe(false);
+      expect(verifyUnsubscribeToken('reader@example.com', 'short')).toBe(false);
+      expect(verifyUnsubscribeToken('reader@example.com', undefined)).toBe(false);
+      expect(verifyUnsubscribeToken('reader@example.com', ['array'])).toBe(false);
+    });
+  });
+
+  describe('confirmation tokens', () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    it('should return the email of a valid token', () => {
+      const token = createConfirmationToken('Reader@example.com', expiresAt);
+
+      expect(verifyConfirmationToken(token)).toBe('reader@example.com');
+    });
+
+    it('should reject expired, tampered and malformed tokens', () => {
+      const token = createConfirmationToken('reader@example.com', expiresAt);
+      const [, expiry, signature] = token.split('.');
+      const forged = `${Buffer.from('other@example.com').toString('base64url')}.${expiry}.${signature}`;
+
+      expect(verifyConfirmationToken(token, new Date(expiresAt.getTime() + 1))).toBeNull();
+      expect(verifyConfirmationToken(forged)).toBeNull();
+      expect(verifyConfirmationToken('not-a-token')).toBeNull();
+      expect(verifyConfirmationToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('renderCampaign', () => {
+    const campaign = {
+      subject: 'Hello readers',
+      content: '# Big news\n\nSee [our post](/post/big-news) <script>alert(1)</script>',
+      baseUrl: 'https://api.example.com',
+      siteUrl: 'https://blog.example.com'
+    };
+
+    it('should render sanitized HTML and a text version', () => {
+      const rendered = renderCampaign(campaign, 'reader@example.com');
+
+      expect(rendered.subject).toBe('Hello readers');
+      expect(rendered.html).toContain('<h1>Big news</h1>');
+      expect(rendered.html).not.toContain('<script>');
+      expect(rendered.text).toContain('# Big news');
+    });
+
+    it('should include a signed unsubscribe link and one-click headers', () => {
+      const rendered = renderCampaign(campaign, 'reader@example.com');
+      const token = createUnsubscribeToken('reader@example.com');
+
+      expect(rendered.text).toContain(`https://blog.example.com/unsubscribe?email=reader%40example.com&token=${token}`);
+      expect(rendered.headers['List-Unsubscribe']).toBe(
+        `<https://api.example.com/api/newsletter/unsubscribe/one-click?email=reader%40example.com&token=${token}>`
+      );
+      expect(rendered.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    });
+  });
+
+  describe('buildDigest', () => {
+    it('should list posts published in the period, newest first', async () => {
+      const author = await createTestUser();
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      await createTestPost({ title: 'Older Post', content: 'Older content', status: 'published', publishedAt: daysAgo(3) }, author._id);
+      await createTestPost({ title: 'Newer Post', content: 'Newer content', status: 'published', publishedAt: daysAgo(1) }, author._id);
+      await createTestPost({ title: 'Last Month', content: 'Old news', status: 'published', publishedAt: daysAgo(30) }, author._id);
+      await createTestPost({ title: 'Draft Post', content: 'Not yet', status: 'draft' }, author._id);
+
+      const digest = await buildDigest({ siteUrl: 'https://blog.example.com' });
+
+      expect(digest.posts).toHaveLength(2);
+      expect(digest.subject).toContain('this week');
+      expect(digest.content).toContain('[Newer Post](https://blog.example.com/post/newer-post)');
+      expect(digest.content).not.toContain('Draft Post');
+      expect(digest.content).not.toContain('Last Month');
+      expect(digest.content.indexOf('Newer Post')).toBeLessThan(digest.content.indexOf('Older Post'));
+    });
+
+    it('should return null when nothing was published', async () => {
+      expect(await buildDigest({ siteUrl: 'https://blog.example.com' })).toBeNull();
+    });
+  });
+});
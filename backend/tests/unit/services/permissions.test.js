@@ -0,0 +1,106 @@
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  ACTIONS,
+  can,
+  canAny,
+  canManageUser,
+  assignableRoles,
+  canAssignRole,
+  permissionsFor
+} = require('../../../services/permissions');
+
+const user = (role, id = `${role}-id`) => ({ _id: id, role });
+
+describe('permissions', () => {
+  it('should only grant known actions', () => {
+    ROLES.forEach(role => {
+      ROLE_PERMISSIONS[role].forEach(grant => {
+        expect(ACTIONS).toContain(grant.replace(/:own$/, ''));
+      });
+    });
+  });
+
+  describe('can', () => {
+    it('should deny anonymous users', () => {
+      expect(can(null, 'comment:create')).toBe(false);
+    });
+
+    it('should limit owner-only grants to the user\'s own resources', () => {
+      const author = user('author');
+
+      expect(can(author, 'post:update', { author: 'author-id' })).toBe(true);
+      expect(can(author, 'post:update', { author: { _id: 'author-id' } })).toBe(true);
+      expect(can(author, 'post:update', { author: 'someone-else' })).toBe(false);
+      expect(can(author, 'post:update')).toBe(true);
+      expect(canAny(author, 'post:update')).toBe(false);
+    });
+
+    it('should let editors edit and publish any post', () => {
+      const editor = user('editor');
+
+      expect(can(editor, 'post:update', { author: 'someone-else' })).toBe(true);
+      expect(can(editor, 'post:publish', { author: 'someone-else' })).toBe(true);
+      expect(can(editor, 'user:manage')).toBe(false);
+    });
+
+    it('should let moderators moderate comments but not edit others\' posts', () => {
+      const moderator = user('moderator');
+
+      expect(can(moderator, 'comment:moderate')).toBe(true);
+      expect(can(moderator, 'comment:delete', { author: 'someone-else' })).toBe(true);
+      expect(can(moderator, 'post:update', { author: 'someone-else' })).toBe(false);
+    });
+
+    it('should keep members to their own comments and posts', () => {
+      const member = user('member');
+
+      expect(can(member, 'comment:create')).toBe(true);
+      expect(can(member, 'comment:delete', { author: 'someone-else' })).toBe(false);
+      expect(can(member, 'post:create')).toBe(true);
+      expect(can(member, 'post:update', { author: 'member-id' })).toBe(true);
+      expect(can(member, 'post:update', { author: 'someone-else' })).toBe(false);
+      expect(can(member, 'post:publish')).toBe(false);
+      expect(can(member, 'series:manage')).toBe(false);
+    });
+
+    it('should grant super admins everything', () => {
+      ACTIONS.forEach(action => {
+        expect(can(user('super_admin'), action, { author: 'someone-else' })).toBe(true);
+      });
+    });
+  });
+
+  describe('role management', () => {
+    it('should only let admins manage and assign roles below their own', () => {
+      const admin = user('admin');
+
+      expect(assignableRoles(admin)).toEqual(['member', 'author', 'moderator', 'editor']);
+      expect(canAssignRole(admin, user('member'), 'editor')).toBe(true);
+      expect(canAssignRole(admin, user('member'), 'admin')).toBe(false);
+      expect(canAssignRole(admin, user('admin'), 'member')).toBe(false);
+      expect(canManageUser(admin, user('editor'))).toBe(true);
+      expect(canManageUser(admin, user('super_admin'))).toBe(false);
+    });
+
+    it('should let super admins assign any role', () => {
+      expect(assignableRoles(user('super_admin'))).toEqual(ROLES);
+      expect(canAssignRole(user('super_admin'), user('admin'), 'super_admin')).toBe(true);
+    });
+
+    it('should not let other roles assign roles', () => {
+      expect(assignableRoles(user('editor'))).toEqual([]);
+    });
+  });
+
+  describe('permissionsFor', () => {
+    it('should list actions with owner-only ones marked', () => {
+      const permissions = permissionsFor(user('author'));
+
+      expect(permissions).toContain('post:create');
+      expect(permissions).toContain('post:update:own');
+      expect(permissions).not.toContain('post:update');
+      expect(permissions).not.toContain('user:manage');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const publishScheduler = require('../../../services/publishScheduler');
+const Post = require('../../../models/Post');
+const Tag = require('../../../models/Tag');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('Publish Scheduler', () => {
+  let testUser;
+  let testTag;
+
+  beforeEach(async () => {
+    testUser = await createTestUser();
+    testTag = await Tag.create({ name: 'Scheduled', slug: 'scheduled' });
+  });
+
+  const createScheduledPost = (title, publishAt) => createTestPost({
+    title,
+    content: 'Content that goes live later',
+    status: 'scheduled',
+    publishAt,
+    tags: [testTag._id]
+  }, testUser._id);
+
+  it('should publish posts whose publishAt has passed', async () => {
+    const publishAt = new Date(Date.now() - 60 * 1000);
+    const scheduled = await createScheduledPost('Due Post', publishAt);
+
+    const published = await publishScheduler.publishDuePosts();
+
+    const post = await Post.findById(scheduled._id);
+    expect(published).toHaveLength(1);
+    expect(post.status).toBe('published');
+    expect(post.publishedAt.getTime()).toBe(publishAt.getTime());
+    expect(post.publishAt).toBeNull();
+  });
+
+  it('should leave posts scheduled in the future untouched', async () => {
+    const scheduled = await createScheduledPost('Future Post', new Date(Date.now() + 60 * 60 * 1000));
+
+    const published = await publishScheduler.publishDuePosts();
+
+    const post = await Post.findById(scheduled._id);
+    expect(published).toHaveLength(0);
+    expect(post.status).toBe('scheduled');
+  });
+
+  it('should not publish the same post twice', async () => {
+    await createScheduledPost('Once Only', new Date(Date.now() - 60 * 1000));
+
+    const first = await publishScheduler.publishDuePosts();
+    const second = await publishScheduler.publishDuePosts();
+
+    expect(first).toHaveLength(1);
+    expect(second).toHaveLength(0);
+  });
+
+  it('should count the post towards its tags once published', async () => {
+    await createScheduledPost('Tagged Post', new Date(Date.now() - 60 * 1000));
+
+    expect((await Tag.findById(testTag._id)).postCount).toBe(0);
+
+    await publishScheduler.publishDuePosts();
+
+    expect((await Tag.findById(testTag._id)).postCount).toBe(1);
+  });
+});
@@ -0,0 +1,91 @@
+const Post = require('../../../models/Post');
+const Tag = require('../../../models/Tag');
+const relatedPosts = require('../../../services/relatedPosts');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('relatedPosts', () => {
+  let author;
+  let databases;
+  let cooking;
+  let post;
+
+  beforeEach(async () => {
+    await Post.init();
+    author = await createTestUser();
+    databases = await Tag.create({ name: 'Databases', slug: 'databases' });
+    cooking = await Tag.create({ name: 'Cooking', slug: 'cooking' });
+
+    post = await createTestPost({
+      title: 'Indexing in MongoDB',
+      content: 'How MongoDB indexes speed up queries',
+      status: 'published',
+      publishedAt: new Date('2024-03-01'),
+      tags: [databases._id]
+    }, author._id);
+  });
+
+  const publish = (title, data = {}) => createTestPost({
+    title,
+    content: `${title} content`,
+    status: 'published',
+    publishedAt: new Date('2024-02-01'),
+    ...data
+  }, author._id);
+
+  describe('computeRelated', () => {
+    it('should rank posts sharing tags or words above unrelated ones', async () => {
+      const unrelated = await publish('Cooking pasta', { tags: [cooking._id], publishedAt: new Date('2024-03-02') });
+      const sameTag = await publish('Sharding basics', { tags: [databases._id] });
+      const sameWords = await publish('MongoDB aggregation pipelines');
+
+      const ids = (await relatedPosts.computeRelated(post, new Date('2024-04-01'))).map(String);
+
+      expect(ids.slice(0, 2).sort()).toEqual([sameTag._id.toString(), sameWords._id.toString()].sort());
+      expect(ids[2]).toBe(unrelated._id.toString());
+    });
+
+    it('should leave out the post itself and unpublished posts', async () => {
+      await publish('MongoDB drafts', { status: 'draft', publishedAt: null, tags: [databases._id] });
+
+      expect(await relatedPosts.computeRelated(post)).toEqual([]);
+    });
+  });
+
+  describe('refresh', () => {
+    it('should cache the ranking without touching updatedAt', async () => {
+      const sameTag = await publish('Sharding basics', { tags: [databases._id] });
+      const { updatedAt } = await Post.findById(post._id).lean();
+
+      await relatedPosts.refresh(post);
+
+      const cached = await Post.findById(post._id).lean();
+      expect(cached.relatedPosts.map(String)).toEqual([sameTag._id.toString()]);
+      expect(cached.relatedPostsUpdatedAt).toBeInstanceOf(Date);
+      expect(cached.updatedAt).toEqual(updatedAt);
+    });
+  });
+
+  describe('getRelated', () => {
+    it('should serve the cache and drop posts unpublished since', async () => {
+      const first = await publish('Sharding basics', { tags: [databases._id] });
+      const second = await publish('Replica sets', { tags: [databases._id] });
+      await relatedPosts.refresh(post);
+
+      await Post.updateOne({ _id: second._id }, { status: 'draft' });
+      const related = await relatedPosts.getRelated(await Post.findById(post._id).lean());
+
+      expect(related.map(item => item.title)).toEqual([first.title]);
+      expect(related[0].tags[0].name).toBe('Databases');
+      expect(related[0].content).toBeUndefined();
+    });
+
+    it('should compute the list when nothing is cached yet', async () => {
+      await publish('Sharding basics', { tags: [databases._id] });
+
+      const related = await relatedPosts.getRelated(await Post.findById(post._id).lean(), 1);
+
+      expect(related).toHaveLength(1);
+      expect((await Post.findById(post._id).lean()).relatedPostsUpdatedAt).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const reviewWorkflow = require('../../../services/reviewWorkflow');
+
+const user = (role, id = `${role}-id`) => ({ _id: id, role });
+
+const post = (status, author = 'author-id') => ({ status, author });
+
+describe('Review Workflow Service', () => {
+  const author = user('author');
+  const editor = user('editor');
+
+  describe('transitionError', () => {
+    it('should let authors submit their drafts and withdraw them', () => {
+      expect(reviewWorkflow.transitionError(author, post('draft'), 'in_review')).toBeNull();
+      expect(reviewWorkflow.transitionError(author, post('in_review'), 'draft')).toBeNull();
+      expect(reviewWorkflow.transitionError(author, post('changes_requested'), 'in_review')).toBeNull();
+    });
+
+    it('should only let authors publish once a reviewer approved the post', () => {
+      expect(reviewWorkflow.transitionError(author, post('draft'), 'published'))
+        .toBe('This post needs to be approved by a reviewer before it can be published');
+      expect(reviewWorkflow.transitionError(author, post('in_review'), 'scheduled')).not.toBeNull();
+      expect(reviewWorkflow.transitionError(author, post('approved'), 'published')).toBeNull();
+      expect(reviewWorkflow.transitionError(author, post('approved'), 'scheduled')).toBeNull();
+    });
+
+    it('should leave review decisions to reviewers other than the author', () => {
+      expect(reviewWorkflow.transitionError(author, post('in_review'), 'approved'))
+        .toBe('You cannot review your own post');
+      expect(reviewWorkflow.transitionError(user('author', 'other-id'), post('in_review'), 'approved'))
+        .toBe('You do not have permission to review posts');
+      expect(reviewWorkflow.transitionError(editor, post('in_review'), 'approved')).toBeNull();
+      expect(reviewWorkflow.transitionError(editor, post('in_review'), 'changes_requested')).toBeNull();
+      expect(reviewWorkflow.transitionError(editor, post('in_review', 'editor-id'), 'approved'))
+        .toBe('You cannot review your own post');
+    });
+
+    it('should let publishers skip review', () => {
+      expect(reviewWorkflow.transitionError(editor, post('draft'), 'published')).toBeNull();
+      expect(reviewWorkflow.transitionError(editor, post('changes_requested', 'editor-id'), 'scheduled')).toBeNull();
+    });
+
+    it('should reject moves the workflow does not have', () => {
+      expect(reviewWorkflow.transitionError(editor, post('draft'), 'approved'))
+        .toBe('A post cannot be moved from draft to approved');
+    });
+
+    it('should not let users move posts they cannot edit', () => {
+      expect(reviewWorkflow.transitionError(user('author', 'other-id'), post('draft'), 'in_review')).not.toBeNull();
+    });
+  });
+
+  describe('nextStatuses', () => {
+    it('should list the statuses the user can move the post to by editing it', () => {
+      expect(reviewWorkflow.nextStatuses(author, post('draft'))).toEqual(['in_review']);
+      expect(reviewWorkflow.nextStatuses(author, post('approved'))).toEqual(['draft', 'scheduled', 'published']);
+      expect(reviewWorkflow.nextStatuses(editor, post('in_review'))).toEqual(['draft', 'scheduled', 'published']);
+    });
+  });
+
+  describe('needsNewReview', () => {
+    const approved = { status: 'approved', author: 'author-id', title: 'Title', content: 'Body', excerpt: '' };
+
+    it('should send approved posts back for review when reviewed text changes', () => {
+      expect(reviewWorkflow.needsNewReview(author, approved, { title: 'New title', content: 'Body' })).toBe(true);
+      expect(reviewWorkflow.needsNewReview(author, approved, { title: 'Title', content: 'Body', excerpt: undefined })).toBe(false);
+    });
+
+    it('should send scheduled and published posts back for review too', () => {
+      expect(reviewWorkflow.needsNewReview(author, { ...approved, status: 'scheduled' }, { content: 'New body' })).toBe(true);
+      expect(reviewWorkflow.needsNewReview(author, { ...approved, status: 'published' }, { excerpt: 'New excerpt' })).toBe(true);
+      expect(reviewWorkflow.needsNewReview(author, { ...approved, status: 'draft' }, { title: 'New title' })).toBe(false);
+    });
+
+    it('should not ask publishers for another review', () => {
+      expect(reviewWorkflow.needsNewReview(editor, approved, { title: 'New title' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const Post = require('../../../models/Post');
+const Tag = require('../../../models/Tag');
+const { parseTerms, buildHighlights, searchPosts } = require('../../../services/searchService');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('searchService', () => {
+  describe('parseTerms', () => {
+    it('should keep phrases and words but drop negated terms', () => {
+      expect(parseTerms('React "state hooks" -vue -"class components"')).toEqual(['state hooks', 'react']);
+    });
+  });
+
+  describe('buildHighlights', () => {
+    it('should mark matches and escape everything else', () => {
+      const highlights = buildHighlights({
+        title: 'Using <React> hooks',
+        content: '# Intro\n\nSome **react** code & more'
+      }, 'react');
+
+      expect(highlights.title).toBe('Using &lt;<mark>React</mark>&gt; hooks');
+      expect(highlights.snippet).toBe('Intro Some <mark>react</mark> code &amp; more');
+    });
+
+    it('should center long snippets on the first match', () => {
+      const content = `${'filler words here '.repeat(40)}the needle is here ${'more filler '.repeat(40)}`;
+
+      const { snippet } = buildHighlights({ title: 'Long', content }, 'needle');
+
+      expect(snippet.startsWith('… ')).toBe(true);
+      expect(snippet.endsWith(' …')).toBe(true);
+      expect(snippet).toContain('<mark>needle</mark>');
+    });
+
+    it('should fall back to the excerpt when the body does not match', () => {
+      const highlights = buildHighlights({ title: 'Title', content: 'Body', excerpt: 'All about testing' }, 'testing');
+
+      expect(highlights.snippet).toBe('All about <mark>testing</mark>');
+    });
+  });
+
+  describe('searchPosts', () => {
+    let alice;
+    let bob;
+    let tag;
+
+    beforeEach(async () => {
+      await Post.init();
+      alice = await createTestUser({ ...global.testUserData.validUser, name: 'Alice' });
+      bob = await createTestUser({ ...global.testUserData.adminUser, name: 'Bob' });
+      tag = await Tag.create({ name: 'Databases', slug: 'databases' });
+
+      await createTestPost({
+        title: 'Indexing in MongoDB',
+        content: 'MongoDB indexes make MongoDB queries fast',
+        status: 'published',
+        publishedAt: new Date('2024-03-01'),
+        tags: [tag._id]
+      }, alice._id);
+      await createTestPost({
+        title: 'Cooking pasta',
+        content: 'A side note about MongoDB',
+        status: 'published',
+        publishedAt: new Date('2023-05-01')
+      }, bob._id);
+      await createTestPost({
+        title: 'Draft about MongoDB',
+        content: 'MongoDB MongoDB MongoDB',
+        status: 'draft'
+      }, alice._id);
+    });
+
+    it('should rank published matches by relevance', async () => {
+      const result = await searchPosts({ search: 'mongodb' });
+
+      expect(result.totalPosts).toBe(2);
+      expect(result.posts.map(post => post.title)).toEqual(['Indexing in MongoDB', 'Cooking pasta']);
+      expect(result.posts[0].highlights.title).toBe('Indexing in <mark>MongoDB</mark>');
+      expect(result.posts[0].content).toBeUndefined();
+    });
+
+    it('should count results by tag, author and year', async () => {
+      const { facets } = await searchPosts({ search: 'mongodb' });
+
+      expect(facets.tags).toEqual([{ slug: 'databases', name: 'Databases', color: tag.color, count: 1 }]);
+      expect(facets.authors.map(author => [author.name, author.count])).toEqual([['Alice', 1], ['Bob', 1]]);
+      expect(facets.years).toEqual([{ year: 2024, count: 1 }, { year: 2023, count: 1 }]);
+    });
+
+    it('should combine tag, author and date filters', async () => {
+      expect((await searchPosts({ search: 'mongodb', tags: ['databases'] })).totalPosts).toBe(1);
+      expect((await searchPosts({ search: 'mongodb', author: bob._id.toString() })).posts[0].title).toBe('Cooking pasta');
+      expect((await searchPosts({ search: 'mongodb', year: 2023 })).totalPosts).toBe(1);
+      expect((await searchPosts({ search: 'mongodb', tags: ['databases'], year: 2023 })).totalPosts).toBe(0);
+      expect((await searchPosts({ search: 'mongodb', from: new Date('2024-01-01') })).totalPosts).toBe(1);
+    });
+
+    it('should return nothing for an unknown tag', async () => {
+      const result = await searchPosts({ search: 'mongodb', tags: ['missing'] });
+
+      expect(result.posts).toEqual([]);
+      expect(result.facets.tags).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const User = require('../../../models/User');
+const Post = require('../../../models/Post');
+const Tag = require('../../../models/Tag');
+const Like = require('../../../models/Like');
+const Series = require('../../../models/Series');
+const Session = require('../../../models/Session');
+const PostRevision = require('../../../models/PostRevision');
+const siteBackup = require('../../../services/siteBackup');
+const storage = require('../../../services/storage');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+describe('siteBackup', () => {
+  let archivePath;
+  let uploadsRoot;
+
+  beforeEach(() => {
+    archivePath = path.join(os.tmpdir(), `thisblog-backup-test-${Date.now()}.zip`);
+    uploadsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-uploads-'));
+    storage.setDriver(storage.createLocalDriver({ root: uploadsRoot }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(archivePath, { force: true });
+    fs.rmSync(uploadsRoot, { recursive: true, force: true });
+    storage.setDriver(null);
+  });
+
+  const backUp = async (options) => {
+    const output = fs.createWriteStream(archivePath);
+    const closed = new Promise(resolve => output.on('close', resolve));
+    await siteBackup.writeBackup(output, options);
+    await closed;
+    return siteBackup.readBackup(archivePath);
+  };
+
+  describe('writeBackup', () => {
+    it('should write a manifest and leave out password hashes by default', async () => {
+      await createTestUser();
+
+      const { zip, manifest } = await backUp();
+
+      expect(manifest).toMatchObject({ schemaVersion: siteBackup.BACKUP_SCHEMA_VERSION, includesPasswords: false });
+      expect(manifest.counts.users).toBe(1);
+      expect(zip.getEntry('data/users.ndjson').getData().toString()).not.toContain('password');
+    });
+  });
+
+  describe('readBackup', () => {
+    it('should reject other schema versions', () => {
+      const zip = new AdmZip();
+      zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'thisblog-backup', schemaVersion: 99 })));
+      zip.writeZip(archivePath);
+
+      expect(() => siteBackup.readBackup(archivePath)).toThrow('schema version 99');
+    });
+
+    it('should reject archives with a damaged collection', () => {
+      const zip = new AdmZip();
+      zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'thisblog-backup', schemaVersion: siteBackup.BACKUP_SCHEMA_VERSION })));
+      zip.addFile('data/posts.ndjson', Buffer.from('{"_id":{"$oid":"64b000000000000000000001"}}\n{"title": '));
+      zip.writeZip(archivePath);
+
+      expect(() => siteBackup.readBackup(archivePath)).toThrow('Line 2 of data/posts.ndjson');
+    });
+  });
+
+  describe('restoreBackup', () => {
+    let actor;
+    let post;
+
+    beforeEach(async () => {
+      actor = await createTestUser(global.testUserData.superAdminUser);
+      const tag = await Tag.create({ name: 'backups' });
+      post = await createTestPost({ title: 'Backed Up Post', content: 'Content worth keeping', tags: [tag._id] }, actor._id);
+      await storage.put('posts/cover.png', Buffer.from('cover image'));
+    });
+
+    it('should report what already exists when merging', async () => {
+      const backup = await backUp({ includePasswords: true });
+
+      const { counts, conflicts } = await siteBackup.restoreBackup(backup, { mode: 'merge', actor });
+
+      expect(counts.posts).toEqual({ restored: 0, conflicts: 1 });
+      expect(counts.uploads).toEqual({ restored: 0, conflicts: 1 });
+      expect(conflicts).toContainEqual({ collection: 'posts', id: post._id.toString(), reason: 'A document with this ID already exists' });
+    });
+
+    it('should bring back deleted documents as they were when replacing', async () => {
+      const backup = await backUp();
+      await Post.deleteMany({});
+      await storage.delete('posts/cover.png');
+      await createTestPost({ title: 'Written After The Backup', content: 'This post goes away' }, actor._id);
+
+      const { counts } = await siteBackup.restoreBackup(backup, { mode: 'replace', actor });
+
+      expect(counts.posts).toEqual({ restored: 1, conflicts: 0 });
+      const posts = await Post.find();
+      expect(posts.map(restored => restored.slug)).toEqual([post.slug]);
+      expect((await Tag.findOne({ name: 'backups' })).postCount).toBe(1);
+      expect(await storage.exists('posts/cover.png')).toBe(true);
+      // The super admin restoring keeps their own account and password
+      expect(await (await User.findById(actor._id)).comparePassword(global.testUserData.superAdminUser.password)).toBe(true);
+    });
+
+    it('should drop what pointed at replaced documents when replacing', async () => {
+      const backup = await backUp();
+      const reader = await createTestUser({ ...global.testUserData.validUser, email: 'reader@example.com' });
+      const later = await createTestPost({ title: 'Written After The Backup', content: 'This post goes away' }, actor._id);
+      await Series.create({ title: 'Gone Series', author: reader._id, posts: [post._id] });
+      await Series.create({ title: 'Kept Series', author: actor._id, posts: [later._id, post._id] });
+      await Like.create([
+        { user: actor._id, targetType: 'Post', target: post._id },
+        { user: actor._id, targetType: 'Post', target: later._id }
+      ]);
+      await PostRevision.createFromPost(post, actor._id);
+      await PostRevision.createFromPost(later, actor._id);
+      await Session.create([
+        { user: actor._id, tokenHash: 'actor-session', expiresAt: new Date(Date.now() + 60000) },
+        { user: reader._id, tokenHash: 'reader-session', expiresAt: new Date(Date.now() + 60000) }
+      ]);
+
+      await siteBackup.restoreBackup(backup, { mode: 'replace', actor });
+
+      expect(await User.exists({ _id: reader._id })).toBeNull();
+      const series = await Series.find();
+      expect(series.map(kept => kept.title)).toEqual(['Kept Series']);
+      expect(series[0].posts.map(String)).toEqual([post._id.toString()]);
+      expect((await Like.find()).map(like => like.target.toString())).toEqual([post._id.toString()]);
+      expect((await PostRevision.find()).map(revision => revision.post.toString())).toEqual([post._id.toString()]);
+      expect((await Session.find()).map(session => session.user.toString())).toEqual([actor._id.toString()]);
+    });
+
+    it('should put everything back when a replace fails part way', async () => {
+      const backup = await backUp();
+      const later = await createTestPost({ title: 'Written After The Backup', content: 'This post stays' }, actor._id);
+      const insertOne = jest.spyOn(Post.collection, 'insertOne').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(siteBackup.restoreBackup(backup, { mode: 'replace', actor })).rejects.toThrow('disk full');
+      insertOne.mockRestore();
+
+      expect((await Post.find().sort({ createdAt: 1 })).map(restored => restored.slug)).toEqual([post.slug, later.slug]);
+      expect(await User.exists({ _id: actor._id })).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,161 @@
+// Small pages so pagination is exercised with a handful of posts
+process.env.SITEMAP_PAGE_SIZE = '2';
+
+const sitemapService = require('../../../services/sitemapService');
+const Tag = require('../../../models/Tag');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+const hosts = {
+  baseUrl: 'https://api.example.com',
+  siteUrl: 'https://blog.example.com'
+};
+
+describe('Sitemap Service', () => {
+  let author;
+  let tag;
+
+  beforeEach(async () => {
+    sitemapService.invalidate();
+
+    author = await createTestUser();
+    tag = await Tag.create({ name: 'Sitemaps', slug: 'sitemaps' });
+
+    for (const title of ['First Post', 'Second Post', 'Third Post']) {
+      await createTestPost({
+        title,
+        content: 'Published content',
+        status: 'published',
+        tags: [tag._id]
+      }, author._id);
+    }
+    await createTestPost({
+      title: 'Hidden Draft',
+      content: 'Draft content',
+      status: 'draft'
+    }, author._id);
+  });
+
+  describe('getIndex', () => {
+    it('should list a sub-sitemap for every page of every section', async () => {
+      const index = await sitemapService.getIndex(hosts);
+
+      expect(index).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(index).toContain('https://api.example.com/sitemaps/pages-1.xml');
+      expect(index).toContain('https://api.example.com/sitemaps/posts-1.xml');
+      expect(index).toContain('https://api.example.com/sitemaps/posts-2.xml');
+      expect(index).not.toContain('posts-3.xml');
+      expect(index).toContain('https://api.example.com/sitemaps/tags-1.xml');
+      expect(index).toContain('https://api.example.com/sitemaps/authors-1.xml');
+    });
+  });
+
+  describe('getSitemap', () => {
+    it('should paginate published posts with lastmod', async () => {
+      const first = await sitemapService.getSitemap(hosts, 'posts', 1);
+      const second = await sitemapService.getSitemap(hosts, 'posts', 2);
+
+      expect(first.match(/<url>/g)).toHaveLength(2);
+      expect(second.match(/<url>/g)).toHaveLength(1);
+      expect(first).toMatch(/<lastmod>\d{4}-\d{2}-\d{2}T/);
+      expect(first + second).not.toContain('hidden-draft');
+      expect(first).toContain('https://blog.example.com/post/first-post');
+    });
+
+    it('should list tag and author pages', async () => {
+      const tags = await sitemapService.getSitemap(hosts, 'tags', 1);
+      const authors = await sitemapService.getSitemap(hosts, 'authors', 1);
+
+      expect(tags).toContain('https://blog.example.com/category/sitemaps');
+      expect(authors).toContain(`https://blog.example.com/author/${author._id}`);
+    });
+
+    it('should return null for unknown sections and pages', async () => {
+      expect(await sitemapService.getSitemap(hosts, 'unknown', 1)).toBeNull();
+      expect(await sitemapService.getSitemap(hosts, 'posts', 3)).toBeNull();
+    });
+
+    it('should serve cached sitemaps until invalidated', async () => {
+      const before = await sitemapService.getSitemap(hosts, 'posts', 2);
+
+      await createTestPost({
+        title: 'Fourth Post',
+        content: 'More content',
+        status: 'published'
+      }, author._id);
+
+      expect(await sitemapService.getSitemap(hosts, 'posts', 2)).toBe(before);
+
+      sitemapService.invalidate();
+      const after = await sitemapService.getSitemap(hosts, 'posts', 2);
+      expect(after.match(/<url>/g)).toHaveLength(2);
+    });
+  });
+
+  describe('getSharePage', () => {
+    it('should give link previews the post\'s Open Graph image and send people on to the post', async () => {
+      await createTestPost({
+        title: 'Shared <Post>',
+        content: 'Worth sharing',
+        excerpt: 'Why "this" matters',
+        status: 'published',
+        coverImage: '/uploads/posts/cover.jpg',
+        coverImageVariants: { og: { width: 1200, height: 630, jpeg: '/uploads/posts/cover-og.jpeg' } }
+      }, author._id);
+
+      const page = await sitemapService.getSharePage(hosts, 'shared-post');
+
+      expect(page).toContain('<meta property="og:title" content="Shared &lt;Post&gt;">');
+      expect(page).toContain('<meta property="og:description" content="Why &quot;this&quot; matters">');
+      expect(page).toContain('<meta property="og:image" content="https://api.example.com/uploads/posts/cover-og.jpeg">');
+      expect(page).toContain('<meta property="og:image:width" content="1200">');
+      expect(page).toContain('<meta property="og:url" content="https://api.example.com/share/post/shared-post">');
+      expect(page).toContain('<meta http-equiv="refresh" content="0; url=https://blog.example.com/post/shared-post">');
+    });
+
+    it('should have no page for drafts', async () => {
+      expect(await sitemapService.getSharePage(hosts, 'hidden-draft')).toBeNull();
+    });
+  });
+
+  describe('getRobots', () => {
+    afterEach(() => {
+      delete process.env.ROBOTS_ALLOW_INDEXING;
+      delete process.env.ROBOTS_DISALLOW;
+    });
+
+    it('should point crawlers at the sitemap index', async () => {
+      const robots = await sitemapService.getRobots(hosts);
+
+      expect(robots).toContain('User-agent: *');
+      expect(robots).toContain('Disallow: /admin');
+      expect(robots).toContain('Sitemap: https://api.example.com/sitemap.xml');
+    });
+
+    it('should honour configured disallow rules', async () => {
+      process.env.ROBOTS_DISALLOW = '/private, /drafts';
+
+      const robots = await sitemapService.getRobots(hosts);
+
+      expect(robots).toContain('Disallow: /private\nDisallow: /drafts');
+      expect(robots).not.toContain('Disallow: /admin');
+    });
+
+    it('should block all crawling when indexing is disabled', async () => {
+      process.env.ROBOTS_ALLOW_INDEXING = 'false';
+
+      const robots = await sitemapService.getRobots(hosts);
+
+      expect(robots).toContain('Disallow: /\n');
+    });
+
+    it('should keep a bounded cache however many hosts ask', async () => {
+      for (let i = 0; i < 600; i++) {
+        await sitemapService.getRobots({ baseUrl: `https://host-${i}.example.com` });
+      }
+
+      expect(sitemapService.cache.size).toBe(500);
+      expect(sitemapService.cache.has('robots|https://host-0.example.com')).toBe(false);
+      expect(sitemapService.cache.has('robots|https://host-599.example.com')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const storage = require('../../../services/storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const listAll = async (driver, prefix) => {
+  const keys = [];
+  for await (const key of driver.list(prefix)) {
+    keys.push(key);
+  }
+  return keys.sort();
+};
+
+// The same behaviour is expected of every driver
+const describeDriver = (name, create, describeFn = describe) => {
+  describeFn(name, () => {
+    let driver;
+
+    beforeEach(async () => {
+      driver = await create();
+    });
+
+    it('should store, read and delete files', async () => {
+      const { size } = await driver.put('posts/cover.png', Buffer.from('image bytes'), { contentType: 'image/png' });
+
+      expect(size).toBe(11);
+      expect(await driver.exists('posts/cover.png')).toBe(true);
+      expect(await readAll(await driver.get('posts/cover.png'))).toBe('image bytes');
+
+      expect(await driver.delete('posts/cover.png')).toBe(true);
+      expect(await driver.exists('posts/cover.png')).toBe(false);
+      expect(await driver.get('posts/cover.png')).toBeNull();
+      expect(await driver.delete('posts/cover.png')).toBe(false);
+    });
+
+    it('should accept streams and list keys by prefix', async () => {
+      await driver.put('posts/a.png', Readable.from([Buffer.from('a')]));
+      await driver.put('profiles/b.png', Buffer.from('b'));
+
+      expect(await listAll(driver)).toEqual(['posts/a.png', 'profiles/b.png']);
+      expect(await listAll(driver, 'profiles/')).toEqual(['profiles/b.png']);
+    });
+
+    it('should refuse keys outside the store', async () => {
+      await expect(driver.put('../escape.png', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+};
+
+describe('storage', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describeDriver('local driver', () => storage.createLocalDriver({ root }));
+
+  // Run against MinIO or another S3-compatible server with S3_TEST_ENDPOINT,
+  // S3_TEST_BUCKET, S3_TEST_ACCESS_KEY_ID and S3_TEST_SECRET_ACCESS_KEY
+  describeDriver('s3 driver', async () => {
+    const driver = storage.createS3Driver({
+      endpoint: process.env.S3_TEST_ENDPOINT,
+      bucket: process.env.S3_TEST_BUCKET || 'thisblog-test',
+      accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY,
+      forcePathStyle: true,
+      prefix: `test-${Date.now()}-${Math.round(Math.random() * 1E9)}`
+    });
+    for await (const key of driver.list()) {
+      await driver.delete(key);
+    }
+    return driver;
+  }, process.env.S3_TEST_ENDPOINT ? describe : describe.skip);
+
+  describe('url and keyFromUrl', () => {
+    it('should serve local files under /uploads', () => {
+      const driver = storage.createLocalDriver({ root });
+
+      expect(driver.url('posts/cover.png')).toBe('/uploads/posts/cover.png');
+      expect(storage.keyFromUrl('/uploads/posts/cover.png', driver)).toBe('posts/cover.png');
+      expect(storage.keyFromUrl('https://elsewhere.example.com/cover.png', driver)).toBeNull();
+      expect(storage.keyFromUrl('/uploads/../server.js', driver)).toBeNull();
+    });
+
+    it('should link to the public URL of a bucket and still recognise /uploads links', () => {
+      const driver = storage.createS3Driver({ bucket: 'blog', prefix: 'media', publicUrl: 'https://cdn.example.com/' });
+
+      expect(driver.url('posts/cover.png')).toBe('https://cdn.example.com/media/posts/cover.png');
+      expect(storage.keyFromUrl('https://cdn.example.com/media/posts/cover.png', driver)).toBe('posts/cover.png');
+      expect(storage.keyFromUrl('/uploads/posts/cover.png', driver)).toBe('posts/cover.png');
+    });
+  });
+
+  describe('createDriver', () => {
+    it('should reject unknown drivers and buckets that are not named', () => {
+      expect(() => storage.createDriver({ STORAGE_DRIVER: 'floppy' })).toThrow('Unknown STORAGE_DRIVER');
+      expect(() => storage.createDriver({ STORAGE_DRIVER: 's3' })).toThrow('S3_BUCKET');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const viewAnalytics = require('../../../services/viewAnalytics');
+const Post = require('../../../models/Post');
+const PostViewStat = require('../../../models/PostViewStat');
+const PostVisit = require('../../../models/PostVisit');
+const VisitorStat = require('../../../models/VisitorStat');
+const { createTestUser, createTestPost } = require('../../utils/testHelpers');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// Just enough of an Express request for recordView
+const fakeRequest = ({ ip = '203.0.113.7', userAgent = BROWSER, referer, user } = {}) => ({
+  ip,
+  user,
+  get: (header) => ({ 'user-agent': userAgent, referer })[header.toLowerCase()]
+});
+
+describe('View Analytics Service', () => {
+  describe('isBot', () => {
+    it('should spot crawlers, scripts and requests without a user agent', () => {
+      expect(viewAnalytics.isBot('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)')).toBe(true);
+      expect(viewAnalytics.isBot('curl/8.4.0')).toBe(true);
+      expect(viewAnalytics.isBot('')).toBe(true);
+      expect(viewAnalytics.isBot(undefined)).toBe(true);
+      expect(viewAnalytics.isBot(BROWSER)).toBe(false);
+    });
+  });
+
+  describe('referrerHost', () => {
+    it('should reduce referrers to their host', () => {
+      process.env.CLIENT_URL = 'https://blog.example.com';
+
+      expect(viewAnalytics.referrerHost('https://www.news.ycombinator.com/item?id=1')).toBe('news.ycombinator.com');
+      expect(viewAnalytics.referrerHost('https://blog.example.com/tag/js')).toBe('internal');
+      expect(viewAnalytics.referrerHost('')).toBe('direct');
+      expect(viewAnalytics.referrerHost('not a url')).toBe('direct');
+    });
+  });
+
+  describe('visitorId', () => {
+    it('should not link the same visitor across days', () => {
+      const req = fakeRequest();
+
+      expect(viewAnalytics.visitorId(req, '2026-10-01')).toBe(viewAnalytics.visitorId(req, '2026-10-01'));
+      expect(viewAnalytics.visitorId(req, '2026-10-01')).not.toBe(viewAnalytics.visitorId(req, '2026-10-02'));
+    });
+  });
+
+  describe('recordView', () => {
+    let post;
+
+    beforeEach(async () => {
+      const author = await createTestUser();
+      post = await createTestPost({
+        title: 'Viewed Post',
+        content: 'A post people read',
+        status: 'published'
+      }, author._id);
+    });
+
+    it('should count a visitor once per visit', async () => {
+      expect(await viewAnalytics.recordView(fakeRequest(), post)).toBe(true);
+      expect(await viewAnalytics.recordView(fakeRequest(), post)).toBe(false);
+      expect(await viewAnalytics.recordView(fakeRequest({ ip: '198.51.100.1' }), post)).toBe(true);
+
+      const stats = await PostViewStat.find({ post: post._id });
+      expect(stats).toHaveLength(1);
+      expect(stats[0].views).toBe(2);
+      expect(stats[0].visitors).toBe(2);
+      expect((await Post.findById(post._id)).viewCount).toBe(2);
+    });
+
+    it('should count a returning visitor again after a break, but not as a new visitor', async () => {
+      await viewAnalytics.recordView(fakeRequest(), post);
+      await PostVisit.updateMany({}, { lastViewAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+
+      expect(await viewAnalytics.recordView(fakeRequest(), post)).toBe(true);
+
+      const [stat] = await PostViewStat.find({ post: post._id });
+      expect(stat.views).toBe(2);
+      expect(stat.visitors).toBe(1);
+    });
+
+    it('should count a reader of several posts once for the site and for the author', async () => {
+      const other = await createTestPost({ title: 'Another Post', content: 'More to read', status: 'published' }, post.author);
+
+      await viewAnalytics.recordView(fakeRequest(), post);
+      await viewAnalytics.recordView(fakeRequest(), other);
+
+      const site = await VisitorStat.find({ author: null });
+      const author = await VisitorStat.find({ author: post.author });
+      expect(site.map(stat => stat.visitors)).toEqual([1]);
+      expect(author.map(stat => stat.visitors)).toEqual([1]);
+    });
+
+    it('should ignore bots and the post\'s author', async () => {
+      expect(await viewAnalytics.recordView(fakeRequest({ userAgent: 'Googlebot/2.1' }), post)).toBe(false);
+      expect(await viewAnalytics.recordView(fakeRequest({ user: { _id: post.author } }), post)).toBe(false);
+      expect(await PostViewStat.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('report', () => {
+    it('should add up views by day, referrer and post', async () => {
+      const author = await createTestUser();
+      const post = await createTestPost({ title: 'Reported Post', content: 'Counted content', status: 'published' }, author._id);
+      const day = (offset, hour) => new Date(Date.UTC(2026, 9, 10 + offset, hour));
+
+      await PostViewStat.create([
+        { post: post._id, hour: day(0, 9), referrer: 'direct', views: 3, visitors: 2 },
+        { post: post._id, hour: day(0, 15), referrer: 'news.example.org', views: 5, visitors: 5 },
+        { post: post._id, hour: day(1, 9), referrer: 'news.example.org', views: 1, visitors: 1 }
+      ]);
+      // Distinct visitors are counted apart from the per-post numbers above
+      await VisitorStat.create([
+        { author: author._id, hour: day(0, 9), visitors: 2 },
+        { author: author._id, hour: day(0, 15), visitors: 4 },
+        { author: author._id, hour: day(1, 9), visitors: 1 },
+        { author: null, hour: day(0, 9), visitors: 10 }
+      ]);
+
+      const result = await viewAnalytics.report({ author: author._id, from: day(0, 0), to: day(2, 0) });
+
+      expect(result.totals).toEqual({ views: 9, uniqueVisitors: 7 });
+      expect(result.overTime).toEqual([
+        { _id: '2026-10-10', views: 8, visitors: 6 },
+        { _id: '2026-10-11', views: 1, visitors: 1 }
+      ]);
+      expect(result.referrers[0]).toEqual({ _id: 'news.example.org', views: 6, visitors: 6 });
+      expect(result.topPosts[0].title).toBe('Reported Post');
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../../models/User');
 const Post = require('../../models/Post');
+const Session = require('../../models/Session');
 
 /**
  * Create a test user and return the user object
@@ -14,18 +15,19 @@ const createTestUser = async (userData = global.testUserData.validUser) => {
 };
 
 /**
- * Create a test user and return authentication token
+ * Create a test user with an active session and return its tokens
  * @param {Object} userData - User data to create
- * @returns {Object} Object containing user and token
+ * @returns {Object} Object containing user, access token and refresh token
  */
 const createAuthenticatedUser = async (userData = global.testUserData.validUser) => {
   const user = await createTestUser(userData);
+  const { session, refreshToken } = await Session.start(user._id);
   const token = jwt.sign(
-    { userId: user._id },
+    { userId: user._id, sessionId: session._id },
     process.env.JWT_SECRET || 'test-secret',
     { expiresIn: '24h' }
   );
-  return { user, token };
+  return { user, token, refreshToken };
 };
 
 /**
@@ -13,19 +13,28 @@ import MainLayout from './components/Layout/MainLayout';
 // Page Components
 import Home from './pages/Home';
 import PostDetail from './pages/PostDetail';
+import SeriesDetail from './pages/SeriesDetail';
 import TagPosts from './pages/TagPosts';
 import CategoryPosts from './pages/CategoryPosts';
+import AuthorPosts from './pages/AuthorPosts';
 import SearchResults from './pages/SearchResults';
+import Unsubscribe from './pages/Unsubscribe';
+import NewsletterConfirm from './pages/NewsletterConfirm';
 import Login from './pages/Auth/Login';
 import Signup from './pages/Auth/Signup';
 import Profile from './pages/Auth/Profile';
 import AdminLogin from './pages/Auth/AdminLogin';
+import ForgotPassword from './pages/Auth/ForgotPassword';
+import ResetPassword from './pages/Auth/ResetPassword';
+import VerifyEmail from './pages/Auth/VerifyEmail';
 // Admin Pages
 import AdminDashboard from './pages/Admin/Dashboard';
 import AdminPosts from './pages/Admin/Posts';
 import AdminCreatePost from './pages/Admin/CreatePost';
 import AdminEditPost from './pages/Admin/EditPost';
 import AdminComments from './pages/Admin/Comments';
+import AdminReviewQueue from './pages/Admin/ReviewQueue';
+import AdminNewsletter from './pages/Admin/Newsletter';
 import AdminControlPanel from './pages/Admin/AdminControlPanel';
 import UserPanel from './pages/User/UserPanel';
 import UserPosts from './pages/User/UserPosts';
@@ -48,14 +57,21 @@ function App() {
                 {/* Public Routes */}
                 <Route path="/" element={<Home />} />
                 <Route path="/post/:id" element={<PostDetail />} />
+                <Route path="/series/:id" element={<SeriesDetail />} />
                 <Route path="/tag/:tag" element={<TagPosts />} />
                 <Route path="/category/:category" element={<CategoryPosts />} />
+                <Route path="/author/:id" element={<AuthorPosts />} />
                 <Route path="/search" element={<SearchResults />} />
+                <Route path="/unsubscribe" element={<Unsubscribe />} />
+                <Route path="/newsletter/confirm" element={<NewsletterConfirm />} />
                 
                 {/* Auth Routes */}
                 <Route path="/login" element={<Login />} />
                 <Route path="/signup" element={<Signup />} />
                 <Route path="/admin-login" element={<AdminLogin />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
                 
                 {/* Protected Routes */}
                 <Route path="/profile" element={
@@ -93,37 +109,47 @@ function App() {
                   </AdminRoute>
                 } />
                 <Route path="/admin/posts" element={
-                  <AdminRoute>
+                  <AdminRoute permission="post:create">
                     <AdminPosts />
                   </AdminRoute>
                 } />
                 <Route path="/admin/posts/new" element={
-                  <AdminRoute>
+                  <AdminRoute permission="post:create">
                     <AdminCreatePost />
                   </AdminRoute>
                 } />
                 <Route path="/admin/posts/:id/edit" element={
-                  <AdminRoute>
+                  <AdminRoute permission="post:update">
                     <AdminEditPost />
                   </AdminRoute>
                 } />
                 <Route path="/admin/posts/:id/details" element={
-                  <AdminRoute>
+                  <AdminRoute permission="post:update">
                     <PostDetail />
                   </AdminRoute>
                 } />
+                <Route path="/admin/reviews" element={
+                  <AdminRoute permission="post:review">
+                    <AdminReviewQueue />
+                  </AdminRoute>
+                } />
                 <Route path="/admin/comments" element={
-                  <AdminRoute>
+                  <AdminRoute permission="comment:moderate">
                     <AdminComments />
                   </AdminRoute>
                 } />
+                <Route path="/admin/newsletter" element={
+                  <AdminRoute permission="newsletter:manage">
+                    <AdminNewsletter />
+                  </AdminRoute>
+                } />
                 <Route path="/admin/users" element={
-                  <AdminRoute>
+                  <AdminRoute permission="user:manage">
                     <AdminControlPanel />
                   </AdminRoute>
                 } />
                 <Route path="/super-admin" element={
-                  <AdminRoute requiredRole="super_admin">
+                  <AdminRoute permission="system:manage">
                     <AdminControlPanel />
                   </AdminRoute>
                 } />
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FiMonitor, FiSmartphone, FiLogOut, FiX } from 'react-icons/fi';
+import { authAPI, clearStoredAuth } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { Session } from '../../types';
+
+// Rough "Browser on OS" label from a user agent string
+const describeUserAgent = (userAgent: string) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    'Unknown browser';
+
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    'unknown OS';
+
+  return `${browser} on ${os}`;
+};
+
+const isMobile = (userAgent: string) => /Mobile|Android|iPhone|iPad/.test(userAgent);
+
+const ActiveSessions: React.FC = () => {
+  const navigate = useNavigate();
+  const { logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.sessions);
+    } catch (error: any) {
+      console.error('Error loading sessions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revoke = async (session: Session) => {
+    if (session.current && !window.confirm('This will log you out on this device. Continue?')) {
+      return;
+    }
+
+    try {
+      setRevokingId(session.id);
+      await authAPI.revokeSession(session.id);
+
+      if (session.current) {
+        clearStoredAuth();
+        window.location.href = '/login';
+        return;
+      }
+
+      toast.success('Session revoked');
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (error: any) {
+      console.error('Error revoking session:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) {
+      return;
+    }
+
+    try {
+      await logoutEverywhere();
+      navigate('/login');
+    } catch (error) {
+      // Error toast is shown by the auth context
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mt-6">
+      <div className="p-6">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Active Sessions</h2>
+            <p className="text-sm text-gray-500 mt-1">Devices currently signed in to your account</p>
+          </div>
+          <button
+            onClick={handleLogoutEverywhere}
+            disabled={loading || sessions.length === 0}
+            className="bg-red-500 text-white px-4 py-2 rounded-md hover:bg-red-600 disabled:opacity-50 transition-colors flex items-center gap-2"
+          >
+            <FiLogOut className="w-4 h-4" />
+            Log out everywhere
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No active sessions.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {sessions.map((session) => (
+              <li key={session.id} className="flex items-center justify-between py-4">
+                <div className="flex items-center space-x-4">
+                  <div className="w-10 h-10 rounded-full bg-gray-100 flex items-center justify-center text-gray-600">
+                    {isMobile(session.userAgent) ? <FiSmartphone className="w-5 h-5" /> : <FiMonitor className="w-5 h-5" />}
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {describeUserAgent(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ip ? `${session.ip} · ` : ''}
+                      Last active {formatDate(session.lastUsedAt)} · Signed in {formatDate(session.createdAt)}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => revoke(session)}
+                  disabled={revokingId !== null}
+                  className="inline-flex items-center px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50 transition-colors"
+                >
+                  <FiX className="w-4 h-4 mr-1" />
+                  {revokingId === session.id ? 'Revoking...' : 'Revoke'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
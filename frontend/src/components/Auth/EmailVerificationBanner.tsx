@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiAlertCircle } from 'react-icons/fi';
+import { authAPI } from '../../services/api';
+
+interface EmailVerificationBannerProps {
+  email: string;
+}
+
+const EmailVerificationBanner: React.FC<EmailVerificationBannerProps> = ({ email }) => {
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const resend = async () => {
+    try {
+      setSending(true);
+      const response = await authAPI.resendVerification();
+      setSent(true);
+      toast.success(response.message);
+    } catch (error: any) {
+      console.error('Error resending verification email:', error);
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 rounded-lg border border-yellow-200 bg-yellow-50 p-4 flex items-start justify-between gap-4">
+      <div className="flex items-start gap-3">
+        <FiAlertCircle className="w-5 h-5 text-yellow-600 mt-0.5 flex-shrink-0" />
+        <div>
+          <p className="text-sm font-medium text-yellow-800">Please verify your email address</p>
+          <p className="text-sm text-yellow-700 mt-1">
+            {sent
+              ? `We've sent a new verification link to ${email}.`
+              : `Follow the link we sent to ${email} to confirm it's yours.`}
+          </p>
+        </div>
+      </div>
+      <button
+        onClick={resend}
+        disabled={sending}
+        className="flex-shrink-0 px-3 py-1 text-sm text-yellow-800 border border-yellow-300 rounded-md hover:bg-yellow-100 disabled:opacity-50 transition-colors"
+      >
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
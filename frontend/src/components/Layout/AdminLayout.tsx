@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
 import Sidebar from './Sidebar';
+import ResponsiveImage from '../UI/ResponsiveImage';
 
 interface AdminLayoutProps {
   children: React.ReactNode;
@@ -115,8 +116,11 @@ const AdminLayout: React.FC<AdminLayoutProps> = ({ children }) => {
               </div>
               
               {user?.profileImage ? (
-                <img
+                <ResponsiveImage
                   src={user.profileImage}
+                  variants={user.profileImageVariants}
+                  use={['thumbnail']}
+                  sizes="40px"
                   alt={user.name}
                   className="w-8 h-8 sm:w-10 sm:h-10 rounded-full"
                 />
@@ -1,12 +1,21 @@
 import React from 'react';
+import { FiRss } from 'react-icons/fi';
+import { getFeedURL } from '../../services/api';
 
 const Footer: React.FC = () => {
   return (
     <footer className="bg-gray-900 text-white py-8 mt-16">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="text-center">
-          
-          
+            <div className="flex justify-center space-x-4 mb-3 text-sm">
+              <a href={getFeedURL('/feed.xml')} className="inline-flex items-center text-gray-400 hover:text-white transition-colors">
+                <FiRss className="w-4 h-4 mr-1" />
+                RSS
+              </a>
+              <a href={getFeedURL('/atom.xml')} className="text-gray-400 hover:text-white transition-colors">
+                Atom
+              </a>
+            </div>
             <p className="text-gray-500 text-sm">
               © 2025 ThisBlog. All rights reserved.
             </p>
@@ -3,7 +3,7 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 
 const Navbar: React.FC = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
 
   return (
     <nav className="bg-white shadow-sm border-b border-gray-100 sticky top-0 z-50">
@@ -47,16 +47,16 @@ const Navbar: React.FC = () => {
           {/* Search and Auth */}
           <div className="flex items-center space-x-4">
             {/* Search Icon */}
-            <button className="p-2 text-gray-600 hover:text-gray-900 transition-colors">
+            <Link to="/search" aria-label="Search" className="p-2 text-gray-600 hover:text-gray-900 transition-colors">
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
               </svg>
-            </button>
+            </Link>
 
             {user ? (
               <div className="flex items-center space-x-3">
                 <span className="text-gray-700 text-sm hover:text-gray-900 transition-colors border-b-2 border-transparent hover:border-primary-500 cursor-pointer">Hello, {user.name}</span>
-                {user.role === 'super_admin' ? (
+                {can('system:manage') ? (
                   <>
                     <Link 
                       to="/user/panel" 
@@ -71,7 +71,7 @@ const Navbar: React.FC = () => {
                       Admin
                     </Link>
                   </>
-                ) : user.role === 'admin' ? (
+                ) : can('post:create') || can('comment:moderate') ? (
                   <Link 
                     to="/admin" 
                     className="px-3 py-1 text-sm font-medium text-primary-600 bg-primary-50 rounded-full hover:bg-primary-100 transition-colors border-b-2 border-transparent hover:border-primary-500"
@@ -4,10 +4,15 @@ import {
   HomeIcon,
   PencilSquareIcon,
   ChatBubbleLeftEllipsisIcon,
+  EnvelopeIcon,
+  ClipboardDocumentCheckIcon,
   ArrowLeftOnRectangleIcon,
 } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
 
 const Sidebar: React.FC = () => {
+  const { logout, can } = useAuth();
+
   return (
     <div className="h-full bg-white shadow-lg w-60 flex flex-col">
       {/* Header */}
@@ -31,41 +36,77 @@ const Sidebar: React.FC = () => {
           <span>User Dashboard</span>
         </NavLink>
         
-        <NavLink
-          to="/admin/posts"
-          className={({ isActive }) =>
-            `flex items-center px-6 py-3 text-sm font-medium transition-colors ${
-              isActive 
-                ? 'bg-blue-50 text-blue-700 border-r-2 border-blue-700' 
-                : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
-            }`
-          }
-        >
-          <PencilSquareIcon className="w-5 h-5 mr-3 flex-shrink-0" />
-          <span>Blog Posts</span>
-        </NavLink>
+        {can('post:create') && (
+          <NavLink
+            to="/admin/posts"
+            className={({ isActive }) =>
+              `flex items-center px-6 py-3 text-sm font-medium transition-colors ${
+                isActive 
+                  ? 'bg-blue-50 text-blue-700 border-r-2 border-blue-700' 
+                  : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+              }`
+            }
+          >
+            <PencilSquareIcon className="w-5 h-5 mr-3 flex-shrink-0" />
+            <span>Blog Posts</span>
+          </NavLink>
+        )}
         
-        <NavLink
-          to="/admin/comments"
-          className={({ isActive }) =>
-            `flex items-center px-6 py-3 text-sm font-medium transition-colors ${
-              isActive 
-                ? 'bg-blue-50 text-blue-700 border-r-2 border-blue-700' 
-                : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
-            }`
-          }
-        >
-          <ChatBubbleLeftEllipsisIcon className="w-5 h-5 mr-3 flex-shrink-0" />
-          <span>Comments</span>
-        </NavLink>
+        {can('post:review') && (
+          <NavLink
+            to="/admin/reviews"
+            className={({ isActive }) =>
+              `flex items-center px-6 py-3 text-sm font-medium transition-colors ${
+                isActive 
+                  ? 'bg-blue-50 text-blue-700 border-r-2 border-blue-700' 
+                  : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+              }`
+            }
+          >
+            <ClipboardDocumentCheckIcon className="w-5 h-5 mr-3 flex-shrink-0" />
+            <span>Review Queue</span>
+          </NavLink>
+        )}
+        
+        {can('comment:moderate') && (
+          <NavLink
+            to="/admin/comments"
+            className={({ isActive }) =>
+              `flex items-center px-6 py-3 text-sm font-medium transition-colors ${
+                isActive 
+                  ? 'bg-blue-50 text-blue-700 border-r-2 border-blue-700' 
+                  : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+              }`
+            }
+          >
+            <ChatBubbleLeftEllipsisIcon className="w-5 h-5 mr-3 flex-shrink-0" />
+            <span>Comments</span>
+          </NavLink>
+        )}
+
+        {can('newsletter:manage') && (
+          <NavLink
+            to="/admin/newsletter"
+            className={({ isActive }) =>
+              `flex items-center px-6 py-3 text-sm font-medium transition-colors ${
+                isActive 
+                  ? 'bg-blue-50 text-blue-700 border-r-2 border-blue-700' 
+                  : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+              }`
+            }
+          >
+            <EnvelopeIcon className="w-5 h-5 mr-3 flex-shrink-0" />
+            <span>Newsletter</span>
+          </NavLink>
+        )}
       </nav>
       
       {/* Logout Button */}
       <div className="p-4 border-t border-gray-200">
         <button
-          onClick={() => {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+          onClick={async () => {
+            // Revoke the session server-side before leaving
+            await logout();
             window.location.href = '/login';
           }}
           className="flex items-center w-full px-4 py-3 text-sm font-medium text-red-600 rounded-md hover:bg-red-50 hover:text-red-700 transition-colors"
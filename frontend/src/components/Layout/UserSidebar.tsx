@@ -8,6 +8,7 @@ import {
   ArrowRightOnRectangleIcon,
   ShieldCheckIcon,
 } from '@heroicons/react/24/outline';
+import ResponsiveImage from '../UI/ResponsiveImage';
 
 const UserSidebar: React.FC = () => {
   const { user, logout } = useAuth();
@@ -34,9 +35,12 @@ const UserSidebar: React.FC = () => {
           <div className="flex items-center space-x-3 mb-6">
             <div className="h-10 w-10 rounded-full bg-gray-300 flex items-center justify-center">
               {user?.profileImage ? (
-                <img
+                <ResponsiveImage
                   className="h-10 w-10 rounded-full object-cover"
                   src={user.profileImage}
+                  variants={user.profileImageVariants}
+                  use={['thumbnail']}
+                  sizes="40px"
                   alt="Profile"
                 />
               ) : (
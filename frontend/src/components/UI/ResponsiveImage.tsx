@@ -0,0 +1,44 @@
+import React from 'react';
+import { ImageVariantName, ImageVariants } from '../../types';
+
+interface ResponsiveImageProps extends React.ImgHTMLAttributes<HTMLImageElement> {
+  src?: string;
+  variants?: ImageVariants | null;
+  // Variants the browser may choose from by width
+  use: ImageVariantName[];
+  // How wide the image is shown, e.g. "(min-width: 768px) 33vw, 100vw"
+  sizes: string;
+}
+
+// Modern formats first; browsers take the first one they support
+const FORMATS = ['avif', 'webp'] as const;
+
+// An image with AVIF and WebP srcsets from its server-made variants,
+// or just the original when it has none
+const ResponsiveImage: React.FC<ResponsiveImageProps> = ({ src, variants, use, sizes, ...imgProps }) => {
+  const sources = FORMATS
+    .map(format => ({
+      format,
+      srcSet: use
+        .map(name => variants?.[name])
+        .filter(variant => variant?.[format])
+        .map(variant => `${variant![format]} ${variant!.width}w`)
+        .join(', ')
+    }))
+    .filter(source => source.srcSet);
+
+  if (sources.length === 0) {
+    return <img src={src} {...imgProps} />;
+  }
+
+  return (
+    <picture>
+      {sources.map(source => (
+        <source key={source.format} type={`image/${source.format}`} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img src={src} {...imgProps} />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
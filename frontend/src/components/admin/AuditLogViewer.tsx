@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { ClipboardDocumentListIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { adminAPI } from '../../services/api';
+import { AuditLogEntry, AuditLogFilters, AuditLogResponse, AuditTargetType } from '../../types';
+
+interface AuditLogViewerProps {
+  // Users offered in the actor filter
+  users: Array<{ _id: string; name: string }>;
+}
+
+const TARGET_TYPES: AuditTargetType[] = ['User', 'Post', 'Comment', 'Campaign', 'System'];
+
+const PAGE_SIZE = 25;
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Before → after for each changed field, plus any extra details
+const describeChanges = (entry: AuditLogEntry) => {
+  const fields = Array.from(new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})]));
+  const details = Object.entries(entry.details || {});
+
+  return (
+    <div className="space-y-1">
+      {fields.map(field => (
+        <div key={field}>
+          <span className="font-medium text-gray-700">{field}: </span>
+          <span className="bg-red-50 text-red-700 px-1">{formatValue(entry.before?.[field])}</span>
+          {' → '}
+          <span className="bg-green-50 text-green-700 px-1">{formatValue(entry.after?.[field])}</span>
+        </div>
+      ))}
+      {details.map(([key, value]) => (
+        <div key={key} className="text-gray-500">{key}: {formatValue(value)}</div>
+      ))}
+      {entry.reason && <div className="text-gray-700 italic">"{entry.reason}"</div>}
+    </div>
+  );
+};
+
+const AuditLogViewer: React.FC<AuditLogViewerProps> = ({ users }) => {
+  const [filters, setFilters] = useState<AuditLogFilters>({});
+  const [page, setPage] = useState(1);
+  const [log, setLog] = useState<AuditLogResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const loadLog = async () => {
+      try {
+        setLoading(true);
+        setLog(await adminAPI.getAuditLogs({ ...filters, page, limit: PAGE_SIZE }));
+      } catch (error: any) {
+        console.error('Error loading audit log:', error);
+        toast.error(error.response?.data?.message || 'Failed to load audit log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLog();
+  }, [filters, page]);
+
+  // Any filter change starts again at the first page
+  const updateFilter = (changes: Partial<AuditLogFilters>) => {
+    setFilters(current => ({ ...current, ...changes }));
+    setPage(1);
+  };
+
+  const exportCsv = async () => {
+    try {
+      setExporting(true);
+      const blob = await adminAPI.exportAuditLogs(filters);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Date inputs give a day; include the whole of the "to" day
+  const toDayEnd = (value: string) => (value ? `${value}T23:59:59.999` : undefined);
+
+  return (
+    <div className="bg-white rounded-lg shadow mt-8">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-semibold flex items-center">
+          <ClipboardDocumentListIcon className="w-5 h-5 mr-2" />
+          Audit Log
+        </h2>
+        <button
+          onClick={exportCsv}
+          disabled={exporting}
+          className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors flex items-center"
+        >
+          <ArrowDownTrayIcon className="w-4 h-4 mr-2" />
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+        <select
+          value={filters.actor || ''}
+          onChange={(e) => updateFilter({ actor: e.target.value || undefined })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Anyone</option>
+          {users.map(user => (
+            <option key={user._id} value={user._id}>{user.name}</option>
+          ))}
+        </select>
+
+        <select
+          value={filters.action || ''}
+          onChange={(e) => updateFilter({ action: e.target.value || undefined })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All actions</option>
+          {(log?.actions || []).map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+
+        <select
+          value={filters.targetType || ''}
+          onChange={(e) => updateFilter({ targetType: (e.target.value || undefined) as AuditTargetType | undefined })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All targets</option>
+          {TARGET_TYPES.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+
+        <input
+          type="date"
+          aria-label="From"
+          onChange={(e) => updateFilter({ from: e.target.value || undefined })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="date"
+          aria-label="To"
+          onChange={(e) => updateFilter({ to: toDayEnd(e.target.value) })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      {/* Entries */}
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Who</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {(log?.entries || []).map(entry => (
+              <tr key={entry._id} className="align-top">
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {new Date(entry.createdAt).toLocaleString()}
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  <div className="text-gray-900">{entry.actor?.name || 'Deleted user'}</div>
+                  <div className="text-xs text-gray-500" title={entry.userAgent}>{entry.ip}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{entry.action}</td>
+                <td className="px-6 py-4 text-sm">
+                  <div className="text-gray-900">{entry.targetLabel || '—'}</div>
+                  <div className="text-xs text-gray-500">{entry.targetType}</div>
+                </td>
+                <td className="px-6 py-4 text-xs">{describeChanges(entry)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!loading && log?.entries.length === 0 && (
+        <p className="text-center text-gray-500 py-8">No audit log entries match these filters.</p>
+      )}
+
+      {log && log.totalPages > 1 && (
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!log.hasPrevPage || loading}
+            className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">
+            Page {log.currentPage} of {log.totalPages} · {log.totalEntries} entries
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!log.hasNextPage || loading}
+            className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { ArchiveBoxIcon } from '@heroicons/react/24/outline';
+import { superAdminAPI, RestoreMode, RestoreReport } from '../../services/superAdminApi';
+
+const COUNT_LABELS: Array<[string, string]> = [
+  ['users', 'Users'],
+  ['tags', 'Tags'],
+  ['posts', 'Posts'],
+  ['comments', 'Comments'],
+  ['subscribers', 'Subscribers'],
+  ['media', 'Media library entries'],
+  ['uploads', 'Uploaded files']
+];
+
+// Downloads a full site backup and restores one, merging into or replacing what is here
+const BackupPanel: React.FC = () => {
+  const [includePasswords, setIncludePasswords] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [file, setFile] = useState<File | null>(null);
+  const [mode, setMode] = useState<RestoreMode>('merge');
+  const [restoring, setRestoring] = useState(false);
+  const [report, setReport] = useState<RestoreReport | null>(null);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const blob = await superAdminAPI.downloadBackup(includePasswords);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `thisblog-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading backup:', error);
+      toast.error('Failed to create backup');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!file) {
+      toast.error('Choose a backup (.zip) first');
+      return;
+    }
+    const warning = mode === 'replace'
+      ? `Replace all users, posts, comments, tags, subscribers and media library entries with the contents of ${file.name}? Everything else is deleted, except your own account.`
+      : `Restore ${file.name}? Anything already here is kept.`;
+    if (!confirm(warning)) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      const response = await superAdminAPI.restoreBackup(file, mode);
+      setReport(response.report);
+      toast.success(response.message);
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to restore backup');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow mt-8">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold flex items-center">
+          <ArchiveBoxIcon className="w-5 h-5 mr-2" />
+          Backup and Restore
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          A backup holds users, posts, comments, tags, subscribers, the media library and uploaded files.
+          Analytics, revisions and series are not included.
+        </p>
+      </div>
+
+      {/* Backup */}
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={includePasswords}
+            onChange={(e) => setIncludePasswords(e.target.checked)}
+            className="mr-2"
+          />
+          Include password hashes
+        </label>
+        <button
+          onClick={handleDownload}
+          disabled={downloading}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {downloading ? 'Preparing...' : 'Download Backup'}
+        </button>
+        {!includePasswords && (
+          <span className="text-xs text-gray-500">Restored users will need to reset their passwords.</span>
+        )}
+      </div>
+
+      {/* Restore */}
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-4">
+        <input
+          type="file"
+          accept=".zip"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+          className="text-sm"
+        />
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value as RestoreMode)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="merge">Merge: keep what is here</option>
+          <option value="replace">Replace: delete what is here</option>
+        </select>
+        <button
+          onClick={handleRestore}
+          disabled={restoring}
+          className={`text-white px-4 py-2 rounded-lg disabled:opacity-50 transition-colors ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+        >
+          {restoring ? 'Restoring...' : 'Restore'}
+        </button>
+      </div>
+
+      {/* Restore report */}
+      {report && (
+        <div className="px-6 py-4 space-y-3">
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+            {COUNT_LABELS.filter(([key]) => report.counts[key]).map(([key, label]) => (
+              <div key={key}>
+                <dt className="inline font-medium text-gray-700">{label}: </dt>
+                <dd className="inline text-gray-600">
+                  {report.counts[key].restored} restored, {report.counts[key].conflicts} conflicts
+                </dd>
+              </div>
+            ))}
+          </dl>
+
+          {report.conflicts.length > 0 && (
+            <div className="max-h-64 overflow-y-auto border border-yellow-200 bg-yellow-50 rounded-lg p-3">
+              <ul className="text-xs text-yellow-900 space-y-1">
+                {report.conflicts.map((conflict, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{conflict.collection} {conflict.id}</span>: {conflict.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupPanel;
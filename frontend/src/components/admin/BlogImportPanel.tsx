@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { superAdminAPI, ImportJob, ImportCounts } from '../../services/superAdminApi';
+
+const STATUS_BADGES: Record<ImportJob['status'], string> = {
+  queued: 'bg-gray-100 text-gray-800',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const SOURCE_LABELS: Record<ImportJob['source'], string> = {
+  wordpress: 'WordPress',
+  ghost: 'Ghost'
+};
+
+const COUNT_LABELS: Array<[keyof ImportJob['counts'], string]> = [
+  ['posts', 'Posts'],
+  ['comments', 'Comments'],
+  ['users', 'Users'],
+  ['tags', 'Tags']
+];
+
+const isActive = (job: ImportJob) => job.status === 'queued' || job.status === 'running';
+
+const describeCounts = (counts: ImportCounts, dryRun: boolean) =>
+  `${counts.created} ${dryRun ? 'to create' : 'created'}, ${counts.existing} already here, ${counts.skipped} skipped`;
+
+// Migrates a WordPress or Ghost blog: start a dry run or an import and follow its progress
+const BlogImportPanel: React.FC = () => {
+  const [jobs, setJobs] = useState<ImportJob[]>([]);
+  const [selected, setSelected] = useState<ImportJob | null>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [imageBaseUrl, setImageBaseUrl] = useState('');
+  const [siteUrl, setSiteUrl] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  const loadJobs = async () => {
+    try {
+      const response = await superAdminAPI.getImports();
+      setJobs(response.jobs);
+    } catch (error) {
+      console.error('Error loading imports:', error);
+    }
+  };
+
+  const loadJob = async (id: string) => {
+    try {
+      const response = await superAdminAPI.getImport(id);
+      setSelected(response.job);
+      if (!isActive(response.job)) {
+        loadJobs();
+      }
+    } catch (error) {
+      console.error('Error loading import:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadJobs();
+  }, []);
+
+  // Follow the selected job while it runs
+  const running = selected ? isActive(selected) : false;
+  useEffect(() => {
+    if (!selected || !running) return;
+
+    const timer = window.setInterval(() => loadJob(selected._id), 2000);
+    return () => window.clearInterval(timer);
+  }, [selected?._id, running]);
+
+  const startImport = async (dryRun: boolean) => {
+    if (!file) {
+      toast.error('Choose a WordPress (.xml) or Ghost (.json) export first');
+      return;
+    }
+    if (!dryRun && !confirm(`Import ${file.name}? Posts, users, tags and comments will be created.`)) {
+      return;
+    }
+
+    try {
+      setStarting(true);
+      const response = await superAdminAPI.startImport(file, {
+        dryRun,
+        imageBaseUrl: imageBaseUrl.trim() || undefined,
+        siteUrl: siteUrl.trim() || undefined
+      });
+      toast.success(response.message);
+      setSelected(response.job);
+      loadJobs();
+    } catch (error: any) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to start import');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const isGhost = file?.name.toLowerCase().endsWith('.json');
+  const percent = selected && selected.progress.total > 0
+    ? Math.round(selected.progress.processed / selected.progress.total * 100)
+    : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow mt-8">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold flex items-center">
+          <ArrowUpTrayIcon className="w-5 h-5 mr-2" />
+          Import a Blog
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Migrate posts, authors, tags and comments from a WordPress (WXR) or Ghost export.
+          Run it again later to pick up anything new; what was already imported is skipped.
+        </p>
+      </div>
+
+      <div className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <input
+          type="file"
+          accept=".xml,.json"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+          className="text-sm"
+        />
+        <input
+          type="text"
+          value={imageBaseUrl}
+          onChange={(e) => setImageBaseUrl(e.target.value)}
+          placeholder="Image URL base (default /uploads/imported)"
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        />
+        {isGhost && (
+          <input
+            type="url"
+            value={siteUrl}
+            onChange={(e) => setSiteUrl(e.target.value)}
+            placeholder="Old Ghost site URL, e.g. https://blog.example.com"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        )}
+        <div className="lg:col-span-3 flex gap-3">
+          <button
+            onClick={() => startImport(true)}
+            disabled={starting || running}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Dry Run
+          </button>
+          <button
+            onClick={() => startImport(false)}
+            disabled={starting || running}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {starting ? 'Starting...' : 'Import'}
+          </button>
+        </div>
+      </div>
+
+      {/* Selected job */}
+      {selected && (
+        <div className="px-6 py-4 border-b border-gray-200 space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="font-medium text-gray-900">
+              {selected.dryRun ? 'Dry run of ' : 'Import of '}{selected.filename}
+              <span className="ml-2 text-sm text-gray-500">{SOURCE_LABELS[selected.source]} {selected.siteUrl}</span>
+            </div>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[selected.status]}`}>
+              {selected.status}
+            </span>
+          </div>
+
+          <div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {selected.progress.processed} of {selected.progress.total} posts
+            </p>
+          </div>
+
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+            {COUNT_LABELS.map(([key, label]) => (
+              <div key={key}>
+                <dt className="inline font-medium text-gray-700">{label}: </dt>
+                <dd className="inline text-gray-600">{describeCounts(selected.counts[key], selected.dryRun)}</dd>
+              </div>
+            ))}
+            <div>
+              <dt className="inline font-medium text-gray-700">Image URLs rewritten: </dt>
+              <dd className="inline text-gray-600">{selected.imagesRewritten} (to {selected.imageBaseUrl})</dd>
+            </div>
+          </dl>
+
+          {selected.error && <p className="text-sm text-red-600">{selected.error}</p>}
+
+          {selected.issues && selected.issues.length > 0 && (
+            <div className="max-h-64 overflow-y-auto border border-yellow-200 bg-yellow-50 rounded-lg p-3">
+              <ul className="text-xs text-yellow-900 space-y-1">
+                {selected.issues.map((issue, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{issue.item}</span>: {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Recent jobs */}
+      {jobs.length > 0 ? (
+        <ul className="divide-y divide-gray-200">
+          {jobs.map(job => (
+            <li key={job._id}>
+              <button
+                onClick={() => loadJob(job._id)}
+                className={`w-full px-6 py-3 text-left text-sm flex items-center justify-between hover:bg-gray-50 ${selected?._id === job._id ? 'bg-blue-50' : ''}`}
+              >
+                <span>
+                  <span className="text-gray-900">{job.dryRun ? 'Dry run' : 'Import'}: {job.filename}</span>
+                  <span className="ml-2 text-gray-500">
+                    {new Date(job.createdAt).toLocaleString()} by {job.createdBy?.name || 'Deleted user'}
+                  </span>
+                </span>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[job.status]}`}>
+                  {job.status}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-center text-gray-500 py-6 text-sm">No imports yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default BlogImportPanel;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { ContentUpload } from '../../utils/useContentImageUpload';
+
+interface ContentUploadProgressProps {
+  upload: ContentUpload | null;
+  // Tailwind background class of the bar, to match the page
+  barClassName?: string;
+}
+
+// Progress of images pasted or dropped into the post editor
+const ContentUploadProgress: React.FC<ContentUploadProgressProps> = ({ upload, barClassName = 'bg-primary-600' }) => {
+  if (!upload) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div className={`${barClassName} h-2 rounded-full transition-all`} style={{ width: `${upload.percent}%` }} />
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Uploading {upload.count === 1 ? 'image' : `${upload.count} images`}... {upload.percent}%
+      </p>
+    </div>
+  );
+};
+
+export default ContentUploadProgress;
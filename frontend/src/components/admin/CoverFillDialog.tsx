@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { FiImage, FiRotateCcw, FiX } from 'react-icons/fi';
+import { adminAPI } from '../../services/api';
+import { CoverFillPost } from '../../types';
+import ResponsiveImage from '../UI/ResponsiveImage';
+import { POST_STATUSES, POST_STATUS_LABELS, POST_STATUS_BADGES } from '../../utils/postStatus';
+
+interface CoverFillDialogProps {
+  onClose: () => void;
+  // Called after covers were added or taken off again
+  onChanged: () => void;
+}
+
+// Previews cover images suggested from the media library for posts without one,
+// fills them in for the chosen posts, and undoes the last fill
+const CoverFillDialog: React.FC<CoverFillDialogProps> = ({ onClose, onChanged }) => {
+  const [posts, setPosts] = useState<CoverFillPost[]>([]);
+  const [totalPosts, setTotalPosts] = useState(0);
+  const [status, setStatus] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [filling, setFilling] = useState(false);
+  // The image picked for each post, by post id; posts left out are not filled
+  const [choices, setChoices] = useState<Record<string, string>>({});
+  const [lastBatch, setLastBatch] = useState<{ id: string; count: number } | null>(null);
+  const [undoing, setUndoing] = useState(false);
+
+  useEffect(() => {
+    loadPreview();
+  }, [status]);
+
+  const loadPreview = async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getCoverFillPreview(status);
+      setPosts(response.posts);
+      setTotalPosts(response.totalPosts);
+      setChoices(Object.fromEntries(
+        response.posts
+          .filter(post => post.suggestions.length > 0)
+          .map(post => [post._id, post.suggestions[0].media._id])
+      ));
+    } catch (error: any) {
+      console.error('Error loading cover suggestions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load cover suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (post: CoverFillPost) => {
+    setChoices(current => {
+      const { [post._id]: chosen, ...rest } = current;
+      return chosen ? rest : { ...rest, [post._id]: post.suggestions[0].media._id };
+    });
+  };
+
+  const fill = async () => {
+    const assignments = Object.entries(choices).map(([post, media]) => ({ post, media }));
+    if (assignments.length === 0) return;
+
+    try {
+      setFilling(true);
+      const response = await adminAPI.fillCovers(assignments);
+      toast.success(response.message);
+      if (response.skipped.length > 0) {
+        toast.warning(`${response.skipped.length} ${response.skipped.length === 1 ? 'post was' : 'posts were'} skipped: ${response.skipped[0].message}`);
+      }
+      setLastBatch(response.batch ? { id: response.batch._id, count: response.batch.posts.length } : null);
+      onChanged();
+      await loadPreview();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to fill in cover images');
+    } finally {
+      setFilling(false);
+    }
+  };
+
+  const undo = async () => {
+    if (!lastBatch) return;
+
+    try {
+      setUndoing(true);
+      const response = await adminAPI.undoCoverFill(lastBatch.id);
+      toast.success(response.kept > 0
+        ? `${response.message}; ${response.kept} changed since kept their cover`
+        : response.message);
+      setLastBatch(null);
+      onChanged();
+      await loadPreview();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to undo the cover fill');
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  const chosenCount = Object.keys(choices).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Fill in missing cover images</h3>
+            <p className="text-xs text-gray-500">
+              Suggested from the media library by each post's title, tags and content
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        {lastBatch && (
+          <div className="flex items-center justify-between px-6 py-3 bg-green-50 border-b border-green-200 text-sm text-green-800">
+            <span>Added cover images to {lastBatch.count} {lastBatch.count === 1 ? 'post' : 'posts'}.</span>
+            <button
+              type="button"
+              onClick={undo}
+              disabled={undoing}
+              className="flex items-center font-medium hover:text-green-900 disabled:opacity-50"
+            >
+              <FiRotateCcw className="w-4 h-4 mr-1" />
+              {undoing ? 'Undoing...' : 'Undo'}
+            </button>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between px-6 py-3 border-b border-gray-200">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All statuses</option>
+            {POST_STATUSES.map(value => (
+              <option key={value} value={value}>{POST_STATUS_LABELS[value]}</option>
+            ))}
+          </select>
+          <span className="text-sm text-gray-500">
+            {totalPosts > posts.length
+              ? `Showing ${posts.length} of ${totalPosts} posts without a cover`
+              : `${totalPosts} ${totalPosts === 1 ? 'post' : 'posts'} without a cover`}
+          </span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : posts.length === 0 ? (
+            <div className="text-center text-gray-500 py-12">
+              <FiImage className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+              <p className="text-sm">Every post has a cover image.</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {posts.map(post => (
+                <li key={post._id} className="py-3 flex items-center gap-4">
+                  <input
+                    type="checkbox"
+                    checked={!!choices[post._id]}
+                    disabled={post.suggestions.length === 0}
+                    onChange={() => toggle(post)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{post.title}</p>
+                    <p className="text-xs text-gray-500">
+                      <span className={`inline-flex px-2 rounded-full font-semibold ${POST_STATUS_BADGES[post.status]}`}>
+                        {POST_STATUS_LABELS[post.status]}
+                      </span>
+                      <span className="ml-2">by {post.author?.name || 'Unknown'}</span>
+                    </p>
+                  </div>
+                  {post.suggestions.length === 0 ? (
+                    <span className="text-xs text-gray-400">No matching images</span>
+                  ) : (
+                    <div className="flex gap-2">
+                      {post.suggestions.map(suggestion => (
+                        <button
+                          key={suggestion.media._id}
+                          type="button"
+                          onClick={() => setChoices(current => ({ ...current, [post._id]: suggestion.media._id }))}
+                          title={`${suggestion.media.filename} (matches ${suggestion.matched.join(', ')})`}
+                          className={`w-20 h-14 rounded overflow-hidden border-2 ${
+                            choices[post._id] === suggestion.media._id ? 'border-blue-600' : 'border-transparent hover:border-gray-300'
+                          }`}
+                        >
+                          <ResponsiveImage
+                            src={suggestion.media.url}
+                            variants={suggestion.media.variants}
+                            use={['thumbnail']}
+                            sizes="80px"
+                            alt={suggestion.media.altText}
+                            loading="lazy"
+                            className="w-full h-full object-cover bg-gray-100"
+                          />
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={fill}
+            disabled={filling || chosenCount === 0}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {filling ? 'Filling in...' : `Fill in ${chosenCount} ${chosenCount === 1 ? 'cover' : 'covers'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CoverFillDialog;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiZap } from 'react-icons/fi';
+import { mediaAPI } from '../../services/api';
+import { CoverSuggestion, CoverSuggestionRequest, Media } from '../../types';
+import ResponsiveImage from '../UI/ResponsiveImage';
+
+interface CoverSuggestionsProps {
+  // The post as it is in the editor when suggestions are asked for
+  getPost: () => CoverSuggestionRequest;
+  onSelect: (media: Media) => void;
+}
+
+// Suggests library images that suit the post being written as its cover
+const CoverSuggestions: React.FC<CoverSuggestionsProps> = ({ getPost, onSelect }) => {
+  const [suggestions, setSuggestions] = useState<CoverSuggestion[] | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadSuggestions = async () => {
+    const post = getPost();
+    if (!post.title?.trim() && !post.content?.trim()) {
+      toast.warning('Add a title or some content first');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await mediaAPI.getCoverSuggestions({ ...post, limit: 4 });
+      setSuggestions(response.suggestions);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to suggest cover images');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={loadSuggestions}
+        disabled={loading}
+        className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+      >
+        <FiZap className="w-4 h-4 mr-1" />
+        {loading ? 'Finding images...' : 'Suggest a cover from the library'}
+      </button>
+
+      {suggestions && (
+        suggestions.length === 0 ? (
+          <p className="mt-2 text-xs text-gray-500">
+            No library images match this post. Name files or give them alt text that says what they show.
+          </p>
+        ) : (
+          <div className="mt-3 flex justify-center gap-2">
+            {suggestions.map(suggestion => (
+              <button
+                key={suggestion.media._id}
+                type="button"
+                onClick={() => onSelect(suggestion.media)}
+                title={`${suggestion.media.filename} (matches ${suggestion.matched.join(', ')})`}
+                className="w-24 h-16 rounded overflow-hidden border-2 border-transparent hover:border-primary-600"
+              >
+                <ResponsiveImage
+                  src={suggestion.media.url}
+                  variants={suggestion.media.variants}
+                  use={['thumbnail']}
+                  sizes="96px"
+                  alt={suggestion.media.altText}
+                  loading="lazy"
+                  className="w-full h-full object-cover bg-gray-100"
+                />
+              </button>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default CoverSuggestions;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { FiImage, FiSearch, FiTrash2, FiUpload, FiX } from 'react-icons/fi';
+import { mediaAPI } from '../../services/api';
+import { Media, MediaQuota, MediaUsageDetail } from '../../types';
+import { useAuth } from '../../contexts/AuthContext';
+import ResponsiveImage from '../UI/ResponsiveImage';
+
+interface MediaPickerProps {
+  title: string;
+  // Label of the button that hands the chosen file back, e.g. "Insert image"
+  actionLabel: string;
+  onSelect: (media: Media) => void;
+  onClose: () => void;
+}
+
+const PAGE_SIZE = 24;
+
+const formatBytes = (bytes: number) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+};
+
+// Browses, searches and uploads into the media library, and picks a file from it
+const MediaPicker: React.FC<MediaPickerProps> = ({ title, actionLabel, onSelect, onClose }) => {
+  const { permissions } = useAuth();
+  const canBrowseAll = !!permissions?.includes('media:manage');
+
+  const [media, setMedia] = useState<Media[]>([]);
+  const [quota, setQuota] = useState<MediaQuota | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [unusedOnly, setUnusedOnly] = useState(false);
+  const [everyone, setEveryone] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selected, setSelected] = useState<Media | null>(null);
+  const [usage, setUsage] = useState<MediaUsageDetail[]>([]);
+  const [altText, setAltText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(loadMedia, search ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [search, unusedOnly, everyone, page]);
+
+  useEffect(() => {
+    setAltText(selected?.altText || '');
+    setUsage([]);
+    if (selected && selected.usage.length > 0) {
+      mediaAPI.getMediaItem(selected._id)
+        .then(response => setUsage(response.media.usage))
+        .catch(error => console.error('Error loading media usage:', error));
+    }
+  }, [selected?._id]);
+
+  const loadMedia = async () => {
+    try {
+      setLoading(true);
+      const response = await mediaAPI.getMedia({
+        page,
+        limit: PAGE_SIZE,
+        search: search.trim() || undefined,
+        unused: unusedOnly || undefined,
+        owner: everyone ? 'all' : 'me'
+      });
+      setMedia(response.media);
+      setQuota(response.quota);
+      setTotalPages(Math.max(1, response.totalPages));
+    } catch (error: any) {
+      console.error('Error loading media:', error);
+      toast.error(error.response?.data?.message || 'Failed to load the media library');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const uploadFiles = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setUploading(true);
+      const response = await mediaAPI.uploadMedia(files);
+      toast.success(`Uploaded ${response.count} ${response.count === 1 ? 'file' : 'files'}`);
+      setSelected(response.files[0]?.media || null);
+      if (page === 1) {
+        await loadMedia();
+      } else {
+        setPage(1);
+      }
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to upload files');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const saveAltText = async () => {
+    if (!selected) return;
+
+    try {
+      setSaving(true);
+      const response = await mediaAPI.updateMedia(selected._id, altText);
+      setSelected(response.media);
+      setMedia(current => current.map(item => (item._id === response.media._id ? { ...item, altText: response.media.altText } : item)));
+      toast.success('Alt text saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to save alt text');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteSelected = async () => {
+    if (!selected || !window.confirm(`Delete ${selected.filename || 'this file'}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await mediaAPI.deleteMedia(selected._id);
+      toast.success('File deleted');
+      setSelected(null);
+      await loadMedia();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to delete file');
+    }
+  };
+
+  const choose = () => {
+    if (!selected) return;
+    // Use the alt text typed here even if it was not saved
+    onSelect({ ...selected, altText: altText.trim() });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+            {quota && (
+              <p className="text-xs text-gray-500">
+                {formatBytes(quota.used)} used{quota.limit !== null ? ` of ${formatBytes(quota.limit)}` : ''}
+              </p>
+            )}
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+            <FiX className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 px-6 py-3 border-b border-gray-200">
+          <div className="relative flex-1 min-w-[200px]">
+            <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setPage(1);
+              }}
+              className="form-input pl-9"
+              placeholder="Search by file name or alt text"
+            />
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={unusedOnly}
+              onChange={(e) => {
+                setUnusedOnly(e.target.checked);
+                setPage(1);
+              }}
+              className="mr-2"
+            />
+            Unused only
+          </label>
+          {canBrowseAll && (
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={everyone}
+                onChange={(e) => {
+                  setEveryone(e.target.checked);
+                  setPage(1);
+                }}
+                className="mr-2"
+              />
+              Everyone's uploads
+            </label>
+          )}
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading}
+            className="flex items-center px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            <FiUpload className="w-4 h-4 mr-2" />
+            {uploading ? 'Uploading...' : 'Upload'}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/jpeg,image/png,image/gif,image/webp"
+            multiple
+            onChange={uploadFiles}
+            className="hidden"
+          />
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          <div className="flex-1 overflow-y-auto p-6">
+            {loading && media.length === 0 ? (
+              <p className="text-sm text-gray-500">Loading...</p>
+            ) : media.length === 0 ? (
+              <div className="text-center text-gray-500 py-12">
+                <FiImage className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+                <p className="text-sm">{search || unusedOnly ? 'No files match.' : 'No files yet. Upload one to get started.'}</p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-3 sm:grid-cols-4 lg:grid-cols-6 gap-3">
+                {media.map(item => (
+                  <button
+                    key={item._id}
+                    type="button"
+                    onClick={() => setSelected(item)}
+                    onDoubleClick={() => onSelect(item)}
+                    title={item.filename}
+                    className={`relative aspect-square rounded-lg overflow-hidden border-2 ${
+                      selected?._id === item._id ? 'border-primary-600' : 'border-transparent hover:border-gray-300'
+                    }`}
+                  >
+                    <ResponsiveImage
+                      src={item.url}
+                      variants={item.variants}
+                      use={['thumbnail']}
+                      sizes="160px"
+                      alt={item.altText}
+                      loading="lazy"
+                      className="w-full h-full object-cover bg-gray-100"
+                    />
+                    {item.usage.length === 0 && (
+                      <span className="absolute bottom-1 left-1 text-[10px] bg-white bg-opacity-90 text-gray-600 px-1 rounded">
+                        Unused
+                      </span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {totalPages > 1 && (
+              <div className="flex items-center justify-center space-x-3 mt-6 text-sm">
+                <button
+                  type="button"
+                  onClick={() => setPage(page - 1)}
+                  disabled={page === 1}
+                  className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {page} of {totalPages}</span>
+                <button
+                  type="button"
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= totalPages}
+                  className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+
+          {selected && (
+            <div className="w-72 border-l border-gray-200 p-4 overflow-y-auto space-y-3">
+              <img src={selected.url} alt={selected.altText} className="w-full rounded-lg bg-gray-100" />
+              <div className="text-sm">
+                <p className="font-medium text-gray-900 break-all">{selected.filename || selected.key}</p>
+                <p className="text-gray-500">
+                  {selected.width && selected.height ? `${selected.width} × ${selected.height} · ` : ''}
+                  {formatBytes(selected.size)}
+                </p>
+                {typeof selected.owner === 'object' && everyone && (
+                  <p className="text-gray-500">Uploaded by {selected.owner.name}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="media-alt-text" className="block text-sm font-medium text-gray-700 mb-1">
+                  Alt text
+                </label>
+                <textarea
+                  id="media-alt-text"
+                  rows={3}
+                  maxLength={300}
+                  value={altText}
+                  onChange={(e) => setAltText(e.target.value)}
+                  className="form-textarea text-sm"
+                  placeholder="Describe the image for people who cannot see it"
+                />
+                <button
+                  type="button"
+                  onClick={saveAltText}
+                  disabled={saving || altText === selected.altText}
+                  className="mt-1 text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save alt text'}
+                </button>
+              </div>
+
+              <div className="text-sm">
+                <p className="font-medium text-gray-700">
+                  {selected.usage.length === 0 ? 'Not used anywhere' : `Used in ${selected.usage.length} ${selected.usage.length === 1 ? 'place' : 'places'}`}
+                </p>
+                <ul className="text-gray-500">
+                  {usage.map(item => (
+                    <li key={`${item.kind}-${item.id}`} className="truncate">
+                      {item.kind === 'post' ? 'Post' : item.kind === 'series' ? 'Series' : 'Profile'}: {item.title}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="flex items-center justify-between pt-2">
+                <button
+                  type="button"
+                  onClick={deleteSelected}
+                  disabled={selected.usage.length > 0}
+                  title={selected.usage.length > 0 ? 'Files in use cannot be deleted' : 'Delete file'}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  <FiTrash2 className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={choose}
+                  className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+                >
+                  {actionLabel}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MediaPicker;
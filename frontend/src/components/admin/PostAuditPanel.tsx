@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { FiShield } from 'react-icons/fi';
+import { postsAPI } from '../../services/api';
+import { PostAuditEntry, PostAuditAction } from '../../types';
+
+interface PostAuditPanelProps {
+  postId: string;
+}
+
+const ACTION_LABELS: Record<PostAuditAction, string> = {
+  'post.update': 'edited',
+  'post.unpublish': 'unpublished',
+  'post.restore': 'restored a revision of',
+  'post.delete': 'deleted',
+  'post.approve': 'approved',
+  'post.request_changes': 'requested changes to',
+  'post.cover_fill': 'added a cover image to',
+  'post.cover_fill_undo': 'took the added cover image off'
+};
+
+const formatValue = (value: unknown) => {
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+};
+
+// Changes other people made to a post, so its author can see who changed what and why
+const PostAuditPanel: React.FC<PostAuditPanelProps> = ({ postId }) => {
+  const [entries, setEntries] = useState<PostAuditEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        setLoading(true);
+        const response = await postsAPI.getPostAudit(postId);
+        setEntries(response.entries);
+      } catch (error) {
+        console.error('Error loading change history:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, [postId]);
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (!loading && entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <FiShield className="w-5 h-5 mr-2" />
+        Changes by Editors
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <ul className="space-y-3 max-h-80 overflow-y-auto">
+          {entries.map((entry) => (
+            <li key={entry._id} className="text-sm border-b border-gray-100 pb-3 last:border-0 last:pb-0">
+              <p className="text-gray-900">
+                <span className="font-medium">{entry.actor?.name || 'A deleted user'}</span>{' '}
+                {ACTION_LABELS[entry.action] || 'changed'} this post
+                {entry.details.restoredFrom ? ` (revision #${entry.details.restoredFrom})` : ''}
+              </p>
+              <p className="text-xs text-gray-500">{formatDate(entry.createdAt)}</p>
+
+              {entry.reason && (
+                <p className="mt-1 text-gray-700 italic">"{entry.reason}"</p>
+              )}
+
+              {(Object.keys(entry.after).length > 0 || entry.details.contentLines) && (
+                <div className="mt-2 space-y-1 text-xs">
+                  {Object.keys(entry.after).map((field) => (
+                    <div key={field}>
+                      <span className="font-medium text-gray-700">{field}: </span>
+                      <span className="bg-red-50 text-red-700 line-through px-1">{formatValue(entry.before[field])}</span>{' '}
+                      <span className="bg-green-50 text-green-700 px-1">{formatValue(entry.after[field])}</span>
+                    </div>
+                  ))}
+                  {entry.details.contentLines && (
+                    <div>
+                      <span className="font-medium text-gray-700">content: </span>
+                      <span className="text-green-600">+{entry.details.contentLines.added}</span>{' '}
+                      <span className="text-red-600">-{entry.details.contentLines.removed}</span> lines
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PostAuditPanel;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { FiMessageSquare, FiCheck, FiRotateCcw } from 'react-icons/fi';
+import { postsAPI } from '../../services/api';
+import { ReviewNote } from '../../types';
+
+interface ReviewNotesPanelProps {
+  postId: string;
+  // Bumped by the parent to reload notes, e.g. after the post was submitted again
+  refreshKey?: number;
+}
+
+// Reviewers' notes on a post, so its author can work through them and mark them resolved
+const ReviewNotesPanel: React.FC<ReviewNotesPanelProps> = ({ postId, refreshKey = 0 }) => {
+  const [notes, setNotes] = useState<ReviewNote[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [reply, setReply] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadNotes = async () => {
+      try {
+        setLoading(true);
+        const response = await postsAPI.getReviewNotes(postId);
+        setNotes(response.notes);
+      } catch (error) {
+        console.error('Error loading review notes:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadNotes();
+  }, [postId, refreshKey]);
+
+  const toggleResolved = async (note: ReviewNote) => {
+    try {
+      const response = await postsAPI.resolveReviewNote(postId, note._id, !note.resolved);
+      setNotes(current => current.map(item => (item._id === note._id ? response.note : item)));
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to update note');
+    }
+  };
+
+  const addReply = async () => {
+    if (!reply.trim()) return;
+
+    try {
+      setSaving(true);
+      const response = await postsAPI.addReviewNote(postId, reply.trim());
+      setNotes(current => [...current, response.note]);
+      setReply('');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to add note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!loading && notes.length === 0) {
+    return null;
+  }
+
+  const openCount = notes.filter(note => !note.resolved).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <FiMessageSquare className="w-5 h-5 mr-2" />
+        Review Notes
+        {openCount > 0 && (
+          <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-orange-100 text-orange-800">
+            {openCount} open
+          </span>
+        )}
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <ul className="space-y-3 max-h-96 overflow-y-auto">
+          {notes.map((note) => (
+            <li key={note._id} className={`text-sm border-b border-gray-100 pb-3 last:border-0 last:pb-0 ${note.resolved ? 'opacity-60' : ''}`}>
+              <div className="flex items-start justify-between">
+                <p className="text-xs text-gray-500">
+                  <span className="font-medium text-gray-900">{note.author?.name || 'A deleted user'}</span>
+                  {note.line ? ` on line ${note.line}` : ''}
+                </p>
+                <button
+                  type="button"
+                  onClick={() => toggleResolved(note)}
+                  className="text-xs text-gray-500 hover:text-blue-600 flex items-center"
+                  title={note.resolved ? 'Reopen' : 'Mark as resolved'}
+                >
+                  {note.resolved ? <FiRotateCcw className="w-3 h-3 mr-1" /> : <FiCheck className="w-3 h-3 mr-1" />}
+                  {note.resolved ? 'Reopen' : 'Resolve'}
+                </button>
+              </div>
+              {note.quote && (
+                <p className="mt-1 pl-2 border-l-2 border-gray-300 text-xs text-gray-500 font-mono truncate">{note.quote}</p>
+              )}
+              <p className="mt-1 text-gray-800 whitespace-pre-wrap">{note.body}</p>
+              {note.resolved && note.resolvedBy && (
+                <p className="mt-1 text-xs text-green-700">Resolved by {note.resolvedBy.name}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 space-y-2">
+        <textarea
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          rows={2}
+          maxLength={2000}
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder="Reply to the reviewer..."
+        />
+        <button
+          type="button"
+          onClick={addReply}
+          disabled={saving || !reply.trim()}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          {saving ? 'Sending...' : 'Add Note'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewNotesPanel;
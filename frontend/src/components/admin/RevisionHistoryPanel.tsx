@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { FiClock, FiRotateCcw, FiGitBranch, FiX } from 'react-icons/fi';
+import { postsAPI } from '../../services/api';
+import { PostRevision, RevisionDiff } from '../../types';
+
+interface RevisionHistoryPanelProps {
+  postId: string;
+  onRestored: () => void;
+}
+
+const RevisionHistoryPanel: React.FC<RevisionHistoryPanelProps> = ({ postId, onRestored }) => {
+  const [revisions, setRevisions] = useState<PostRevision[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [fromId, setFromId] = useState<string>('');
+  const [toId, setToId] = useState<string>('current');
+  const [diff, setDiff] = useState<RevisionDiff | null>(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoringId, setRestoringId] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [postId]);
+
+  const loadRevisions = async () => {
+    try {
+      setLoading(true);
+      const response = await postsAPI.getRevisions(postId);
+      setRevisions(response.revisions);
+      if (response.revisions.length > 0) {
+        setFromId(response.revisions[0]._id);
+      }
+    } catch (error: any) {
+      console.error('Error loading revisions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load revision history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const compare = async () => {
+    if (!fromId) return;
+
+    try {
+      setDiffLoading(true);
+      const response = await postsAPI.diffRevisions(postId, fromId, toId);
+      setDiff(response);
+    } catch (error: any) {
+      console.error('Error comparing revisions:', error);
+      toast.error(error.response?.data?.message || 'Failed to compare revisions');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const restore = async (revision: PostRevision) => {
+    if (!window.confirm(`Restore revision ${revision.revision}? The current version will be kept in the history.`)) {
+      return;
+    }
+
+    try {
+      setRestoringId(revision._id);
+      const response = await postsAPI.restoreRevision(postId, revision._id);
+      toast.success(response.message);
+      setDiff(null);
+      await loadRevisions();
+      onRestored();
+    } catch (error: any) {
+      console.error('Error restoring revision:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const formatFieldValue = (value: string | string[]) =>
+    Array.isArray(value) ? value.join(', ') || '—' : value || '—';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <FiClock className="w-5 h-5 mr-2" />
+        Revision History
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No previous versions yet. A revision is saved every time you update this post.</p>
+      ) : (
+        <>
+          <ul className="space-y-2 max-h-64 overflow-y-auto mb-4">
+            {revisions.map((revision) => (
+              <li key={revision._id} className="flex items-start justify-between p-2 rounded-md hover:bg-gray-50">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    #{revision.revision} · {revision.title}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatDate(revision.createdAt)}
+                    {revision.editedBy ? ` · ${revision.editedBy.name}` : ''}
+                    {revision.reason === 'restore' && revision.restoredFrom
+                      ? ` · before restoring #${revision.restoredFrom}`
+                      : ''}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => restore(revision)}
+                  disabled={restoringId !== null}
+                  className="ml-2 inline-flex items-center px-2 py-1 text-xs bg-yellow-100 text-yellow-800 rounded-md hover:bg-yellow-200 disabled:opacity-50 transition-colors"
+                >
+                  <FiRotateCcw className={`w-3 h-3 mr-1 ${restoringId === revision._id ? 'animate-spin' : ''}`} />
+                  Restore
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="space-y-2">
+            <div className="flex items-center gap-2">
+              <select
+                value={fromId}
+                onChange={(e) => setFromId(e.target.value)}
+                className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+              >
+                {revisions.map((revision) => (
+                  <option key={revision._id} value={revision._id}>#{revision.revision}</option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500">vs</span>
+              <select
+                value={toId}
+                onChange={(e) => setToId(e.target.value)}
+                className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+              >
+                <option value="current">Current</option>
+                {revisions.map((revision) => (
+                  <option key={revision._id} value={revision._id}>#{revision.revision}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="button"
+              onClick={compare}
+              disabled={diffLoading || !fromId}
+              className="w-full inline-flex items-center justify-center px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 disabled:opacity-50 transition-colors"
+            >
+              <FiGitBranch className="w-4 h-4 mr-1" />
+              {diffLoading ? 'Comparing...' : 'Compare'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Diff Viewer */}
+      {diff && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  #{diff.from.revision} → {diff.to.revision === 'current' ? 'Current' : `#${diff.to.revision}`}
+                </h3>
+                <p className="text-sm text-gray-500">
+                  <span className="text-green-600">+{diff.stats.added}</span>{' '}
+                  <span className="text-red-600">-{diff.stats.removed}</span> lines
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setDiff(null)}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FiX className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="overflow-y-auto p-4 space-y-4">
+              {Object.keys(diff.fields).length > 0 && (
+                <div className="space-y-2">
+                  {Object.entries(diff.fields).map(([field, change]) => (
+                    <div key={field} className="text-sm">
+                      <span className="font-medium text-gray-700">{field}: </span>
+                      <span className="bg-red-50 text-red-700 line-through px-1">{formatFieldValue(change.from)}</span>{' '}
+                      <span className="bg-green-50 text-green-700 px-1">{formatFieldValue(change.to)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <pre className="text-xs font-mono border border-gray-200 rounded-lg overflow-x-auto">
+                {diff.content.map((line, index) => (
+                  <div
+                    key={index}
+                    className={
+                      line.type === 'added'
+                        ? 'bg-green-50 text-green-800'
+                        : line.type === 'removed'
+                          ? 'bg-red-50 text-red-800'
+                          : 'text-gray-600'
+                    }
+                  >
+                    <span className="inline-block w-10 text-right pr-2 text-gray-400 select-none">{line.oldLine ?? ''}</span>
+                    <span className="inline-block w-10 text-right pr-2 text-gray-400 select-none">{line.newLine ?? ''}</span>
+                    <span className="select-none">{line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}</span>
+                    {line.value}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistoryPanel;
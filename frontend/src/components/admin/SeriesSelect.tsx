@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FiLayers, FiPlus } from 'react-icons/fi';
+import { seriesAPI } from '../../services/api';
+import { ManageableSeries, SeriesPart } from '../../types';
+
+interface SeriesSelectProps {
+  // Series ID, or '' for none
+  value: string;
+  onChange: (seriesId: string) => void;
+  // The post's current series, listed even if the user cannot edit it
+  current?: SeriesPart | null;
+}
+
+// Picks the series a post belongs to, or creates a new one; the post becomes its last part
+const SeriesSelect: React.FC<SeriesSelectProps> = ({ value, onChange, current }) => {
+  const [series, setSeries] = useState<ManageableSeries[]>([]);
+  const [creating, setCreating] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSeries = async () => {
+      try {
+        const response = await seriesAPI.getManageableSeries();
+        setSeries(response.series);
+      } catch (error) {
+        console.error('Error loading series:', error);
+      }
+    };
+
+    loadSeries();
+  }, []);
+
+  const createSeries = async () => {
+    if (newTitle.trim().length < 3) {
+      toast.error('Series title must be at least 3 characters');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await seriesAPI.createSeries({ title: newTitle.trim() });
+      setSeries(current => [...current, { ...response.series, posts: [] }]);
+      onChange(response.series._id);
+      setCreating(false);
+      setNewTitle('');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to create series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selected = series.find(item => item._id === value);
+
+  return (
+    <div>
+      <label htmlFor="series" className="block text-sm font-medium text-gray-700 mb-2">
+        <FiLayers className="inline w-4 h-4 mr-1" />
+        Series
+      </label>
+
+      {creating ? (
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            maxLength={200}
+            autoFocus
+            className="form-input flex-1"
+            placeholder="New series title"
+          />
+          <button
+            type="button"
+            onClick={createSeries}
+            disabled={saving}
+            className="px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            {saving ? 'Creating...' : 'Create'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setCreating(false)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="flex space-x-2">
+          <select
+            id="series"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="form-select flex-1"
+          >
+            <option value="">Not part of a series</option>
+            {current && !series.some(item => item._id === current._id) && (
+              <option value={current._id}>{current.title}</option>
+            )}
+            {series.map(item => (
+              <option key={item._id} value={item._id}>
+                {item.title} ({item.posts.length} {item.posts.length === 1 ? 'part' : 'parts'})
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => setCreating(true)}
+            title="New series"
+            className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <FiPlus className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {selected && (
+        <p className="mt-1 text-sm text-gray-500">
+          New parts are added at the end. <Link to={`/series/${selected.slug}`} className="text-primary-600 hover:underline">Reorder parts</Link>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SeriesSelect;
@@ -1,7 +1,7 @@
-import React, { createContext, useContext, useEffect, useReducer, ReactNode } from 'react';
+import React, { createContext, useContext, useEffect, useReducer, useState, ReactNode } from 'react';
 import { toast } from 'react-toastify';
-import { authAPI } from '../services/api';
-import { User, AuthContextType, SignupFormData } from '../types';
+import { authAPI, storeTokens, clearStoredAuth } from '../services/api';
+import { User, AuthContextType, SignupFormData, Permission, UserRole } from '../types';
 
 // Auth state interface
 interface AuthState {
@@ -87,6 +87,9 @@ interface AuthProviderProps {
 // Auth provider component
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  const [permissions, setPermissions] = useState<Permission[] | null>(null);
+  const [assignableRoles, setAssignableRoles] = useState<UserRole[]>([]);
+  const userId = state.user ? state.user._id || state.user.id : undefined;
 
   // Load user from localStorage on app start
   useEffect(() => {
@@ -99,12 +102,14 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
           const user = JSON.parse(userData);
           dispatch({ type: 'AUTH_SUCCESS', payload: { user, token } });
           
-          // Verify token is still valid
-          await authAPI.getProfile();
+          // Verify token is still valid and pick up server-side changes (e.g. email verification)
+          const response = await authAPI.getProfile();
+          const freshUser = { ...user, ...response.user };
+          localStorage.setItem('user', JSON.stringify(freshUser));
+          dispatch({ type: 'UPDATE_PROFILE', payload: freshUser });
         } catch (error) {
           // Token is invalid, clear stored data
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
+          clearStoredAuth();
           dispatch({ type: 'LOGOUT' });
         }
       }
@@ -113,6 +118,33 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     loadUser();
   }, []);
 
+  // Load what the signed-in user may do whenever the user or their role changes
+  useEffect(() => {
+    if (!state.user) {
+      setPermissions(null);
+      setAssignableRoles([]);
+      return;
+    }
+
+    authAPI.getPermissions()
+      .then(response => {
+        setPermissions(response.permissions);
+        setAssignableRoles(response.assignableRoles);
+      })
+      .catch(error => {
+        console.error('Error loading permissions:', error);
+        setPermissions([]);
+      });
+  }, [userId, state.user?.role]);
+
+  // Whether the user may perform an action; owner-only permissions also need the owner's id to match
+  const can = (action: string, ownerId?: string) => {
+    if (!permissions || !state.user) return false;
+    if (permissions.includes(action)) return true;
+    if (!permissions.includes(`${action}:own`)) return false;
+    return ownerId === undefined || ownerId === userId;
+  };
+
   // Login function
   const login = async (email: string, password: string) => {
     try {
@@ -120,8 +152,8 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       
       const response = await authAPI.login({ email, password });
       
-      // Store token and user data
-      localStorage.setItem('token', response.token);
+      // Store tokens and user data
+      storeTokens(response);
       localStorage.setItem('user', JSON.stringify(response.user));
       
       dispatch({ 
@@ -145,8 +177,8 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       
       const response = await authAPI.signup(userData);
       
-      // Store token and user data
-      localStorage.setItem('token', response.token);
+      // Store tokens and user data
+      storeTokens(response);
       localStorage.setItem('user', JSON.stringify(response.user));
       
       dispatch({ 
@@ -172,8 +204,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       // Clear local storage
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      clearStoredAuth();
       
       // Update state
       dispatch({ type: 'LOGOUT' });
@@ -182,6 +213,20 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  // Logout from every device by revoking all sessions
+  const logoutEverywhere = async () => {
+    try {
+      await authAPI.logoutAll();
+      clearStoredAuth();
+      dispatch({ type: 'LOGOUT' });
+      toast.success('Logged out from all devices');
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.message || 'Failed to log out everywhere';
+      toast.error(errorMessage);
+      throw error;
+    }
+  };
+
   // Update profile function
   const updateProfile = async (userData: Partial<User>) => {
     try {
@@ -206,6 +251,14 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  // Reload the current user from the server (e.g. after verifying their email)
+  const refreshUser = async () => {
+    const response = await authAPI.getProfile();
+    const user = { ...state.user, ...response.user } as User;
+    localStorage.setItem('user', JSON.stringify(user));
+    dispatch({ type: 'UPDATE_PROFILE', payload: user });
+  };
+
   // Clear error function
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
@@ -220,7 +273,12 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     login,
     signup,
     logout,
+    logoutEverywhere,
     updateProfile,
+    refreshUser,
+    permissions,
+    assignableRoles,
+    can,
   };
 
   return (
@@ -30,7 +30,7 @@ type BlogAction =
   | { type: 'UPDATE_POST'; payload: Post }
   | { type: 'DELETE_POST'; payload: string }
   | { type: 'SET_TAGS'; payload: Tag[] }
-  | { type: 'LIKE_POST'; payload: { postId: string; likeCount: number } };
+  | { type: 'LIKE_POST'; payload: { postId: string; liked: boolean; likeCount: number } };
 
 // Initial state
 const initialState: BlogState = {
@@ -118,11 +118,11 @@ const blogReducer = (state: BlogState, action: BlogAction): BlogState => {
         ...state,
         posts: state.posts.map(post =>
           post._id === action.payload.postId
-            ? { ...post, likeCount: action.payload.likeCount }
+            ? { ...post, likedByMe: action.payload.liked, likeCount: action.payload.likeCount }
             : post
         ),
         currentPost: state.currentPost?._id === action.payload.postId
-          ? { ...state.currentPost, likeCount: action.payload.likeCount }
+          ? { ...state.currentPost, likedByMe: action.payload.liked, likeCount: action.payload.likeCount }
           : state.currentPost,
       };
     default:
@@ -236,14 +236,19 @@ export const BlogProvider: React.FC<BlogProviderProps> = ({ children }) => {
     }
   };
 
-  // Like post function
+  // Like post function (toggles the current user's like)
   const likePost = async (id: string) => {
     try {
-      const response = await postsAPI.likePost(id);
+      const post = state.currentPost?._id === id
+        ? state.currentPost
+        : state.posts.find(p => p._id === id);
+      const response = post?.likedByMe
+        ? await postsAPI.unlikePost(id)
+        : await postsAPI.likePost(id);
       
       dispatch({
         type: 'LIKE_POST',
-        payload: { postId: id, likeCount: response.likeCount },
+        payload: { postId: id, liked: response.liked, likeCount: response.likeCount },
       });
     } catch (error: any) {
       const errorMessage = error.response?.data?.message || 'Failed to like post';
@@ -19,15 +19,19 @@ import {
   XCircleIcon
 } from '@heroicons/react/24/outline';
 import { adminAPI } from '../../services/api';
+import { UserRole } from '../../types';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import AdminLayout from '../../components/Layout/AdminLayout';
+import AuditLogViewer from '../../components/admin/AuditLogViewer';
+import BlogImportPanel from '../../components/admin/BlogImportPanel';
+import BackupPanel from '../../components/admin/BackupPanel';
 
 interface User {
   _id: string;
   name: string;
   email: string;
-  role: 'user' | 'admin' | 'moderator';
+  role: UserRole;
   isActive: boolean;
   createdAt: string;
   lastLogin?: string;
@@ -46,8 +50,27 @@ interface SystemMetrics {
   storageUsed: string;
 }
 
+const ROLE_OPTIONS: UserRole[] = ['member', 'author', 'moderator', 'editor', 'admin', 'super_admin'];
+
+const ROLE_LABELS: Record<UserRole, string> = {
+  member: 'Member',
+  author: 'Author',
+  moderator: 'Moderator',
+  editor: 'Editor',
+  admin: 'Admin',
+  super_admin: 'Super Admin'
+};
+
+const ROLE_BADGES: Partial<Record<UserRole, string>> = {
+  author: 'bg-green-100 text-green-800',
+  moderator: 'bg-blue-100 text-blue-800',
+  editor: 'bg-yellow-100 text-yellow-800',
+  admin: 'bg-purple-100 text-purple-800',
+  super_admin: 'bg-red-100 text-red-800'
+};
+
 const AdminControlPanel: React.FC = () => {
-  const { user } = useAuth();
+  const { user, assignableRoles, can } = useAuth();
   const [users, setUsers] = useState<User[]>([]);
   const [systemMetrics, setSystemMetrics] = useState<SystemMetrics | null>(null);
   const [loading, setLoading] = useState(true);
@@ -62,7 +85,7 @@ const AdminControlPanel: React.FC = () => {
   const [newUser, setNewUser] = useState({
     name: '',
     email: '',
-    role: 'user' as 'user' | 'admin' | 'moderator',
+    role: 'member' as UserRole,
     password: ''
   });
 
@@ -112,7 +135,7 @@ const AdminControlPanel: React.FC = () => {
           toast.success('User promoted to admin');
           break;
         case 'demote':
-          await adminAPI.updateUserRole(userId, 'user');
+          await adminAPI.updateUserRole(userId, 'member');
           toast.success('User role updated');
           break;
       }
@@ -147,7 +170,7 @@ const AdminControlPanel: React.FC = () => {
       await adminAPI.createUser(newUser);
       toast.success('User created successfully');
       setIsUserModalOpen(false);
-      setNewUser({ name: '', email: '', role: 'user', password: '' });
+      setNewUser({ name: '', email: '', role: 'member', password: '' });
       fetchData();
     } catch (error: any) {
       toast.error(error.response?.data?.message || 'Failed to create user');
@@ -308,9 +331,9 @@ const AdminControlPanel: React.FC = () => {
                 className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
               >
                 <option value="all">All Roles</option>
-                <option value="user">User</option>
-                <option value="moderator">Moderator</option>
-                <option value="admin">Admin</option>
+                {ROLE_OPTIONS.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
               </select>
               
               <label className="flex items-center">
@@ -411,11 +434,9 @@ const AdminControlPanel: React.FC = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                        userData.role === 'admin' ? 'bg-purple-100 text-purple-800' :
-                        userData.role === 'moderator' ? 'bg-blue-100 text-blue-800' :
-                        'bg-gray-100 text-gray-800'
+                        ROLE_BADGES[userData.role] || 'bg-gray-100 text-gray-800'
                       }`}>
-                        {userData.role}
+                        {ROLE_LABELS[userData.role] || userData.role}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -444,7 +465,7 @@ const AdminControlPanel: React.FC = () => {
                           {userData.isActive ? <EyeSlashIcon className="w-4 h-4" /> : <EyeIcon className="w-4 h-4" />}
                         </button>
                         
-                        {userData.role !== 'admin' && (
+                        {userData.role !== 'admin' && assignableRoles.includes('admin') && assignableRoles.includes(userData.role) && (
                           <button
                             onClick={() => handleUserAction(userData._id, 'promote')}
                             className="p-1 rounded hover:bg-gray-100 text-purple-600"
@@ -521,6 +542,15 @@ const AdminControlPanel: React.FC = () => {
           </div>
         )}
 
+        {/* Audit Log */}
+        {can('audit:view') && <AuditLogViewer users={users} />}
+
+        {/* Blog import */}
+        {can('system:manage') && <BlogImportPanel />}
+
+        {/* Backup and restore */}
+        {can('system:manage') && <BackupPanel />}
+
         {/* Create User Modal */}
         {isUserModalOpen && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -552,12 +582,12 @@ const AdminControlPanel: React.FC = () => {
                   <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
                   <select
                     value={newUser.role}
-                    onChange={(e) => setNewUser({...newUser, role: e.target.value as 'user' | 'admin' | 'moderator'})}
+                    onChange={(e) => setNewUser({...newUser, role: e.target.value as UserRole})}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                   >
-                    <option value="user">User</option>
-                    <option value="moderator">Moderator</option>
-                    <option value="admin">Admin</option>
+                    {assignableRoles.map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
                   </select>
                 </div>
                 
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { useForm } from 'react-hook-form';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
@@ -13,29 +13,57 @@ import {
   ClipboardDocumentIcon,
 } from '@heroicons/react/24/outline';
 import { postsAPI } from '../../services/api';
-import { PostFormData, AIGenerationRequest } from '../../types';
+import { PostFormData, PostStatus, AIGenerationRequest, Media } from '../../types';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import AdminLayout from '../../components/Layout/AdminLayout';
+import SeriesSelect from '../../components/admin/SeriesSelect';
+import MediaPicker from '../../components/admin/MediaPicker';
+import CoverSuggestions from '../../components/admin/CoverSuggestions';
+import ContentUploadProgress from '../../components/admin/ContentUploadProgress';
 import { useAuth } from '../../contexts/AuthContext';
+import { fromDateTimeLocalValue, isFutureDateTime } from '../../utils/dateUtils';
+import { POST_STATUS_LABELS } from '../../utils/postStatus';
+import { insertAtCursor, markdownImage } from '../../utils/markdownEditor';
+import { useContentImageUpload } from '../../utils/useContentImageUpload';
 
 const AdminCreatePost: React.FC = () => {
-  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm<PostFormData>({
+  const { register, handleSubmit, watch, setValue, getValues, formState: { errors } } = useForm<PostFormData>({
     defaultValues: {
       status: 'draft',
       featured: false,
-      tags: []
+      tags: [],
+      series: ''
     }
   });
   const [loading, setLoading] = useState(false);
-  const [coverImage, setCoverImage] = useState<File | null>(null);
+  // A new upload, or the URL of an image from the media library
+  const [coverImage, setCoverImage] = useState<File | string | null>(null);
   const [imagePreview, setImagePreview] = useState<string | null>(null);
+  // Where an image picked from the media library goes
+  const [mediaPickerFor, setMediaPickerFor] = useState<'cover' | 'content' | null>(null);
+  const contentRef = useRef<HTMLTextAreaElement | null>(null);
+  const { contentUpload, handleContentPaste, handleContentDragOver, handleContentDrop } = useContentImageUpload(
+    contentRef,
+    () => getValues('content') || '',
+    value => setValue('content', value, { shouldDirty: true })
+  );
   const [isPreviewMode, setIsPreviewMode] = useState(false);
   const [showAIAssistant, setShowAIAssistant] = useState(false);
   const [aiLoading, setAiLoading] = useState(false);
   const navigate = useNavigate();
+  const { can } = useAuth();
+
+  // Users who cannot publish write a draft or submit it for review
+  const canPublish = can('post:publish');
+  const statusOptions: PostStatus[] = canPublish
+    ? ['draft', 'in_review', 'scheduled', 'published']
+    : ['draft', 'in_review'];
 
   const watchedContent = watch('content', '');
   const watchedTitle = watch('title', '');
+  const watchedStatus = watch('status');
+  const watchedSeries = watch('series') || '';
+  const contentField = register('content', { required: 'Content is required' });
 
   // AI Assistant functions
   const generateContentWithAI = async (prompt: string) => {
@@ -113,7 +141,24 @@ const AdminCreatePost: React.FC = () => {
     }
   };
 
+  const handleMediaSelected = (media: Media) => {
+    if (mediaPickerFor === 'cover') {
+      setCoverImage(media.url);
+      setImagePreview(media.url);
+    } else {
+      const { value, cursor } = insertAtCursor(contentRef.current, watchedContent || '', markdownImage(media.url, media.altText));
+      setValue('content', value, { shouldDirty: true });
+      requestAnimationFrame(() => contentRef.current?.setSelectionRange(cursor, cursor));
+    }
+    setMediaPickerFor(null);
+  };
+
   const onSubmit = async (data: PostFormData) => {
+    if (contentUpload) {
+      toast.warning('Please wait for the images to finish uploading');
+      return;
+    }
+
     try {
       setLoading(true);
       
@@ -127,6 +172,7 @@ const AdminCreatePost: React.FC = () => {
         tags: typeof data.tags === 'string' 
           ? data.tags.split(',').map(tag => tag.trim()).filter(Boolean)
           : data.tags || [],
+        publishAt: data.status === 'scheduled' ? fromDateTimeLocalValue(data.publishAt) : undefined,
         coverImage: coverImage || undefined
       };
 
@@ -256,6 +302,24 @@ const AdminCreatePost: React.FC = () => {
                   <p className="text-xs text-gray-500 mt-1">
                     PNG, JPG, GIF up to 10MB
                   </p>
+                  <button
+                    type="button"
+                    onClick={() => setMediaPickerFor('cover')}
+                    className="mt-2 text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    Choose from media library
+                  </button>
+                  <CoverSuggestions
+                    getPost={() => ({
+                      title: getValues('title'),
+                      tags: String(getValues('tags') || '').split(','),
+                      content: getValues('content')
+                    })}
+                    onSelect={(media) => {
+                      setCoverImage(media.url);
+                      setImagePreview(media.url);
+                    }}
+                  />
                 </div>
               )}
             </div>
@@ -290,9 +354,21 @@ const AdminCreatePost: React.FC = () => {
 
             {/* Content */}
             <div className="mb-6">
-              <label htmlFor="content" className="block text-sm font-medium text-gray-700 mb-2">
-                Content *
-              </label>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="content" className="block text-sm font-medium text-gray-700">
+                  Content *
+                </label>
+                {!isPreviewMode && (
+                  <button
+                    type="button"
+                    onClick={() => setMediaPickerFor('content')}
+                    className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200 flex items-center"
+                  >
+                    <PhotoIcon className="w-3 h-3 mr-1" />
+                    Insert image
+                  </button>
+                )}
+              </div>
               {isPreviewMode ? (
                 <div className="min-h-[300px] p-4 border border-gray-300 rounded-md bg-gray-50">
                   <div className="prose max-w-none">
@@ -307,11 +383,19 @@ const AdminCreatePost: React.FC = () => {
                 <textarea
                   id="content"
                   rows={12}
-                  {...register('content', { required: 'Content is required' })}
+                  {...contentField}
+                  ref={(element) => {
+                    contentField.ref(element);
+                    contentRef.current = element;
+                  }}
+                  onPaste={handleContentPaste}
+                  onDragOver={handleContentDragOver}
+                  onDrop={handleContentDrop}
                   className="form-textarea"
-                  placeholder="Write your post content here... You can use Markdown formatting."
+                  placeholder="Write your post content here... You can use Markdown formatting, and paste or drop images."
                 />
               )}
+              <ContentUploadProgress upload={contentUpload} />
               {errors.content && (
                 <p className="mt-1 text-sm text-red-600">{errors.content.message}</p>
               )}
@@ -472,15 +556,48 @@ const AdminCreatePost: React.FC = () => {
                   {...register('status', { required: 'Status is required' })}
                   className="form-select"
                 >
-                  <option value="draft">Draft</option>
-                  <option value="published">Published</option>
+                  {statusOptions.map(status => (
+                    <option key={status} value={status}>{POST_STATUS_LABELS[status]}</option>
+                  ))}
                 </select>
                 {errors.status && (
                   <p className="mt-1 text-sm text-red-600">{errors.status.message}</p>
                 )}
               </div>
+
+              {/* Series */}
+              {can('series:manage') && (
+                <div className="md:col-span-2">
+                  <SeriesSelect value={watchedSeries} onChange={(seriesId) => setValue('series', seriesId)} />
+                </div>
+              )}
             </div>
 
+            {/* Publish Date */}
+            {watchedStatus === 'scheduled' && (
+              <div className="mt-6">
+                <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700 mb-2">
+                  Publish Date *
+                </label>
+                <input
+                  id="publishAt"
+                  type="datetime-local"
+                  {...register('publishAt', {
+                    required: 'Publish date is required for scheduled posts',
+                    validate: (value) => isFutureDateTime(value) || 'Publish date must be in the future'
+                  })}
+                  className="form-input"
+                />
+                {errors.publishAt ? (
+                  <p className="mt-1 text-sm text-red-600">{errors.publishAt.message}</p>
+                ) : (
+                  <p className="mt-1 text-sm text-gray-500">
+                    The post goes live automatically at this time (your local time zone).
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Featured Checkbox */}
             <div className="mt-6">
               <div className="flex items-start">
@@ -561,18 +678,36 @@ const AdminCreatePost: React.FC = () => {
               <button
                 type="submit"
                 onClick={() => {
-                  // Set status to published using React Hook Form's setValue
-                  setValue('status', 'published');
+                  // Set status to published using React Hook Form's setValue,
+                  // unless the post is being scheduled for later or needs review first
+                  if (!canPublish) {
+                    setValue('status', 'in_review');
+                  } else if (watchedStatus !== 'scheduled') {
+                    setValue('status', 'published');
+                  }
                 }}
                 className="btn btn-primary"
                 disabled={loading}
               >
-                {loading ? 'Publishing...' : 'Publish Post'}
+                {!canPublish
+                  ? (loading ? 'Submitting...' : 'Submit for Review')
+                  : watchedStatus === 'scheduled'
+                    ? (loading ? 'Scheduling...' : 'Schedule Post')
+                    : (loading ? 'Publishing...' : 'Publish Post')}
               </button>
             </div>
           </div>
         </form>
       </div>
+
+      {mediaPickerFor && (
+        <MediaPicker
+          title={mediaPickerFor === 'cover' ? 'Choose a cover image' : 'Insert an image'}
+          actionLabel={mediaPickerFor === 'cover' ? 'Use as cover' : 'Insert image'}
+          onSelect={handleMediaSelected}
+          onClose={() => setMediaPickerFor(null)}
+        />
+      )}
     </AdminLayout>
   );
 };
@@ -14,11 +14,12 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   ClockIcon,
-  SparklesIcon
+  SparklesIcon,
+  ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend, LineChart, Line, XAxis, YAxis, BarChart, Bar } from 'recharts';
 import { adminAPI } from '../../services/api';
-import { DashboardMetrics, TagInsights } from '../../types';
+import { DashboardMetrics, TagInsights, ViewAnalytics } from '../../types';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import AdminLayout from '../../components/Layout/AdminLayout';
@@ -63,11 +64,12 @@ const StatCard: React.FC<StatCardProps> = ({ title, value, icon: Icon, color, tr
 };
 
 const UserDashboard: React.FC = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [metrics, setMetrics] = useState<DashboardMetrics | null>(null);
   const [tagInsights, setTagInsights] = useState<TagInsights | null>(null);
   const [topPosts, setTopPosts] = useState<any[]>([]);
   const [recentComments, setRecentComments] = useState<any[]>([]);
+  const [viewAnalytics, setViewAnalytics] = useState<ViewAnalytics | null>(null);
   const [loading, setLoading] = useState(true);
 
   // Helper functions
@@ -119,11 +121,12 @@ const UserDashboard: React.FC = () => {
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const [metricsData, tagsData, postsData, commentsData] = await Promise.allSettled([
+      const [metricsData, tagsData, postsData, commentsData, viewsData] = await Promise.allSettled([
         adminAPI.getDashboardMetrics(),
         adminAPI.getTagInsights(),
         adminAPI.getTopPosts(5, 'views'),
-        adminAPI.getRecentComments(10)
+        adminAPI.getRecentComments(10),
+        can('analytics:view') ? adminAPI.getAnalytics('30') : Promise.resolve(null)
       ]);
 
       if (metricsData.status === 'fulfilled') {
@@ -138,6 +141,9 @@ const UserDashboard: React.FC = () => {
       if (commentsData.status === 'fulfilled') {
         setRecentComments(commentsData.value.comments || []);
       }
+      if (viewsData.status === 'fulfilled') {
+        setViewAnalytics(viewsData.value);
+      }
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
       toast.error('Failed to load dashboard data');
@@ -198,6 +204,20 @@ const UserDashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Review Queue */}
+        {metrics && can('post:review') && metrics.postsAwaitingReview > 0 && (
+          <Link
+            to="/admin/reviews"
+            className="flex items-center justify-between bg-purple-50 border border-purple-200 rounded-lg p-4 mb-8 hover:bg-purple-100 transition-colors"
+          >
+            <span className="flex items-center text-purple-800 font-medium">
+              <ClipboardDocumentCheckIcon className="w-5 h-5 mr-2" />
+              {metrics.postsAwaitingReview} {metrics.postsAwaitingReview === 1 ? 'post is' : 'posts are'} waiting for review
+            </span>
+            <span className="text-sm text-purple-700">Open review queue →</span>
+          </Link>
+        )}
+
         {/* Stats Cards */}
         {metrics && (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
@@ -232,6 +252,61 @@ const UserDashboard: React.FC = () => {
           </div>
         )}
 
+        {/* Views over the last 30 days */}
+        {viewAnalytics && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+            <div className="bg-white rounded-lg shadow p-6 lg:col-span-2">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold">Views, Last {viewAnalytics.period} Days</h3>
+                <div className="flex items-center space-x-4 text-sm text-gray-600">
+                  <span>
+                    <span className="font-semibold text-gray-900">{viewAnalytics.totalViews.toLocaleString()}</span> views
+                  </span>
+                  <span>
+                    <span className="font-semibold text-gray-900">{viewAnalytics.uniqueVisitors.toLocaleString()}</span> unique visitors
+                  </span>
+                </div>
+              </div>
+              <div className="h-64">
+                {viewAnalytics.viewsOverTime.length > 0 ? (
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={viewAnalytics.viewsOverTime}>
+                      <XAxis dataKey="_id" tick={{ fontSize: 12 }} />
+                      <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                      <Tooltip labelStyle={{ color: '#374151' }} />
+                      <Legend />
+                      <Line type="monotone" dataKey="views" name="Views" stroke="#8b5cf6" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="visitors" name="Unique visitors" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                ) : (
+                  <div className="flex items-center justify-center h-full text-gray-400 text-sm">
+                    No views recorded in this period yet.
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-semibold mb-4">Top Referrers</h3>
+              {viewAnalytics.referrers.length > 0 ? (
+                <div className="space-y-3">
+                  {viewAnalytics.referrers.map((referrer) => (
+                    <div key={referrer._id} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-700 truncate mr-3">
+                        {referrer._id === 'direct' ? 'Direct / unknown' : referrer._id === 'internal' ? 'This site' : referrer._id}
+                      </span>
+                      <span className="font-semibold text-gray-900">{referrer.views.toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-500 text-sm">No referrers yet</p>
+              )}
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
           {/* Quick Stats */}
           {metrics && (
@@ -246,6 +321,18 @@ const UserDashboard: React.FC = () => {
                   <span className="text-gray-600">Draft Posts</span>
                   <span className="font-semibold">{metrics.draftPosts}</span>
                 </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-600">Posts In Review</span>
+                  <span className="font-semibold text-purple-600">{metrics.inReviewPosts}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-600">Changes Requested</span>
+                  <span className="font-semibold text-orange-600">{metrics.changesRequestedPosts}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-600">Approved, Not Yet Published</span>
+                  <span className="font-semibold text-teal-600">{metrics.approvedPosts}</span>
+                </div>
                 <div className="flex items-center justify-between">
                   <span className="text-gray-600">Total Comments</span>
                   <span className="font-semibold">{metrics.totalComments}</span>
@@ -1,34 +1,52 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useForm } from 'react-hook-form';
 import { useNavigate, useParams } from 'react-router-dom';
 import { toast } from "react-toastify";
 import { useAuth } from '../../contexts/AuthContext';
 import AdminLayout from '../../components/Layout/AdminLayout';
+import RevisionHistoryPanel from '../../components/admin/RevisionHistoryPanel';
+import PostAuditPanel from '../../components/admin/PostAuditPanel';
+import ReviewNotesPanel from '../../components/admin/ReviewNotesPanel';
+import SeriesSelect from '../../components/admin/SeriesSelect';
+import MediaPicker from '../../components/admin/MediaPicker';
+import CoverSuggestions from '../../components/admin/CoverSuggestions';
+import ContentUploadProgress from '../../components/admin/ContentUploadProgress';
 import { postsAPI, adminAPI } from '../../services/api';
-import { FiUpload, FiX, FiEye, FiEdit, FiSend, FiStar, FiRefreshCw } from 'react-icons/fi';
+import { PostStatus, SeriesNavigation, Media } from '../../types';
+import { POST_STATUS_LABELS } from '../../utils/postStatus';
+import { insertAtCursor, markdownImage } from '../../utils/markdownEditor';
+import { useContentImageUpload } from '../../utils/useContentImageUpload';
+import { FiUpload, FiX, FiEye, FiEdit, FiSend, FiStar, FiRefreshCw, FiDownload, FiImage } from 'react-icons/fi';
+import { toDateTimeLocalValue, fromDateTimeLocalValue, isFutureDateTime } from '../../utils/dateUtils';
 
 interface PostFormData {
   title: string;
   content: string;
   excerpt: string;
   tags: string;
-  status: 'draft' | 'published';
+  status: PostStatus;
+  publishAt: string;
   featured: boolean;
   seoTitle?: string;
   seoDescription?: string;
+  series: string;
 }
 
 interface Post {
   _id: string;
   title: string;
+  slug?: string;
   content: string;
   excerpt: string;
   tags: string[];
-  status: 'draft' | 'published';
+  status: PostStatus;
+  publishAt?: string | null;
   featured: boolean;
   coverImage?: string;
   seoTitle?: string;
   seoDescription?: string;
+  author?: { _id: string; name: string };
+  series?: SeriesNavigation | null;
   createdAt: string;
   updatedAt: string;
 }
@@ -36,16 +54,23 @@ interface Post {
 const AdminEditPost: React.FC = () => {
   const navigate = useNavigate();
   const { id } = useParams<{ id: string }>();
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(true);
   const [post, setPost] = useState<Post | null>(null);
-  const [coverImage, setCoverImage] = useState<File | null>(null);
+  // A new upload, or the URL of an image from the media library
+  const [coverImage, setCoverImage] = useState<File | string | null>(null);
   const [coverImagePreview, setCoverImagePreview] = useState<string>('');
+  // Where an image picked from the media library goes
+  const [mediaPickerFor, setMediaPickerFor] = useState<'cover' | 'content' | null>(null);
+  const contentRef = useRef<HTMLTextAreaElement | null>(null);
   const [isPreviewMode, setIsPreviewMode] = useState(false);
   const [showAIAssistant, setShowAIAssistant] = useState(false);
   const [aiPrompt, setAiPrompt] = useState('');
   const [aiLoading, setAiLoading] = useState(false);
+  const [reason, setReason] = useState('');
+  // Statuses the server lets this user move the post to
+  const [nextStatuses, setNextStatuses] = useState<PostStatus[]>([]);
   
   const { register, handleSubmit, formState: { errors }, setValue, getValues, watch } = useForm<PostFormData>({
     defaultValues: {
@@ -54,14 +79,32 @@ const AdminEditPost: React.FC = () => {
       excerpt: '',
       tags: '',
       status: 'draft',
+      publishAt: '',
       featured: false,
       seoTitle: '',
-      seoDescription: ''
+      seoDescription: '',
+      series: ''
     }
   });
 
   const watchedContent = watch('content');
   const watchedTitle = watch('title');
+  const watchedStatus = watch('status');
+  const watchedSeries = watch('series');
+  const contentField = register('content', { required: 'Content is required' });
+  const { contentUpload, handleContentPaste, handleContentDragOver, handleContentDrop } = useContentImageUpload(
+    contentRef,
+    () => getValues('content') || '',
+    value => setValue('content', value, { shouldDirty: true })
+  );
+
+  // Editors changing someone else's post are asked why; the author is notified
+  const isOwnPost = !post?.author || post.author._id === (user?._id || user?.id);
+
+  // Users who cannot publish yet submit the post for review instead
+  const canPublish = post?.status === 'published' || nextStatuses.includes('published');
+  const canSubmit = nextStatuses.includes('in_review');
+  const statusOptions = post ? [post.status, ...nextStatuses] : [];
 
   useEffect(() => {
     if (!id) {
@@ -79,6 +122,7 @@ const AdminEditPost: React.FC = () => {
       const response = await adminAPI.getPost(id!);
       const postData = response.post;
       setPost(postData);
+      setNextStatuses(response.nextStatuses || []);
       
       // Populate form with existing data
       setValue('title', postData.title);
@@ -86,9 +130,11 @@ const AdminEditPost: React.FC = () => {
       setValue('excerpt', postData.excerpt);
       setValue('tags', postData.tags?.join(', ') || '');
       setValue('status', postData.status);
+      setValue('publishAt', toDateTimeLocalValue(postData.publishAt));
       setValue('featured', postData.featured);
       setValue('seoTitle', postData.seoTitle || '');
       setValue('seoDescription', postData.seoDescription || '');
+      setValue('series', postData.series?._id || '');
       
       if (postData.coverImage) {
         setCoverImagePreview(postData.coverImage);
@@ -126,6 +172,18 @@ const AdminEditPost: React.FC = () => {
     setCoverImagePreview('');
   };
 
+  const handleMediaSelected = (media: Media) => {
+    if (mediaPickerFor === 'cover') {
+      setCoverImage(media.url);
+      setCoverImagePreview(media.url);
+    } else {
+      const { value, cursor } = insertAtCursor(contentRef.current, getValues('content') || '', markdownImage(media.url, media.altText));
+      setValue('content', value, { shouldDirty: true });
+      requestAnimationFrame(() => contentRef.current?.setSelectionRange(cursor, cursor));
+    }
+    setMediaPickerFor(null);
+  };
+
   const generateWithAI = async () => {
     if (!aiPrompt.trim()) {
       toast.error('Please enter a prompt for AI content generation');
@@ -190,6 +248,10 @@ const AdminEditPost: React.FC = () => {
 
   const onSubmit = async (data: PostFormData) => {
     if (!id) return;
+    if (contentUpload) {
+      toast.warning('Please wait for the images to finish uploading');
+      return;
+    }
     
     try {
       setLoading(true);
@@ -201,15 +263,28 @@ const AdminEditPost: React.FC = () => {
         excerpt: data.excerpt,
         tags: data.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
         status: data.status,
+        publishAt: data.status === 'scheduled' ? fromDateTimeLocalValue(data.publishAt) : undefined,
         featured: data.featured,
         seoTitle: data.seoTitle,
         seoDescription: data.seoDescription,
-        coverImage: coverImage
+        coverImage: coverImage,
+        reason: isOwnPost ? undefined : reason.trim(),
+        // Only sent when changed, so the post stays in a series this user cannot edit
+        series: can('series:manage') && data.series !== (post?.series?._id || '') ? data.series : undefined
       };
 
-      await postsAPI.updatePost(id, postData);
-      
-      toast.success(`Post ${data.status === 'published' ? 'updated and published' : 'updated as draft'} successfully!`);
+      const response = await postsAPI.updatePost(id, postData);
+
+      // Changing an approved post can send it back for review, so report what the server did
+      const statusMessages: Record<PostStatus, string> = {
+        draft: 'updated as draft',
+        in_review: 'submitted for review',
+        changes_requested: 'updated',
+        approved: 'updated',
+        scheduled: 'updated and scheduled',
+        published: 'updated and published'
+      };
+      toast.success(`Post ${statusMessages[response.post.status]} successfully!`);
       navigate('/admin/posts');
     } catch (error: any) {
       console.error('Error updating post:', error);
@@ -229,7 +304,7 @@ const AdminEditPost: React.FC = () => {
           toast.error(errorData.message || 'Validation failed');
         }
       } else if (error.response?.status === 403) {
-        toast.error('You can only edit your own posts');
+        toast.error(error.response.data?.message || 'You do not have permission to edit this post');
         navigate('/admin/posts');
       } else if (error.response?.status === 404) {
         toast.error('Post not found');
@@ -246,6 +321,22 @@ const AdminEditPost: React.FC = () => {
     navigate('/admin/posts');
   };
 
+  // Downloads the saved post as Markdown with front matter; unsaved changes are not included
+  const handleExport = async () => {
+    try {
+      const blob = await postsAPI.exportPost(id!);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${post?.slug || id}.md`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting post:', error);
+      toast.error('Failed to export post');
+    }
+  };
+
   const aiPrompts = [
     "Write an engaging introduction for this topic",
     "Add some practical examples and use cases",
@@ -287,9 +378,24 @@ const AdminEditPost: React.FC = () => {
     <AdminLayout>
       <div className="min-h-screen bg-gray-50 py-8">
         <div className="max-w-7xl mx-auto px-4">
-          <div className="mb-8">
-            <h1 className="text-3xl font-bold text-gray-900">Edit Post</h1>
-            <p className="mt-2 text-gray-600">Update your blog post content and settings</p>
+          <div className="mb-8 flex justify-between items-start">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Edit Post</h1>
+              <p className="mt-2 text-gray-600">
+                {isOwnPost
+                  ? 'Update your blog post content and settings'
+                  : `Editing ${post.author?.name}'s post. They will be notified of your changes.`}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={handleExport}
+              title="Download the saved post as Markdown"
+              className="flex items-center px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <FiDownload className="w-4 h-4 mr-2" />
+              Export Markdown
+            </button>
           </div>
 
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
@@ -335,6 +441,25 @@ const AdminEditPost: React.FC = () => {
                           className="hidden"
                         />
                       </div>
+                      <button
+                        type="button"
+                        onClick={() => setMediaPickerFor('cover')}
+                        className="mt-3 text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        Choose from media library
+                      </button>
+                      <CoverSuggestions
+                        getPost={() => ({
+                          title: getValues('title'),
+                          tags: String(getValues('tags') || '').split(','),
+                          content: getValues('content'),
+                          post: id
+                        })}
+                        onSelect={(media) => {
+                          setCoverImage(media.url);
+                          setCoverImagePreview(media.url);
+                        }}
+                      />
                     </div>
                   )}
                 </div>
@@ -369,6 +494,16 @@ const AdminEditPost: React.FC = () => {
                   <div className="flex items-center justify-between mb-4">
                     <h3 className="text-lg font-semibold">Content</h3>
                     <div className="flex items-center space-x-2">
+                      {!isPreviewMode && (
+                        <button
+                          type="button"
+                          onClick={() => setMediaPickerFor('content')}
+                          className="inline-flex items-center px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                        >
+                          <FiImage className="w-4 h-4 mr-1" />
+                          Insert image
+                        </button>
+                      )}
                       <button
                         type="button"
                         onClick={() => setShowAIAssistant(!showAIAssistant)}
@@ -401,12 +536,20 @@ const AdminEditPost: React.FC = () => {
                     </div>
                   ) : (
                     <textarea
-                      {...register('content', { required: 'Content is required' })}
+                      {...contentField}
+                      ref={(element) => {
+                        contentField.ref(element);
+                        contentRef.current = element;
+                      }}
+                      onPaste={handleContentPaste}
+                      onDragOver={handleContentDragOver}
+                      onDrop={handleContentDrop}
                       rows={15}
                       className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-y"
-                      placeholder="Write your post content here..."
+                      placeholder="Write your post content here... Paste or drop images to upload them."
                     />
                   )}
+                  <ContentUploadProgress upload={contentUpload} barClassName="bg-blue-600" />
                   
                   {errors.content && (
                     <p className="mt-2 text-sm text-red-600">{errors.content.message}</p>
@@ -514,11 +657,48 @@ const AdminEditPost: React.FC = () => {
                         {...register('status')}
                         className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       >
-                        <option value="draft">Draft</option>
-                        <option value="published">Published</option>
+                        {statusOptions.map(status => (
+                          <option key={status} value={status}>{POST_STATUS_LABELS[status]}</option>
+                        ))}
                       </select>
+                      {post.status === 'approved' && !canPublish && (
+                        <p className="mt-1 text-xs text-gray-500">
+                          Approved. Changing the title, excerpt or content sends it back for review.
+                        </p>
+                      )}
                     </div>
 
+                    {watchedStatus === 'scheduled' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Publish Date
+                        </label>
+                        <input
+                          type="datetime-local"
+                          {...register('publishAt', {
+                            validate: (value) =>
+                              watchedStatus !== 'scheduled' ||
+                              isFutureDateTime(value) ||
+                              'Publish date must be in the future'
+                          })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        {errors.publishAt ? (
+                          <p className="mt-1 text-xs text-red-600">{errors.publishAt.message}</p>
+                        ) : (
+                          <p className="mt-1 text-xs text-gray-500">Goes live automatically at this time (your local time zone)</p>
+                        )}
+                      </div>
+                    )}
+
+                    {can('series:manage') && (
+                      <SeriesSelect
+                        value={watchedSeries}
+                        onChange={(seriesId) => setValue('series', seriesId)}
+                        current={post.series}
+                      />
+                    )}
+
                     <div className="flex items-center">
                       <input
                         {...register('featured')}
@@ -562,6 +742,32 @@ const AdminEditPost: React.FC = () => {
                   </div>
                 </div>
 
+                {!isOwnPost && (
+                  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Reason for change
+                    </label>
+                    <textarea
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      rows={3}
+                      maxLength={500}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-y"
+                      placeholder="e.g. Fixed a broken link"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Shown to the author with your changes</p>
+                  </div>
+                )}
+
+                {/* Review Notes */}
+                <ReviewNotesPanel postId={id!} />
+
+                {/* Changes by Editors */}
+                <PostAuditPanel postId={id!} />
+
+                {/* Revision History */}
+                <RevisionHistoryPanel postId={id!} onRestored={loadPost} />
+
                 {/* Actions */}
                 <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
                   <div className="space-y-3">
@@ -588,13 +794,26 @@ const AdminEditPost: React.FC = () => {
                     <button
                       type="submit"
                       disabled={loading}
-                      onClick={() => setValue('status', 'published')}
+                      onClick={() => {
+                        if (watchedStatus === 'scheduled') return;
+                        if (canPublish) {
+                          setValue('status', 'published');
+                        } else if (canSubmit) {
+                          setValue('status', 'in_review');
+                        }
+                      }}
                       className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
                     >
                       {loading ? (
                         <FiRefreshCw className="w-4 h-4 animate-spin mr-2" />
                       ) : null}
-                      Update & Publish
+                      {watchedStatus === 'scheduled'
+                        ? 'Update Schedule'
+                        : canPublish
+                          ? 'Update & Publish'
+                          : canSubmit
+                            ? 'Submit for Review'
+                            : 'Save Changes'}
                     </button>
                   </div>
                 </div>
@@ -603,6 +822,15 @@ const AdminEditPost: React.FC = () => {
           </form>
         </div>
       </div>
+
+      {mediaPickerFor && (
+        <MediaPicker
+          title={mediaPickerFor === 'cover' ? 'Choose a cover image' : 'Insert an image'}
+          actionLabel={mediaPickerFor === 'cover' ? 'Use as cover' : 'Insert image'}
+          onSelect={handleMediaSelected}
+          onClose={() => setMediaPickerFor(null)}
+        />
+      )}
     </AdminLayout>
   );
 };
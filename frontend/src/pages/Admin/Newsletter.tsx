@@ -0,0 +1,599 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import {
+  EnvelopeIcon,
+  PlusIcon,
+  SparklesIcon,
+  EyeIcon,
+  PaperAirplaneIcon,
+  TrashIcon,
+  XMarkIcon,
+  StopIcon
+} from '@heroicons/react/24/outline';
+import { newsletterAPI } from '../../services/api';
+import { Campaign, CampaignDelivery, CampaignPreview, CampaignStatus, DeliveryStatus, NewsletterStats } from '../../types';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import AdminLayout from '../../components/Layout/AdminLayout';
+
+const CAMPAIGN_STATUS_COLORS: Record<CampaignStatus, string> = {
+  draft: 'bg-gray-100 text-gray-800',
+  preparing: 'bg-yellow-100 text-yellow-800',
+  queued: 'bg-yellow-100 text-yellow-800',
+  sending: 'bg-blue-100 text-blue-800',
+  sent: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const DELIVERY_STATUS_COLORS: Record<DeliveryStatus, string> = {
+  pending: 'bg-gray-100 text-gray-800',
+  sending: 'bg-blue-100 text-blue-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-yellow-100 text-yellow-800'
+};
+
+const DELIVERY_STATUSES: DeliveryStatus[] = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+const formatDate = (dateString?: string | null) => dateString
+  ? new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  : '—';
+
+const AdminNewsletter: React.FC = () => {
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [stats, setStats] = useState<NewsletterStats | null>(null);
+
+  const [selected, setSelected] = useState<Campaign | null>(null);
+  const [counts, setCounts] = useState<Record<DeliveryStatus, number> | null>(null);
+  const [subject, setSubject] = useState('');
+  const [content, setContent] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [preview, setPreview] = useState<CampaignPreview | null>(null);
+  const [previewTab, setPreviewTab] = useState<'html' | 'text'>('html');
+
+  const [deliveries, setDeliveries] = useState<CampaignDelivery[]>([]);
+  const [deliveryFilter, setDeliveryFilter] = useState<DeliveryStatus | ''>('');
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryPages, setDeliveryPages] = useState(1);
+
+  const isDraft = !selected || selected.status === 'draft';
+  const inProgress = selected?.status === 'queued' || selected?.status === 'sending';
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [currentPage]);
+
+  useEffect(() => {
+    newsletterAPI.getStats()
+      .then(setStats)
+      .catch(error => console.error('Error fetching newsletter stats:', error));
+  }, []);
+
+  useEffect(() => {
+    if (selected && !isDraft) {
+      fetchDeliveries();
+    }
+  }, [selected?._id, selected?.status, deliveryFilter, deliveryPage]);
+
+  // Follow the progress of a campaign while it is being sent
+  useEffect(() => {
+    if (!selected || !inProgress) return;
+
+    const timer = window.setInterval(() => {
+      loadCampaign(selected._id, false);
+      fetchDeliveries();
+    }, 5000);
+    return () => window.clearInterval(timer);
+  }, [selected?._id, inProgress, deliveryFilter, deliveryPage]);
+
+  const fetchCampaigns = async () => {
+    try {
+      setLoading(true);
+      const response = await newsletterAPI.getCampaigns(currentPage);
+      setCampaigns(response.campaigns);
+      setTotalPages(response.totalPages || 1);
+    } catch (error: any) {
+      console.error('Error fetching campaigns:', error);
+      toast.error(error.response?.data?.message || 'Failed to load campaigns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadCampaign = async (id: string, resetForm = true) => {
+    try {
+      const response = await newsletterAPI.getCampaign(id);
+      setSelected(response.campaign);
+      setCounts(response.deliveries);
+      if (resetForm) {
+        setSubject(response.campaign.subject);
+        setContent(response.campaign.content || '');
+        setDeliveryFilter('');
+        setDeliveryPage(1);
+      }
+      setCampaigns(prev => prev.map(item => item._id === id ? { ...item, ...response.campaign } : item));
+    } catch (error: any) {
+      console.error('Error loading campaign:', error);
+      toast.error(error.response?.data?.message || 'Failed to load campaign');
+    }
+  };
+
+  const fetchDeliveries = async () => {
+    if (!selected) return;
+    try {
+      const response = await newsletterAPI.getDeliveries(selected._id, deliveryPage, deliveryFilter || undefined);
+      setDeliveries(response.deliveries);
+      setDeliveryPages(response.totalPages || 1);
+    } catch (error: any) {
+      console.error('Error fetching deliveries:', error);
+    }
+  };
+
+  const startNew = () => {
+    setSelected(null);
+    setCounts(null);
+    setSubject('');
+    setContent('');
+  };
+
+  const handleGenerateDigest = async () => {
+    try {
+      setBusy(true);
+      const campaign = await newsletterAPI.createDigest(7);
+      toast.success('Weekly digest created');
+      await fetchCampaigns();
+      await loadCampaign(campaign._id);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to create digest');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Save the draft, creating it first if needed; returns its id
+  const saveDraft = async (): Promise<string | null> => {
+    if (!subject.trim() || !content.trim()) {
+      toast.error('Subject and content are required');
+      return null;
+    }
+
+    const campaign = selected
+      ? await newsletterAPI.updateCampaign(selected._id, { subject, content })
+      : await newsletterAPI.createCampaign({ subject, content });
+
+    if (!selected) {
+      await fetchCampaigns();
+    }
+    await loadCampaign(campaign._id, false);
+    return campaign._id;
+  };
+
+  const handleSave = async () => {
+    try {
+      setBusy(true);
+      if (await saveDraft()) {
+        toast.success('Draft saved');
+      }
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to save campaign');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setBusy(true);
+      const id = isDraft ? await saveDraft() : selected!._id;
+      if (!id) return;
+      setPreview(await newsletterAPI.previewCampaign(id));
+      setPreviewTab('html');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to render preview');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!window.confirm('Send this campaign to every active subscriber? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const id = await saveDraft();
+      if (!id) return;
+      const response = await newsletterAPI.sendCampaign(id);
+      toast.success(response.message);
+      await loadCampaign(id);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to send campaign');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!selected || !window.confirm('Stop sending this campaign? Recipients not yet reached will be skipped.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await newsletterAPI.cancelCampaign(selected._id);
+      toast.success('Campaign cancelled');
+      await loadCampaign(selected._id, false);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to cancel campaign');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !window.confirm('Delete this draft?')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await newsletterAPI.deleteCampaign(selected._id);
+      toast.success('Draft deleted');
+      startNew();
+      fetchCampaigns();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to delete campaign');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const processed = counts ? counts.sent + counts.failed + counts.skipped : 0;
+  const total = selected?.recipientCount || 0;
+
+  return (
+    <AdminLayout>
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+              <EnvelopeIcon className="w-8 h-8 mr-3 text-blue-500" />
+              Newsletter
+            </h1>
+            <p className="text-gray-600">Compose campaigns and send them to your subscribers</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleGenerateDigest}
+              disabled={busy}
+              className="btn btn-outline flex items-center disabled:opacity-50"
+            >
+              <SparklesIcon className="w-4 h-4 mr-2" />
+              Weekly digest
+            </button>
+            <button
+              onClick={startNew}
+              className="btn btn-primary flex items-center"
+            >
+              <PlusIcon className="w-4 h-4 mr-2" />
+              New campaign
+            </button>
+          </div>
+        </div>
+
+        {/* Subscribers; only confirmed ones receive campaigns */}
+        {stats && (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-8">
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">Confirmed subscribers</p>
+              <p className="text-2xl font-semibold text-gray-900">{stats.totalConfirmed}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">Awaiting confirmation</p>
+              <p className="text-2xl font-semibold text-gray-900">{stats.totalPending}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">Unsubscribed</p>
+              <p className="text-2xl font-semibold text-gray-900">{stats.totalUnsubscribed}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Campaign list */}
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Campaigns</h2>
+            </div>
+            {loading ? (
+              <div className="flex justify-center py-8">
+                <LoadingSpinner />
+              </div>
+            ) : campaigns.length === 0 ? (
+              <p className="px-6 py-8 text-sm text-gray-500 text-center">No campaigns yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {campaigns.map(campaign => (
+                  <li key={campaign._id}>
+                    <button
+                      onClick={() => loadCampaign(campaign._id)}
+                      className={`w-full text-left px-6 py-4 hover:bg-gray-50 transition-colors ${
+                        selected?._id === campaign._id ? 'bg-blue-50' : ''
+                      }`}
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-medium text-gray-900 truncate mr-2">{campaign.subject}</span>
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${CAMPAIGN_STATUS_COLORS[campaign.status]}`}>
+                          {campaign.status}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        {campaign.kind === 'digest' ? 'Digest · ' : ''}
+                        {campaign.status === 'draft'
+                          ? `Created ${formatDate(campaign.createdAt)}`
+                          : `${campaign.recipientCount} recipients · ${formatDate(campaign.queuedAt)}`}
+                      </p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {totalPages > 1 && (
+              <div className="flex justify-between items-center px-6 py-3 border-t border-gray-200 text-sm">
+                <button
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className="text-blue-600 disabled:text-gray-400"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {currentPage} of {totalPages}</span>
+                <button
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className="text-blue-600 disabled:text-gray-400"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Editor / delivery report */}
+          <div className="lg:col-span-2 bg-white rounded-lg shadow p-6">
+            {isDraft ? (
+              <>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  {selected ? 'Edit draft' : 'New campaign'}
+                </h2>
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                    <input
+                      type="text"
+                      value={subject}
+                      onChange={(e) => setSubject(e.target.value)}
+                      maxLength={200}
+                      className="form-input"
+                      placeholder="What's this email about?"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Content (Markdown)</label>
+                    <textarea
+                      value={content}
+                      onChange={(e) => setContent(e.target.value)}
+                      rows={16}
+                      className="form-input font-mono text-sm"
+                      placeholder="Write your newsletter in Markdown..."
+                    />
+                    <p className="mt-1 text-xs text-gray-500">An unsubscribe link is added to every email automatically.</p>
+                  </div>
+                </div>
+                <div className="flex items-center justify-between mt-6">
+                  <div>
+                    {selected && (
+                      <button
+                        onClick={handleDelete}
+                        disabled={busy}
+                        className="flex items-center px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                      >
+                        <TrashIcon className="w-4 h-4 mr-1" />
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button onClick={handleSave} disabled={busy} className="btn btn-outline disabled:opacity-50">
+                      Save draft
+                    </button>
+                    <button onClick={handlePreview} disabled={busy} className="btn btn-outline flex items-center disabled:opacity-50">
+                      <EyeIcon className="w-4 h-4 mr-2" />
+                      Preview
+                    </button>
+                    <button onClick={handleSend} disabled={busy} className="btn btn-primary flex items-center disabled:opacity-50">
+                      <PaperAirplaneIcon className="w-4 h-4 mr-2" />
+                      Send
+                    </button>
+                  </div>
+                </div>
+              </>
+            ) : selected && (
+              <>
+                <div className="flex items-start justify-between mb-6">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{selected.subject}</h2>
+                    <p className="text-sm text-gray-500">
+                      Queued {formatDate(selected.queuedAt)}
+                      {selected.completedAt && ` · Finished ${formatDate(selected.completedAt)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button onClick={handlePreview} disabled={busy} className="btn btn-outline flex items-center disabled:opacity-50">
+                      <EyeIcon className="w-4 h-4 mr-2" />
+                      Preview
+                    </button>
+                    {inProgress && (
+                      <button
+                        onClick={handleCancel}
+                        disabled={busy}
+                        className="flex items-center px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                      >
+                        <StopIcon className="w-4 h-4 mr-1" />
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {/* Progress */}
+                <div className="mb-6">
+                  <div className="flex justify-between text-sm text-gray-600 mb-1">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${CAMPAIGN_STATUS_COLORS[selected.status]}`}>
+                      {selected.status}
+                    </span>
+                    <span>{processed} of {total} processed</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all"
+                      style={{ width: `${total ? Math.round((processed / total) * 100) : 0}%` }}
+                    />
+                  </div>
+                  {counts && (
+                    <div className="grid grid-cols-5 gap-2 mt-4">
+                      {DELIVERY_STATUSES.map(status => (
+                        <button
+                          key={status}
+                          onClick={() => {
+                            setDeliveryFilter(deliveryFilter === status ? '' : status);
+                            setDeliveryPage(1);
+                          }}
+                          className={`rounded-lg p-3 text-center border transition-colors ${
+                            deliveryFilter === status ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                          }`}
+                        >
+                          <div className="text-xl font-semibold text-gray-900">{counts[status]}</div>
+                          <div className="text-xs text-gray-500 capitalize">{status}</div>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {/* Per-recipient status */}
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                        <th className="py-2 pr-4">Recipient</th>
+                        <th className="py-2 pr-4">Status</th>
+                        <th className="py-2 pr-4">Attempts</th>
+                        <th className="py-2">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {deliveries.map(delivery => (
+                        <tr key={delivery._id}>
+                          <td className="py-2 pr-4 text-gray-900">{delivery.email}</td>
+                          <td className="py-2 pr-4">
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${DELIVERY_STATUS_COLORS[delivery.status]}`}>
+                              {delivery.status}
+                            </span>
+                          </td>
+                          <td className="py-2 pr-4 text-gray-600">{delivery.attempts}</td>
+                          <td className="py-2 text-gray-500">
+                            {delivery.status === 'sent' ? formatDate(delivery.sentAt) : delivery.lastError || ''}
+                          </td>
+                        </tr>
+                      ))}
+                      {deliveries.length === 0 && (
+                        <tr>
+                          <td colSpan={4} className="py-6 text-center text-gray-500">No recipients in this state.</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                {deliveryPages > 1 && (
+                  <div className="flex justify-end items-center space-x-4 mt-4 text-sm">
+                    <button
+                      onClick={() => setDeliveryPage(prev => Math.max(prev - 1, 1))}
+                      disabled={deliveryPage === 1}
+                      className="text-blue-600 disabled:text-gray-400"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-gray-600">Page {deliveryPage} of {deliveryPages}</span>
+                    <button
+                      onClick={() => setDeliveryPage(prev => Math.min(prev + 1, deliveryPages))}
+                      disabled={deliveryPage === deliveryPages}
+                      className="text-blue-600 disabled:text-gray-400"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Preview modal */}
+        {preview && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+              <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+                <div>
+                  <p className="text-xs text-gray-500">Subject</p>
+                  <h3 className="text-lg font-semibold text-gray-900">{preview.subject}</h3>
+                </div>
+                <button onClick={() => setPreview(null)} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg">
+                  <XMarkIcon className="w-5 h-5" />
+                </button>
+              </div>
+              <div className="flex space-x-2 px-6 pt-4">
+                {(['html', 'text'] as const).map(tab => (
+                  <button
+                    key={tab}
+                    onClick={() => setPreviewTab(tab)}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                      previewTab === tab ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    {tab === 'html' ? 'HTML' : 'Plain text'}
+                  </button>
+                ))}
+              </div>
+              <div className="flex-1 overflow-auto p-6">
+                {previewTab === 'html' ? (
+                  <iframe
+                    title="Email preview"
+                    srcDoc={preview.html}
+                    sandbox=""
+                    className="w-full h-[60vh] border border-gray-200 rounded-lg"
+                  />
+                ) : (
+                  <pre className="whitespace-pre-wrap text-sm text-gray-800 font-mono">{preview.text}</pre>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default AdminNewsletter;
@@ -1,11 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { adminAPI, postsAPI } from '../../services/api';
-import { Post } from '../../types';
+import { Post, PostStatus, PostImportResult } from '../../types';
+import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import CoverFillDialog from '../../components/admin/CoverFillDialog';
+import { POST_STATUSES, POST_STATUS_LABELS, POST_STATUS_BADGES, postStatusLabel } from '../../utils/postStatus';
 
 const AdminPosts: React.FC = () => {
   const navigate = useNavigate();
+  const { user, permissions } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('All');
   const [selectedPosts, setSelectedPosts] = useState<string[]>([]);
@@ -16,12 +21,19 @@ const AdminPosts: React.FC = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [totalPosts, setTotalPosts] = useState(0);
+  const [importing, setImporting] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [importFailures, setImportFailures] = useState<PostImportResult[]>([]);
+  const importInput = useRef<HTMLInputElement>(null);
+  const [showCoverFill, setShowCoverFill] = useState(false);
+  // Filling in covers touches anyone's posts with anyone's images
+  const canFillCovers = !!permissions?.includes('post:update') && !!permissions?.includes('media:manage');
 
   // Fetch posts from API
   const fetchPosts = async () => {
     try {
       setLoading(true);
-      const statusFilter = filterStatus === 'All' ? 'all' : filterStatus.toLowerCase();
+      const statusFilter = filterStatus === 'All' ? 'all' : filterStatus;
       const response = await adminAPI.getAllPosts(currentPage, 10, statusFilter);
       setPosts(response.posts);
       setTotalPages(response.totalPages);
@@ -42,8 +54,7 @@ const AdminPosts: React.FC = () => {
   const filteredPosts = posts.filter(post => {
     const matchesSearch = post.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          post.excerpt.toLowerCase().includes(searchTerm.toLowerCase());
-    const statusValue = filterStatus.toLowerCase();
-    const matchesStatus = filterStatus === 'All' || post.status === statusValue;
+    const matchesStatus = filterStatus === 'All' || post.status === filterStatus;
     return matchesSearch && matchesStatus;
   });
 
@@ -85,19 +96,19 @@ const AdminPosts: React.FC = () => {
   };
 
   const getStatusBadge = (status: string) => {
-    const statusStyles = {
-      published: 'bg-green-100 text-green-800',
-      draft: 'bg-gray-100 text-gray-800',
-      scheduled: 'bg-blue-100 text-blue-800'
-    };
-    const capitalizedStatus = status.charAt(0).toUpperCase() + status.slice(1);
-    return `px-2 py-1 rounded-full text-xs font-medium ${statusStyles[status as keyof typeof statusStyles] || 'bg-gray-100 text-gray-800'}`;
+    return `px-2 py-1 rounded-full text-xs font-medium ${POST_STATUS_BADGES[status as PostStatus] || 'bg-gray-100 text-gray-800'}`;
   };
 
-  const handleDeletePost = async (postId: string) => {
-    if (confirm('Are you sure you want to delete this post?')) {
+  const handleDeletePost = async (post: Post) => {
+    // Deleting someone else's post asks for a reason, which is sent to its author
+    const isOwnPost = post.author?._id === (user?._id || user?.id);
+    const reason = isOwnPost
+      ? (confirm('Are you sure you want to delete this post?') ? '' : null)
+      : prompt(`Delete "${post.title}" by ${post.author?.name || 'another author'}? Let them know why:`);
+
+    if (reason !== null) {
       try {
-        await postsAPI.deletePost(postId);
+        await postsAPI.deletePost(post._id, reason.trim() || undefined);
         await fetchPosts();
       } catch (err: any) {
         console.error('Failed to delete post:', err);
@@ -106,6 +117,48 @@ const AdminPosts: React.FC = () => {
     }
   };
 
+  const handleImport = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setImporting(true);
+      const response = await postsAPI.importPosts(files);
+      setImportFailures(response.results.filter(result => result.error));
+      if (response.imported > 0) {
+        toast.success(response.message);
+        await fetchPosts();
+      } else {
+        toast.error(response.message);
+      }
+    } catch (err: any) {
+      console.error('Failed to import posts:', err);
+      toast.error(err.response?.data?.message || 'Failed to import posts');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Downloads the current user's own posts
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const blob = await postsAPI.exportPosts();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `posts-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export posts:', err);
+      toast.error('Failed to export posts');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString();
   };
@@ -120,14 +173,73 @@ const AdminPosts: React.FC = () => {
         {/* Header */}
         <div className="flex justify-between items-center mb-8">
           <h1 className="text-3xl font-bold text-gray-900">Posts</h1>
-          <button 
-            onClick={() => navigate('/admin/posts/new')}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-          >
-            + New Post
-          </button>
+          <div className="flex items-center gap-3">
+            <input
+              ref={importInput}
+              type="file"
+              accept=".md,.markdown,.zip"
+              multiple
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => importInput.current?.click()}
+              disabled={importing}
+              title="Import Markdown files with front matter, or zips of them"
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import Markdown'}
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={exporting}
+              title="Download your posts as Markdown"
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            {canFillCovers && (
+              <button
+                onClick={() => setShowCoverFill(true)}
+                title="Suggest cover images from the media library for posts without one"
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Fill Missing Covers
+              </button>
+            )}
+            <button 
+              onClick={() => navigate('/admin/posts/new')}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              + New Post
+            </button>
+          </div>
         </div>
 
+        {/* Files that could not be imported */}
+        {importFailures.length > 0 && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <div className="flex justify-between items-center mb-2">
+              <h2 className="text-sm font-semibold text-red-800">
+                {importFailures.length} {importFailures.length === 1 ? 'file was' : 'files were'} not imported
+              </h2>
+              <button
+                onClick={() => setImportFailures([])}
+                className="text-sm text-red-700 hover:text-red-900"
+              >
+                Dismiss
+              </button>
+            </div>
+            <ul className="text-sm text-red-700 space-y-1">
+              {importFailures.map((failure, index) => (
+                <li key={index}>
+                  <span className="font-medium">{failure.file}</span>: {failure.error}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Filters and Search */}
         <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
           <div className="flex flex-col md:flex-row gap-4 mb-4">
@@ -146,9 +258,9 @@ const AdminPosts: React.FC = () => {
               className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="All">All Status</option>
-              <option value="Published">Published</option>
-              <option value="Draft">Draft</option>
-              <option value="Scheduled">Scheduled</option>
+              {POST_STATUSES.map(status => (
+                <option key={status} value={status}>{POST_STATUS_LABELS[status]}</option>
+              ))}
             </select>
           </div>
 
@@ -244,7 +356,7 @@ const AdminPosts: React.FC = () => {
                       <td className="px-6 py-4 text-sm text-gray-900">{formatDate(post.createdAt)}</td>
                       <td className="px-6 py-4">
                         <span className={getStatusBadge(post.status)}>
-                          {post.status.charAt(0).toUpperCase() + post.status.slice(1)}
+                          {postStatusLabel(post.status)}
                         </span>
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-900">{post.viewCount?.toLocaleString() || 0}</td>
@@ -264,7 +376,7 @@ const AdminPosts: React.FC = () => {
                             View
                           </button>
                           <button 
-                            onClick={() => handleDeletePost(post._id)}
+                            onClick={() => handleDeletePost(post)}
                             className="text-red-600 hover:text-red-800 text-sm font-medium"
                           >
                             Delete
@@ -347,6 +459,10 @@ const AdminPosts: React.FC = () => {
           </div>
         </div>
       )}
+
+      {showCoverFill && (
+        <CoverFillDialog onClose={() => setShowCoverFill(false)} onChanged={fetchPosts} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import {
+  ClipboardDocumentCheckIcon,
+  CheckCircleIcon,
+  ArrowUturnLeftIcon,
+  ChatBubbleLeftEllipsisIcon,
+  ClockIcon,
+  UserIcon
+} from '@heroicons/react/24/outline';
+import { adminAPI, postsAPI } from '../../services/api';
+import { Post, ReviewNote, ReviewQueuePost, ReviewDecision } from '../../types';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import AdminLayout from '../../components/Layout/AdminLayout';
+
+const formatDate = (dateString?: string | null) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+interface NoteListProps {
+  notes: ReviewNote[];
+}
+
+const NoteList: React.FC<NoteListProps> = ({ notes }) => (
+  <>
+    {notes.map(note => (
+      <div
+        key={note._id}
+        className={`text-sm rounded-md px-3 py-2 ${note.resolved ? 'bg-gray-50 text-gray-500' : 'bg-yellow-50 text-gray-800'}`}
+      >
+        <span className="font-medium">{note.author?.name || 'A deleted user'}: </span>
+        <span className="whitespace-pre-wrap">{note.body}</span>
+        {note.resolved && <span className="ml-2 text-xs text-green-700">Resolved</span>}
+      </div>
+    ))}
+  </>
+);
+
+const AdminReviewQueue: React.FC = () => {
+  const [queue, setQueue] = useState<ReviewQueuePost[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalPosts, setTotalPosts] = useState(0);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [post, setPost] = useState<Post | null>(null);
+  const [notes, setNotes] = useState<ReviewNote[]>([]);
+  const [postLoading, setPostLoading] = useState(false);
+  // Line the reviewer is writing an inline note for
+  const [noteLine, setNoteLine] = useState<number | null>(null);
+  const [noteBody, setNoteBody] = useState('');
+  const [decisionNote, setDecisionNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getReviewQueue(currentPage, 10);
+      setQueue(response.posts);
+      setTotalPages(response.totalPages || 1);
+      setTotalPosts(response.totalPosts);
+    } catch (error: any) {
+      console.error('Error fetching review queue:', error);
+      toast.error(error.response?.data?.message || 'Failed to load review queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueue();
+  }, [currentPage]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const loadPost = async () => {
+      try {
+        setPostLoading(true);
+        const [postResponse, notesResponse] = await Promise.all([
+          postsAPI.getPost(selectedId),
+          postsAPI.getReviewNotes(selectedId)
+        ]);
+        setPost(postResponse.post);
+        setNotes(notesResponse.notes);
+      } catch (error: any) {
+        console.error('Error loading post for review:', error);
+        toast.error(error.response?.data?.message || 'Failed to load post');
+      } finally {
+        setPostLoading(false);
+      }
+    };
+
+    setNoteLine(null);
+    setNoteBody('');
+    setDecisionNote('');
+    loadPost();
+  }, [selectedId]);
+
+  const addNote = async () => {
+    if (!selectedId || !noteBody.trim()) return;
+
+    try {
+      setSaving(true);
+      const response = await postsAPI.addReviewNote(selectedId, noteBody.trim(), noteLine);
+      setNotes(current => [...current, response.note]);
+      setQueue(current => current.map(item =>
+        item._id === selectedId ? { ...item, openNotes: item.openNotes + 1 } : item
+      ));
+      setNoteLine(null);
+      setNoteBody('');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to add note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const decide = async (decision: ReviewDecision) => {
+    if (!selectedId) return;
+
+    try {
+      setSaving(true);
+      const response = await postsAPI.reviewPost(selectedId, decision, decisionNote.trim());
+      toast.success(response.message);
+      setSelectedId(null);
+      setPost(null);
+      await fetchQueue();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to review post');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const lines = post ? post.content.split('\n') : [];
+  const generalNotes = notes.filter(note => !note.line);
+
+  return (
+    <AdminLayout>
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <ClipboardDocumentCheckIcon className="w-8 h-8 mr-3 text-purple-500" />
+            Review Queue
+          </h1>
+          <p className="text-gray-600">
+            {totalPosts} {totalPosts === 1 ? 'post is' : 'posts are'} waiting for review. Click a line number to leave an inline note.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Queue */}
+          <div className="bg-white rounded-lg shadow">
+            {loading ? (
+              <div className="flex items-center justify-center h-32">
+                <LoadingSpinner />
+              </div>
+            ) : queue.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">Nothing to review right now.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {queue.map(item => (
+                  <li key={item._id}>
+                    <button
+                      onClick={() => setSelectedId(item._id)}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selectedId === item._id ? 'bg-purple-50' : ''}`}
+                    >
+                      <p className="font-medium text-gray-900">{item.title}</p>
+                      <div className="mt-1 flex items-center text-xs text-gray-500 space-x-3">
+                        <span className="flex items-center">
+                          <UserIcon className="w-3 h-3 mr-1" />
+                          {item.author?.name || 'Unknown'}
+                        </span>
+                        <span className="flex items-center">
+                          <ClockIcon className="w-3 h-3 mr-1" />
+                          {formatDate(item.submittedAt)}
+                        </span>
+                        {item.openNotes > 0 && (
+                          <span className="flex items-center text-orange-600">
+                            <ChatBubbleLeftEllipsisIcon className="w-3 h-3 mr-1" />
+                            {item.openNotes}
+                          </span>
+                        )}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {totalPages > 1 && (
+              <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+                <button
+                  onClick={() => setCurrentPage(currentPage - 1)}
+                  disabled={currentPage === 1}
+                  className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {currentPage} of {totalPages}</span>
+                <button
+                  onClick={() => setCurrentPage(currentPage + 1)}
+                  disabled={currentPage === totalPages}
+                  className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Selected post */}
+          <div className="lg:col-span-2">
+            {!selectedId ? (
+              <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+                Select a post to review it.
+              </div>
+            ) : postLoading || !post ? (
+              <div className="bg-white rounded-lg shadow flex items-center justify-center h-64">
+                <LoadingSpinner />
+              </div>
+            ) : (
+              <div className="space-y-6">
+                <div className="bg-white rounded-lg shadow p-6">
+                  <h2 className="text-2xl font-bold text-gray-900">{post.title}</h2>
+                  <p className="text-sm text-gray-500 mt-1">by {post.author?.name || 'Unknown'}</p>
+                  {post.excerpt && <p className="mt-3 text-gray-700 italic">{post.excerpt}</p>}
+                </div>
+
+                {/* Content with inline notes */}
+                <div className="bg-white rounded-lg shadow overflow-hidden">
+                  <div className="font-mono text-sm">
+                    {lines.map((line, index) => {
+                      const lineNumber = index + 1;
+                      const lineNotes = notes.filter(note => note.line === lineNumber);
+
+                      return (
+                        <div key={lineNumber} className="border-b border-gray-50 last:border-0">
+                          <div className="flex">
+                            <button
+                              onClick={() => {
+                                setNoteLine(lineNumber);
+                                setNoteBody('');
+                              }}
+                              title="Add a note on this line"
+                              className="w-12 flex-shrink-0 text-right pr-3 text-gray-400 hover:text-purple-600 hover:bg-purple-50 select-none"
+                            >
+                              {lineNumber}
+                            </button>
+                            <pre className="flex-1 px-3 whitespace-pre-wrap break-words text-gray-800">{line || ' '}</pre>
+                          </div>
+
+                          {(lineNotes.length > 0 || noteLine === lineNumber) && (
+                            <div className="ml-12 px-3 py-2 space-y-2 font-sans">
+                              <NoteList notes={lineNotes} />
+
+                              {noteLine === lineNumber && (
+                                <div className="space-y-2">
+                                  <textarea
+                                    value={noteBody}
+                                    onChange={(e) => setNoteBody(e.target.value)}
+                                    rows={2}
+                                    maxLength={2000}
+                                    autoFocus
+                                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                                    placeholder={`Note on line ${lineNumber}...`}
+                                  />
+                                  <div className="flex space-x-2">
+                                    <button
+                                      onClick={addNote}
+                                      disabled={saving || !noteBody.trim()}
+                                      className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                                    >
+                                      Add Note
+                                    </button>
+                                    <button
+                                      onClick={() => setNoteLine(null)}
+                                      className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                                    >
+                                      Cancel
+                                    </button>
+                                  </div>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                {/* Decision */}
+                <div className="bg-white rounded-lg shadow p-6 space-y-4">
+                  {generalNotes.length > 0 && (
+                    <div className="space-y-2">
+                      <h3 className="text-sm font-semibold text-gray-700">Earlier notes</h3>
+                      <NoteList notes={generalNotes} />
+                    </div>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Note to the author
+                    </label>
+                    <textarea
+                      value={decisionNote}
+                      onChange={(e) => setDecisionNote(e.target.value)}
+                      rows={3}
+                      maxLength={2000}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent resize-y"
+                      placeholder="Required when requesting changes, unless you left inline notes"
+                    />
+                  </div>
+
+                  <div className="flex justify-end space-x-3">
+                    <button
+                      onClick={() => decide('request_changes')}
+                      disabled={saving}
+                      className="px-4 py-2 border border-orange-300 text-orange-700 rounded-lg hover:bg-orange-50 disabled:opacity-50 flex items-center"
+                    >
+                      <ArrowUturnLeftIcon className="w-4 h-4 mr-2" />
+                      Request Changes
+                    </button>
+                    <button
+                      onClick={() => decide('approve')}
+                      disabled={saving}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center"
+                    >
+                      <CheckCircleIcon className="w-4 h-4 mr-2" />
+                      Approve
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </AdminLayout>
+  );
+};
+
+export default AdminReviewQueue;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { FiMail } from 'react-icons/fi';
+import { authAPI } from '../../services/api';
+
+interface ForgotPasswordFormData {
+  email: string;
+}
+
+const ForgotPassword: React.FC = () => {
+  const [submitting, setSubmitting] = useState(false);
+  const [sentTo, setSentTo] = useState<string | null>(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm<ForgotPasswordFormData>();
+
+  const onSubmit = async (data: ForgotPasswordFormData) => {
+    try {
+      setSubmitting(true);
+      await authAPI.forgotPassword(data.email);
+      setSentTo(data.email);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to send reset email');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Remembered it?{' '}
+            <Link
+              to="/login"
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+
+        {sentTo ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-center">
+            <FiMail className="w-10 h-10 mx-auto text-blue-600 mb-4" />
+            <p className="text-gray-900 font-medium mb-2">Check your inbox</p>
+            <p className="text-sm text-gray-600">
+              If an account exists for <span className="font-medium">{sentTo}</span>, we've sent a link to reset your password.
+            </p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <p className="text-sm text-gray-600">
+              Enter the email address you signed up with and we'll send you a link to choose a new password.
+            </p>
+
+            <div>
+              <label htmlFor="email" className="sr-only">
+                Email address
+              </label>
+              <input
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address'
+                  }
+                })}
+                type="email"
+                autoComplete="email"
+                placeholder="Email address"
+                className="form-input"
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className="btn btn-primary w-full flex justify-center items-center"
+            >
+              {submitting ? (
+                <>
+                  <div className="loading-spinner w-4 h-4 mr-2" />
+                  Sending...
+                </>
+              ) : (
+                'Send reset link'
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
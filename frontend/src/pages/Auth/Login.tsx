@@ -1,5 +1,5 @@
 import React, { useEffect } from 'react';
-import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
 import { LoginFormData } from '../../types';
@@ -8,6 +8,8 @@ const Login: React.FC = () => {
   const { login, loading, user } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const passwordWasReset = searchParams.get('reset') === '1';
 
   const {
     register,
@@ -62,6 +64,12 @@ const Login: React.FC = () => {
             </Link>
           </p>
         </div>
+
+        {passwordWasReset && (
+          <div className="rounded-md bg-green-50 border border-green-200 p-4 text-sm text-green-800">
+            Your password has been reset. Sign in with your new password.
+          </div>
+        )}
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
           <div className="space-y-4">
@@ -108,6 +116,15 @@ const Login: React.FC = () => {
             </div>
           </div>
 
+          <div className="flex justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-primary-600 hover:text-primary-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
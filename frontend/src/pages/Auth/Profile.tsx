@@ -2,6 +2,8 @@ import React, { useState, useRef } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { toast } from 'react-toastify';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import ActiveSessions from '../../components/Auth/ActiveSessions';
+import EmailVerificationBanner from '../../components/Auth/EmailVerificationBanner';
 
 const Profile: React.FC = () => {
   const { user, updateProfile, loading } = useAuth();
@@ -186,6 +188,8 @@ const Profile: React.FC = () => {
 
           {/* Content */}
           <div className="p-6">
+            {user.emailVerified === false && <EmailVerificationBanner email={user.email} />}
+
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-xl font-semibold text-gray-900">Profile Information</h2>
               {!isEditing ? (
@@ -258,6 +262,11 @@ const Profile: React.FC = () => {
                 </label>
                 <div className="px-3 py-2 bg-gray-50 rounded-md text-gray-500">
                   {user.email}
+                  {user.emailVerified && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      Verified
+                    </span>
+                  )}
                   <span className="text-xs ml-2">(cannot be changed)</span>
                 </div>
               </div>
@@ -349,6 +358,9 @@ const Profile: React.FC = () => {
             </form>
           </div>
         </div>
+
+        {/* Signed-in devices */}
+        <ActiveSessions />
       </div>
     </div>
   );
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { authAPI, clearStoredAuth } from '../../services/api';
+
+interface ResetPasswordFormData {
+  password: string;
+  confirmPassword: string;
+}
+
+const ResetPassword: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [submitting, setSubmitting] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch
+  } = useForm<ResetPasswordFormData>();
+
+  const onSubmit = async (data: ResetPasswordFormData) => {
+    try {
+      setSubmitting(true);
+      await authAPI.resetPassword(token, data.password);
+
+      // Every session was revoked server-side, including this browser's;
+      // reload so the auth state is cleared as well
+      clearStoredAuth();
+      window.location.href = '/login?reset=1';
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Invalid reset link</h1>
+          <p className="text-gray-600 mb-6">This link is missing its token. Request a new one to continue.</p>
+          <Link to="/forgot-password" className="btn btn-primary">
+            Request a new link
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            You'll be signed out on every device once your password is changed.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+          <div className="space-y-4">
+            {/* Password */}
+            <div>
+              <label htmlFor="password" className="sr-only">
+                New password
+              </label>
+              <input
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: {
+                    value: 6,
+                    message: 'Password must be at least 6 characters'
+                  }
+                })}
+                type="password"
+                autoComplete="new-password"
+                placeholder="New password"
+                className="form-input"
+              />
+              {errors.password && (
+                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+              )}
+            </div>
+
+            {/* Confirm Password */}
+            <div>
+              <label htmlFor="confirmPassword" className="sr-only">
+                Confirm new password
+              </label>
+              <input
+                {...register('confirmPassword', {
+                  required: 'Please confirm your password',
+                  validate: value => value === watch('password') || 'Passwords do not match'
+                })}
+                type="password"
+                autoComplete="new-password"
+                placeholder="Confirm new password"
+                className="form-input"
+              />
+              {errors.confirmPassword && (
+                <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+              )}
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="btn btn-primary w-full flex justify-center items-center"
+          >
+            {submitting ? (
+              <>
+                <div className="loading-spinner w-4 h-4 mr-2" />
+                Saving...
+              </>
+            ) : (
+              'Reset password'
+            )}
+          </button>
+
+          <p className="text-center text-sm text-gray-600">
+            Link expired?{' '}
+            <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
+              Request a new one
+            </Link>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
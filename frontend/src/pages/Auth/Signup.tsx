@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
 import { useAuth } from '../../contexts/AuthContext';
 import { SignupFormData } from '../../types';
 
@@ -36,6 +37,7 @@ const Signup: React.FC = () => {
         profileImage: profileImage || undefined
       };
       await signup(formData);
+      toast.info(`We've sent a verification link to ${data.email}`);
       
       // Redirect to user panel after successful signup
       navigate('/user/panel');
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+type VerifyStatus = 'verifying' | 'verified' | 'failed';
+
+const VerifyEmail: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const { user, refreshUser } = useAuth();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<VerifyStatus>(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  // Tokens are single-use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setStatus('verified');
+        setMessage(response.message);
+      } catch (error: any) {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Update the signed-in user's badge once their email is confirmed
+  useEffect(() => {
+    if (status === 'verified' && user && !user.emailVerified) {
+      refreshUser().catch(error => console.error('Error refreshing user:', error));
+    }
+  }, [status, user]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <FiCheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <Link to={user ? '/profile' : '/login'} className="btn btn-primary">
+              {user ? 'Go to your profile' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <FiXCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <p className="text-sm text-gray-500">
+              {user
+                ? <>You can request a new link from your <Link to="/profile" className="text-primary-600 hover:text-primary-500">profile</Link>.</>
+                : <>Sign in to request a new link from your profile. <Link to="/login" className="text-primary-600 hover:text-primary-500">Sign in</Link></>
+              }
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { FiRss } from 'react-icons/fi';
+import { postsAPI, getFeedURL } from '../services/api';
+import ResponsiveImage from '../components/UI/ResponsiveImage';
+import { Post } from '../types';
+
+const AuthorPosts: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const [posts, setPosts] = useState<Post[]>([]);
+  const [totalPosts, setTotalPosts] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    fetchAuthorPosts();
+  }, [id, currentPage]);
+
+  const fetchAuthorPosts = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await postsAPI.getPosts({
+        author: id,
+        page: currentPage,
+        limit: 12
+      });
+      setPosts(response.posts);
+      setTotalPosts(response.totalPosts);
+      setTotalPages(response.totalPages);
+    } catch (err: any) {
+      setError('Failed to fetch posts');
+      console.error('Error fetching author posts:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  };
+
+  const author = posts[0]?.author;
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="animate-pulse">
+            <div className="h-8 bg-gray-200 rounded w-64 mb-8"></div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+              {[...Array(6)].map((_, index) => (
+                <div key={index} className="bg-white rounded-lg shadow-sm border border-gray-200">
+                  <div className="h-48 bg-gray-200 rounded-t-lg"></div>
+                  <div className="p-6">
+                    <div className="h-6 bg-gray-200 rounded w-full mb-2"></div>
+                    <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Error</h1>
+          <p className="text-gray-600 mb-6">{error}</p>
+          <button
+            onClick={() => window.location.reload()}
+            className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <nav className="flex items-center space-x-2 text-sm text-gray-500 mb-4">
+            <Link to="/" className="hover:text-gray-700 transition-colors">
+              Home
+            </Link>
+            <span>•</span>
+            <span>Authors</span>
+            <span>•</span>
+            <span className="text-gray-900 font-medium">{author?.name || 'Author'}</span>
+          </nav>
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              {author?.profileImage ? (
+                <ResponsiveImage
+                  src={author.profileImage}
+                  variants={author.profileImageVariants}
+                  use={['thumbnail']}
+                  sizes="56px"
+                  alt={author.name}
+                  className="w-14 h-14 rounded-full object-cover"
+                />
+              ) : (
+                <div className="w-14 h-14 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center text-xl font-semibold">
+                  {(author?.name || '?').charAt(0).toUpperCase()}
+                </div>
+              )}
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900 mb-1">
+                  {author ? `Posts by ${author.name}` : 'Author Posts'}
+                </h1>
+                <p className="text-gray-600">
+                  {totalPosts > 0
+                    ? `${totalPosts} post${totalPosts === 1 ? '' : 's'} published`
+                    : 'No posts found'
+                  }
+                </p>
+              </div>
+            </div>
+
+            <a
+              href={getFeedURL(`/author/${id}/feed.xml`)}
+              className="hidden sm:inline-flex items-center px-4 py-2 rounded-full text-sm font-medium bg-orange-100 text-orange-800 hover:bg-orange-200 transition-colors"
+            >
+              <FiRss className="w-4 h-4 mr-1" />
+              RSS
+            </a>
+          </div>
+        </div>
+
+        {/* Posts Grid */}
+        {posts.length > 0 ? (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 mb-12">
+              {posts.map((post) => (
+                <article key={post._id} className="group">
+                  <Link to={`/post/${post.slug}`} className="block">
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden hover:shadow-md transition-shadow duration-300">
+                      {post.coverImage && (
+                        <div className="relative overflow-hidden">
+                          <ResponsiveImage
+                            src={post.coverImage}
+                            variants={post.coverImageVariants}
+                            use={['card', 'hero']}
+                            sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+                            alt={post.title}
+                            className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
+                          />
+                        </div>
+                      )}
+
+                      <div className="p-6">
+                        <h3 className="text-lg font-semibold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2 mb-2">
+                          {post.title}
+                        </h3>
+
+                        {post.excerpt && (
+                          <p className="text-gray-600 text-sm line-clamp-3 mb-4">
+                            {post.excerpt}
+                          </p>
+                        )}
+
+                        <div className="flex items-center justify-between text-xs text-gray-500">
+                          <span>{formatDate(post.publishedAt || post.createdAt)}</span>
+                          {post.readingTime && (
+                            <span>{post.readingTime} min read</span>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  </Link>
+                </article>
+              ))}
+            </div>
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex justify-center">
+                <nav className="flex items-center space-x-2">
+                  <button
+                    onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                    disabled={currentPage === 1}
+                    className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <span className="px-3 py-2 text-sm text-gray-600">
+                    Page {currentPage} of {totalPages}
+                  </span>
+                  <button
+                    onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                    disabled={currentPage === totalPages}
+                    className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </nav>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-16">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No posts yet</h3>
+            <p className="text-gray-500 mb-6">This author hasn't published anything yet.</p>
+            <Link
+              to="/"
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Browse All Posts
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthorPosts;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { postsAPI } from '../services/api';
+import ResponsiveImage from '../components/UI/ResponsiveImage';
 import { Post } from '../types';
 
 const CategoryPosts: React.FC = () => {
@@ -138,8 +139,11 @@ const CategoryPosts: React.FC = () => {
                       {/* Cover Image */}
                       {post.coverImage && (
                         <div className="relative overflow-hidden">
-                          <img
+                          <ResponsiveImage
                             src={post.coverImage}
+                            variants={post.coverImageVariants}
+                            use={['card', 'hero']}
+                            sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
                             alt={post.title}
                             className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                             onError={(e) => {
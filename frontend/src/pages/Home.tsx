@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useBlog } from '../contexts/BlogContext';
+import ResponsiveImage from '../components/UI/ResponsiveImage';
+import { ImageVariants } from '../types';
 
 // Mock data with diverse content types
 const mockPosts = [
@@ -611,7 +613,7 @@ const Home: React.FC = () => {
       });
 
       if (response.ok) {
-        setSubscriptionMessage('Thank you for subscribing! You\'ll receive our latest updates.');
+        setSubscriptionMessage('Thank you for subscribing! Check your inbox and click the link to confirm your subscription.');
         setEmail('');
       } else {
         const errorData = await response.json();
@@ -633,6 +635,9 @@ const Home: React.FC = () => {
     return imagePath;
   };
 
+  // Mock posts have no variants, so they are shown as they are
+  const getImageVariants = (post: { _id: string; coverImageVariants?: ImageVariants | null }) => post.coverImageVariants;
+
   // Use mock data if no real posts are available
   const displayPosts = posts.length > 0 ? posts : mockPosts;
   const featuredPost = displayPosts[0];
@@ -678,8 +683,11 @@ const Home: React.FC = () => {
               <article className="group cursor-pointer">
                 <Link to={`/post/${featuredPost.slug}`}>
                   <div className="relative overflow-hidden rounded-2xl mb-6">
-                    <img
+                    <ResponsiveImage
                       src={getImageUrl(featuredPost.coverImage)}
+                      variants={getImageVariants(featuredPost)}
+                      use={['card', 'hero']}
+                      sizes="(min-width: 1024px) 66vw, 100vw"
                       alt={featuredPost.title}
                       className="w-full h-96 object-cover group-hover:scale-105 transition-transform duration-500"
                       onError={(e) => {
@@ -752,8 +760,11 @@ const Home: React.FC = () => {
                   <article key={post._id} className="group">
                     <Link to={`/post/${post.slug}`} className="flex space-x-4">
                       <div className="flex-shrink-0">
-                        <img
+                        <ResponsiveImage
                           src={getImageUrl(post.coverImage)}
+                          variants={getImageVariants(post)}
+                          use={['thumbnail']}
+                          sizes="80px"
                           alt={post.title}
                           className="w-20 h-20 object-cover rounded-lg group-hover:scale-105 transition-transform duration-300"
                           onError={(e) => {
@@ -912,8 +923,11 @@ const Home: React.FC = () => {
                   <article key={post._id} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
-                        <img
+                        <ResponsiveImage
                           src={getImageUrl(post.coverImage)}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
@@ -968,8 +982,11 @@ const Home: React.FC = () => {
                   <article key={post._id || `mock-${index + 8}`} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
-                        <img
+                        <ResponsiveImage
                           src={getImageUrl(post.coverImage)}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
@@ -1024,8 +1041,11 @@ const Home: React.FC = () => {
                   <article key={post._id || `mock-${index + 11}`} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
-                        <img
+                        <ResponsiveImage
                           src={getImageUrl(post.coverImage)}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
@@ -1108,8 +1128,11 @@ const Home: React.FC = () => {
                   <article key={post._id || `more-${index + 14}`} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-3">
-                        <img
+                        <ResponsiveImage
                           src={getImageUrl(post.coverImage)}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-40 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
@@ -1178,8 +1201,11 @@ const Home: React.FC = () => {
                   <article key={post._id || `blog-${index + 18}`} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
-                        <img
+                        <ResponsiveImage
                           src={getImageUrl(post.coverImage)}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
@@ -1245,8 +1271,11 @@ const Home: React.FC = () => {
                         <Link to={`/post/${post.slug}`} className="flex space-x-3">
                           <div className="flex-shrink-0">
                           {post.coverImage ? (
-                            <img
+                            <ResponsiveImage
                               src={post.coverImage}
+                              variants={getImageVariants(post)}
+                              use={['thumbnail']}
+                              sizes="64px"
                               alt={post.title}
                               className="w-16 h-16 object-cover rounded-lg group-hover:scale-105 transition-transform duration-300"
                             />
@@ -1302,8 +1331,11 @@ const Home: React.FC = () => {
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
                         {post.coverImage ? (
-                          <img
+                          <ResponsiveImage
                             src={post.coverImage}
+                            variants={getImageVariants(post)}
+                            use={['card', 'hero']}
+                            sizes="(min-width: 768px) 33vw, 100vw"
                             alt={post.title}
                             className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                           />
@@ -1363,8 +1395,11 @@ const Home: React.FC = () => {
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
                         {post.coverImage ? (
-                          <img
+                          <ResponsiveImage
                             src={post.coverImage}
+                            variants={getImageVariants(post)}
+                            use={['card', 'hero']}
+                            sizes="(min-width: 768px) 33vw, 100vw"
                             alt={post.title}
                             className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                           />
@@ -1423,8 +1458,11 @@ const Home: React.FC = () => {
                   <article key={post._id || `blog-row4-${index + 5}`} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
-                        <img
+                        <ResponsiveImage
                           src={post.coverImage}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
@@ -1480,8 +1518,11 @@ const Home: React.FC = () => {
                   <article key={post._id || `blog-row5-${index + 8}`} className="group">
                     <Link to={`/post/${post.slug}`} className="block">
                       <div className="relative overflow-hidden rounded-lg mb-4">
-                        <img
+                        <ResponsiveImage
                           src={post.coverImage}
+                          variants={getImageVariants(post)}
+                          use={['card', 'hero']}
+                          sizes="(min-width: 768px) 33vw, 100vw"
                           alt={post.title}
                           className="w-full h-48 object-cover group-hover:scale-105 transition-transform duration-300"
                         />
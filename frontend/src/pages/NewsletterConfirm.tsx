@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import { newsletterAPI } from '../services/api';
+
+type ConfirmStatus = 'confirming' | 'confirmed' | 'failed';
+
+const NewsletterConfirm: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<ConfirmStatus>(token ? 'confirming' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is missing its token.');
+  // Avoid sending the confirmation twice when effects run twice in development
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const confirm = async () => {
+      try {
+        const response = await newsletterAPI.confirmSubscription(token);
+        setStatus('confirmed');
+        setMessage(response.message);
+      } catch (error: any) {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to confirm your subscription');
+      }
+    };
+
+    confirm();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
+        {status === 'confirming' && (
+          <>
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Confirming your subscription...</p>
+          </>
+        )}
+
+        {status === 'confirmed' && (
+          <>
+            <FiCheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Subscription confirmed</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <Link to="/" className="btn btn-primary">
+              Back to the blog
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <FiXCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Confirmation failed</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <p className="text-sm text-gray-500">
+              Confirmation links expire after a while. You can <Link to="/" className="text-primary-600 hover:text-primary-500">subscribe again</Link> to get a new one.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterConfirm;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { 
   FiCalendar, 
@@ -17,16 +17,33 @@ import {
   FiSend,
   FiBookmark,
   FiMaximize2,
-  FiX
+  FiX,
+  FiLayers,
+  FiChevronLeft
 } from 'react-icons/fi';
 import { useAuth } from '../contexts/AuthContext';
-import { postsAPI, commentsAPI } from '../services/api';
+import ResponsiveImage from '../components/UI/ResponsiveImage';
+import { postsAPI, commentsAPI, getFeedURL } from '../services/api';
 import { Post, Comment } from '../types';
 
 interface CommentWithReplies extends Comment {
   replies: CommentWithReplies[];
 }
 
+// document.referrer keeps naming the page that opened the app, so it only says how
+// the reader got to a post when that post is the page they landed on. Posts opened
+// from within the app send none and the API counts them as internal.
+const landingPath = window.location.pathname;
+let landingReferrerSent = false;
+
+const referrerForView = () => {
+  if (landingReferrerSent || window.location.pathname !== landingPath) {
+    return undefined;
+  }
+  landingReferrerSent = true;
+  return document.referrer;
+};
+
 const PostDetail: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
@@ -46,19 +63,24 @@ const PostDetail: React.FC = () => {
   const [liked, setLiked] = useState(false);
   const [likeCount, setLikeCount] = useState(0);
   const [bookmarked, setBookmarked] = useState(false);
+  const [relatedPosts, setRelatedPosts] = useState<Post[]>([]);
 
   useEffect(() => {
     if (id) {
+      // Following a "read next" link reuses this page, so start again from the top
+      window.scrollTo(0, 0);
       loadPost();
       loadComments();
+      loadRelatedPosts();
     }
   }, [id]);
 
   const loadPost = async () => {
     try {
       setLoading(true);
-      const response = await postsAPI.getPost(id!);
+      const response = await postsAPI.getPost(id!, referrerForView());
       setPost(response.post);
+      setLiked(!!response.post.likedByMe);
       setLikeCount(response.post.likeCount);
     } catch (error: any) {
       console.error('Error loading post:', error);
@@ -69,6 +91,16 @@ const PostDetail: React.FC = () => {
     }
   };
 
+  const loadRelatedPosts = async () => {
+    try {
+      const response = await postsAPI.getRelatedPosts(id!, 3);
+      setRelatedPosts(response.posts);
+    } catch (error) {
+      // Recommendations are optional; unpublished posts have none
+      setRelatedPosts([]);
+    }
+  };
+
   const loadComments = async () => {
     try {
       setCommentsLoading(true);
@@ -104,15 +136,46 @@ const PostDetail: React.FC = () => {
     }
 
     try {
-      await postsAPI.likePost(post!._id);
-      setLiked(!liked);
-      setLikeCount(prev => liked ? prev - 1 : prev + 1);
+      const response = liked
+        ? await postsAPI.unlikePost(post!._id)
+        : await postsAPI.likePost(post!._id);
+      setLiked(response.liked);
+      setLikeCount(response.likeCount);
     } catch (error: any) {
       console.error('Error liking post:', error);
       toast.error('Failed to like post');
     }
   };
 
+  const updateCommentLike = (
+    list: CommentWithReplies[],
+    commentId: string,
+    liked: boolean,
+    likeCount: number
+  ): CommentWithReplies[] =>
+    list.map((comment) =>
+      comment._id === commentId
+        ? { ...comment, likedByMe: liked, likeCount }
+        : { ...comment, replies: updateCommentLike(comment.replies || [], commentId, liked, likeCount) }
+    );
+
+  const handleCommentLike = async (comment: CommentWithReplies) => {
+    if (!user) {
+      setShowAuthModal(true);
+      return;
+    }
+
+    try {
+      const response = comment.likedByMe
+        ? await commentsAPI.unlikeComment(comment._id)
+        : await commentsAPI.likeComment(comment._id);
+      setComments(prev => updateCommentLike(prev, comment._id, response.liked, response.likeCount));
+    } catch (error: any) {
+      console.error('Error liking comment:', error);
+      toast.error('Failed to like comment');
+    }
+  };
+
   const handleComment = async () => {
     if (!user) {
       setShowAuthModal(true);
@@ -168,13 +231,15 @@ const PostDetail: React.FC = () => {
     if (!post) return;
     
     const url = window.location.href;
+    // Social networks get the API's preview page, which carries the Open Graph tags
+    const previewUrl = new URL(getFeedURL(`/share/post/${encodeURIComponent(post.slug)}`), window.location.origin).toString();
     const title = post.title;
     const text = post.excerpt;
     
     const shareUrls = {
-      facebook: `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`,
-      twitter: `https://twitter.com/intent/tweet?url=${encodeURIComponent(url)}&text=${encodeURIComponent(title)}`,
-      linkedin: `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`,
+      facebook: `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(previewUrl)}`,
+      twitter: `https://twitter.com/intent/tweet?url=${encodeURIComponent(previewUrl)}&text=${encodeURIComponent(title)}`,
+      linkedin: `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(previewUrl)}`,
       email: `mailto:?subject=${encodeURIComponent(title)}&body=${encodeURIComponent(text + '\n\n' + url)}`
     };
     
@@ -195,8 +260,11 @@ const PostDetail: React.FC = () => {
         <div className="flex items-start space-x-3">
           <div className="flex-shrink-0">
             {comment.author.profileImage ? (
-              <img 
-                src={comment.author.profileImage} 
+              <ResponsiveImage
+                src={comment.author.profileImage}
+                variants={comment.author.profileImageVariants}
+                use={['thumbnail']}
+                sizes="32px"
                 alt={comment.author.name}
                 className="w-8 h-8 rounded-full object-cover"
               />
@@ -217,7 +285,10 @@ const PostDetail: React.FC = () => {
             <p className="text-gray-700 mb-3">{comment.content}</p>
             
             <div className="flex items-center space-x-4 text-sm">
-              <button className="text-gray-500 hover:text-blue-600 transition-colors">
+              <button
+                onClick={() => handleCommentLike(comment)}
+                className={`transition-colors ${comment.likedByMe ? 'text-red-500' : 'text-gray-500 hover:text-blue-600'}`}
+              >
                 <FiHeart className="w-4 h-4 inline mr-1" />
                 {comment.likeCount}
               </button>
@@ -322,7 +393,9 @@ const PostDetail: React.FC = () => {
             <div className="flex flex-wrap items-center space-x-6 text-sm text-gray-600 mb-6">
               <div className="flex items-center">
                 <FiUser className="w-4 h-4 mr-2" />
-                <span>{post.author.name}</span>
+                <Link to={`/author/${post.author._id}`} className="hover:text-blue-600 transition-colors">
+                  {post.author.name}
+                </Link>
               </div>
               <div className="flex items-center">
                 <FiCalendar className="w-4 h-4 mr-2" />
@@ -343,8 +416,11 @@ const PostDetail: React.FC = () => {
         {/* Featured Image */}
         {post.coverImage && post.coverImage.trim() !== '' && (
           <div className="max-w-4xl mx-auto px-4 py-8">
-            <img
+            <ResponsiveImage
               src={post.coverImage}
+              variants={post.coverImageVariants}
+              use={['card', 'hero']}
+              sizes="(min-width: 896px) 864px, 100vw"
               alt={post.title}
               className="w-full h-64 md:h-96 object-cover rounded-xl shadow-lg"
               onError={(e) => {
@@ -388,6 +464,19 @@ const PostDetail: React.FC = () => {
 
         {/* Main Content */}
         <div className="max-w-4xl mx-auto px-4 pb-12">
+          {/* Series */}
+          {post.series && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6 flex items-center text-sm">
+              <FiLayers className="w-5 h-5 mr-3 text-blue-600 flex-shrink-0" />
+              <span className="text-gray-600">
+                Part {post.series.position} of {post.series.total} in{' '}
+                <Link to={`/series/${post.series.slug}`} className="font-medium text-blue-600 hover:text-blue-800">
+                  {post.series.title}
+                </Link>
+              </span>
+            </div>
+          )}
+
           <article className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mb-8">
             {/* Excerpt */}
             {post.excerpt && (
@@ -407,6 +496,36 @@ const PostDetail: React.FC = () => {
             />
           </article>
 
+          {/* Series Navigation */}
+          {post.series && (post.series.previous || post.series.next) && (
+            <div className="grid grid-cols-2 gap-4 mb-8">
+              {post.series.previous ? (
+                <Link
+                  to={`/post/${post.series.previous.slug}`}
+                  className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 hover:shadow-md transition-shadow"
+                >
+                  <span className="flex items-center text-xs text-gray-500 mb-1">
+                    <FiChevronLeft className="w-4 h-4 mr-1" />
+                    Previous part
+                  </span>
+                  <span className="font-medium text-gray-900">{post.series.previous.title}</span>
+                </Link>
+              ) : <div />}
+              {post.series.next && (
+                <Link
+                  to={`/post/${post.series.next.slug}`}
+                  className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 hover:shadow-md transition-shadow text-right"
+                >
+                  <span className="flex items-center justify-end text-xs text-gray-500 mb-1">
+                    Next part
+                    <FiChevronRight className="w-4 h-4 ml-1" />
+                  </span>
+                  <span className="font-medium text-gray-900">{post.series.next.title}</span>
+                </Link>
+              )}
+            </div>
+          )}
+
           {/* Share Section */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Share Post</h3>
@@ -469,8 +588,11 @@ const PostDetail: React.FC = () => {
                 <div className="flex space-x-3">
                   <div className="flex-shrink-0">
                     {user.profileImage ? (
-                      <img 
-                        src={user.profileImage} 
+                      <ResponsiveImage
+                        src={user.profileImage}
+                        variants={user.profileImageVariants}
+                        use={['thumbnail']}
+                        sizes="40px"
                         alt={user.name}
                         className="w-10 h-10 rounded-full object-cover"
                       />
@@ -520,6 +642,49 @@ const PostDetail: React.FC = () => {
               </div>
             )}
           </div>
+
+          {/* Read Next */}
+          {relatedPosts.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Read Next</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {relatedPosts.map((related) => (
+                  <Link
+                    key={related._id}
+                    to={`/post/${related.slug}`}
+                    className="group bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden hover:shadow-md transition-shadow"
+                  >
+                    {related.coverImage && related.coverImage.trim() !== '' && (
+                      <ResponsiveImage
+                        src={related.coverImage}
+                        variants={related.coverImageVariants}
+                        use={['card']}
+                        sizes="(min-width: 768px) 33vw, 100vw"
+                        alt={related.title}
+                        className="w-full h-36 object-cover"
+                      />
+                    )}
+                    <div className="p-4 space-y-2">
+                      {related.tags[0] && (
+                        <span className="text-xs font-medium" style={{ color: related.tags[0].color }}>
+                          #{related.tags[0].name}
+                        </span>
+                      )}
+                      <h4 className="font-semibold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
+                        {related.title}
+                      </h4>
+                      {related.excerpt && (
+                        <p className="text-sm text-gray-600 line-clamp-2">{related.excerpt}</p>
+                      )}
+                      <p className="text-xs text-gray-500">
+                        {formatDate(related.publishedAt || related.createdAt)} · {related.readingTime} min read
+                      </p>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Floating Engagement Widget */}
@@ -1,11 +1,265 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiSearch, FiX, FiCalendar, FiClock } from 'react-icons/fi';
+import { postsAPI } from '../services/api';
+import { SearchResponse } from '../types';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+
+const formatDate = (dateString?: string) => dateString
+  ? new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : '';
 
 const SearchResults: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const tags = (searchParams.get('tags') || '').split(',').filter(Boolean);
+  const author = searchParams.get('author') || '';
+  const year = searchParams.get('year') || '';
+  const page = parseInt(searchParams.get('page') || '1') || 1;
+
+  const [input, setInput] = useState(q);
+  const [results, setResults] = useState<SearchResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setInput(q);
+  }, [q]);
+
+  useEffect(() => {
+    if (!q) {
+      setResults(null);
+      return;
+    }
+
+    const search = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await postsAPI.searchPosts({
+          q,
+          tags,
+          author: author || undefined,
+          year: year ? parseInt(year) : undefined,
+          page
+        });
+        setResults(response);
+      } catch (err: any) {
+        setError(err.response?.data?.message || 'Search failed');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    search();
+  }, [searchParams]);
+
+  // Change some of the URL parameters; any change other than paging starts again at page 1
+  const updateParams = (changes: Record<string, string | null>) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateParams({ q: input.trim() || null });
+  };
+
+  const toggleTag = (slug: string) => {
+    const nextTags = tags.includes(slug) ? tags.filter(tag => tag !== slug) : [...tags, slug];
+    updateParams({ tags: nextTags.join(',') || null });
+  };
+
+  const hasFilters = tags.length > 0 || !!author || !!year;
+  const facets = results?.facets;
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4">
-        <h1 className="text-2xl font-bold mb-8">Search Results</h1>
-        <p className="text-gray-600">Search results page coming soon...</p>
+        <form onSubmit={handleSubmit} className="mb-8">
+          <div className="relative max-w-2xl">
+            <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <input
+              type="search"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Search posts..."
+              className="form-input w-full pl-10"
+              autoFocus
+            />
+          </div>
+        </form>
+
+        {!q ? (
+          <p className="text-gray-600">Enter a search term to find posts.</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+            {/* Facets */}
+            <aside className="space-y-6">
+              {hasFilters && (
+                <button
+                  onClick={() => updateParams({ tags: null, author: null, year: null })}
+                  className="text-sm text-primary-600 hover:text-primary-500 flex items-center"
+                >
+                  <FiX className="w-4 h-4 mr-1" />
+                  Clear filters
+                </button>
+              )}
+
+              {facets && facets.tags.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">Tags</h3>
+                  <ul className="space-y-2">
+                    {facets.tags.map(tag => (
+                      <li key={tag.slug}>
+                        <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={tags.includes(tag.slug)}
+                            onChange={() => toggleTag(tag.slug)}
+                            className="mr-2 rounded border-gray-300"
+                          />
+                          <span className="flex-1">{tag.name}</span>
+                          <span className="text-gray-400">{tag.count}</span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {facets && facets.authors.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">Authors</h3>
+                  <ul className="space-y-2">
+                    {facets.authors.map(facet => (
+                      <li key={facet._id}>
+                        <button
+                          onClick={() => updateParams({ author: author === facet._id ? null : facet._id })}
+                          className={`w-full flex items-center text-sm text-left ${
+                            author === facet._id ? 'text-primary-600 font-medium' : 'text-gray-700 hover:text-gray-900'
+                          }`}
+                        >
+                          <span className="flex-1">{facet.name}</span>
+                          <span className="text-gray-400">{facet.count}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {facets && facets.years.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">Published</h3>
+                  <ul className="space-y-2">
+                    {facets.years.map(facet => (
+                      <li key={facet.year}>
+                        <button
+                          onClick={() => updateParams({ year: year === String(facet.year) ? null : String(facet.year) })}
+                          className={`w-full flex items-center text-sm text-left ${
+                            year === String(facet.year) ? 'text-primary-600 font-medium' : 'text-gray-700 hover:text-gray-900'
+                          }`}
+                        >
+                          <span className="flex-1">{facet.year}</span>
+                          <span className="text-gray-400">{facet.count}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </aside>
+
+            {/* Results */}
+            <div className="lg:col-span-3">
+              {loading ? (
+                <div className="flex justify-center py-12">
+                  <LoadingSpinner />
+                </div>
+              ) : error ? (
+                <p className="text-red-600">{error}</p>
+              ) : results && (
+                <>
+                  <p className="text-sm text-gray-600 mb-6">
+                    {results.totalPosts === 0
+                      ? <>No posts found for <span className="font-medium">"{q}"</span></>
+                      : <>{results.totalPosts} {results.totalPosts === 1 ? 'result' : 'results'} for <span className="font-medium">"{q}"</span></>}
+                  </p>
+
+                  <div className="space-y-6">
+                    {results.posts.map(post => (
+                      <article key={post._id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                        <Link to={`/post/${post.slug}`} className="group">
+                          <h2
+                            className="text-xl font-bold text-gray-900 group-hover:text-primary-600 transition-colors mb-2 [&_mark]:bg-yellow-100"
+                            dangerouslySetInnerHTML={{ __html: post.highlights.title }}
+                          />
+                        </Link>
+                        <p
+                          className="text-gray-600 mb-4 [&_mark]:bg-yellow-100 [&_mark]:text-gray-900"
+                          dangerouslySetInnerHTML={{ __html: post.highlights.snippet }}
+                        />
+                        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-500">
+                          <span>{post.author?.name}</span>
+                          <span className="flex items-center">
+                            <FiCalendar className="w-4 h-4 mr-1" />
+                            {formatDate(post.publishedAt)}
+                          </span>
+                          <span className="flex items-center">
+                            <FiClock className="w-4 h-4 mr-1" />
+                            {post.readingTime} min read
+                          </span>
+                          {post.tags.map(tag => (
+                            <span
+                              key={tag._id}
+                              className="px-2 py-0.5 text-xs font-medium text-white rounded-full"
+                              style={{ backgroundColor: tag.color }}
+                            >
+                              #{tag.name}
+                            </span>
+                          ))}
+                        </div>
+                      </article>
+                    ))}
+                  </div>
+
+                  {results.totalPages > 1 && (
+                    <div className="flex justify-between items-center mt-8">
+                      <button
+                        onClick={() => updateParams({ page: String(page - 1) })}
+                        disabled={!results.hasPrevPage}
+                        className="btn btn-outline disabled:opacity-50"
+                      >
+                        Previous
+                      </button>
+                      <span className="text-sm text-gray-600">
+                        Page {results.currentPage} of {results.totalPages}
+                      </span>
+                      <button
+                        onClick={() => updateParams({ page: String(page + 1) })}
+                        disabled={!results.hasNextPage}
+                        className="btn btn-outline disabled:opacity-50"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
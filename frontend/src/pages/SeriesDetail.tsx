@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FiLayers, FiArrowUp, FiArrowDown, FiClock } from 'react-icons/fi';
+import { seriesAPI } from '../services/api';
+import { Series } from '../types';
+import { POST_STATUS_BADGES, postStatusLabel } from '../utils/postStatus';
+
+const SeriesDetail: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const [series, setSeries] = useState<Series | null>(null);
+  const [canManage, setCanManage] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [id]);
+
+  const fetchSeries = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await seriesAPI.getSeries(id!);
+      setSeries(response.series);
+      setCanManage(response.canManage);
+    } catch (err: any) {
+      setError(err.response?.status === 404 ? 'Series not found' : 'Failed to fetch series');
+      console.error('Error fetching series:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Swap a part with its neighbour and save the new order
+  const movePart = async (index: number, offset: number) => {
+    if (!series) return;
+
+    const parts = [...series.posts];
+    [parts[index], parts[index + offset]] = [parts[index + offset], parts[index]];
+
+    try {
+      setSaving(true);
+      await seriesAPI.updateSeries(series._id, {
+        title: series.title,
+        posts: parts.map(part => part._id)
+      });
+      setSeries({ ...series, posts: parts });
+    } catch (err: any) {
+      toast.error(err.response?.data?.message || 'Failed to reorder series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          <div className="animate-pulse space-y-4">
+            <div className="h-8 bg-gray-200 rounded w-64"></div>
+            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+            {[...Array(3)].map((_, index) => (
+              <div key={index} className="h-20 bg-gray-200 rounded-lg"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !series) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">{error || 'Series not found'}</h1>
+          <Link to="/" className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        {/* Header */}
+        <nav className="flex items-center space-x-2 text-sm text-gray-500 mb-4">
+          <Link to="/" className="hover:text-gray-700 transition-colors">
+            Home
+          </Link>
+          <span>•</span>
+          <span>Series</span>
+        </nav>
+
+        {series.coverImage && (
+          <img
+            src={series.coverImage}
+            alt={series.title}
+            className="w-full h-56 object-cover rounded-xl shadow-sm mb-6"
+          />
+        )}
+
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+            <FiLayers className="w-7 h-7 mr-3 text-blue-600" />
+            {series.title}
+          </h1>
+          <p className="text-gray-600">
+            A {series.posts.length}-part series by{' '}
+            <Link to={`/author/${series.author._id}`} className="hover:text-blue-600 transition-colors">
+              {series.author.name}
+            </Link>
+          </p>
+          {series.description && (
+            <p className="mt-4 text-gray-700 whitespace-pre-wrap">{series.description}</p>
+          )}
+        </div>
+
+        {/* Parts */}
+        {series.posts.length > 0 ? (
+          <ol className="space-y-4">
+            {series.posts.map((part, index) => (
+              <li key={part._id} className="bg-white rounded-xl shadow-sm border border-gray-200 p-5 flex items-start">
+                <span className="flex-shrink-0 w-10 h-10 rounded-full bg-blue-100 text-blue-700 font-semibold flex items-center justify-center mr-4">
+                  {index + 1}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <Link
+                    to={`/post/${part.slug}`}
+                    className="text-lg font-semibold text-gray-900 hover:text-blue-600 transition-colors"
+                  >
+                    {part.title}
+                  </Link>
+                  {part.excerpt && (
+                    <p className="mt-1 text-sm text-gray-600 line-clamp-2">{part.excerpt}</p>
+                  )}
+                  <div className="mt-2 flex items-center space-x-3 text-xs text-gray-500">
+                    {part.publishedAt && <span>{formatDate(part.publishedAt)}</span>}
+                    <span className="flex items-center">
+                      <FiClock className="w-3 h-3 mr-1" />
+                      {part.readingTime} min read
+                    </span>
+                    {canManage && part.status !== 'published' && (
+                      <span className={`px-2 py-0.5 rounded-full font-medium ${POST_STATUS_BADGES[part.status]}`}>
+                        {postStatusLabel(part.status)}
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                {canManage && (
+                  <div className="flex flex-col ml-4">
+                    <button
+                      onClick={() => movePart(index, -1)}
+                      disabled={saving || index === 0}
+                      title="Move up"
+                      className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                    >
+                      <FiArrowUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => movePart(index, 1)}
+                      disabled={saving || index === series.posts.length - 1}
+                      title="Move down"
+                      className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                    >
+                      <FiArrowDown className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-gray-500">No posts in this series yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SeriesDetail;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiMail, FiCheckCircle } from 'react-icons/fi';
+import { newsletterAPI } from '../services/api';
+
+const Unsubscribe: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const email = searchParams.get('email') || '';
+  const token = searchParams.get('token') || '';
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState<string | null>(email && token ? null : 'This unsubscribe link is incomplete.');
+
+  const handleUnsubscribe = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      await newsletterAPI.unsubscribeOneClick(email, token);
+      setDone(true);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to unsubscribe');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
+        {done ? (
+          <>
+            <FiCheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">You're unsubscribed</h1>
+            <p className="text-gray-600 mb-6">
+              <span className="font-medium">{email}</span> will no longer receive our newsletter.
+            </p>
+            <Link to="/" className="btn btn-primary">
+              Back to the blog
+            </Link>
+          </>
+        ) : (
+          <>
+            <FiMail className="w-12 h-12 text-blue-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Unsubscribe from the newsletter</h1>
+            {email && (
+              <p className="text-gray-600 mb-6">
+                Stop sending newsletter emails to <span className="font-medium">{email}</span>?
+              </p>
+            )}
+            {error && (
+              <p className="text-sm text-red-600 mb-4">{error}</p>
+            )}
+            <button
+              onClick={handleUnsubscribe}
+              disabled={submitting || !email || !token}
+              className="btn btn-primary w-full flex justify-center items-center disabled:opacity-50"
+            >
+              {submitting ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
@@ -22,7 +22,7 @@ const UserPosts: React.FC = () => {
   const { posts, loading, fetchPosts } = useBlog();
   const [userPosts, setUserPosts] = useState<any[]>([]);
   const [filteredPosts, setFilteredPosts] = useState<any[]>([]);
-  const [statusFilter, setStatusFilter] = useState<'all' | 'published' | 'draft'>('all');
+  const [statusFilter, setStatusFilter] = useState<'all' | 'published' | 'scheduled' | 'draft'>('all');
   const [sortBy, setSortBy] = useState<'newest' | 'oldest' | 'title'>('newest');
   const [searchQuery, setSearchQuery] = useState('');
 
@@ -78,6 +78,8 @@ const UserPosts: React.FC = () => {
     switch (status) {
       case 'published':
         return `${baseClasses} bg-green-100 text-green-800`;
+      case 'scheduled':
+        return `${baseClasses} bg-blue-100 text-blue-800`;
       case 'draft':
         return `${baseClasses} bg-yellow-100 text-yellow-800`;
       default:
@@ -142,10 +144,11 @@ const UserPosts: React.FC = () => {
                 <select
                   className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 rounded-md"
                   value={statusFilter}
-                  onChange={(e) => setStatusFilter(e.target.value as 'all' | 'published' | 'draft')}
+                  onChange={(e) => setStatusFilter(e.target.value as 'all' | 'published' | 'scheduled' | 'draft')}
                 >
                   <option value="all">All Status</option>
                   <option value="published">Published</option>
+                  <option value="scheduled">Scheduled</option>
                   <option value="draft">Draft</option>
                 </select>
               </div>
@@ -222,7 +225,9 @@ const UserPosts: React.FC = () => {
                             <CalendarDaysIcon className="h-4 w-4 mr-1" />
                             {post.status === 'published' && post.publishedAt
                               ? `Published ${new Date(post.publishedAt).toLocaleDateString()}`
-                              : `Created ${new Date(post.createdAt).toLocaleDateString()}`
+                              : post.status === 'scheduled' && post.publishAt
+                                ? `Scheduled for ${new Date(post.publishAt).toLocaleString()}`
+                                : `Created ${new Date(post.createdAt).toLocaleDateString()}`
                             }
                           </div>
                           {post.tags && post.tags.length > 0 && (
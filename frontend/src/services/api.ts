@@ -1,12 +1,47 @@
-import axios from 'axios';
+import axios, { AxiosRequestConfig } from 'axios';
 import { 
   AuthResponse, 
+  TokenPair,
+  Session,
   PostsResponse, 
   Post, 
   CommentsResponse, 
   Comment,
+  LikeResponse,
+  PostImportResponse,
+  PostRevision,
+  RevisionDiff,
+  PostAuditEntry,
+  PostStatus,
+  ReviewNote,
+  ReviewDecision,
+  ReviewQueuePost,
+  Series,
+  ManageableSeries,
+  SeriesFormData,
+  Media,
+  MediaFilters,
+  MediaResponse,
+  MediaUsageDetail,
+  CoverSuggestion,
+  CoverSuggestionRequest,
+  CoverFillPreview,
+  CoverFillResult,
+  AuditLogFilters,
+  AuditLogResponse,
+  Campaign,
+  CampaignDelivery,
+  CampaignPreview,
+  NewsletterStats,
+  PermissionsResponse,
+  UserRole,
+  SearchFilters,
+  SearchResponse,
+  CampaignStatus,
+  DeliveryStatus,
   DashboardMetrics,
   TagInsights,
+  ViewAnalytics,
   AIGenerationRequest,
   AIGenerationResponse,
   LoginFormData,
@@ -24,6 +59,12 @@ const getBaseURL = () => {
   return '/api'; // Will be proxied to http://localhost:5000/api by Vite in dev
 };
 
+// Feeds and sitemaps live at the API host root rather than under /api (proxied by Vite in dev)
+export const getFeedURL = (path: string) => {
+  const host = import.meta.env.PROD && import.meta.env.VITE_API_URL ? import.meta.env.VITE_API_URL : '';
+  return `${host}${path}`;
+};
+
 // Create axios instance with base configuration
 const api = axios.create({
   baseURL: getBaseURL(),
@@ -55,13 +96,18 @@ const isPublicEndpoint = (url: string): boolean => {
   return publicEndpoints.some(endpoint => url === endpoint || url.startsWith(endpoint + '?'));
 };
 
-// Request interceptor to add auth token only for protected endpoints
+// Request interceptor to add auth token for protected endpoints
 api.interceptors.request.use(
   (config) => {
     const url = config.url || '';
     
-    // Only add auth header for protected endpoints
-    if (!isPublicEndpoint(url)) {
+    if (isPublicEndpoint(url)) {
+      // Public endpoints accept an optional token so per-user fields (e.g. likedByMe) can be filled in
+      const token = localStorage.getItem('token');
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+    } else {
       // In development, use the dev token if no token exists in localStorage
       let token = localStorage.getItem('token');
       
@@ -82,19 +128,91 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints that must never trigger a token refresh
+const noRefreshEndpoints = ['/auth/login', '/auth/signup', '/auth/refresh'];
+
+// Store a freshly issued access/refresh token pair
+export const storeTokens = ({ token, refreshToken }: TokenPair) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearStoredAuth = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Only one refresh runs at a time; concurrent 401s wait for the same promise
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      try {
+        // Plain axios so this request skips the interceptors below
+        const response = await axios.post<TokenPair>(`${getBaseURL()}/auth/refresh`, { refreshToken });
+        storeTokens(response.data);
+        return response.data.token;
+      } catch (error: any) {
+        // Another tab rotated the token first; use the pair it stored
+        if (error.response?.status === 409) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+          const latestRefreshToken = localStorage.getItem('refreshToken');
+          const latestToken = localStorage.getItem('token');
+          if (latestToken && latestRefreshToken && latestRefreshToken !== refreshToken) {
+            return latestToken;
+          }
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Only auto-logout for auth-specific endpoints, not for all 401s
     if (error.response?.status === 401) {
       const url = error.config?.url || '';
+      const originalRequest = error.config as AxiosRequestConfig & { _retried?: boolean };
+
+      // Access tokens are short-lived: refresh once and replay the request
+      if (
+        originalRequest &&
+        !originalRequest._retried &&
+        !noRefreshEndpoints.includes(url) &&
+        localStorage.getItem('refreshToken')
+      ) {
+        originalRequest._retried = true;
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers = { ...originalRequest.headers, Authorization: `Bearer ${token}` };
+          return api(originalRequest);
+        } catch (refreshError) {
+          // The session is gone (expired, revoked or reused): sign out locally
+          clearStoredAuth();
+          if (!isPublicEndpoint(url)) {
+            window.location.href = '/login';
+          }
+          return Promise.reject(error);
+        }
+      }
       
       // Only auto-logout for auth endpoints (like /auth/me) or if it's a token verification failure
       // Let other components handle 401s for their specific use cases
       if (url.includes('/auth/me') || url.includes('/auth/profile')) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearStoredAuth();
         window.location.href = '/login';
       }
       // For other endpoints, just pass the error through to be handled by the component
@@ -130,6 +248,11 @@ export const authAPI = {
     return response.data;
   },
 
+  getPermissions: async (): Promise<PermissionsResponse> => {
+    const response = await api.get('/auth/permissions');
+    return response.data;
+  },
+
   updateProfile: async (userData: FormData) => {
     const response = await api.put('/auth/profile', userData, {
       headers: { 'Content-Type': 'multipart/form-data' }
@@ -141,6 +264,41 @@ export const authAPI = {
     const response = await api.post('/auth/logout');
     return response.data;
   },
+
+  logoutAll: async (): Promise<{ message: string; revokedCount: number }> => {
+    const response = await api.post('/auth/logout-all');
+    return response.data;
+  },
+
+  getSessions: async (): Promise<{ sessions: Session[] }> => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (sessionId: string): Promise<{ message: string; current: boolean }> => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  forgotPassword: async (email: string): Promise<{ message: string }> => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (token: string, password: string): Promise<{ message: string }> => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  verifyEmail: async (token: string): Promise<{ message: string; emailVerified: boolean }> => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerification: async (): Promise<{ message: string }> => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
 };
 
 // Posts API
@@ -150,13 +308,29 @@ export const postsAPI = {
     return response.data;
   },
 
+  searchPosts: async ({ tags, ...filters }: SearchFilters): Promise<SearchResponse> => {
+    const response = await api.get('/posts/search', {
+      params: { ...filters, tags: tags && tags.length > 0 ? tags.join(',') : undefined }
+    });
+    return response.data;
+  },
+
   getRecentPosts: async (limit: number = 5) => {
     const response = await api.get('/posts/recent', { params: { limit } });
     return response.data;
   },
 
-  getPost: async (id: string): Promise<{ post: Post }> => {
-    const response = await api.get(`/posts/${id}`);
+  // referrer is the page that linked the reader here, used for view analytics
+  getPost: async (id: string, referrer?: string): Promise<{ post: Post }> => {
+    const response = await api.get(`/posts/${id}`, {
+      params: { ref: referrer || undefined }
+    });
+    return response.data;
+  },
+
+  // Published posts to read next, best match first
+  getRelatedPosts: async (id: string, limit: number = 3): Promise<{ posts: Post[] }> => {
+    const response = await api.get(`/posts/${id}/related`, { params: { limit } });
     return response.data;
   },
 
@@ -176,10 +350,12 @@ export const postsAPI = {
     }
     
     formData.append('status', postData.status);
+    if (postData.status === 'scheduled' && postData.publishAt) formData.append('publishAt', postData.publishAt);
     if (postData.seoTitle) formData.append('seoTitle', postData.seoTitle);
     if (postData.seoDescription) formData.append('seoDescription', postData.seoDescription);
     formData.append('featured', String(postData.featured));
     if (postData.coverImage) formData.append('coverImage', postData.coverImage);
+    if (postData.series) formData.append('series', postData.series);
 
     const response = await api.post('/posts', formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
@@ -201,10 +377,13 @@ export const postsAPI = {
     }
     
     formData.append('status', postData.status);
+    if (postData.status === 'scheduled' && postData.publishAt) formData.append('publishAt', postData.publishAt);
     if (postData.seoTitle) formData.append('seoTitle', postData.seoTitle);
     if (postData.seoDescription) formData.append('seoDescription', postData.seoDescription);
     formData.append('featured', String(postData.featured));
     if (postData.coverImage) formData.append('coverImage', postData.coverImage);
+    if (postData.reason) formData.append('reason', postData.reason);
+    if (postData.series !== undefined) formData.append('series', postData.series);
 
     const response = await api.put(`/posts/${id}`, formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
@@ -212,16 +391,93 @@ export const postsAPI = {
     return response.data;
   },
 
-  deletePost: async (id: string) => {
-    const response = await api.delete(`/posts/${id}`);
+  // Editors deleting someone else's post can say why; the author is emailed the reason
+  deletePost: async (id: string, reason?: string) => {
+    const response = await api.delete(`/posts/${id}`, reason ? { data: { reason } } : undefined);
+    return response.data;
+  },
+
+  // Markdown files with YAML front matter, or zips of them
+  importPosts: async (files: File[]): Promise<PostImportResponse> => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    // A batch where every file failed comes back as 400 with the same per-file results
+    const response = await api.post('/posts/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      validateStatus: status => status === 201 || status === 400
+    });
+    return response.data;
+  },
+
+  exportPost: async (id: string): Promise<Blob> => {
+    const response = await api.get(`/posts/${id}/export`, { responseType: 'blob' });
     return response.data;
   },
 
-  likePost: async (id: string) => {
+  // A zip of an author's posts as Markdown; your own when no author is given
+  exportPosts: async (author?: string): Promise<Blob> => {
+    const response = await api.get('/posts/export', { params: { author }, responseType: 'blob' });
+    return response.data;
+  },
+
+  likePost: async (id: string): Promise<LikeResponse> => {
     const response = await api.post(`/posts/${id}/like`);
     return response.data;
   },
 
+  unlikePost: async (id: string): Promise<LikeResponse> => {
+    const response = await api.delete(`/posts/${id}/like`);
+    return response.data;
+  },
+
+  getPostAudit: async (id: string): Promise<{ entries: PostAuditEntry[] }> => {
+    const response = await api.get(`/posts/${id}/audit`);
+    return response.data;
+  },
+
+  reviewPost: async (id: string, decision: ReviewDecision, note?: string): Promise<{ message: string; post: Post; note: ReviewNote | null }> => {
+    const response = await api.post(`/posts/${id}/review`, { decision, note: note || undefined });
+    return response.data;
+  },
+
+  getReviewNotes: async (id: string): Promise<{ notes: ReviewNote[] }> => {
+    const response = await api.get(`/posts/${id}/review-notes`);
+    return response.data;
+  },
+
+  addReviewNote: async (id: string, body: string, line?: number | null): Promise<{ message: string; note: ReviewNote }> => {
+    const response = await api.post(`/posts/${id}/review-notes`, { body, line: line || null });
+    return response.data;
+  },
+
+  resolveReviewNote: async (id: string, noteId: string, resolved: boolean): Promise<{ message: string; note: ReviewNote }> => {
+    const response = await api.put(`/posts/${id}/review-notes/${noteId}`, { resolved });
+    return response.data;
+  },
+
+  getRevisions: async (id: string): Promise<{ revisions: PostRevision[] }> => {
+    const response = await api.get(`/posts/${id}/revisions`);
+    return response.data;
+  },
+
+  getRevision: async (id: string, revisionId: string): Promise<{ revision: PostRevision }> => {
+    const response = await api.get(`/posts/${id}/revisions/${revisionId}`);
+    return response.data;
+  },
+
+  diffRevisions: async (id: string, from: string, to = 'current'): Promise<RevisionDiff> => {
+    const response = await api.get(`/posts/${id}/revisions/diff`, {
+      params: { from, to }
+    });
+    return response.data;
+  },
+
+  restoreRevision: async (id: string, revisionId: string): Promise<{ message: string; post: Post }> => {
+    const response = await api.post(`/posts/${id}/revisions/${revisionId}/restore`);
+    return response.data;
+  },
+
   summarizePost: async (id: string): Promise<{ summary: string }> => {
     const response = await api.post(`/posts/${id}/summarize`);
     return response.data;
@@ -249,6 +505,90 @@ export const postsAPI = {
 };
 
 // Comments API
+export const seriesAPI = {
+  getSeriesList: async (page: number = 1, limit: number = 12) => {
+    const response = await api.get('/series', { params: { page, limit } });
+    return response.data;
+  },
+
+  // canManage is true when the current user may edit the series; they also see its unpublished parts
+  getSeries: async (id: string): Promise<{ series: Series; canManage: boolean }> => {
+    const response = await api.get(`/series/${id}`);
+    return response.data;
+  },
+
+  // Series the current user can edit, for series pickers
+  getManageableSeries: async (): Promise<{ series: ManageableSeries[] }> => {
+    const response = await api.get('/series/manage');
+    return response.data;
+  },
+
+  createSeries: async (data: SeriesFormData): Promise<{ series: Series }> => {
+    const response = await api.post('/series', data);
+    return response.data;
+  },
+
+  updateSeries: async (id: string, data: SeriesFormData): Promise<{ series: Series }> => {
+    const response = await api.put(`/series/${id}`, data);
+    return response.data;
+  },
+
+  deleteSeries: async (id: string) => {
+    const response = await api.delete(`/series/${id}`);
+    return response.data;
+  },
+};
+
+// Media library API
+export const mediaAPI = {
+  getMedia: async (filters: MediaFilters = {}): Promise<MediaResponse> => {
+    const response = await api.get('/media', { params: filters });
+    return response.data;
+  },
+
+  // The file with the titles of the posts, series and users that use it
+  getMediaItem: async (id: string): Promise<{ media: Omit<Media, 'usage'> & { usage: MediaUsageDetail[] } }> => {
+    const response = await api.get(`/media/${id}`);
+    return response.data;
+  },
+
+  // Uploaded files go into the current user's library; at most 5 at a time.
+  // `onProgress` gets the percentage of the request sent so far.
+  uploadMedia: async (
+    files: File[],
+    onProgress?: (percent: number) => void
+  ): Promise<{ files: Array<{ url: string; originalName: string; media: Media }>; count: number }> => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('images', file));
+    const response = await api.post('/upload/multiple', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+    return response.data;
+  },
+
+  updateMedia: async (id: string, altText: string): Promise<{ message: string; media: Media }> => {
+    const response = await api.patch(`/media/${id}`, { altText });
+    return response.data;
+  },
+
+  // Refused with 409 while the file is in use
+  deleteMedia: async (id: string): Promise<{ message: string }> => {
+    const response = await api.delete(`/media/${id}`);
+    return response.data;
+  },
+
+  // Library images that suit a post as its cover, best first
+  getCoverSuggestions: async (post: CoverSuggestionRequest): Promise<{ suggestions: CoverSuggestion[] }> => {
+    const response = await api.post('/media/cover-suggestions', post);
+    return response.data;
+  },
+};
+
 export const commentsAPI = {
   getComments: async (postId: string, page = 1, limit = 20): Promise<CommentsResponse> => {
     const response = await api.get(`/comments/${postId}`, {
@@ -277,11 +617,16 @@ export const commentsAPI = {
     return response.data;
   },
 
-  likeComment: async (commentId: string) => {
+  likeComment: async (commentId: string): Promise<LikeResponse> => {
     const response = await api.post(`/comments/${commentId}/like`);
     return response.data;
   },
 
+  unlikeComment: async (commentId: string): Promise<LikeResponse> => {
+    const response = await api.delete(`/comments/${commentId}/like`);
+    return response.data;
+  },
+
   generateAIReply: async (commentId: string, tone = 'friendly'): Promise<{ generatedReply: string }> => {
     const response = await api.post(`/comments/${commentId}/generate-ai-reply`, { tone });
     return response.data;
@@ -321,6 +666,24 @@ export const adminAPI = {
     return response.data;
   },
 
+  // Posts without a cover image, with suggested covers from the media library
+  getCoverFillPreview: async (status = 'all', limit = 50): Promise<CoverFillPreview> => {
+    const response = await api.get('/admin/cover-fill', {
+      params: { status, limit }
+    });
+    return response.data;
+  },
+
+  fillCovers: async (assignments: Array<{ post: string; media: string }>): Promise<CoverFillResult> => {
+    const response = await api.post('/admin/cover-fill', { assignments });
+    return response.data;
+  },
+
+  undoCoverFill: async (batchId: string): Promise<{ message: string; restored: number; kept: number }> => {
+    const response = await api.post(`/admin/cover-fill/${batchId}/undo`);
+    return response.data;
+  },
+
   getAllComments: async (page = 1, limit = 20, approved?: boolean) => {
     const response = await api.get('/admin/comments', {
       params: { page, limit, approved }
@@ -328,6 +691,20 @@ export const adminAPI = {
     return response.data;
   },
 
+  getReviewQueue: async (page = 1, limit = 10): Promise<{
+    posts: ReviewQueuePost[];
+    totalPosts: number;
+    currentPage: number;
+    totalPages: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  }> => {
+    const response = await api.get('/admin/review-queue', {
+      params: { page, limit }
+    });
+    return response.data;
+  },
+
   getSystemMetrics: async () => {
     const response = await api.get('/admin/system-metrics');
     return response.data;
@@ -343,7 +720,7 @@ export const adminAPI = {
     return response.data;
   },
 
-  updateUserRole: async (userId: string, role: 'user' | 'admin' | 'moderator') => {
+  updateUserRole: async (userId: string, role: UserRole) => {
     const response = await api.put(`/admin/users/${userId}/role`, { role });
     return response.data;
   },
@@ -353,11 +730,21 @@ export const adminAPI = {
     return response.data;
   },
 
-  createUser: async (newUser: { name: string; email: string; role: 'user' | 'admin' | 'moderator'; password: string; }) => {
+  createUser: async (newUser: { name: string; email: string; role: UserRole; password: string; }) => {
     const response = await api.post('/admin/users', newUser);
     return response.data;
   },
 
+  getAuditLogs: async (filters: AuditLogFilters = {}): Promise<AuditLogResponse> => {
+    const response = await api.get('/admin/audit-logs', { params: filters });
+    return response.data;
+  },
+
+  exportAuditLogs: async (filters: AuditLogFilters = {}): Promise<Blob> => {
+    const response = await api.get('/admin/audit-logs/export', { params: filters, responseType: 'blob' });
+    return response.data;
+  },
+
   getAllUsers: async (page = 1, limit = 20, role = 'all') => {
     const response = await api.get('/admin/users', {
       params: { page, limit, role }
@@ -370,19 +757,94 @@ export const adminAPI = {
     return response.data;
   },
 
-  getAnalytics: async (period = '30') => {
+  getAnalytics: async (period = '30'): Promise<ViewAnalytics> => {
     const response = await api.get('/admin/analytics', {
       params: { period }
     });
     return response.data;
   },
 
-  getPost: async (id: string): Promise<{ post: Post }> => {
+  // nextStatuses lists the statuses the current user may move the post to
+  getPost: async (id: string): Promise<{ post: Post; nextStatuses: PostStatus[] }> => {
     const response = await api.get(`/admin/posts/${id}`);
     return response.data;
   },
 };
 
+// Newsletter API
+export const newsletterAPI = {
+  confirmSubscription: async (token: string): Promise<{ success: boolean; message: string }> => {
+    const response = await api.post('/newsletter/confirm', { token });
+    return response.data;
+  },
+
+  unsubscribeOneClick: async (email: string, token: string): Promise<{ success: boolean; message: string }> => {
+    const response = await api.post('/newsletter/unsubscribe/one-click', null, {
+      params: { email, token }
+    });
+    return response.data;
+  },
+
+  getStats: async () => {
+    const response = await api.get('/newsletter/stats');
+    return response.data.data as NewsletterStats;
+  },
+
+  getCampaigns: async (page = 1, limit = 20, status?: CampaignStatus) => {
+    const response = await api.get('/newsletter/campaigns', {
+      params: { page, limit, status }
+    });
+    return response.data.data as { campaigns: Campaign[]; currentPage: number; totalPages: number; total: number };
+  },
+
+  getCampaign: async (id: string) => {
+    const response = await api.get(`/newsletter/campaigns/${id}`);
+    return response.data.data as { campaign: Campaign; deliveries: Record<DeliveryStatus, number> };
+  },
+
+  createCampaign: async (campaign: { subject: string; content: string }): Promise<Campaign> => {
+    const response = await api.post('/newsletter/campaigns', campaign);
+    return response.data.data.campaign;
+  },
+
+  createDigest: async (days = 7): Promise<Campaign> => {
+    const response = await api.post('/newsletter/campaigns/digest', { days });
+    return response.data.data.campaign;
+  },
+
+  updateCampaign: async (id: string, campaign: { subject: string; content: string }): Promise<Campaign> => {
+    const response = await api.put(`/newsletter/campaigns/${id}`, campaign);
+    return response.data.data.campaign;
+  },
+
+  deleteCampaign: async (id: string) => {
+    const response = await api.delete(`/newsletter/campaigns/${id}`);
+    return response.data;
+  },
+
+  previewCampaign: async (id: string): Promise<CampaignPreview> => {
+    const response = await api.get(`/newsletter/campaigns/${id}/preview`);
+    return response.data.data;
+  },
+
+  sendCampaign: async (id: string): Promise<{ message: string; campaign: Campaign }> => {
+    const response = await api.post(`/newsletter/campaigns/${id}/send`);
+    return { message: response.data.message, campaign: response.data.data.campaign };
+  },
+
+  cancelCampaign: async (id: string): Promise<Campaign> => {
+    const response = await api.post(`/newsletter/campaigns/${id}/cancel`);
+    return response.data.data.campaign;
+  },
+
+  getDeliveries: async (id: string, page = 1, status?: DeliveryStatus) => {
+    const response = await api.get(`/newsletter/campaigns/${id}/deliveries`, {
+      params: { page, status }
+    });
+    return response.data.data as { deliveries: CampaignDelivery[]; currentPage: number; totalPages: number; total: number };
+  },
+};
+
 // Upload API
 export const uploadAPI = {
   uploadProfileImage: async (file: File) => {
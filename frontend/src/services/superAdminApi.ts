@@ -139,6 +139,8 @@ export interface CleanupResponse {
     orphanedComments: number;
     inactiveUsers: number;
     emptyTags: number;
+    orphanedFiles: number;
+    orphanedMedia: number;
   };
 }
 
@@ -155,7 +157,6 @@ export interface AnalyticsTrendsResponse {
       _id: string;
       count: number;
       published: number;
-      totalViews: number;
       totalLikes: number;
     }>;
     comments: Array<{
@@ -163,7 +164,20 @@ export interface AnalyticsTrendsResponse {
       count: number;
       approved: number;
     }>;
+    // Counted views and unique visitors per day, or per hour with interval 'hour'
+    views: Array<{
+      _id: string;
+      views: number;
+      visitors: number;
+    }>;
   };
+  referrers: Array<{
+    _id: string;
+    views: number;
+    visitors: number;
+  }>;
+  totalViews: number;
+  uniqueVisitors: number;
 }
 
 export interface TopContentResponse {
@@ -252,6 +266,64 @@ export interface UserEngagementResponse {
   }>;
 }
 
+export interface ImportCounts {
+  created: number;
+  existing: number;
+  skipped: number;
+}
+
+export type ImportJobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+// A WordPress or Ghost blog being migrated; poll it while it runs
+export interface ImportJob {
+  _id: string;
+  source: 'wordpress' | 'ghost';
+  filename: string;
+  siteUrl: string;
+  dryRun: boolean;
+  imageBaseUrl: string;
+  status: ImportJobStatus;
+  createdBy: { _id: string; name: string } | null;
+  progress: { total: number; processed: number };
+  counts: {
+    users: ImportCounts;
+    tags: ImportCounts;
+    posts: ImportCounts;
+    comments: ImportCounts;
+  };
+  imagesRewritten: number;
+  // Left out of job lists
+  issues?: Array<{ item: string; message: string }>;
+  error: string | null;
+  startedAt: string | null;
+  completedAt: string | null;
+  createdAt: string;
+}
+
+export interface StartImportOptions {
+  dryRun: boolean;
+  imageBaseUrl?: string;
+  // Where a Ghost blog lived, since Ghost exports do not say
+  siteUrl?: string;
+}
+
+export type RestoreMode = 'merge' | 'replace';
+
+export interface BackupManifest {
+  format: string;
+  schemaVersion: number;
+  createdAt: string;
+  includesPasswords: boolean;
+  counts: Record<string, number>;
+}
+
+// What a restore wrote; conflicts lists the first few hundred that were skipped
+export interface RestoreReport {
+  mode: RestoreMode;
+  counts: Record<string, { restored: number; conflicts: number }>;
+  conflicts: Array<{ collection: string; id: string; reason: string }>;
+}
+
 class SuperAdminAPI {
   // Get comprehensive system metrics
   async getSystemMetrics(): Promise<SuperAdminMetrics> {
@@ -349,8 +421,8 @@ class SuperAdminAPI {
   }
 
   // Get analytics trends over time
-  async getAnalyticsTrends(period: '7' | '30' | '90' | '365' = '30'): Promise<AnalyticsTrendsResponse> {
-    const response = await api.get(`/superadmin/analytics/trends?period=${period}`);
+  async getAnalyticsTrends(period: '7' | '30' | '90' | '365' = '30', interval: 'hour' | 'day' = 'day'): Promise<AnalyticsTrendsResponse> {
+    const response = await api.get(`/superadmin/analytics/trends?period=${period}&interval=${interval}`);
     return response.data;
   }
 
@@ -360,6 +432,49 @@ class SuperAdminAPI {
     return response.data;
   }
 
+  // Start importing a WordPress (.xml) or Ghost (.json) export
+  async startImport(file: File, options: StartImportOptions): Promise<{ message: string; job: ImportJob }> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(options.dryRun));
+    if (options.imageBaseUrl) formData.append('imageBaseUrl', options.imageBaseUrl);
+    if (options.siteUrl) formData.append('siteUrl', options.siteUrl);
+
+    const response = await api.post('/superadmin/imports', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  }
+
+  async getImports(): Promise<{ jobs: ImportJob[] }> {
+    const response = await api.get('/superadmin/imports');
+    return response.data;
+  }
+
+  async getImport(id: string): Promise<{ job: ImportJob }> {
+    const response = await api.get(`/superadmin/imports/${id}`);
+    return response.data;
+  }
+
+  async downloadBackup(includePasswords: boolean): Promise<Blob> {
+    const response = await api.get('/superadmin/backup', {
+      params: { includePasswords },
+      responseType: 'blob'
+    });
+    return response.data;
+  }
+
+  async restoreBackup(file: File, mode: RestoreMode): Promise<{ message: string; manifest: BackupManifest; report: RestoreReport }> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('mode', mode);
+
+    const response = await api.post('/superadmin/restore', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  }
+
   // Get detailed user engagement analytics
   async getUserEngagement(): Promise<UserEngagementResponse> {
     const response = await api.get('/superadmin/analytics/user-engagement');
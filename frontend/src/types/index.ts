@@ -1,10 +1,26 @@
+export type UserRole = 'member' | 'author' | 'moderator' | 'editor' | 'admin' | 'super_admin';
+
+// Actions from the server's permission matrix, e.g. 'post:publish'.
+// A trailing ':own' means the action is limited to the user's own posts or comments.
+export type Permission = string;
+
+export interface PermissionsResponse {
+  role: UserRole;
+  permissions: Permission[];
+  assignableRoles: UserRole[];
+}
+
 export interface User {
   _id: string;
+  // The auth endpoints return the user's id as `id` rather than `_id`
+  id?: string;
   name: string;
   email: string;
-  role: 'admin' | 'member' | 'super_admin';
+  role: UserRole;
   profileImage?: string;
+  profileImageVariants?: ImageVariants | null;
   isActive: boolean;
+  emailVerified?: boolean;
   createdAt: string;
   updatedAt: string;
 }
@@ -20,6 +36,117 @@ export interface Tag {
   updatedAt: string;
 }
 
+// Where a post is in the editorial workflow:
+// draft → in_review → changes_requested / approved → scheduled / published
+export type PostStatus = 'draft' | 'in_review' | 'changes_requested' | 'approved' | 'scheduled' | 'published';
+
+// Resized copies of an uploaded image, made by the server
+export type ImageVariantName = 'thumbnail' | 'card' | 'hero' | 'og';
+
+export interface ImageVariant {
+  width: number;
+  height: number;
+  avif?: string;
+  webp?: string;
+  jpeg?: string;
+}
+
+export type ImageVariants = Partial<Record<ImageVariantName, ImageVariant>>;
+
+// What links to a file in the media library
+export type MediaUsageKind = 'post' | 'series' | 'user';
+
+export interface MediaUsage {
+  kind: MediaUsageKind;
+  document: string;
+}
+
+export interface MediaUsageDetail {
+  kind: MediaUsageKind;
+  id: string;
+  title: string;
+  slug?: string;
+  status?: PostStatus;
+}
+
+export interface Media {
+  _id: string;
+  owner: string | { _id: string; name: string };
+  key: string;
+  url: string;
+  filename: string;
+  contentType: string;
+  size: number;
+  width: number | null;
+  height: number | null;
+  altText: string;
+  variants: ImageVariants | null;
+  usage: MediaUsage[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Bytes of originals stored and allowed; a null limit means no limit
+export interface MediaQuota {
+  used: number;
+  limit: number | null;
+}
+
+export interface MediaResponse {
+  media: Media[];
+  totalMedia: number;
+  currentPage: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+  quota: MediaQuota;
+}
+
+// A library image suggested as a post's cover, with the words it matched on
+export interface CoverSuggestion {
+  media: Media;
+  score: number;
+  matched: string[];
+}
+
+export interface CoverSuggestionRequest {
+  title?: string;
+  tags?: string[];
+  content?: string;
+  // Id of the post being edited, if it has been saved
+  post?: string;
+  limit?: number;
+}
+
+// A post without a cover in the bulk fill preview; its first suggestion is the one used
+export interface CoverFillPost {
+  _id: string;
+  title: string;
+  slug: string;
+  status: PostStatus;
+  author: { _id: string; name: string };
+  suggestions: CoverSuggestion[];
+}
+
+export interface CoverFillPreview {
+  posts: CoverFillPost[];
+  totalPosts: number;
+}
+
+export interface CoverFillResult {
+  message: string;
+  batch: { _id: string; posts: Array<{ post: string; media: string; coverImage: string }> } | null;
+  skipped: Array<{ post: string; message: string }>;
+}
+
+export interface MediaFilters {
+  page?: number;
+  limit?: number;
+  search?: string;
+  unused?: boolean;
+  owner?: 'me' | 'all';
+}
+
 export interface Post {
   _id: string;
   title: string;
@@ -27,21 +154,73 @@ export interface Post {
   content: string;
   excerpt: string;
   coverImage?: string;
+  coverImageVariants?: ImageVariants | null;
   author: User;
   tags: Tag[];
-  status: 'draft' | 'published';
+  status: PostStatus;
   publishedAt?: string;
+  publishAt?: string | null;
+  submittedAt?: string | null;
+  reviewedBy?: string | null;
+  reviewedAt?: string | null;
   viewCount: number;
   likeCount: number;
+  likedByMe?: boolean;
   commentCount: number;
   readingTime: number;
   seoTitle?: string;
   seoDescription?: string;
   featured: boolean;
+  // Where the post sits in its series, on single-post responses; null when it is in none
+  series?: SeriesNavigation | null;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface SeriesPart {
+  _id: string;
+  title: string;
+  slug: string;
+}
+
+export interface SeriesNavigation {
+  _id: string;
+  title: string;
+  slug: string;
+  // 1-based, counting only published parts
+  position: number;
+  total: number;
+  previous: SeriesPart | null;
+  next: SeriesPart | null;
+}
+
+export interface Series {
+  _id: string;
+  title: string;
+  slug: string;
+  description: string;
+  coverImage: string;
+  author: User;
+  // Parts in reading order; populated as posts on the series page
+  posts: Post[];
+  // Published parts, on series listings
+  postCount?: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Series as listed for editing, with every part's status
+export interface ManageableSeries extends Omit<Series, 'posts'> {
+  posts: Array<SeriesPart & { status: PostStatus }>;
+}
+
+export interface SeriesFormData {
+  title: string;
+  description?: string;
+  coverImage?: string;
+  posts?: string[];
+}
+
 export interface Comment {
   _id: string;
   content: string;
@@ -51,14 +230,28 @@ export interface Comment {
   replies: Comment[];
   isApproved: boolean;
   likeCount: number;
+  likedByMe?: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
-export interface AuthResponse {
+export interface TokenPair {
+  token: string;
+  refreshToken: string;
+}
+
+export interface AuthResponse extends TokenPair {
   message: string;
   user: User;
-  token: string;
+}
+
+export interface Session {
+  id: string;
+  userAgent: string;
+  ip: string;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
 }
 
 export interface ApiResponse<T = any> {
@@ -90,10 +283,202 @@ export interface CommentsResponse extends PaginatedResponse<Comment> {
   totalComments: number;
 }
 
+export interface PostRevision {
+  _id: string;
+  post: string;
+  revision: number;
+  title: string;
+  content?: string;
+  excerpt?: string;
+  coverImage?: string;
+  tags: Array<string | Tag>;
+  status?: string;
+  seoTitle?: string;
+  seoDescription?: string;
+  featured?: boolean;
+  editedBy?: Pick<User, '_id' | 'name' | 'profileImage'>;
+  reason: 'update' | 'restore';
+  restoredFrom?: number | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface RevisionDiffLine {
+  type: 'unchanged' | 'added' | 'removed';
+  value: string;
+  oldLine: number | null;
+  newLine: number | null;
+}
+
+export interface RevisionDiff {
+  from: { revision: number | 'current'; updatedAt: string };
+  to: { revision: number | 'current'; updatedAt: string };
+  fields: Record<string, { from: string | string[]; to: string | string[] }>;
+  content: RevisionDiffLine[];
+  stats: { added: number; removed: number };
+}
+
+export type PostAuditAction =
+  | 'post.update'
+  | 'post.unpublish'
+  | 'post.restore'
+  | 'post.delete'
+  | 'post.approve'
+  | 'post.request_changes'
+  | 'post.cover_fill'
+  | 'post.cover_fill_undo';
+
+// A note left during editorial review, on the whole post or on one line of its content
+export interface ReviewNote {
+  _id: string;
+  post: string;
+  author: Pick<User, '_id' | 'name' | 'profileImage'> | null;
+  body: string;
+  line: number | null;
+  quote: string;
+  resolved: boolean;
+  resolvedBy?: Pick<User, '_id' | 'name'> | null;
+  resolvedAt?: string | null;
+  createdAt: string;
+}
+
+export type ReviewDecision = 'approve' | 'request_changes';
+
+// A post waiting in the review queue, with how many of its notes are still open
+export interface ReviewQueuePost extends Omit<Post, 'content'> {
+  openNotes: number;
+}
+
+// A change someone other than the author made to a post
+export interface PostAuditEntry {
+  _id: string;
+  actor: Pick<User, '_id' | 'name' | 'profileImage'> | null;
+  action: PostAuditAction;
+  targetLabel: string;
+  before: Record<string, unknown>;
+  after: Record<string, unknown>;
+  details: {
+    contentLines?: { added: number; removed: number };
+    restoredFrom?: number;
+  };
+  reason: string;
+  createdAt: string;
+}
+
+export type AuditTargetType = 'Post' | 'User' | 'Comment' | 'Campaign' | 'System';
+
+// An entry in the append-only log of privileged actions
+export interface AuditLogEntry {
+  _id: string;
+  actor: Pick<User, '_id' | 'name' | 'email'> | null;
+  action: string;
+  targetType: AuditTargetType;
+  target?: string;
+  targetLabel: string;
+  before: Record<string, unknown>;
+  after: Record<string, unknown>;
+  details: Record<string, unknown>;
+  reason: string;
+  ip: string;
+  userAgent: string;
+  createdAt: string;
+}
+
+export interface AuditLogFilters {
+  actor?: string;
+  // Exact action, or a namespace ending in a dot such as "user."
+  action?: string;
+  targetType?: AuditTargetType;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface AuditLogResponse {
+  entries: AuditLogEntry[];
+  totalEntries: number;
+  currentPage: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+  actions: string[];
+}
+
+// One imported Markdown file: the post it became, or why it was skipped
+export interface PostImportResult {
+  file: string;
+  post?: Pick<Post, '_id' | 'title' | 'slug' | 'status'>;
+  error?: string;
+}
+
+export interface PostImportResponse {
+  message: string;
+  imported: number;
+  failed: number;
+  results: PostImportResult[];
+}
+
+export interface LikeResponse {
+  message: string;
+  liked: boolean;
+  likeCount: number;
+}
+
+export type CampaignStatus = 'draft' | 'preparing' | 'queued' | 'sending' | 'sent' | 'cancelled';
+
+export type DeliveryStatus = 'pending' | 'sending' | 'sent' | 'failed' | 'skipped';
+
+export interface Campaign {
+  _id: string;
+  subject: string;
+  content?: string;
+  kind: 'custom' | 'digest';
+  posts: string[];
+  status: CampaignStatus;
+  createdBy: Pick<User, '_id' | 'name' | 'email'>;
+  recipientCount: number;
+  queuedAt?: string;
+  startedAt?: string;
+  completedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CampaignDelivery {
+  _id: string;
+  email: string;
+  status: DeliveryStatus;
+  attempts: number;
+  lastError?: string | null;
+  sentAt?: string | null;
+  updatedAt: string;
+}
+
+export interface CampaignPreview {
+  subject: string;
+  html: string;
+  text: string;
+}
+
+export interface NewsletterStats {
+  totalSubscribers: number;
+  totalConfirmed: number;
+  totalPending: number;
+  totalUnsubscribed: number;
+  recentSubscribers: number;
+  totalAll: number;
+}
+
 export interface DashboardMetrics {
   totalPosts: number;
   publishedPosts: number;
   draftPosts: number;
+  inReviewPosts: number;
+  changesRequestedPosts: number;
+  approvedPosts: number;
+  // Other authors' posts waiting for this user to review; 0 for users who cannot review
+  postsAwaitingReview: number;
   totalUsers: number;
   totalAdmins: number;
   totalComments: number;
@@ -104,6 +489,27 @@ export interface DashboardMetrics {
   commentsThisMonth: number;
 }
 
+// Views and unique visitors in one bucket of time, from one referrer, or of one post
+export interface ViewStat {
+  _id: string;
+  views: number;
+  visitors: number;
+}
+
+export interface ViewAnalytics {
+  postsOverTime: Array<{ _id: string; count: number }>;
+  commentsOverTime: Array<{ _id: string; count: number }>;
+  // Buckets are days, 'YYYY-MM-DD'
+  viewsOverTime: ViewStat[];
+  // Referrer host, or 'direct' / 'internal'
+  referrers: ViewStat[];
+  topViewedPosts: Array<ViewStat & { title: string; slug: string }>;
+  totalViews: number;
+  // Visitors are counted once per day
+  uniqueVisitors: number;
+  period: number;
+}
+
 export interface TagInsights {
   tags: Array<{
     _id: string;
@@ -149,11 +555,15 @@ export interface PostFormData {
   content: string;
   excerpt?: string;
   tags: string[];
-  status: 'draft' | 'published';
+  status: PostStatus;
+  publishAt?: string;
   seoTitle?: string;
   seoDescription?: string;
   featured: boolean;
-  coverImage?: File;
+  // A new upload, or the URL of an image from the media library
+  coverImage?: File | string;
+  // Series ID, or '' to take the post out of its series
+  series?: string;
 }
 
 export interface CommentFormData {
@@ -163,18 +573,61 @@ export interface CommentFormData {
 export interface SearchParams {
   query?: string;
   tag?: string;
+  author?: string;
   sort?: 'newest' | 'oldest' | 'popular' | 'trending';
   page?: number;
   limit?: number;
 }
 
+export interface SearchFilters {
+  q: string;
+  tags?: string[];
+  author?: string;
+  year?: number;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+// Highlighted fields are HTML: the server escapes everything except <mark> tags
+export interface SearchResultPost extends Omit<Post, 'content'> {
+  score: number;
+  highlights: {
+    title: string;
+    snippet: string;
+  };
+}
+
+export interface SearchFacets {
+  tags: { slug: string; name: string; color: string; count: number }[];
+  authors: { _id: string; name: string; count: number }[];
+  years: { year: number; count: number }[];
+}
+
+export interface SearchResponse {
+  posts: SearchResultPost[];
+  totalPosts: number;
+  currentPage: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+  facets: SearchFacets;
+}
+
 export interface AuthContextType {
   user: User | null;
   token: string | null;
   login: (email: string, password: string) => Promise<void>;
   signup: (userData: SignupFormData) => Promise<void>;
   logout: () => void;
+  logoutEverywhere: () => Promise<void>;
   updateProfile: (userData: Partial<User>) => Promise<void>;
+  refreshUser: () => Promise<void>;
+  // null until the current user's permissions have loaded
+  permissions: Permission[] | null;
+  assignableRoles: UserRole[];
+  can: (action: string, ownerId?: string) => boolean;
   loading: boolean;
   error: string | null;
 }
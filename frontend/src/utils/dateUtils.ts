@@ -0,0 +1,34 @@
+/**
+ * Helpers for working with <input type="datetime-local"> values
+ */
+
+/**
+ * Formats an ISO date as a local "YYYY-MM-DDTHH:mm" value for datetime-local inputs
+ * @param isoDate - The ISO date string to format
+ */
+export const toDateTimeLocalValue = (isoDate?: string | null): string => {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+/**
+ * Converts a datetime-local value (interpreted in the browser's time zone) to an ISO string
+ * @param localValue - The value of a datetime-local input
+ */
+export const fromDateTimeLocalValue = (localValue?: string): string | undefined => {
+  if (!localValue) return undefined;
+  const date = new Date(localValue);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * Whether a datetime-local value lies in the future
+ * @param localValue - The value of a datetime-local input
+ */
+export const isFutureDateTime = (localValue?: string): boolean => {
+  if (!localValue) return false;
+  return new Date(localValue).getTime() > Date.now();
+};
@@ -23,6 +23,7 @@ export const devUtils = {
    */
   clearToken: () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     console.log('Token cleared');
   },
@@ -0,0 +1,63 @@
+/**
+ * Helpers for editing Markdown in the post editor's textarea
+ */
+
+/**
+ * Markdown for an image
+ * @param url - Where the image is loaded from
+ * @param alt - Alt text; square brackets would end it early, so they are dropped
+ */
+export const markdownImage = (url: string, alt = ''): string =>
+  `![${alt.replace(/[[\]]/g, '').trim()}](${url})`;
+
+/**
+ * Insert text where the cursor is in a textarea, replacing any selection,
+ * on lines of its own. Without a textarea the text is added at the end.
+ * @param textarea - The editor, if it is on the page
+ * @param value - The editor's current value
+ * @param text - The text to insert
+ * @returns The new value and the cursor position after the inserted text
+ */
+export const insertAtCursor = (
+  textarea: HTMLTextAreaElement | null,
+  value: string,
+  text: string
+): { value: string; cursor: number } => {
+  const start = textarea ? textarea.selectionStart : value.length;
+  const end = textarea ? textarea.selectionEnd : value.length;
+  const before = value.slice(0, start);
+  const after = value.slice(end);
+  const inserted = `${before && !before.endsWith('\n') ? '\n' : ''}${text}${after && !after.startsWith('\n') ? '\n' : ''}`;
+  return { value: before + inserted + after, cursor: before.length + inserted.length };
+};
+
+// Image types the upload routes accept
+const UPLOADABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Images the upload route takes in one request
+export const MAX_IMAGES_PER_UPLOAD = 5;
+
+/**
+ * Images among pasted or dropped data, in the types the server accepts
+ * @param data - The clipboard or drag data
+ */
+export const imageFilesIn = (data: DataTransfer | null): File[] =>
+  Array.from(data?.files || []).filter(file => UPLOADABLE_IMAGE_TYPES.includes(file.type));
+
+/**
+ * Alt text made from a file name, e.g. "team-photo_2024.jpg" becomes "team photo 2024".
+ * Names browsers give pasted screenshots ("image.png") say nothing, so give none.
+ * @param fileName - The uploaded file's name
+ */
+export const altTextFromFileName = (fileName: string): string => {
+  const text = fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+  return /^(image|screenshot|clipboard|untitled)$/i.test(text) ? '' : text;
+};
+
+/**
+ * Text that stands in for images while they upload. It is unique, so it can
+ * be found and replaced even if the content around it is edited meanwhile.
+ * @param files - The images being uploaded
+ */
+export const uploadPlaceholder = (files: File[]): string =>
+  `![Uploading ${files.length === 1 ? files[0].name : `${files.length} images`}…](uploading-${Date.now()})`;
@@ -0,0 +1,31 @@
+/**
+ * Labels and badge colours for post statuses in the editorial workflow
+ */
+import { PostStatus } from '../types';
+
+export const POST_STATUSES: PostStatus[] = ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published'];
+
+export const POST_STATUS_LABELS: Record<PostStatus, string> = {
+  draft: 'Draft',
+  in_review: 'In Review',
+  changes_requested: 'Changes Requested',
+  approved: 'Approved',
+  scheduled: 'Scheduled',
+  published: 'Published'
+};
+
+export const POST_STATUS_BADGES: Record<PostStatus, string> = {
+  draft: 'bg-gray-100 text-gray-800',
+  in_review: 'bg-purple-100 text-purple-800',
+  changes_requested: 'bg-orange-100 text-orange-800',
+  approved: 'bg-teal-100 text-teal-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  published: 'bg-green-100 text-green-800'
+};
+
+/**
+ * Human-readable label for a status, falling back to the raw value
+ * @param status - The post status
+ */
+export const postStatusLabel = (status: string): string =>
+  POST_STATUS_LABELS[status as PostStatus] || status;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { mediaAPI } from '../services/api';
+import {
+  MAX_IMAGES_PER_UPLOAD,
+  altTextFromFileName,
+  imageFilesIn,
+  insertAtCursor,
+  markdownImage,
+  uploadPlaceholder
+} from './markdownEditor';
+
+// Images pasted or dropped into the content that are still uploading
+export interface ContentUpload {
+  count: number;
+  percent: number;
+}
+
+/**
+ * Uploads images pasted or dropped into the post editor's textarea into the
+ * media library, with a placeholder in the text until they are stored
+ * @param contentRef - The editor's textarea
+ * @param getContent - The editor's current value
+ * @param setContent - Replaces the editor's value
+ * @returns The upload in progress, if any, and handlers for the textarea
+ */
+export const useContentImageUpload = (
+  contentRef: React.RefObject<HTMLTextAreaElement | null>,
+  getContent: () => string,
+  setContent: (value: string) => void
+) => {
+  const [contentUpload, setContentUpload] = useState<ContentUpload | null>(null);
+
+  const uploadContentImages = async (files: File[]) => {
+    if (contentUpload) {
+      toast.info('Please wait for the current upload to finish');
+      return;
+    }
+    if (files.length > MAX_IMAGES_PER_UPLOAD) {
+      toast.warning(`Only the first ${MAX_IMAGES_PER_UPLOAD} images were uploaded`);
+      files = files.slice(0, MAX_IMAGES_PER_UPLOAD);
+    }
+
+    const placeholder = uploadPlaceholder(files);
+    const { value, cursor } = insertAtCursor(contentRef.current, getContent(), placeholder);
+    setContent(value);
+    requestAnimationFrame(() => contentRef.current?.setSelectionRange(cursor, cursor));
+    // The content may have changed while uploading, so look the placeholder up again
+    const replacePlaceholder = (text: string) => setContent(getContent().replace(placeholder, text));
+
+    try {
+      setContentUpload({ count: files.length, percent: 0 });
+      const response = await mediaAPI.uploadMedia(files, percent => setContentUpload({ count: files.length, percent }));
+      replacePlaceholder(response.files.map(file => markdownImage(file.url, altTextFromFileName(file.originalName))).join('\n\n'));
+    } catch (error: any) {
+      replacePlaceholder('');
+      toast.error(error.response?.data?.message || 'Failed to upload images');
+    } finally {
+      setContentUpload(null);
+    }
+  };
+
+  const handleContentPaste = (e: React.ClipboardEvent<HTMLTextAreaElement>) => {
+    const files = imageFilesIn(e.clipboardData);
+    // Copied text that comes with a picture (e.g. from a word processor) pastes as text
+    if (files.length > 0 && !e.clipboardData.getData('text/plain')) {
+      e.preventDefault();
+      uploadContentImages(files);
+    }
+  };
+
+  // Lets files be dropped on the textarea
+  const handleContentDragOver = (e: React.DragEvent<HTMLTextAreaElement>) => {
+    if (e.dataTransfer.types.includes('Files')) {
+      e.preventDefault();
+    }
+  };
+
+  const handleContentDrop = (e: React.DragEvent<HTMLTextAreaElement>) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    // Otherwise the browser would open the dropped file
+    e.preventDefault();
+    const files = imageFilesIn(e.dataTransfer);
+    if (files.length === 0) {
+      toast.error('Only JPEG, PNG, GIF, and WebP images can be added to the content');
+      return;
+    }
+    uploadContentImages(files);
+  };
+
+  return { contentUpload, handleContentPaste, handleContentDragOver, handleContentDrop };
+};
@@ -14,6 +14,10 @@ export default defineConfig({
       '/uploads': {
         target: 'http://localhost:5000',
         changeOrigin: true,
+      },
+      '^/((feed|atom|sitemap)\\.xml|robots\\.txt|sitemaps/.+\\.xml|(tag|author)/[^/]+/feed\\.xml|share/post/[^/]+)$': {
+        target: 'http://localhost:5000',
+        changeOrigin: true,
       }
     }
   },